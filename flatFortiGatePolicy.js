@@ -35,6 +35,9 @@ const POLICY_TYPE_6TO4  = 3;
 const POLICY_TYPE_4TO6  = 4;
 const POLICY_TYPE_4TO4M = 5;
 const POLICY_TYPE_6TO6M = 6;
+const POLICY_TYPE_LOCAL4 = 7;
+const POLICY_TYPE_LOCAL6 = 8;
+const POLICY_TYPE_PROXY  = 9;
 
 /**
 * Bit flags of protocol type.
@@ -58,6 +61,40 @@ const LOOKUP_ADDRESS_TYPE_IPV6    = 2;
 const LOOKUP_ADDRESS_TYPE_FQDN    = 3;
 const LOOKUP_ADDRESS_TYPE_GEO     = 4;
 
+/**
+* Severity of the parser diagnostics.
+*
+* @const {string}
+*/
+const DIAGNOSTIC_SEVERITY_ERROR   = 'error';
+const DIAGNOSTIC_SEVERITY_WARNING = 'warning';
+const DIAGNOSTIC_SEVERITY_INFO    = 'info';
+
+/**
+* Output formats of the lists, the policies, and the lookup results.
+*
+* @const {string}
+*/
+const OUTPUT_FORMAT_CSV   = 'csv';
+const OUTPUT_FORMAT_JSON  = 'json';
+const OUTPUT_FORMAT_JSONL = 'jsonl';
+
+/**
+* Maximum number of the subnets that a wildcard address is split into. The
+* wildcard address that needs more subnets is not split.
+*
+* @const {number}
+*/
+const MAX_WILDCARD_SUBNET = 256;
+
+/**
+* Schedule window of the predefined 'always' schedule. It is used when the
+* configuration does not contain 'always.'
+*
+* @const {string}
+*/
+const SCHEDULE_WINDOW_ALWAYS = 'recurring/sun+mon+tue+wed+thu+fri+sat/00:00-00:00';
+
 /**
 * Column number of normalized policy.
 *
@@ -85,6 +122,45 @@ const NMCOL_STATUS          = 18;
 const NMCOL_LOG             = 19;
 const NMCOL_SCHEDULE        = 20;
 const NMCOL_COMMENT         = 21;
+const NMCOL_DNAT_ADDR       = 22;
+const NMCOL_DNAT_PORT       = 23;
+const NMCOL_SNAT_ADDR       = 24;
+const NMCOL_SNAT_TYPE       = 25;
+const NMCOL_SNAT_PORT       = 26;
+const NMCOL_FIXED_PORT      = 27;
+const NMCOL_SCHED_WINDOW    = 28;
+const NMCOL_SCHED_EXPIRED   = 29;
+const NMCOL_SRC_ZONE        = 30;
+const NMCOL_DST_ZONE        = 31;
+const NMCOL_CONF_LINE       = 32;
+const NMCOL_SRC_USER        = 33;
+const NMCOL_SRC_GROUP       = 34;
+const NMCOL_POL_UUID        = 35;
+const NMCOL_GLOBAL_LABEL    = 36;
+const NMCOL_LABEL           = 37;
+const NMCOL_PROXY           = 38;
+const NMCOL_DST_HOST        = 39;
+const NMCOL_DST_URL         = 40;
+
+/**
+* Column number of the first security profile column. The security profile
+* columns in the order of t_ProfileColumnName follow D_URL, and they are
+* removed from the output unless they are enabled.
+*
+* @const {number}
+*/
+const NMCOL_UTM_STATUS      = 41;
+
+/**
+* Column number of the provenance columns of flattened policy. They follow
+* the security profile columns only if the provenance columns are enabled.
+* Each column of the object name is followed by the column of the path.
+*
+* @const {number}
+*/
+const NMCOL_SRC_ADDR_OBJ    = 52;
+const NMCOL_DST_ADDR_OBJ    = 54;
+const NMCOL_SERVICE_OBJ     = 56;
 
 /*
 * ============================================================================
@@ -182,112 +258,6 @@ class WildcardFQDN {
     }
 }
 
-/**
-* This class operates the IPv4 range.
-*
-*/
-class IPv4Range { // eslint-disable-line no-unused-vars
-    /**
-    * This constructor defines variables for IPv4Range class.
-    *
-    */
-    constructor() {
-        this.intStartAddr = undefined;
-        this.intEndAddr = undefined;
-        this.arraySubnet = undefined;
-    }
-
-    /**
-    * This setter saves integers of the start address and end address and the
-    * subnet array for the specified IPv4 range string.
-    *
-    * @param {string} strIPv4Range
-    *
-    */
-    set iprange(strIPv4Range) {
-        const array = strIPv4Range.indexOf('-') != -1 ? strIPv4Range.split('-') : [strIPv4Range];
-        this.intStartAddr = toIPv4AddrInteger(array[0]);
-        this.intEndAddr = array[1] ? toIPv4AddrInteger(array[1]) : toIPv4AddrInteger(array[0]);
-
-        this.arraySubnet = [];
-        makeIPv4SubnetFromRange(this.intStartAddr, this.intEndAddr, this.arraySubnet);
-    }
-
-    /**
-    * This method returns true if this IPv4 range is included in the specified
-    * segment. Otherwise, it is false.
-    *
-    * @param {string} strTestSegment
-    * @return {boolean}
-    *   true if this IPv4 range is included in the specified segment.
-    *   Otherwise, it is false.
-    *
-    * @example
-    *   iprange(strIPv4Range)       strTestSegment      Return
-    *   ------------------------------------------------------
-    *   '192.168.0.1'               '192.168.0.0/31' -> true
-    *   '192.168.0.1'               '192.168.0.0/32' -> false
-    *   '192.168.0.1-192.168.0.100' '192.168.0.0/24' -> true
-    *   '192.168.0.1-192.168.0.100' '192.168.0.0/28' -> false
-    */
-    isIncludedInSegment(strTestSegment) {
-        for (let i=0; i<this.arraySubnet.length; ++i) {
-            if (!isIPv4WithPrefixLengthIncludedInSegment(this.arraySubnet[i], strTestSegment)) {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    /**
-    * This method returns true if this IPv4 range is matched in the specified
-    * Fortinet-style wildcard address. Otherwise, it is false.
-    *
-    * @param {string} strTestWildcardAddr
-    * @return {boolean}
-    *   true if this IPv4 range is included in the specified wildcard address.
-    *   Otherwise, it is false.
-    *
-    * @example
-    *   iprange(strIPv4Range)       strTestWildcardAddr              Return
-    *   -------------------------------------------------------------------
-    *   '192.168.0.1'               '192.168.0.0/255.255.255.254' -> true
-    *   '192.168.0.1'               '192.168.0.0/255.255.255.255' -> false
-    *   '192.168.0.1-192.168.0.100' '192.168.0.0/255.255.255.0'   -> true
-    *   '192.168.0.1-192.168.0.100' '192.168.0.0/255.255.255.240' -> false
-    */
-    isMatchedInFortinetWildcardAddr(strTestWildcardAddr) {
-        for (let i=0; i<this.arraySubnet.length; ++i) {
-            if (!isIPv4WithPrefixLengthIncludedInFortinetWildcardAddr(this.arraySubnet[i], strTestWildcardAddr)) {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    /**
-    * This method returns true if this IPv4 range is included in the specified
-    * IPv4 range. Otherwise, it is false.
-    *
-    * @param {string} strTestRange
-    * @return {boolean}
-    *   true if this IPv4 range is included in the specified IPv4 range.
-    *   Otherwise, it is false.
-    *
-    * @example
-    *   iprange(strIPv4Range)       strTestRange                   Return
-    *   -----------------------------------------------------------------
-    *   '192.168.0.1'               '192.168.0.0-192.168.0.1'   -> true
-    *   '192.168.0.1'               '192.168.0.0-192.168.0.0'   -> false
-    *   '192.168.0.1-192.168.0.100' '192.168.0.0-192.168.0.255' -> true
-    *   '192.168.0.1-192.168.0.100' '192.168.0.0-192.168.0.15'  -> false
-    */
-    isIncludedInRange(strTestRange) {
-        const array = strTestRange.split('-');
-        return (this.intStartAddr >= toIPv4AddrInteger(array[0]) && this.intEndAddr <= toIPv4AddrInteger(array[1]));
-    }
-}
-
 /**
 * This class defines 'edit', 'set', and 'next' commands actions for
 * configuration. The subclass derived from this class defines those detailed
@@ -302,6 +272,8 @@ class ConfigEdit {
     constructor() {
         this.strDomainName = '';
         this.strEditName = '';
+        this.intLineNumber = 0;
+        this.intEndLineNumber = 0;
         this.objParam = {};
     }
 
@@ -315,6 +287,31 @@ class ConfigEdit {
         this.strDomainName = strDomainName;
     }
 
+    /**
+    * This setter saves the line number of the 'edit' command in the
+    * configuration.
+    *
+    * @param {number} intLineNumber - Line number starting from 1.
+    *
+    */
+    set LineNumber(intLineNumber) {
+        this.intLineNumber = intLineNumber;
+    }
+
+    /**
+    * This setter saves the line number of the 'next' command in the
+    * configuration, and sets the line range of the 'edit' block, such as
+    * '12-25', into this.objParam['conf_line'] so that the normalized object
+    * or policy refers to its source lines.
+    *
+    * @param {number} intEndLineNumber - Line number starting from 1.
+    *
+    */
+    set EndLineNumber(intEndLineNumber) {
+        this.intEndLineNumber = intEndLineNumber;
+        this.objParam['conf_line'] = this.intLineNumber + '-' + intEndLineNumber;
+    }
+
     /**
     * This method should be called when the 'config firewall' statement is
     * found in the FortiGate configuration. Subclass calls superclass before
@@ -348,13 +345,45 @@ class ConfigEdit {
     /**
     * This method should be called when the 'set' statement is found in the
     * FortiGate configuration. Subclass sets the found parameters to
-    * this.objParam.
+    * this.objParam from arrayToken, the tokens of the line that are unquoted
+    * and unescaped. The parameter that has a single value is set as the
+    * tokens following the parameter name joined with a space, and the
+    * parameter that has the list of values, such as 'member', is set by
+    * getConfigQuotedValue so that getConfigValueArray splits it. Subclass
+    * returns false for the parameter that it does not parse so that the
+    * parser records it in the parse diagnostics.
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) { // eslint-disable-line no-unused-vars
+        return false;
+    }
+
+    /**
+    * This method should be called when the 'edit' statement is found in the
+    * sub-configuration of the 'edit' statement. Subclass prepares the
+    * parameters of the sub-configuration if it needs.
+    *
+    * @param {string} strSubConfigName - Name of the sub-configuration.
+    * @param {string} strSubEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    beginSubEdit(strSubConfigName, strSubEditName) { // eslint-disable-line no-unused-vars
+    }
+
+    /**
+    * This method should be called when the 'next' statement is found in the
+    * sub-configuration of the 'edit' statement. Subclass saves the parameters
+    * of the sub-configuration if it needs.
+    *
+    * @param {string} strSubConfigName - Name of the sub-configuration.
+    *
+    */
+    endSubEdit(strSubConfigName) { // eslint-disable-line no-unused-vars
     }
 }
 
@@ -420,11 +449,12 @@ class FirewallServiceCustom extends FirewallService {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
             const strParam = arrayToken[1].replaceAll('-', '_');
 
             switch (arrayToken[1]) {
@@ -438,10 +468,13 @@ class FirewallServiceCustom extends FirewallService {
             case 'icmptype':
             case 'icmpcode':
             case 'comment':
-                this.objParam[strParam] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam[strParam] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -469,12 +502,14 @@ class FirewallServiceGroup extends FirewallService {
     }
 
     /**
-    * This method normalizes the parameter object for FirewallServiceGroup
-    * class and saves it into g_Domain_Data.
+    * This method saves the parameter object for FirewallServiceGroup class
+    * into g_Domain_Data as it is. The group is normalized by
+    * resolveAllGroupObjects() after the whole configuration is parsed
+    * because its members may be defined after the group.
     *
     */
     end() {
-        g_Domain_Data[this.strDomainName].service_group[this.strEditName] = normalizeFirewallServiceGroup(this.objParam, g_Domain_Data[this.strDomainName].service_custom, g_Domain_Data[this.strDomainName].service_group);
+        g_Domain_Data[this.strDomainName].service_group[this.strEditName] = {value: [], param: Object.assign({}, this.objParam)};
     }
 
     /**
@@ -483,21 +518,24 @@ class FirewallServiceGroup extends FirewallService {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-
             switch (arrayToken[1]) {
             case 'member':
-                this.objParam['member'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['member'] = getConfigQuotedValue(arrayToken.slice(2));
                 break;
             case 'comment':
-                this.objParam['comment'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -553,6 +591,9 @@ class FirewallAddress4 extends FirewallAddress {
             }
         }
         g_Domain_Data[this.strDomainName].address4[this.strEditName] = normalizeFirewallIPv4Address(this.objParam);
+        if (g_Domain_Data[this.strDomainName].address4[this.strEditName].value.length === 0) {
+            addParseDiagnostic(this.intLineNumber, DIAGNOSTIC_SEVERITY_WARNING, 'The address \'' + this.strEditName + '\' of type \'' + this.objParam['type'] + '\' is not supported or has no address.');
+        }
     }
 
     /**
@@ -561,12 +602,12 @@ class FirewallAddress4 extends FirewallAddress {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-
             switch (arrayToken[1]) {
             case 'type':
                 this.objParam['type'] = arrayToken[2];
@@ -583,16 +624,19 @@ class FirewallAddress4 extends FirewallAddress {
             case 'fqdn':
             case 'wildcard-fqdn':
             case 'country':
-                this.objParam['param1'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param1'] = arrayToken.slice(2).join(' ');
                 break;
             case 'end-ip':
-                this.objParam['param2'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param2'] = arrayToken.slice(2).join(' ');
                 break;
             case 'comment':
-                this.objParam['comment'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -639,6 +683,9 @@ class FirewallAddress6 extends FirewallAddress {
             }
         }
         g_Domain_Data[this.strDomainName].address6[this.strEditName] = normalizeFirewallIPv6Address(this.objParam);
+        if (g_Domain_Data[this.strDomainName].address6[this.strEditName].value.length === 0) {
+            addParseDiagnostic(this.intLineNumber, DIAGNOSTIC_SEVERITY_WARNING, 'The address \'' + this.strEditName + '\' of type \'' + this.objParam['type'] + '\' is not supported or has no address.');
+        }
     }
 
     /**
@@ -647,12 +694,12 @@ class FirewallAddress6 extends FirewallAddress {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-
             switch (arrayToken[1]) {
             case 'type':
                 this.objParam['type'] = arrayToken[2];
@@ -660,16 +707,19 @@ class FirewallAddress6 extends FirewallAddress {
             case 'ip6':
             case 'start-ip':
             case 'fqdn':
-                this.objParam['param1'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param1'] = arrayToken.slice(2).join(' ');
                 break;
             case 'end-ip':
-                this.objParam['param2'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param2'] = arrayToken.slice(2).join(' ');
                 break;
             case 'comment':
-                this.objParam['comment'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -693,6 +743,8 @@ class FirewallAddrgrp extends ConfigEdit {
     begin(strEditName) {
         super.begin(strEditName);
         this.objParam['member'] = '';
+        this.objParam['exclude'] = 'disable';
+        this.objParam['exclude_member'] = '';
         this.objParam['comment'] = '';
     }
 
@@ -702,21 +754,30 @@ class FirewallAddrgrp extends ConfigEdit {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-
             switch (arrayToken[1]) {
             case 'member':
-                this.objParam['member'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['member'] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'exclude':
+                this.objParam['exclude'] = arrayToken[2];
+                break;
+            case 'exclude-member':
+                this.objParam['exclude_member'] = getConfigQuotedValue(arrayToken.slice(2));
                 break;
             case 'comment':
-                this.objParam['comment'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -731,12 +792,13 @@ class FirewallAddrgrp extends ConfigEdit {
 */
 class FirewallAddrgrp4 extends FirewallAddrgrp {
     /**
-    * This method normalizes the parameter object for FirewallAddrgrp4 class
-    * and saves it into g_Domain_Data.
+    * This method saves the parameter object for FirewallAddrgrp4 class into
+    * g_Domain_Data as it is. The group is normalized by
+    * resolveAllGroupObjects() after the whole configuration is parsed.
     *
     */
     end() {
-        g_Domain_Data[this.strDomainName].addrgrp4[this.strEditName] = normalizeFirewallAddressGroup(this.objParam, g_Domain_Data[this.strDomainName].address4, g_Domain_Data[this.strDomainName].addrgrp4);
+        g_Domain_Data[this.strDomainName].addrgrp4[this.strEditName] = {value: [], param: Object.assign({}, this.objParam)};
     }
 }
 
@@ -751,12 +813,13 @@ class FirewallAddrgrp4 extends FirewallAddrgrp {
 */
 class FirewallAddrgrp6 extends FirewallAddrgrp {
     /**
-    * This method normalizes the parameter object for FirewallAddrgrp6 class
-    * and saves it into g_Domain_Data.
+    * This method saves the parameter object for FirewallAddrgrp6 class into
+    * g_Domain_Data as it is. The group is normalized by
+    * resolveAllGroupObjects() after the whole configuration is parsed.
     *
     */
     end() {
-        g_Domain_Data[this.strDomainName].addrgrp6[this.strEditName] = normalizeFirewallAddressGroup(this.objParam, g_Domain_Data[this.strDomainName].address6, g_Domain_Data[this.strDomainName].addrgrp6);
+        g_Domain_Data[this.strDomainName].addrgrp6[this.strEditName] = {value: [], param: Object.assign({}, this.objParam)};
     }
 }
 
@@ -821,12 +884,12 @@ class FirewallMulticastAddress4 extends FirewallMulticastAddress {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-
             switch (arrayToken[1]) {
             case 'type':
                 this.objParam['type'] = arrayToken[2];
@@ -836,16 +899,19 @@ class FirewallMulticastAddress4 extends FirewallMulticastAddress {
                 this.objParam['param2'] = arrayToken[3] ? arrayToken[3] : '255.255.255.255';
                 break;
             case 'start-ip':
-                this.objParam['param1'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param1'] = arrayToken.slice(2).join(' ');
                 break;
             case 'end-ip':
-                this.objParam['param2'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param2'] = arrayToken.slice(2).join(' ');
                 break;
             case 'comment':
-                this.objParam['comment'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -890,21 +956,24 @@ class FirewallMulticastAddress6 extends FirewallMulticastAddress {
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-
             switch (arrayToken[1]) {
             case 'ip6':
-                this.objParam['param1'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['param1'] = arrayToken.slice(2).join(' ');
                 break;
             case 'comment':
-                this.objParam['comment'] = strLine.substring(intIndexOfParamValue).trimString('"').trimString('\'');
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -912,87 +981,128 @@ class FirewallMulticastAddress6 extends FirewallMulticastAddress {
 * This class defines 'edit', 'set', and 'next' commands' actions for following
 * configurations.
 *
-*   'config firewall policy'
-*   'config firewall policy6'
-*   'config firewall policy64'
-*   'config firewall policy46'
+*   'config firewall vip'
+*   'config firewall vip6'
+*   'config firewall vip46'
+*   'config firewall vip64'
+*
+* The real servers of the load balance virtual IP are specified in
+* 'config realservers' sub-configuration.
 *
 * @extends ConfigEdit
 *
 */
-class FirewallPolicy extends ConfigEdit {
+class FirewallVip extends ConfigEdit {
     /**
-    * This constructor defines variables for FirewallPolicy class.
+    * This method initializes the parameter object for FirewallVip class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
     *
     */
-    constructor() {
-        super();
-        this.intOrderNumber = 0;
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.isRealServer = false;
+        this.objParam['type'] = 'static-nat';
+        this.objParam['extip'] = '';
+        this.objParam['mappedip'] = '';
+        this.objParam['mapped_addr'] = '';
+        this.objParam['portforward'] = 'disable';
+        this.objParam['protocol'] = 'tcp';
+        this.objParam['extport'] = '';
+        this.objParam['mappedport'] = '';
+        this.objParam['realservers'] = [];
+        this.objParam['comment'] = '';
     }
 
     /**
-    * This method initializes FirewallPolicy class.
+    * This method adds the real server to this class's parameter object.
+    *
+    * @param {string} strSubConfigName - Name of the sub-configuration.
+    * @param {string} strSubEditName - Name or ID entered in 'edit' command.
     *
     */
-    init() {
-        this.intOrderNumber = 0;
+    beginSubEdit(strSubConfigName, strSubEditName) { // eslint-disable-line no-unused-vars
+        if (strSubConfigName === 'realservers') {
+            this.isRealServer = true;
+            this.objParam['realservers'].push({ip: '', port: ''});
+        }
     }
 
     /**
-    * This method initializes the parameter object for FirewallPolicy class.
+    * This method ends the real server.
     *
-    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    * @param {string} strSubConfigName - Name of the sub-configuration.
     *
     */
-    begin(strEditName) {
-        super.begin(strEditName);
-        this.objParam['srcintf'] = '';
-        this.objParam['dstintf'] = '';
-        this.objParam['srcaddr'] = '';
-        this.objParam['dstaddr'] = '';
-        this.objParam['schedule'] = '';
-        this.objParam['service'] = '';
-        this.objParam['srcaddr_negate'] = '';
-        this.objParam['dstaddr_negate'] = '';
-        this.objParam['service_negate'] = '';
-        this.objParam['name'] = '';
-        this.objParam['action'] = '';
-        this.objParam['status'] = '';
-        this.objParam['comments'] = '';
-        ++this.intOrderNumber;
+    endSubEdit(strSubConfigName) { // eslint-disable-line no-unused-vars
+        this.isRealServer = false;
     }
 
     /**
-    * This method sets the parameter of the firewall policy object to this
-    * class's parameter object.
+    * This method sets the parameter of the virtual IP object to this class's
+    * parameter object.
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-            const strProperty = arrayToken[1].replaceAll('-', '_');
+            if (this.isRealServer) {
+                switch (arrayToken[1]) {
+                case 'ip':
+                case 'port':
+                    this.objParam['realservers'].last()[arrayToken[1]] = arrayToken.slice(2).join(' ');
+                    break;
+                default:
+                    return false;
+                }
+                return true;
+            }
 
             switch (arrayToken[1]) {
-            case 'srcintf':  // required.
-            case 'dstintf':  // required.
-            case 'srcaddr':  // required.
-            case 'dstaddr':  // required.
-            case 'schedule': // required.
-            case 'service':
-            case 'srcaddr-negate':
-            case 'dstaddr-negate':
-            case 'service-negate':
-            case 'name':
-            case 'action':
-            case 'status':
-            case 'comments':
-                this.objParam[strProperty] = strLine.substring(intIndexOfParamValue);
+            case 'type':
+            case 'portforward':
+            case 'protocol':
+                this.objParam[arrayToken[1]] = arrayToken[2];
+                break;
+            case 'extip':
+            case 'mappedip':
+                this.objParam[arrayToken[1]] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'extport':
+            case 'mappedport':
+                this.objParam[arrayToken[1]] = arrayToken.slice(2).join(' ');
+                break;
+            case 'mapped-addr':
+                this.objParam['mapped_addr'] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'comment':
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
+    }
+
+    /**
+    * This method adds the parse diagnostic if the normalized virtual IP object
+    * has no external address or no mapped address.
+    *
+    * @param {Object} objVip - Normalized virtual IP object.
+    *
+    */
+    checkAddress(objVip) {
+        if (objVip.value.length == 0) {
+            addParseDiagnostic(this.intLineNumber, DIAGNOSTIC_SEVERITY_WARNING, 'The virtual IP \'' + this.strEditName + '\' has no external address.');
+        }
+        if (objVip.mapped.length == 0) {
+            addParseDiagnostic(this.intLineNumber, DIAGNOSTIC_SEVERITY_WARNING, 'The virtual IP \'' + this.strEditName + '\' has no mapped address.');
+        }
     }
 }
 
@@ -1000,22 +1110,20 @@ class FirewallPolicy extends ConfigEdit {
 * This class defines 'edit', 'set', and 'next' commands' actions for the
 * following configuration.
 *
-*   'config firewall policy'
+*   'config firewall vip'
 *
-* @extends FirewallPolicy
+* @extends FirewallVip
 *
 */
-class FirewallPolicy4to4 extends FirewallPolicy {
+class FirewallVip4 extends FirewallVip {
     /**
-    * This method normalizes the parameter object for FirewallPolicy4to4 class
-    * and saves it into g_Domain_Data.
+    * This method normalizes the parameter object for FirewallVip4 class and
+    * saves it into g_Domain_Data.
     *
     */
     end() {
-        this.objParam['srcaddr_negate'] = this.objParam['srcaddr_negate'] === 'enable' ? 'true' : 'false';
-        this.objParam['dstaddr_negate'] = this.objParam['dstaddr_negate'] === 'enable' ? 'true' : 'false';
-        this.objParam['service_negate'] = this.objParam['service_negate'] === 'enable' ? 'true' : 'false';
-        g_Domain_Data[this.strDomainName].policy4to4.push(...normalizeFirewallPolicy(this.strDomainName, '4to4', this.strEditName, this.intOrderNumber, this.objParam));
+        g_Domain_Data[this.strDomainName].vip4[this.strEditName] = normalizeFirewallVip(this.objParam, g_Domain_Data[this.strDomainName].address4);
+        this.checkAddress(g_Domain_Data[this.strDomainName].vip4[this.strEditName]);
     }
 }
 
@@ -1023,22 +1131,20 @@ class FirewallPolicy4to4 extends FirewallPolicy {
 * This class defines 'edit', 'set', and 'next' commands' actions for the
 * following configuration.
 *
-*   'config firewall policy6'
+*   'config firewall vip6'
 *
-* @extends FirewallPolicy
+* @extends FirewallVip
 *
 */
-class FirewallPolicy6to6 extends FirewallPolicy {
+class FirewallVip6 extends FirewallVip {
     /**
-    * This method normalizes the parameter object for FirewallPolicy6to6 class
-    * and saves it into g_Domain_Data.
+    * This method normalizes the parameter object for FirewallVip6 class and
+    * saves it into g_Domain_Data.
     *
     */
     end() {
-        this.objParam['srcaddr_negate'] = this.objParam['srcaddr_negate'] === 'enable' ? 'true' : 'false';
-        this.objParam['dstaddr_negate'] = this.objParam['dstaddr_negate'] === 'enable' ? 'true' : 'false';
-        this.objParam['service_negate'] = this.objParam['service_negate'] === 'enable' ? 'true' : 'false';
-        g_Domain_Data[this.strDomainName].policy6to6.push(...normalizeFirewallPolicy(this.strDomainName, '6to6', this.strEditName, this.intOrderNumber, this.objParam));
+        g_Domain_Data[this.strDomainName].vip6[this.strEditName] = normalizeFirewallVip(this.objParam, g_Domain_Data[this.strDomainName].address6);
+        this.checkAddress(g_Domain_Data[this.strDomainName].vip6[this.strEditName]);
     }
 }
 
@@ -1046,23 +1152,20 @@ class FirewallPolicy6to6 extends FirewallPolicy {
 * This class defines 'edit', 'set', and 'next' commands' actions for the
 * following configuration.
 *
-*   'config firewall policy64'
+*   'config firewall vip46'
 *
-* @extends FirewallPolicy
+* @extends FirewallVip
 *
 */
-class FirewallPolicy6to4 extends FirewallPolicy {
+class FirewallVip46 extends FirewallVip {
     /**
-    * This method normalizes the parameter object for FirewallPolicy6to4 class
-    * and saves it into g_Domain_Data.
+    * This method normalizes the parameter object for FirewallVip46 class and
+    * saves it into g_Domain_Data.
     *
     */
     end() {
-        this.objParam['name'] = '-';
-        this.objParam['srcaddr_negate'] = '-';
-        this.objParam['dstaddr_negate'] = '-';
-        this.objParam['service_negate'] = '-';
-        g_Domain_Data[this.strDomainName].policy6to4.push(...normalizeFirewallPolicy(this.strDomainName, '6to4', this.strEditName, this.intOrderNumber, this.objParam));
+        g_Domain_Data[this.strDomainName].vip46[this.strEditName] = normalizeFirewallVip(this.objParam, g_Domain_Data[this.strDomainName].address6);
+        this.checkAddress(g_Domain_Data[this.strDomainName].vip46[this.strEditName]);
     }
 }
 
@@ -1070,23 +1173,20 @@ class FirewallPolicy6to4 extends FirewallPolicy {
 * This class defines 'edit', 'set', and 'next' commands' actions for the
 * following configuration.
 *
-*   'config firewall policy46'
+*   'config firewall vip64'
 *
-* @extends FirewallPolicy
+* @extends FirewallVip
 *
 */
-class FirewallPolicy4to6 extends FirewallPolicy {
+class FirewallVip64 extends FirewallVip {
     /**
-    * This method normalizes the parameter object for FirewallPolicy4to6 class
-    * and saves it into g_Domain_Data.
+    * This method normalizes the parameter object for FirewallVip64 class and
+    * saves it into g_Domain_Data.
     *
     */
     end() {
-        this.objParam['name'] = '-';
-        this.objParam['srcaddr_negate'] = '-';
-        this.objParam['dstaddr_negate'] = '-';
-        this.objParam['service_negate'] = '-';
-        g_Domain_Data[this.strDomainName].policy4to6.push(...normalizeFirewallPolicy(this.strDomainName, '4to6', this.strEditName, this.intOrderNumber, this.objParam));
+        g_Domain_Data[this.strDomainName].vip64[this.strEditName] = normalizeFirewallVip(this.objParam, g_Domain_Data[this.strDomainName].address4);
+        this.checkAddress(g_Domain_Data[this.strDomainName].vip64[this.strEditName]);
     }
 }
 
@@ -1094,78 +1194,148 @@ class FirewallPolicy4to6 extends FirewallPolicy {
 * This class defines 'edit', 'set', and 'next' commands' actions for following
 * configurations.
 *
-*   'config firewall multicast-policy'
-*   'config firewall multicast-policy6'
+*   'config firewall vipgrp'
+*   'config firewall vipgrp6'
+*   'config firewall vipgrp46'
+*   'config firewall vipgrp64'
 *
-* @extends ConfigEdit
+* @extends FirewallAddrgrp
 *
 */
-class FirewallMulticastPolicy extends ConfigEdit {
-    /**
-    * This constructor defines variables for FirewallMulticastPolicy class.
-    *
-    */
-    constructor() {
-        super();
-        this.intOrderNumber = 0;
+class FirewallVipgrp extends FirewallAddrgrp {
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall vipgrp'
+*
+* @extends FirewallVipgrp
+*
+*/
+class FirewallVipgrp4 extends FirewallVipgrp {
+    /**
+    * This method normalizes the parameter object for FirewallVipgrp4 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].vipgrp4[this.strEditName] = normalizeFirewallVipGroup(this.objParam, g_Domain_Data[this.strDomainName].vip4);
     }
+}
 
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall vipgrp6'
+*
+* @extends FirewallVipgrp
+*
+*/
+class FirewallVipgrp6 extends FirewallVipgrp {
     /**
-    * This method initializes FirewallMulticastPolicy class.
+    * This method normalizes the parameter object for FirewallVipgrp6 class
+    * and saves it into g_Domain_Data.
     *
     */
-    init() {
-        this.intOrderNumber = 0;
+    end() {
+        g_Domain_Data[this.strDomainName].vipgrp6[this.strEditName] = normalizeFirewallVipGroup(this.objParam, g_Domain_Data[this.strDomainName].vip6);
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall vipgrp46'
+*
+* @extends FirewallVipgrp
+*
+*/
+class FirewallVipgrp46 extends FirewallVipgrp {
+    /**
+    * This method normalizes the parameter object for FirewallVipgrp46 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].vipgrp46[this.strEditName] = normalizeFirewallVipGroup(this.objParam, g_Domain_Data[this.strDomainName].vip46);
     }
+}
 
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall vipgrp64'
+*
+* @extends FirewallVipgrp
+*
+*/
+class FirewallVipgrp64 extends FirewallVipgrp {
     /**
-    * This method initializes the parameter object for FirewallMulticastPolicy
-    * class.
+    * This method normalizes the parameter object for FirewallVipgrp64 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].vipgrp64[this.strEditName] = normalizeFirewallVipGroup(this.objParam, g_Domain_Data[this.strDomainName].vip64);
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for following
+* configurations.
+*
+*   'config firewall ippool'
+*   'config firewall ippool6'
+*
+* @extends ConfigEdit
+*
+*/
+class FirewallIppool extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for FirewallIppool class.
     *
     * @param {string} strEditName - Name or ID entered in 'edit' command.
     *
     */
     begin(strEditName) {
         super.begin(strEditName);
-        this.objParam['srcintf'] = '';
-        this.objParam['dstintf'] = '';
-        this.objParam['srcaddr'] = '';
-        this.objParam['dstaddr'] = '';
-        this.objParam['protocol'] = '';
-        this.objParam['action'] = '';
-        this.objParam['status'] = '';
-        this.objParam['start-port'] = '';
-        this.objParam['end-port'] = '';
-        ++this.intOrderNumber;
+        this.objParam['type'] = 'overload';
+        this.objParam['startip'] = '';
+        this.objParam['endip'] = '';
+        this.objParam['comments'] = '';
     }
 
     /**
-    * This method sets the parameter of the firewall multicast policy object
-    * to this class's parameter object.
+    * This method sets the parameter of the IP pool object to this class's
+    * parameter object.
     *
     * @param {string} strLine - Line of the configuration.
     * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
     *
     */
     set(strLine, arrayToken) {
         if (arrayToken[2]) {
-            const intIndexOfParamValue = arrayToken[0].length + arrayToken[1].length + 2;
-            const strProperty = arrayToken[1].replaceAll('-', '_');
-
             switch (arrayToken[1]) {
-            case 'srcintf':  // required.
-            case 'dstintf':  // required.
-            case 'srcaddr':  // required.
-            case 'dstaddr':  // required.
-            case 'protocol':
-            case 'action':
-            case 'status':
-            case 'start-port':
-            case 'end-port':
-                this.objParam[strProperty] = strLine.substring(intIndexOfParamValue);
+            case 'type':
+            case 'startip':
+            case 'endip':
+                this.objParam[arrayToken[1]] = arrayToken[2];
+                break;
+            case 'comments':
+                this.objParam['comments'] = arrayToken.slice(2).join(' ');
                 break;
+            default:
+                return false;
             }
         }
+        return true;
     }
 }
 
@@ -1173,19 +1343,19 @@ class FirewallMulticastPolicy extends ConfigEdit {
 * This class defines 'edit', 'set', and 'next' commands' actions for the
 * following configuration.
 *
-*   'config firewall multicast-policy'
+*   'config firewall ippool'
 *
-* @extends FirewallMulticastPolicy
+* @extends FirewallIppool
 *
 */
-class FirewallMulticastPolicy4to4 extends FirewallMulticastPolicy {
+class FirewallIppool4 extends FirewallIppool {
     /**
-    * This method normalizes the parameter object for
-    * FirewallMulticastPolicy4to4 class and saves it into g_Domain_Data.
+    * This method normalizes the parameter object for FirewallIppool4 class
+    * and saves it into g_Domain_Data.
     *
     */
     end() {
-        g_Domain_Data[this.strDomainName].policy4to4m.push(...normalizeFirewallMulticastPolicy(this.strDomainName, '4to4m', this.strEditName, this.intOrderNumber, this.objParam));
+        g_Domain_Data[this.strDomainName].ippool4[this.strEditName] = normalizeFirewallIppool(this.objParam);
     }
 }
 
@@ -1193,1965 +1363,5597 @@ class FirewallMulticastPolicy4to4 extends FirewallMulticastPolicy {
 * This class defines 'edit', 'set', and 'next' commands' actions for the
 * following configuration.
 *
-*   'config firewall multicast-policy6'
+*   'config firewall ippool6'
 *
-* @extends FirewallMulticastPolicy
+* @extends FirewallIppool
 *
 */
-class FirewallMulticastPolicy6to6 extends FirewallMulticastPolicy {
+class FirewallIppool6 extends FirewallIppool {
     /**
-    * This method normalizes the parameter object for
-    * FirewallMulticastPolicy6to6 class and saves it into g_Domain_Data.
+    * This method normalizes the parameter object for FirewallIppool6 class
+    * and saves it into g_Domain_Data.
     *
     */
     end() {
-        g_Domain_Data[this.strDomainName].policy6to6m.push(...normalizeFirewallMulticastPolicy(this.strDomainName, '6to6m', this.strEditName, this.intOrderNumber, this.objParam));
+        g_Domain_Data[this.strDomainName].ippool6[this.strEditName] = normalizeFirewallIppool(this.objParam);
     }
 }
 
-/*
-* ============================================================================
-* ============================================================================
-*/
-
-/*
-* Object to save FortiGate configuration parsed data.
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @const {Object}
-*/
-let g_Domain_Data = {};
-
-/*
-* Objects of FortiGate firewall configurations.
+*   'config firewall schedule recurring'
 *
-*/
-const editFirewallAddress4            = new FirewallAddress4;
-const editFirewallAddress6            = new FirewallAddress6;
-const editFirewallAddrgrp4            = new FirewallAddrgrp4;
-const editFirewallAddrgrp6            = new FirewallAddrgrp6;
-const editFirewallMulticastAddress4   = new FirewallMulticastAddress4;
-const editFirewallMulticastAddress6   = new FirewallMulticastAddress6;
-const editFirewallServiceCustom       = new FirewallServiceCustom;
-const editFirewallServiceGroup        = new FirewallServiceGroup;
-const editFirewallPolicy4to4          = new FirewallPolicy4to4;
-const editFirewallPolicy4to6          = new FirewallPolicy4to6;
-const editFirewallPolicy6to4          = new FirewallPolicy6to4;
-const editFirewallPolicy6to6          = new FirewallPolicy6to6;
-const editFirewallMulticastPolicy4to4 = new FirewallMulticastPolicy4to4;
-const editFirewallMulticastPolicy6to6 = new FirewallMulticastPolicy6to6;
-
-/**
-* FortiGate firewall object table.
+* @extends ConfigEdit
 *
-* @const {Object}
 */
-const t_FortiGateFirewallObject = {
-    'address'           : editFirewallAddress4,
-    'address6'          : editFirewallAddress6,
-    'addrgrp'           : editFirewallAddrgrp4,
-    'addrgrp6'          : editFirewallAddrgrp6,
-    'multicast-address' : editFirewallMulticastAddress4,
-    'multicast-address6': editFirewallMulticastAddress6,
-    'service_custom'    : editFirewallServiceCustom,
-    'service_group'     : editFirewallServiceGroup,
-    'policy'            : editFirewallPolicy4to4,
-    'policy46'          : editFirewallPolicy4to6,
-    'policy6'           : editFirewallPolicy6to6,
-    'policy64'          : editFirewallPolicy6to4,
-    'multicast-policy'  : editFirewallMulticastPolicy4to4,
-    'multicast-policy6' : editFirewallMulticastPolicy6to6,
-};
+class FirewallScheduleRecurring extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for
+    * FirewallScheduleRecurring class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['day'] = 'none';
+        this.objParam['start'] = '00:00';
+        this.objParam['end'] = '00:00';
+    }
 
-/**
-* Policy property name table of g_Domain_Data.
-*
-* @const {Array}
-*/
-const t_PolicyPropertyName = [
-    'policy4to4',
-    'policy6to6',
-    'policy6to4',
-    'policy4to6',
-    'policy4to4m',
-    'policy6to6m',
-];
+    /**
+    * This method sets the parameter of the recurring schedule object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'day':
+            case 'start':
+            case 'end':
+                this.objParam[arrayToken[1]] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallScheduleRecurring
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].schedule_recurring[this.strEditName] = normalizeFirewallScheduleRecurring(this.objParam);
+    }
+}
 
 /**
-* List of FortiGate policy types.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall schedule onetime'
+*
+* @extends ConfigEdit
 *
-* @const {Array}
 */
-const t_FortiGatePolicyType = {
-    '4to4' : POLICY_TYPE_4TO4,
-    '6to6' : POLICY_TYPE_6TO6,
-    '6to4' : POLICY_TYPE_6TO4,
-    '4to6' : POLICY_TYPE_4TO6,
-    '4to4m': POLICY_TYPE_4TO4M,
-    '6to6m': POLICY_TYPE_6TO6M,
-};
+class FirewallScheduleOnetime extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for FirewallScheduleOnetime
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['start'] = '00:00 2001/01/01';
+        this.objParam['end'] = '00:00 2001/01/01';
+    }
 
-/*
-* ============================================================================
-* General functions for FortiGate configuration
-* ============================================================================
-*/
+    /**
+    * This method sets the parameter of the one-time schedule object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'start':
+            case 'end':
+                this.objParam[arrayToken[1]] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallScheduleOnetime
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].schedule_onetime[this.strEditName] = normalizeFirewallScheduleOnetime(this.objParam);
+    }
+}
 
 /**
-* This function returns true if the parameter is ip protocol string.
-* Otherwise, it is false.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @param {string} str
-* @return {boolean}
-*   true if the parameter is ip protocol string.
-*   Otherwise, it is false.
+*   'config firewall schedule group'
+*
+* @extends FirewallAddrgrp
 *
 */
-function isIpProtocol(str) {
-    return (str === 'ip');
+class FirewallScheduleGroup extends FirewallAddrgrp {
+    /**
+    * This method normalizes the parameter object for FirewallScheduleGroup
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].schedule_group[this.strEditName] = normalizeFirewallScheduleGroup(this.objParam, g_Domain_Data[this.strDomainName].schedule_recurring, g_Domain_Data[this.strDomainName].schedule_onetime);
+    }
 }
 
 /**
-* This function returns true if the parameter is icmp protocol string.
-* Otherwise, it is false.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @param {string} str
-* @return {boolean}
-*   true if the parameter is icmp protocol string.
-*   Otherwise, it is false.
+*   'config system zone'
+*
+* @extends ConfigEdit
 *
 */
-function isIcmpProtocol(str) {
-    return (str === '1');
+class SystemZone extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for SystemZone class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['interface'] = '';
+        this.objParam['intrazone'] = 'deny';
+        this.objParam['description'] = '';
+    }
+
+    /**
+    * This method sets the parameter of the zone object to this class's
+    * parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'interface':
+                this.objParam['interface'] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'intrazone':
+                this.objParam['intrazone'] = arrayToken[2];
+                break;
+            case 'description':
+                this.objParam['description'] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for SystemZone class and
+    * saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].zone[this.strEditName] = normalizeSystemZone(this.objParam);
+    }
 }
 
 /**
-* This function returns true if the parameter is icmp6 protocol string.
-* Otherwise, it is false.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @param {string} str
-* @return {boolean}
-*   true if the parameter is icmp6 protocol string.
-*   Otherwise, it is false.
+*   'config user group'
+*
+* @extends ConfigEdit
 *
 */
-function isIcmp6Protocol(str) {
-    return (str === '58');
+class UserGroup extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for UserGroup class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['member'] = '';
+        this.objParam['group_type'] = 'firewall';
+    }
+
+    /**
+    * This method sets the parameter of the user group object to this class's
+    * parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'member':
+                this.objParam['member'] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'group-type':
+                this.objParam['group_type'] = arrayToken[2];
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for UserGroup class and
+    * saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].user_group[this.strEditName] = normalizeUserGroup(this.objParam);
+    }
 }
 
 /**
-* This function returns true if the parameter is tcp protocol string.
-* Otherwise, it is false.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @param {string} str
-* @return {boolean}
-*   true if the parameter is tcp protocol string.
-*   Otherwise, it is false.
+*   'config firewall internet-service-custom'
+*
+* @extends ConfigEdit
 *
 */
-function isTcpProtocol(str) {
-    return (str === '6');
+class FirewallInternetServiceCustom extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for
+    * FirewallInternetServiceCustom class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['entry'] = [];
+        this.objParam['comment'] = '';
+    }
+
+    /**
+    * This method normalizes the parameter object for
+    * FirewallInternetServiceCustom class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].internet_service_custom[this.strEditName] = normalizeFirewallInternetServiceCustom(this.strDomainName, this.objParam);
+    }
+
+    /**
+    * This method adds the entry or the port range to this class's parameter
+    * object.
+    *
+    * @param {string} strSubConfigName - Name of the sub-configuration.
+    * @param {string} strSubEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    beginSubEdit(strSubConfigName, strSubEditName) { // eslint-disable-line no-unused-vars
+        if (strSubConfigName === 'entry') {
+            this.objParam['entry'].push({protocol: '', port_range: [], dst: '', dst6: ''});
+        } else if (strSubConfigName === 'port-range' && this.objParam['entry'].last()) {
+            this.objParam['entry'].last().port_range.push({start_port: '', end_port: ''});
+        }
+    }
+
+    /**
+    * This method sets the parameter of the 'firewall internet-service-custom'
+    * object to this class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            const objEntry = this.objParam['entry'].last();
+            const strProperty = arrayToken[1].replaceAll('-', '_');
+
+            switch (arrayToken[1]) {
+            case 'protocol':
+                if (objEntry) {
+                    objEntry[strProperty] = arrayToken.slice(2).join(' ');
+                }
+                break;
+            case 'dst':
+            case 'dst6':
+                if (objEntry) {
+                    objEntry[strProperty] = getConfigQuotedValue(arrayToken.slice(2));
+                }
+                break;
+            case 'start-port':
+            case 'end-port':
+                if (objEntry && objEntry.port_range.last()) {
+                    objEntry.port_range.last()[strProperty] = arrayToken[2];
+                }
+                break;
+            case 'comment':
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
 }
 
 /**
-* This function returns true if the parameter is udp protocol string.
-* Otherwise, it is false.
+* This class defines 'edit', 'set', and 'next' commands' actions for following
+* configurations.
 *
-* @param {string} str
-* @return {boolean}
-*   true if the parameter is udp protocol string.
-*   Otherwise, it is false.
+*   'config firewall internet-service-group'
+*   'config firewall internet-service-custom-group'
+*
+* @extends ConfigEdit
 *
 */
-function isUdpProtocol(str) {
-    return (str === '17');
+class FirewallInternetServiceGroup extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for
+    * FirewallInternetServiceGroup class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['member'] = '';
+        this.objParam['comment'] = '';
+    }
+
+    /**
+    * This method normalizes the parameter object for
+    * FirewallInternetServiceGroup class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].internet_service_group[this.strEditName] = normalizeFirewallInternetServiceGroup(this.objParam, g_ISDB_Data);
+    }
+
+    /**
+    * This method sets the parameter of the Internet Service Database group
+    * object to this class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'member':
+                this.objParam['member'] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'comment':
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
 }
 
 /**
-* This function returns true if the parameter is sctp protocol string.
-* Otherwise, it is false.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @param {string} str
-* @return {boolean}
-*   true if the parameter is sctp protocol string.
-*   Otherwise, it is false.
+*   'config firewall internet-service-custom-group'
+*
+* @extends FirewallInternetServiceGroup
 *
 */
-function isSctpProtocol(str) {
-    return (str === '132');
+class FirewallInternetServiceCustomGroup extends FirewallInternetServiceGroup {
+    /**
+    * This method normalizes the parameter object for
+    * FirewallInternetServiceCustomGroup class and saves it into
+    * g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].internet_service_custom_group[this.strEditName] = normalizeFirewallInternetServiceGroup(this.objParam, g_Domain_Data[this.strDomainName].internet_service_custom);
+    }
 }
 
 /**
-* This function returns the protocol type bit of protocol string.
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
 *
-* @param {string} strProtocol
-* @return {number} Protocol type bit.
+*   'config firewall profile-group'
+*
+* @extends ConfigEdit
 *
-* @example
-*   strProtocol    Return
-*   ---------------------------------------------
-*   'ip'        -> PROTOCOL_TYPE_BIT_IP
-*   '89'        -> PROTOCOL_TYPE_BIT_IP
-*   '1'         -> PROTOCOL_TYPE_BIT_ICMP_ICMP6
-*   '58'        -> PROTOCOL_TYPE_BIT_ICMP_ICMP6
-*   '6'         -> PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
-*   '17'        -> PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
-*   '132'       -> PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
-*   'undefined' -> PROTOCOL_TYPE_BIT_NONE
-*   'UNKNOWN'   -> PROTOCOL_TYPE_BIT_UNSUPPORTED
 */
-function getProtocolTypeBit(strProtocol) {
-    let intProtocolTypeBit = PROTOCOL_TYPE_BIT_NONE;
-    if (isIcmpProtocol(strProtocol)) {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_ICMP_ICMP6;
-    } else if (isIcmp6Protocol(strProtocol)) {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_ICMP_ICMP6;
-    } else if (isTcpProtocol(strProtocol)) {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_TCP_UDP_SCTP;
-    } else if (isUdpProtocol(strProtocol)) {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_TCP_UDP_SCTP;
-    } else if (isSctpProtocol(strProtocol)) {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_TCP_UDP_SCTP;
-    } else if (isIpProtocol(strProtocol)) {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_IP;
+class FirewallProfileGroup extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for FirewallProfileGroup
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        t_ProfilePropertyName.forEach((strProperty) => {
+            this.objParam[strProperty] = '';
+        });
+    }
+
+    /**
+    * This method sets the parameter of the profile group object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            const strProperty = arrayToken[1].replaceAll('-', '_');
+            if (!t_ProfilePropertyName.includes(strProperty)) {
+                return false;
+            }
+            this.objParam[strProperty] = arrayToken.slice(2).join(' ');
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallProfileGroup
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].profile_group[this.strEditName] = normalizeFirewallProfileGroup(this.objParam);
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall proxy-address'
+*
+* @extends ConfigEdit
+*
+*/
+class FirewallProxyAddress extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for FirewallProxyAddress
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['type'] = 'url';
+        this.objParam['host'] = '';
+        this.objParam['host_regex'] = '';
+        this.objParam['path'] = '';
+        this.objParam['comment'] = '';
+    }
+
+    /**
+    * This method sets the parameter of the proxy address object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'type':
+                this.objParam['type'] = arrayToken[2];
+                break;
+            case 'host':
+            case 'host-regex':
+            case 'path':
+            case 'comment':
+                this.objParam[arrayToken[1].replaceAll('-', '_')] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallProxyAddress
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].proxy_address[this.strEditName] = normalizeFirewallProxyAddress(this.objParam);
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall proxy-addrgrp'
+*
+* @extends ConfigEdit
+*
+*/
+class FirewallProxyAddrgrp extends ConfigEdit {
+    /**
+    * This method initializes the parameter object for FirewallProxyAddrgrp
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['member'] = '';
+        this.objParam['comment'] = '';
+    }
+
+    /**
+    * This method sets the parameter of the proxy address group object to
+    * this class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'member':
+                this.objParam['member'] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'comment':
+                this.objParam['comment'] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallProxyAddrgrp
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].proxy_addrgrp[this.strEditName] = normalizeFirewallProxyAddrgrp(this.objParam);
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for following
+* configurations.
+*
+*   'config firewall policy'
+*   'config firewall policy6'
+*   'config firewall policy64'
+*   'config firewall policy46'
+*
+* @extends ConfigEdit
+*
+*/
+class FirewallPolicy extends ConfigEdit {
+    /**
+    * This constructor defines variables for FirewallPolicy class.
+    *
+    */
+    constructor() {
+        super();
+        this.intOrderNumber = 0;
+    }
+
+    /**
+    * This method initializes FirewallPolicy class.
+    *
+    */
+    init() {
+        this.intOrderNumber = 0;
+    }
+
+    /**
+    * This method initializes the parameter object for FirewallPolicy class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['srcintf'] = '';
+        this.objParam['dstintf'] = '';
+        this.objParam['srcaddr'] = '';
+        this.objParam['dstaddr'] = '';
+        this.objParam['srcaddr6'] = '';
+        this.objParam['dstaddr6'] = '';
+        this.objParam['schedule'] = '';
+        this.objParam['service'] = '';
+        this.objParam['srcaddr_negate'] = '';
+        this.objParam['dstaddr_negate'] = '';
+        this.objParam['service_negate'] = '';
+        this.objParam['name'] = '';
+        this.objParam['action'] = '';
+        this.objParam['status'] = '';
+        this.objParam['comments'] = '';
+        this.objParam['nat46'] = '';
+        this.objParam['nat64'] = '';
+        this.objParam['logtraffic'] = '';
+        this.objParam['logtraffic_start'] = '';
+        this.objParam['nat'] = '';
+        this.objParam['ippool'] = '';
+        this.objParam['poolname'] = '';
+        this.objParam['poolname6'] = '';
+        this.objParam['fixedport'] = '';
+        this.objParam['internet_service'] = '';
+        this.objParam['internet_service_name'] = '';
+        this.objParam['internet_service_id'] = '';
+        this.objParam['internet_service_custom'] = '';
+        this.objParam['internet_service_group'] = '';
+        this.objParam['internet_service_custom_group'] = '';
+        this.objParam['internet_service_negate'] = '';
+        this.objParam['internet_service_src'] = '';
+        this.objParam['internet_service_src_name'] = '';
+        this.objParam['internet_service_src_id'] = '';
+        this.objParam['internet_service_src_custom'] = '';
+        this.objParam['internet_service_src_group'] = '';
+        this.objParam['internet_service_src_custom_group'] = '';
+        this.objParam['internet_service_src_negate'] = '';
+        this.objParam['internet_service6'] = '';
+        this.objParam['internet_service6_name'] = '';
+        this.objParam['internet_service6_custom'] = '';
+        this.objParam['internet_service6_group'] = '';
+        this.objParam['internet_service6_custom_group'] = '';
+        this.objParam['internet_service6_negate'] = '';
+        this.objParam['internet_service6_src'] = '';
+        this.objParam['internet_service6_src_name'] = '';
+        this.objParam['internet_service6_src_custom'] = '';
+        this.objParam['internet_service6_src_group'] = '';
+        this.objParam['internet_service6_src_custom_group'] = '';
+        this.objParam['internet_service6_src_negate'] = '';
+        this.objParam['users'] = '';
+        this.objParam['groups'] = '';
+        this.objParam['fsso_groups'] = '';
+        this.objParam['uuid'] = '';
+        this.objParam['global_label'] = '';
+        this.objParam['label'] = '';
+        this.objParam['utm_status'] = '';
+        this.objParam['inspection_mode'] = '';
+        this.objParam['profile_type'] = '';
+        this.objParam['profile_group'] = '';
+        this.objParam['av_profile'] = '';
+        this.objParam['webfilter_profile'] = '';
+        this.objParam['ips_sensor'] = '';
+        this.objParam['application_list'] = '';
+        this.objParam['dnsfilter_profile'] = '';
+        this.objParam['file_filter_profile'] = '';
+        this.objParam['ssl_ssh_profile'] = '';
+        ++this.intOrderNumber;
+    }
+
+    /**
+    * This method sets the parameter of the firewall policy object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            const strProperty = arrayToken[1].replaceAll('-', '_');
+
+            switch (arrayToken[1]) {
+            case 'srcintf':  // required.
+            case 'dstintf':  // required.
+            case 'srcaddr':  // required.
+            case 'dstaddr':  // required.
+            case 'srcaddr6': // FortiOS 6.4 or later.
+            case 'dstaddr6': // FortiOS 6.4 or later.
+            case 'service':
+            case 'poolname':
+            case 'poolname6': // FortiOS 7.0 or later.
+            case 'internet-service-name':
+            case 'internet-service-id':
+            case 'internet-service-custom':
+            case 'internet-service-group':
+            case 'internet-service-custom-group':
+            case 'internet-service-src-name':
+            case 'internet-service-src-id':
+            case 'internet-service-src-custom':
+            case 'internet-service-src-group':
+            case 'internet-service-src-custom-group':
+            case 'internet-service6-name':             // FortiOS 7.0 or later.
+            case 'internet-service6-custom':           // FortiOS 7.0 or later.
+            case 'internet-service6-group':            // FortiOS 7.0 or later.
+            case 'internet-service6-custom-group':     // FortiOS 7.0 or later.
+            case 'internet-service6-src-name':         // FortiOS 7.0 or later.
+            case 'internet-service6-src-custom':       // FortiOS 7.0 or later.
+            case 'internet-service6-src-group':        // FortiOS 7.0 or later.
+            case 'internet-service6-src-custom-group': // FortiOS 7.0 or later.
+            case 'users':
+            case 'groups':
+            case 'fsso-groups':
+                this.objParam[strProperty] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'schedule': // required.
+            case 'srcaddr-negate':
+            case 'dstaddr-negate':
+            case 'service-negate':
+            case 'name':
+            case 'action':
+            case 'status':
+            case 'comments':
+            case 'nat46':    // FortiOS 7.0 or later.
+            case 'nat64':    // FortiOS 7.0 or later.
+            case 'logtraffic':
+            case 'logtraffic-start':
+            case 'nat':
+            case 'ippool':
+            case 'fixedport':
+            case 'internet-service':
+            case 'internet-service-negate':
+            case 'internet-service-src':
+            case 'internet-service-src-negate':
+            case 'internet-service6':            // FortiOS 7.0 or later.
+            case 'internet-service6-negate':     // FortiOS 7.0 or later.
+            case 'internet-service6-src':        // FortiOS 7.0 or later.
+            case 'internet-service6-src-negate': // FortiOS 7.0 or later.
+            case 'uuid':
+            case 'global-label':
+            case 'label':
+            case 'utm-status':
+            case 'inspection-mode':
+            case 'profile-type':
+            case 'profile-group':
+            case 'av-profile':
+            case 'webfilter-profile':
+            case 'ips-sensor':
+            case 'application-list':
+            case 'dnsfilter-profile':
+            case 'file-filter-profile':
+            case 'ssl-ssh-profile':
+                this.objParam[strProperty] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall policy'
+*
+* Since FortiOS 6.4, 'config firewall policy' can contain both IPv4 and IPv6
+* addresses. The IPv6 addresses are specified by 'srcaddr6' and 'dstaddr6',
+* and they are normalized as the 6to6 policy which has the same policy id and
+* order number.
+*
+* Since FortiOS 7.0, 'config firewall policy46' and 'config firewall policy64'
+* are replaced by 'set nat46 enable' and 'set nat64 enable'. The policy which
+* enables nat46 is normalized as the 4to6 policy from 'srcaddr' and
+* 'dstaddr6', and the policy which enables nat64 is normalized as the 6to4
+* policy from 'srcaddr6' and 'dstaddr'.
+*
+* The IP pools of the IPv4 and IPv6 source NAT are specified by 'poolname'
+* and 'poolname6' respectively.
+*
+* If 'internet-service' or 'internet-service-src' is enabled, the destination
+* or source addresses are replaced with the Internet Service names that have
+* the prefix 'isdb:.' The Internet Service negate is applied to the address
+* negate. Likewise, 'internet-service6' and 'internet-service6-src' of FortiOS
+* 7.0 or later replace the addresses of the 6to6 policy.
+*
+* @extends FirewallPolicy
+*
+*/
+class FirewallPolicy4to4 extends FirewallPolicy {
+    /**
+    * This method normalizes the parameter object for FirewallPolicy4to4 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        this.objParam['srcaddr_negate'] = this.objParam['srcaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['dstaddr_negate'] = this.objParam['dstaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['service_negate'] = this.objParam['service_negate'] === 'enable' ? 'true' : 'false';
+        // The 6to6 policy uses its own copy of the parameters, since the
+        // Internet Services of IPv4 and IPv6 are specified separately.
+        const objParam6 = Object.assign({}, this.objParam);
+        if (this.objParam['internet_service6'] === 'enable') {
+            objParam6['dstaddr6'] = getInternetServiceMember(this.objParam, 'internet_service6');
+            objParam6['dstaddr_negate'] = this.objParam['internet_service6_negate'] === 'enable' ? 'true' : 'false';
+        }
+        if (this.objParam['internet_service6_src'] === 'enable') {
+            objParam6['srcaddr6'] = getInternetServiceMember(this.objParam, 'internet_service6_src');
+            objParam6['srcaddr_negate'] = this.objParam['internet_service6_src_negate'] === 'enable' ? 'true' : 'false';
+        }
+        if (this.objParam['internet_service'] === 'enable') {
+            this.objParam['dstaddr'] = getInternetServiceMember(this.objParam, 'internet_service');
+            this.objParam['dstaddr_negate'] = this.objParam['internet_service_negate'] === 'enable' ? 'true' : 'false';
+        }
+        if (this.objParam['internet_service_src'] === 'enable') {
+            this.objParam['srcaddr'] = getInternetServiceMember(this.objParam, 'internet_service_src');
+            this.objParam['srcaddr_negate'] = this.objParam['internet_service_src_negate'] === 'enable' ? 'true' : 'false';
+        }
+        if (this.objParam['nat46'] === 'enable') {
+            g_Domain_Data[this.strDomainName].policy4to6.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '4to6', this.strEditName, this.intOrderNumber, this.objParam, 'srcaddr', 'dstaddr6', 'poolname6'), this.intLineNumber));
+        } else if (this.objParam['nat64'] === 'enable') {
+            g_Domain_Data[this.strDomainName].policy6to4.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '6to4', this.strEditName, this.intOrderNumber, this.objParam, 'srcaddr6', 'dstaddr'), this.intLineNumber));
+        } else {
+            g_Domain_Data[this.strDomainName].policy4to4.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '4to4', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+            g_Domain_Data[this.strDomainName].policy6to6.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '6to6', this.strEditName, this.intOrderNumber, objParam6, 'srcaddr6', 'dstaddr6', 'poolname6'), this.intLineNumber));
+        }
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall policy6'
+*
+* @extends FirewallPolicy
+*
+*/
+class FirewallPolicy6to6 extends FirewallPolicy {
+    /**
+    * This method normalizes the parameter object for FirewallPolicy6to6 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        this.objParam['srcaddr_negate'] = this.objParam['srcaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['dstaddr_negate'] = this.objParam['dstaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['service_negate'] = this.objParam['service_negate'] === 'enable' ? 'true' : 'false';
+        g_Domain_Data[this.strDomainName].policy6to6.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '6to6', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall policy64'
+*
+* @extends FirewallPolicy
+*
+*/
+class FirewallPolicy6to4 extends FirewallPolicy {
+    /**
+    * This method normalizes the parameter object for FirewallPolicy6to4 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        this.objParam['name'] = '-';
+        this.objParam['srcaddr_negate'] = '-';
+        this.objParam['dstaddr_negate'] = '-';
+        this.objParam['service_negate'] = '-';
+        this.objParam['utm_status'] = '-';
+        this.objParam['logtraffic'] = this.objParam['logtraffic'] === '' ? 'disable' : this.objParam['logtraffic'];
+        g_Domain_Data[this.strDomainName].policy6to4.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '6to4', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall policy46'
+*
+* @extends FirewallPolicy
+*
+*/
+class FirewallPolicy4to6 extends FirewallPolicy {
+    /**
+    * This method normalizes the parameter object for FirewallPolicy4to6 class
+    * and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        this.objParam['name'] = '-';
+        this.objParam['srcaddr_negate'] = '-';
+        this.objParam['dstaddr_negate'] = '-';
+        this.objParam['service_negate'] = '-';
+        this.objParam['utm_status'] = '-';
+        this.objParam['logtraffic'] = this.objParam['logtraffic'] === '' ? 'disable' : this.objParam['logtraffic'];
+        g_Domain_Data[this.strDomainName].policy4to6.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, '4to6', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configurations.
+*
+*   'config firewall local-in-policy'
+*   'config firewall local-in-policy6'
+*
+* The local-in policy controls the traffic to the FortiGate itself. It is
+* normalized as the policy whose source interface is 'intf' and whose
+* destination interface is '-.' It has no name, log setting, NAT, identity,
+* or security profile, so they are described as '-.'
+*
+* @extends FirewallPolicy
+*
+*/
+class FirewallLocalInPolicy extends FirewallPolicy {
+    /**
+    * This method initializes the parameter object for FirewallLocalInPolicy
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['intf'] = '';
+    }
+
+    /**
+    * This method sets the parameter of the local-in policy object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            switch (arrayToken[1]) {
+            case 'intf':     // required.
+            case 'srcaddr':  // required.
+            case 'dstaddr':  // required.
+            case 'service':  // required.
+                this.objParam[arrayToken[1]] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'schedule': // required.
+            case 'srcaddr-negate':
+            case 'dstaddr-negate':
+            case 'service-negate':
+            case 'action':
+            case 'status':
+            case 'comments':
+            case 'uuid':
+                this.objParam[arrayToken[1].replaceAll('-', '_')] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method returns the normalized policies of the parameter object.
+    *
+    * @param {string} strPolicyType - Policy type, 'local4' or 'local6'.
+    * @return {Array} Array of normalized policy strings.
+    *
+    */
+    normalize(strPolicyType) {
+        this.objParam['srcintf'] = this.objParam['intf'];
+        this.objParam['dstintf'] = '-';
+        this.objParam['name'] = '-';
+        this.objParam['logtraffic'] = '-';
+        this.objParam['utm_status'] = '-';
+        this.objParam['srcaddr_negate'] = this.objParam['srcaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['dstaddr_negate'] = this.objParam['dstaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['service_negate'] = this.objParam['service_negate'] === 'enable' ? 'true' : 'false';
+        return checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, strPolicyType, this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber);
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall local-in-policy'
+*
+* @extends FirewallLocalInPolicy
+*
+*/
+class FirewallLocalInPolicy4 extends FirewallLocalInPolicy {
+    /**
+    * This method normalizes the parameter object for FirewallLocalInPolicy4
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].policylocal4.push(...this.normalize('local4'));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall local-in-policy6'
+*
+* @extends FirewallLocalInPolicy
+*
+*/
+class FirewallLocalInPolicy6 extends FirewallLocalInPolicy {
+    /**
+    * This method normalizes the parameter object for FirewallLocalInPolicy6
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].policylocal6.push(...this.normalize('local6'));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall proxy-policy'
+*
+* The proxy policy is normalized as the proxy policy type from 'srcaddr' and
+* 'dstaddr.' The destination addresses can be the proxy addresses and the
+* proxy address groups, and they are flattened into D_HOST and D_URL. PROXY
+* is the proxy type, such as 'explicit-web.' If 'srcintf' is not set, as in
+* the explicit web proxy, the source interface is described as '-.'
+*
+* @extends FirewallPolicy
+*
+*/
+class FirewallProxyPolicy extends FirewallPolicy {
+    /**
+    * This method initializes the parameter object for FirewallProxyPolicy
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['proxy'] = '';
+    }
+
+    /**
+    * This method sets the parameter of the proxy policy object to this
+    * class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[1] === 'proxy' && arrayToken[2]) {
+            this.objParam['proxy'] = arrayToken[2];
+            return true;
+        }
+        return super.set(strLine, arrayToken);
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallProxyPolicy
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        this.objParam['srcintf'] = this.objParam['srcintf'] === '' ? '-' : this.objParam['srcintf'];
+        this.objParam['srcaddr_negate'] = this.objParam['srcaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['dstaddr_negate'] = this.objParam['dstaddr_negate'] === 'enable' ? 'true' : 'false';
+        this.objParam['service_negate'] = this.objParam['service_negate'] === 'enable' ? 'true' : 'false';
+        g_Domain_Data[this.strDomainName].policyproxy.push(...checkUnresolvedReference(normalizeFirewallPolicy(this.strDomainName, 'proxy', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall central-snat-map'
+*
+* Since FortiOS 7.0, the central SNAT rule has the type. The rule whose type
+* is ipv6 is normalized as the 6to6 rule from 'orig-addr6', 'dst-addr6', and
+* 'nat-ippool6.' Otherwise, it is normalized as the 4to4 rule from
+* 'orig-addr', 'dst-addr', and 'nat-ippool.'
+*
+* @extends ConfigEdit
+*
+*/
+class FirewallCentralSnatMap extends ConfigEdit {
+    /**
+    * This constructor defines variables for FirewallCentralSnatMap class.
+    *
+    */
+    constructor() {
+        super();
+        this.intOrderNumber = 0;
+    }
+
+    /**
+    * This method initializes FirewallCentralSnatMap class.
+    *
+    */
+    init() {
+        this.intOrderNumber = 0;
+    }
+
+    /**
+    * This method initializes the parameter object for FirewallCentralSnatMap
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['status'] = '';
+        this.objParam['type'] = '';
+        this.objParam['srcintf'] = '';
+        this.objParam['dstintf'] = '';
+        this.objParam['orig_addr'] = '';
+        this.objParam['orig_addr6'] = '';
+        this.objParam['dst_addr'] = '';
+        this.objParam['dst_addr6'] = '';
+        this.objParam['nat'] = '';
+        this.objParam['nat_ippool'] = '';
+        this.objParam['nat_ippool6'] = '';
+        this.objParam['protocol'] = '';
+        this.objParam['orig_port'] = '';
+        this.objParam['nat_port'] = '';
+        this.objParam['comments'] = '';
+        ++this.intOrderNumber;
+    }
+
+    /**
+    * This method sets the parameter of the central SNAT rule to this class's
+    * parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            const strProperty = arrayToken[1].replaceAll('-', '_');
+
+            switch (arrayToken[1]) {
+            case 'srcintf':     // required.
+            case 'dstintf':     // required.
+            case 'orig-addr':   // required.
+            case 'orig-addr6':  // FortiOS 7.0 or later.
+            case 'dst-addr':    // required.
+            case 'dst-addr6':   // FortiOS 7.0 or later.
+            case 'nat-ippool':
+            case 'nat-ippool6': // FortiOS 7.0 or later.
+                this.objParam[strProperty] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'status':
+            case 'type':        // FortiOS 7.0 or later.
+            case 'nat':
+            case 'protocol':
+            case 'orig-port':
+            case 'nat-port':
+            case 'comments':
+                this.objParam[strProperty] = arrayToken.slice(2).join(' ');
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+    * This method normalizes the parameter object for FirewallCentralSnatMap
+    * class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        if (this.objParam['type'] === 'ipv6') {
+            g_Domain_Data[this.strDomainName].central_snat_map6to6.push(...checkUnresolvedReference(normalizeFirewallCentralSnatMap(this.strDomainName, '6to6', this.strEditName, this.intOrderNumber, this.objParam, 'orig_addr6', 'dst_addr6', 'nat_ippool6'), this.intLineNumber));
+        } else {
+            g_Domain_Data[this.strDomainName].central_snat_map4to4.push(...checkUnresolvedReference(normalizeFirewallCentralSnatMap(this.strDomainName, '4to4', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+        }
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for following
+* configurations.
+*
+*   'config firewall multicast-policy'
+*   'config firewall multicast-policy6'
+*
+* @extends ConfigEdit
+*
+*/
+class FirewallMulticastPolicy extends ConfigEdit {
+    /**
+    * This constructor defines variables for FirewallMulticastPolicy class.
+    *
+    */
+    constructor() {
+        super();
+        this.intOrderNumber = 0;
+    }
+
+    /**
+    * This method initializes FirewallMulticastPolicy class.
+    *
+    */
+    init() {
+        this.intOrderNumber = 0;
+    }
+
+    /**
+    * This method initializes the parameter object for FirewallMulticastPolicy
+    * class.
+    *
+    * @param {string} strEditName - Name or ID entered in 'edit' command.
+    *
+    */
+    begin(strEditName) {
+        super.begin(strEditName);
+        this.objParam['srcintf'] = '';
+        this.objParam['dstintf'] = '';
+        this.objParam['srcaddr'] = '';
+        this.objParam['dstaddr'] = '';
+        this.objParam['protocol'] = '';
+        this.objParam['action'] = '';
+        this.objParam['status'] = '';
+        this.objParam['start-port'] = '';
+        this.objParam['end-port'] = '';
+        this.objParam['logtraffic'] = '';
+        this.objParam['uuid'] = '';
+        ++this.intOrderNumber;
+    }
+
+    /**
+    * This method sets the parameter of the firewall multicast policy object
+    * to this class's parameter object.
+    *
+    * @param {string} strLine - Line of the configuration.
+    * @param {Array} arrayToken - Array of the line's tokens.
+    * @return {boolean}
+    *   true if the parameter is parsed, false if it is not parsed.
+    *
+    */
+    set(strLine, arrayToken) {
+        if (arrayToken[2]) {
+            const strProperty = arrayToken[1].replaceAll('-', '_');
+
+            switch (arrayToken[1]) {
+            case 'srcintf':  // required.
+            case 'dstintf':  // required.
+            case 'srcaddr':  // required.
+            case 'dstaddr':  // required.
+                this.objParam[strProperty] = getConfigQuotedValue(arrayToken.slice(2));
+                break;
+            case 'protocol':
+            case 'action':
+            case 'status':
+            case 'start-port':
+            case 'end-port':
+            case 'uuid':
+                this.objParam[strProperty] = arrayToken.slice(2).join(' ');
+                break;
+            case 'logtraffic':
+            case 'log-traffic':
+                this.objParam['logtraffic'] = arrayToken[2];
+                break;
+            default:
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall multicast-policy'
+*
+* @extends FirewallMulticastPolicy
+*
+*/
+class FirewallMulticastPolicy4to4 extends FirewallMulticastPolicy {
+    /**
+    * This method normalizes the parameter object for
+    * FirewallMulticastPolicy4to4 class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].policy4to4m.push(...checkUnresolvedReference(normalizeFirewallMulticastPolicy(this.strDomainName, '4to4m', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+    }
+}
+
+/**
+* This class defines 'edit', 'set', and 'next' commands' actions for the
+* following configuration.
+*
+*   'config firewall multicast-policy6'
+*
+* @extends FirewallMulticastPolicy
+*
+*/
+class FirewallMulticastPolicy6to6 extends FirewallMulticastPolicy {
+    /**
+    * This method normalizes the parameter object for
+    * FirewallMulticastPolicy6to6 class and saves it into g_Domain_Data.
+    *
+    */
+    end() {
+        g_Domain_Data[this.strDomainName].policy6to6m.push(...checkUnresolvedReference(normalizeFirewallMulticastPolicy(this.strDomainName, '6to6m', this.strEditName, this.intOrderNumber, this.objParam), this.intLineNumber));
+    }
+}
+
+/*
+* ============================================================================
+* ============================================================================
+*/
+
+/*
+* Object to save FortiGate configuration parsed data.
+*
+* @const {Object}
+*/
+let g_Domain_Data = {};
+
+/*
+* Object to save Internet Service Database mapping data.
+*
+* @const {Object}
+*/
+let g_ISDB_Data = {};
+
+/*
+* Array to save the diagnostics of parsing FortiGate configuration.
+*
+* @const {Array}
+*/
+let g_Parse_Diagnostic = [];
+
+/*
+* Objects of FortiGate firewall configurations.
+*
+*/
+const editFirewallAddress4                   = new FirewallAddress4;
+const editFirewallAddress6                   = new FirewallAddress6;
+const editFirewallAddrgrp4                   = new FirewallAddrgrp4;
+const editFirewallAddrgrp6                   = new FirewallAddrgrp6;
+const editFirewallMulticastAddress4          = new FirewallMulticastAddress4;
+const editFirewallMulticastAddress6          = new FirewallMulticastAddress6;
+const editFirewallServiceCustom              = new FirewallServiceCustom;
+const editFirewallServiceGroup               = new FirewallServiceGroup;
+const editFirewallVip4                       = new FirewallVip4;
+const editFirewallVip6                       = new FirewallVip6;
+const editFirewallVip46                      = new FirewallVip46;
+const editFirewallVip64                      = new FirewallVip64;
+const editFirewallVipgrp4                    = new FirewallVipgrp4;
+const editFirewallVipgrp6                    = new FirewallVipgrp6;
+const editFirewallVipgrp46                   = new FirewallVipgrp46;
+const editFirewallVipgrp64                   = new FirewallVipgrp64;
+const editFirewallIppool4                    = new FirewallIppool4;
+const editFirewallIppool6                    = new FirewallIppool6;
+const editFirewallScheduleRecurring          = new FirewallScheduleRecurring;
+const editFirewallScheduleOnetime            = new FirewallScheduleOnetime;
+const editFirewallScheduleGroup              = new FirewallScheduleGroup;
+const editFirewallInternetServiceCustom      = new FirewallInternetServiceCustom;
+const editFirewallInternetServiceGroup       = new FirewallInternetServiceGroup;
+const editFirewallInternetServiceCustomGroup = new FirewallInternetServiceCustomGroup;
+const editFirewallProfileGroup               = new FirewallProfileGroup;
+const editFirewallProxyAddress               = new FirewallProxyAddress;
+const editFirewallProxyAddrgrp               = new FirewallProxyAddrgrp;
+const editFirewallPolicy4to4                 = new FirewallPolicy4to4;
+const editFirewallPolicy4to6                 = new FirewallPolicy4to6;
+const editFirewallPolicy6to4                 = new FirewallPolicy6to4;
+const editFirewallPolicy6to6                 = new FirewallPolicy6to6;
+const editFirewallLocalInPolicy4             = new FirewallLocalInPolicy4;
+const editFirewallLocalInPolicy6             = new FirewallLocalInPolicy6;
+const editFirewallProxyPolicy                = new FirewallProxyPolicy;
+const editFirewallMulticastPolicy4to4        = new FirewallMulticastPolicy4to4;
+const editFirewallMulticastPolicy6to6        = new FirewallMulticastPolicy6to6;
+const editFirewallCentralSnatMap             = new FirewallCentralSnatMap;
+const editSystemZone                         = new SystemZone;
+const editUserGroup                          = new UserGroup;
+
+/**
+* FortiGate firewall object table.
+*
+* @const {Object}
+*/
+const t_FortiGateFirewallObject = {
+    'address'                      : editFirewallAddress4,
+    'address6'                     : editFirewallAddress6,
+    'addrgrp'                      : editFirewallAddrgrp4,
+    'addrgrp6'                     : editFirewallAddrgrp6,
+    'multicast-address'            : editFirewallMulticastAddress4,
+    'multicast-address6'           : editFirewallMulticastAddress6,
+    'service_custom'               : editFirewallServiceCustom,
+    'service_group'                : editFirewallServiceGroup,
+    'vip'                          : editFirewallVip4,
+    'vip6'                         : editFirewallVip6,
+    'vip46'                        : editFirewallVip46,
+    'vip64'                        : editFirewallVip64,
+    'vipgrp'                       : editFirewallVipgrp4,
+    'vipgrp6'                      : editFirewallVipgrp6,
+    'vipgrp46'                     : editFirewallVipgrp46,
+    'vipgrp64'                     : editFirewallVipgrp64,
+    'ippool'                       : editFirewallIppool4,
+    'ippool6'                      : editFirewallIppool6,
+    'schedule_recurring'           : editFirewallScheduleRecurring,
+    'schedule_onetime'             : editFirewallScheduleOnetime,
+    'schedule_group'               : editFirewallScheduleGroup,
+    'internet-service-custom'      : editFirewallInternetServiceCustom,
+    'internet-service-group'       : editFirewallInternetServiceGroup,
+    'internet-service-custom-group': editFirewallInternetServiceCustomGroup,
+    'profile-group'                : editFirewallProfileGroup,
+    'proxy-address'                : editFirewallProxyAddress,
+    'proxy-addrgrp'                : editFirewallProxyAddrgrp,
+    'policy'                       : editFirewallPolicy4to4,
+    'policy46'                     : editFirewallPolicy4to6,
+    'policy6'                      : editFirewallPolicy6to6,
+    'policy64'                     : editFirewallPolicy6to4,
+    'local-in-policy'              : editFirewallLocalInPolicy4,
+    'local-in-policy6'             : editFirewallLocalInPolicy6,
+    'proxy-policy'                 : editFirewallProxyPolicy,
+    'multicast-policy'             : editFirewallMulticastPolicy4to4,
+    'multicast-policy6'            : editFirewallMulticastPolicy6to6,
+    'central-snat-map'             : editFirewallCentralSnatMap,
+};
+
+/**
+* FortiGate system object table.
+*
+* @const {Object}
+*/
+const t_FortiGateSystemObject = {
+    'zone': editSystemZone,
+};
+
+/**
+* FortiGate user object table.
+*
+* @const {Object}
+*/
+const t_FortiGateUserObject = {
+    'group': editUserGroup,
+};
+
+/**
+* FortiGate object table of each configuration category, such as 'firewall'
+* of 'config firewall address.'
+*
+* @const {Object}
+*/
+const t_FortiGateConfigObject = {
+    'firewall': t_FortiGateFirewallObject,
+    'system'  : t_FortiGateSystemObject,
+    'user'    : t_FortiGateUserObject,
+};
+
+/**
+* Policy property name table of g_Domain_Data.
+*
+* @const {Array}
+*/
+const t_PolicyPropertyName = [
+    'policy4to4',
+    'policy6to6',
+    'policy6to4',
+    'policy4to6',
+    'policy4to4m',
+    'policy6to6m',
+    'policylocal4',
+    'policylocal6',
+    'policyproxy',
+];
+
+/**
+* FortiGate configuration names of policies. These configurations are parsed
+* after all objects are parsed and groups are resolved.
+*
+* @const {Array}
+*/
+const t_FortiGatePolicyConfigName = [
+    'policy',
+    'policy46',
+    'policy6',
+    'policy64',
+    'local-in-policy',
+    'local-in-policy6',
+    'proxy-policy',
+    'multicast-policy',
+    'multicast-policy6',
+    'central-snat-map',
+];
+
+/**
+* Group property name table of g_Domain_Data. Each group is associated with
+* the property of its member objects.
+*
+* @const {Object}
+*/
+const t_GroupPropertyName = {
+    'addrgrp4'     : 'address4',
+    'addrgrp6'     : 'address6',
+    'service_group': 'service_custom',
+};
+
+/**
+* Central SNAT map property name table of g_Domain_Data.
+*
+* @const {Array}
+*/
+const t_CentralSnatMapPropertyName = [
+    'central_snat_map4to4',
+    'central_snat_map6to6',
+];
+
+/**
+* List of FortiGate policy types.
+*
+* @const {Array}
+*/
+const t_FortiGatePolicyType = {
+    '4to4' : POLICY_TYPE_4TO4,
+    '6to6' : POLICY_TYPE_6TO6,
+    '6to4' : POLICY_TYPE_6TO4,
+    '4to6' : POLICY_TYPE_4TO6,
+    '4to4m': POLICY_TYPE_4TO4M,
+    '6to6m': POLICY_TYPE_6TO6M,
+    'local4': POLICY_TYPE_LOCAL4,
+    'local6': POLICY_TYPE_LOCAL6,
+    'proxy' : POLICY_TYPE_PROXY,
+};
+
+/**
+* Virtual IP and virtual IP group property name table of g_Domain_Data for
+* each policy type.
+*
+* @const {Object}
+*/
+const t_VipPropertyName = {
+    '4to4': ['vip4',  'vipgrp4'],
+    '6to6': ['vip6',  'vipgrp6'],
+    '4to6': ['vip46', 'vipgrp46'],
+    '6to4': ['vip64', 'vipgrp64'],
+};
+
+/**
+* IP pool property name table of g_Domain_Data for each policy type. The IP
+* pool has the same address family as the destination address.
+*
+* @const {Object}
+*/
+const t_IppoolPropertyName = {
+    '4to4': 'ippool4',
+    '6to6': 'ippool6',
+    '4to6': 'ippool6',
+    '6to4': 'ippool4',
+};
+
+/**
+* Abbreviated day of the week table in the order of Date.getDay().
+*
+* @const {Array}
+*/
+const t_DayOfWeek = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+* Protocol number table of protocol names.
+*
+* @const {Object}
+*/
+const t_ProtocolNumber = {
+    'ip'   : '0',
+    'icmp' : '1',
+    'tcp'  : '6',
+    'udp'  : '17',
+    'sctp' : '132',
+    'icmp6': '58',
+};
+
+/**
+* Column name table of normalized policy in the order of NMCOL_*. It is used
+* for the header row.
+*
+* @const {Array}
+*/
+const t_NormalizedPolicyColumnName = [
+    'DOM_NAME',
+    'S_INTF',
+    'D_INTF',
+    'POL_TYPE',
+    'POL_ID',
+    'POL_NAME',
+    'POL_LINE',
+    'ACTION',
+    'PROT',
+    'S_ADDR',
+    'S_PORT',
+    'D_ADDR',
+    'D_PORT',
+    'SD_ADDR',
+    'I_TPCD',
+    'SA_NEGATE',
+    'DA_NEGATE',
+    'SV_NEGATE',
+    'STATUS',
+    'LOG',
+    'SCHEDULE',
+    'COMMENT',
+    'DNAT_ADDR',
+    'DNAT_PORT',
+    'SNAT_ADDR',
+    'SNAT_TYPE',
+    'SNAT_PORT',
+    'FIXED_PORT',
+    'SCHED_WINDOW',
+    'SCHED_EXPIRED',
+    'S_ZONE',
+    'D_ZONE',
+    'CONF_LINE',
+    'S_USER',
+    'S_GROUP',
+    'POL_UUID',
+    'GLOBAL_LABEL',
+    'LABEL',
+    'PROXY',
+    'D_HOST',
+    'D_URL',
+];
+
+/**
+* Column name table of lookup result. The first column is the lookup address.
+*
+* @const {Array}
+*/
+const t_LookupResultColumnName = ['LOOKUP', ...t_NormalizedPolicyColumnName];
+
+/**
+* Column number table of the address columns of normalized policy. Their IPv6
+* addresses are compressed in the output if the compressed representation is
+* specified.
+*
+* @const {Array}
+*/
+const t_AddressColumnNumber = [
+    NMCOL_SRC_ADDR,
+    NMCOL_DST_ADDR,
+    NMCOL_SERVICE_DSTADDR,
+    NMCOL_DNAT_ADDR,
+    NMCOL_SNAT_ADDR,
+];
+
+/**
+* Column name table of the security profile columns. The first column is
+* NMCOL_UTM_STATUS.
+*
+* @const {Array}
+*/
+const t_ProfileColumnName = [
+    'UTM_STATUS',
+    'INSPECTION_MODE',
+    'PROFILE_TYPE',
+    'PROFILE_GROUP',
+    'AV_PROFILE',
+    'WEBFILTER_PROFILE',
+    'IPS_SENSOR',
+    'APPLICATION_LIST',
+    'DNSFILTER_PROFILE',
+    'FILE_FILTER_PROFILE',
+    'SSL_SSH_PROFILE',
+];
+
+/**
+* Security profile property name table of the parameter object of the policy
+* and g_Domain_Data profile_group. They are resolved from the profile group
+* if the profile type of the policy is 'group'.
+*
+* @const {Array}
+*/
+const t_ProfilePropertyName = [
+    'av_profile',
+    'webfilter_profile',
+    'ips_sensor',
+    'application_list',
+    'dnsfilter_profile',
+    'file_filter_profile',
+    'ssl_ssh_profile',
+];
+
+/**
+* Column name table of the provenance columns of flattened policy. The first
+* column is NMCOL_SRC_ADDR_OBJ.
+*
+* @const {Array}
+*/
+const t_ProvenanceColumnName = [
+    'S_OBJ',
+    'S_PATH',
+    'D_OBJ',
+    'D_PATH',
+    'SV_OBJ',
+    'SV_PATH',
+];
+
+/*
+* ============================================================================
+* General functions for FortiGate configuration
+* ============================================================================
+*/
+
+/**
+* This function splits the text of FortiGate CLI into tokens and returns the
+* tokens and the quotation state at the end of the text. The tokens are
+* separated by white spaces. A token starting with a double quotation or a
+* single quotation continues until the same quotation, and it can contain
+* white spaces and line feeds. A backslash escapes the next character both
+* inside and outside the quotation. The quotations and the backslashes of the
+* escape are removed from the tokens.
+*
+* @param {string} strText - Text of FortiGate CLI.
+* @return {Object}
+*   Object that contains the array of tokens and the quotation that is not
+*   closed at the end of the text. The quotation is '' if it is closed.
+*
+* @example
+*   strText                         Return
+*   -------------------------------------------------------------------------------------
+*   'set member "ADDR1" "ADDR 2"'   -> {token:['set','member','ADDR1','ADDR 2'],quote:''}
+*   'edit "Web \"Prod\""'           -> {token:['edit','Web "Prod"'],quote:''}
+*   'set comment \'It is "A"\''     -> {token:['set','comment','It is "A"'],quote:''}
+*   'set comment "line1'            -> {token:['set','comment','line1'],quote:'"'}
+*   'set comment don\'t'            -> {token:['set','comment','don\'t'],quote:''}
+*/
+function tokenizeConfigText(strText) {
+    const arrayToken = [];
+    let strToken = null; // null if not in a token.
+    let strQuote = '';
+    for (let i=0; i<strText.length; ++i) {
+        const c = strText[i];
+        if (c === '\\' && i+1 < strText.length) { // Escape.
+            strToken = (strToken === null ? '' : strToken) + strText[++i];
+        } else if (strQuote !== '') {
+            if (c === strQuote) {
+                strQuote = '';
+            } else {
+                strToken += c;
+            }
+        } else if (c === ' ' || c === '\t' || c === '\r' || c === '\n') {
+            if (strToken !== null) {
+                arrayToken.push(strToken);
+                strToken = null;
+            }
+        } else if ((c === '"' || c === '\'') && strToken === null) { // Quotation at the head of a token.
+            strQuote = c;
+            strToken = '';
+        } else {
+            strToken = (strToken === null ? '' : strToken) + c;
+        }
+    }
+    if (strToken !== null) {
+        arrayToken.push(strToken);
+    }
+    return {token: arrayToken, quote: strQuote};
+}
+
+/**
+* This function returns the array of the values in the parameter value of
+* FortiGate CLI, such as the members of 'set member'.
+*
+* @param {string} strValue - Parameter value of FortiGate CLI.
+* @return {Array} Array of the values that are unquoted and unescaped.
+*
+* @example
+*   strValue                 Return
+*   -------------------------------------------------
+*   '"ADDR1" "ADDR 2"'    -> ['ADDR1','ADDR 2']
+*   '"Web \"Prod\""'      -> ['Web "Prod"']
+*   '\'ADDR1\' \'ADDR2\'' -> ['ADDR1','ADDR2']
+*   ''                    -> []
+*/
+function getConfigValueArray(strValue) {
+    return tokenizeConfigText(strValue).token;
+}
+
+/**
+* This function returns the parameter value of FortiGate CLI that consists of
+* the specified values. Each value is quoted with double quotations, and the
+* double quotations and the backslashes in the value are escaped.
+*
+* @param {Array} arrayValue - Array of the values.
+* @return {string} Parameter value of FortiGate CLI.
+*
+* @example
+*   arrayValue                Return
+*   --------------------------------------------------
+*   ['ADDR1','ADDR 2']     -> '"ADDR1" "ADDR 2"'
+*   ['Web "Prod"']         -> '"Web \"Prod\""'
+*   []                     -> ''
+*/
+function getConfigQuotedValue(arrayValue) {
+    return arrayValue.map((strValue) => '"' + strValue.replace(/[\\"]/g, '\\$&') + '"').join(' ');
+}
+
+/**
+* This function joins the lines of FortiGate configuration into the logical
+* lines. When a quoted value is not closed at the end of a line, the next line
+* is joined with a line feed, because FortiOS writes the line feed in the
+* quoted value as it is. The comment line starting with '#' is not joined.
+*
+* @param {Array} arrayText - Lines of FortiGate configuration.
+* @return {Array}
+*   Array of the objects that contain the line number starting from 1, the
+*   text of the logical line, and true if the quoted value is closed.
+*
+* @example
+*   arrayText                                       Return
+*   ------------------------------------------------------------------------------------------------------------------
+*   ['edit "A1"','set comment "line1','line2"']  -> [{number:1,text:'edit "A1"',closed:true},
+*                                                    {number:2,text:'set comment "line1\nline2"',closed:true}]
+*   ['set comment "line1']                        -> [{number:1,text:'set comment "line1',closed:false}]
+*/
+function getConfigLineArray(arrayText) {
+    const arrayLine = [];
+    for (let i=0; i<arrayText.length; ++i) {
+        const intLineNumber = i + 1;
+        let strText = arrayText[i];
+        let boolClosed = true;
+        if (!strText.trim().startsWith('#')) {
+            while (tokenizeConfigText(strText).quote !== '') {
+                if (i+1 >= arrayText.length) {
+                    boolClosed = false;
+                    break;
+                }
+                strText += '\n' + arrayText[++i];
+            }
+        }
+        arrayLine.push({number: intLineNumber, text: strText, closed: boolClosed});
+    }
+    return arrayLine;
+}
+
+/**
+* This function returns true if the parameter is ip protocol string.
+* Otherwise, it is false.
+*
+* @param {string} str
+* @return {boolean}
+*   true if the parameter is ip protocol string.
+*   Otherwise, it is false.
+*
+*/
+function isIpProtocol(str) {
+    return (str === 'ip');
+}
+
+/**
+* This function returns true if the parameter is icmp protocol string.
+* Otherwise, it is false.
+*
+* @param {string} str
+* @return {boolean}
+*   true if the parameter is icmp protocol string.
+*   Otherwise, it is false.
+*
+*/
+function isIcmpProtocol(str) {
+    return (str === '1');
+}
+
+/**
+* This function returns true if the parameter is icmp6 protocol string.
+* Otherwise, it is false.
+*
+* @param {string} str
+* @return {boolean}
+*   true if the parameter is icmp6 protocol string.
+*   Otherwise, it is false.
+*
+*/
+function isIcmp6Protocol(str) {
+    return (str === '58');
+}
+
+/**
+* This function returns true if the parameter is tcp protocol string.
+* Otherwise, it is false.
+*
+* @param {string} str
+* @return {boolean}
+*   true if the parameter is tcp protocol string.
+*   Otherwise, it is false.
+*
+*/
+function isTcpProtocol(str) {
+    return (str === '6');
+}
+
+/**
+* This function returns true if the parameter is udp protocol string.
+* Otherwise, it is false.
+*
+* @param {string} str
+* @return {boolean}
+*   true if the parameter is udp protocol string.
+*   Otherwise, it is false.
+*
+*/
+function isUdpProtocol(str) {
+    return (str === '17');
+}
+
+/**
+* This function returns true if the parameter is sctp protocol string.
+* Otherwise, it is false.
+*
+* @param {string} str
+* @return {boolean}
+*   true if the parameter is sctp protocol string.
+*   Otherwise, it is false.
+*
+*/
+function isSctpProtocol(str) {
+    return (str === '132');
+}
+
+/**
+* This function returns the protocol type bit of protocol string.
+*
+* @param {string} strProtocol
+* @return {number} Protocol type bit.
+*
+* @example
+*   strProtocol    Return
+*   ---------------------------------------------
+*   'ip'        -> PROTOCOL_TYPE_BIT_IP
+*   '89'        -> PROTOCOL_TYPE_BIT_IP
+*   '1'         -> PROTOCOL_TYPE_BIT_ICMP_ICMP6
+*   '58'        -> PROTOCOL_TYPE_BIT_ICMP_ICMP6
+*   '6'         -> PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
+*   '17'        -> PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
+*   '132'       -> PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
+*   'undefined' -> PROTOCOL_TYPE_BIT_NONE
+*   'UNKNOWN'   -> PROTOCOL_TYPE_BIT_UNSUPPORTED
+*/
+function getProtocolTypeBit(strProtocol) {
+    let intProtocolTypeBit = PROTOCOL_TYPE_BIT_NONE;
+    if (isIcmpProtocol(strProtocol)) {
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_ICMP_ICMP6;
+    } else if (isIcmp6Protocol(strProtocol)) {
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_ICMP_ICMP6;
+    } else if (isTcpProtocol(strProtocol)) {
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_TCP_UDP_SCTP;
+    } else if (isUdpProtocol(strProtocol)) {
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_TCP_UDP_SCTP;
+    } else if (isSctpProtocol(strProtocol)) {
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_TCP_UDP_SCTP;
+    } else if (isIpProtocol(strProtocol)) {
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_IP;
     } else if (Number.isInteger(+strProtocol)) {
         intProtocolTypeBit |= PROTOCOL_TYPE_BIT_IP;
     } else if (strProtocol === 'undefined') {
         // PROTOCOL_TYPE_BIT_NONE
     } else {
-        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_UNSUPPORTED;
+        intProtocolTypeBit |= PROTOCOL_TYPE_BIT_UNSUPPORTED;
+    }
+    return intProtocolTypeBit;
+}
+
+/**
+* This function returns the protocol type bit of the array of service port
+* condition strings.
+*
+* @param {Array} arrayServicePortCondition
+* @return {number} Protocol type bit.
+*
+* @example
+*   arrayServicePortCondition                                                Return
+*   ---------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['ip;-','89;-'                                                      ] -> PROTOCOL_TYPE_BIT_IP
+*   ['ip;-','1/any/any;-'                                               ] -> PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6
+*   ['ip;-','1/any/any;-','6/eq/any/eq/80;192.168.0.1-192.168.0.100'    ] -> PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
+*   ['ip;-','1/any/any;-','6/eq/any/eq/80;all','UNKNOWN;UNKNOWN'        ] -> PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED
+*/
+function getProtocolTypeBitsOfArray(arrayServicePortCondition) {
+    let intProtocolTypeBits = PROTOCOL_TYPE_BIT_NONE;
+    for (let i=0; i<arrayServicePortCondition.length; ++i) {
+        let array = arrayServicePortCondition[i].split(';');
+        array = array[0].split('/');
+        intProtocolTypeBits |= getProtocolTypeBit(array[0]);
+    }
+    return intProtocolTypeBits;
+}
+
+/*
+* ============================================================================
+* CSV record functions
+*
+* The normalized policies, the flattened policies, and the other lists are
+* the records of CSV described in RFC 4180. The record is handled as the array
+* of the fields internally, such as the columns of NMCOL_*, and is converted
+* to the string by getCsvRecordString. The field that contains a comma, a
+* double quotation, or a line feed is quoted with double quotations, and the
+* double quotation in the field is escaped by the double quotation.
+* ============================================================================
+*/
+
+/**
+* This function returns the CSV field string of the specified value.
+*
+* @param {(string|number)} value - Value of the field.
+* @return {string} CSV field string.
+*
+* @example
+*   value                Return
+*   -------------------------------------------
+*   'ADDR1'           -> 'ADDR1'
+*   1                 -> '1'
+*   'Web, Prod'       -> '"Web, Prod"'
+*   'Web "Prod"'      -> '"Web ""Prod"""'
+*   'line1\nline2'    -> '"line1\nline2"'
+*/
+function getCsvField(value) {
+    const strValue = String(value);
+    return /[",\r\n]/.test(strValue) ? '"' + strValue.replaceAll('"', '""') + '"' : strValue;
+}
+
+/**
+* This function returns the CSV record string of the specified fields.
+*
+* @param {Array} arrayField - Array of the fields.
+* @return {string} CSV record string.
+*
+* @example
+*   arrayField                          Return
+*   ------------------------------------------------------------------
+*   ['root','port1','4to4','1']      -> 'root,port1,4to4,1'
+*   ['root','Web, Prod','']          -> 'root,"Web, Prod",'
+*/
+function getCsvRecordString(arrayField) {
+    return arrayField.map(getCsvField).join(',');
+}
+
+/**
+* This function parses the CSV record string and returns the array of the
+* fields. The quoted field is unquoted and unescaped.
+*
+* @param {string} strRecord - CSV record string.
+* @return {Array} Array of the fields.
+*
+* @example
+*   strRecord                          Return
+*   -----------------------------------------------------------------
+*   'root,port1,4to4,1'             -> ['root','port1','4to4','1']
+*   'root,"Web, Prod",'             -> ['root','Web, Prod','']
+*   '"Web ""Prod""",x'              -> ['Web "Prod"','x']
+*/
+function getCsvFieldArray(strRecord) {
+    if (strRecord.indexOf('"') == -1) {
+        return strRecord.split(',');
+    }
+
+    const arrayField = [];
+    let strField = '';
+    let isQuoted = false;
+    for (let i=0; i<strRecord.length; ++i) {
+        const c = strRecord[i];
+        if (isQuoted) {
+            if (c !== '"') {
+                strField += c;
+            } else if (strRecord[i+1] === '"') { // Escaped double quotation.
+                strField += c;
+                ++i;
+            } else {
+                isQuoted = false;
+            }
+        } else if (c === ',') {
+            arrayField.push(strField);
+            strField = '';
+        } else if (c === '"') {
+            isQuoted = true;
+        } else {
+            strField += c;
+        }
+    }
+    arrayField.push(strField);
+    return arrayField;
+}
+
+/**
+* This function returns the CSV text of the specified records. The records are
+* separated by CRLF. If the column names are specified, the header row is
+* added at the head.
+*
+* @param {Array} arrayRecord - Array of CSV record strings.
+* @param {(Array|null)} [arrayColumnName=null] -
+*   Column names of the header row. null if no header row.
+* @return {string} CSV text.
+*
+* @example
+*   arrayRecord                     arrayColumnName          Return
+*   ----------------------------------------------------------------------------------------
+*   ['a,1','b,2']                   null                  -> 'a,1\r\nb,2'
+*   ['a,1','b,2']                   ['NAME','VALUE']      -> 'NAME,VALUE\r\na,1\r\nb,2'
+*/
+function getCsvText(arrayRecord, arrayColumnName = null) {
+    return (arrayColumnName ? [getCsvRecordString(arrayColumnName), ...arrayRecord] : arrayRecord).join('\r\n');
+}
+
+/*
+* ============================================================================
+* Output functions
+*
+* The records are output in CSV, JSON, or JSON Lines. In JSON and JSON Lines,
+* each record is the object whose property names are the column names in
+* lower case, such as 'dom_name' and 's_addr.' The values are typed. The
+* negate flags, FIXED_PORT, and SCHED_EXPIRED are booleans. POL_LINE and the
+* port numbers are numbers. The addresses are the objects that contain the
+* address family, the kind, and the start and end addresses. JSON is the
+* array of the objects, and JSON Lines is the object per line.
+* ============================================================================
+*/
+
+/**
+* This function returns the boolean of the flag string. It returns null if
+* the flag is not specified, such as '-'.
+*
+* @param {string} strFlag - Flag string.
+* @return {(boolean|null)} Boolean of the flag.
+*
+* @example
+*   strFlag       Return
+*   --------------------
+*   'true'     -> true
+*   'enable'   -> true
+*   'false'    -> false
+*   'disable'  -> false
+*   '-'        -> null
+*/
+function getBooleanValue(strFlag) {
+    if (strFlag === 'true' || strFlag === 'enable') {
+        return true;
+    }
+    if (strFlag === 'false' || strFlag === 'disable') {
+        return false;
+    }
+    return null;
+}
+
+/**
+* This function returns the number if the string is a decimal number.
+* Otherwise, it returns the string as it is.
+*
+* @param {string} strValue - String.
+* @return {(number|string)} Number or the string.
+*
+* @example
+*   strValue    Return
+*   ------------------
+*   '6'      -> 6
+*   'ip'     -> 'ip'
+*/
+function getNumberValue(strValue) {
+    return /^\d+$/.test(strValue) ? Number(strValue) : strValue;
+}
+
+/**
+* This function returns the address object of the normalized address string.
+* The kind is one of 'subnet', 'range', 'wildcard', 'fqdn', 'geo', 'isdb',
+* 'unresolved', 'any', or 'object.' 'any' is the service destination address
+* '0/0', and 'object' is the object name before flattening. The start and end
+* addresses are specified only in the subnet and the range. They are
+* compressed if the IPv6 address of the string is compressed.
+*
+* @param {string} strAddr - Normalized address string.
+* @return {(Object|null)}
+*   Address object that contains the value, the family, the kind, the start
+*   address, and the end address. null if the address is '-'.
+*
+* @example
+*   strAddr                       Return
+*   --------------------------------------------------------------------------------------------------------------------------
+*   '192.168.0.0/24'           -> {value:'192.168.0.0/24',family:4,kind:'subnet',start:'192.168.0.0',end:'192.168.0.255'}
+*   '192.168.0.1-192.168.0.9'  -> {value:'192.168.0.1-192.168.0.9',family:4,kind:'range',start:'192.168.0.1',end:'192.168.0.9'}
+*   '10.0.0.0/255.0.255.0'     -> {value:'10.0.0.0/255.0.255.0',family:4,kind:'wildcard',start:null,end:null}
+*   '2001:db8::/32'            -> {value:'2001:db8::/32',family:6,kind:'subnet',start:'2001:db8::',end:'2001:db8:ffff:ffff:ffff:ffff:ffff:ffff'}
+*   'fqdn:www.example.com'     -> {value:'fqdn:www.example.com',family:null,kind:'fqdn',start:null,end:null}
+*   'ADDR1'                    -> {value:'ADDR1',family:null,kind:'object',start:null,end:null}
+*   '-'                        -> null
+*/
+function getAddressObject(strAddr) {
+    if (strAddr === '-' || strAddr === '' || strAddr === undefined) {
+        return null;
+    }
+
+    const objAddr = {value: strAddr, family: null, kind: 'object', start: null, end: null};
+    const array = strAddr.match(/^(unresolved|fqdn|geo|isdb):/);
+    if (array) {
+        objAddr.kind = array[1];
+    } else if (strAddr === '0/0') {
+        objAddr.kind = 'any';
+    } else if (strAddr.match(/^\d+\.\d+\.\d+\.\d+\/\d+\.\d+\.\d+\.\d+$/)) {
+        objAddr.family = 4;
+        objAddr.kind = 'wildcard';
+    } else {
+        const strFullAddr = strAddr.replace(/[^/-]*:[^/-]*/g, (strIPv6Addr) => getIPv6FullRepresentedAddr(strIPv6Addr) || strIPv6Addr);
+        const toOutputAddr = (strIPAddr) => strFullAddr !== strAddr ? getIPv6CompressedAddr(strIPAddr) : strIPAddr;
+        const objInterval = getAddressInterval(strFullAddr);
+        if (objInterval) {
+            objAddr.family = objInterval.family;
+            objAddr.kind = strAddr.indexOf('/') != -1 ? 'subnet' : 'range';
+            objAddr.start = toOutputAddr(getAddressFromInterval(objInterval.family, objInterval.start, objInterval.start).split('/')[0]);
+            objAddr.end = toOutputAddr(getAddressFromInterval(objInterval.family, objInterval.end, objInterval.end).split('/')[0]);
+        }
+    }
+    return objAddr;
+}
+
+/**
+* This function returns the port condition object of the port condition
+* string, such as S_PORT and D_PORT. 'any' port is the range from 0 to 65535.
+* The operator, the start port, and the end port are null if the string is
+* not the port condition, such as the service name before flattening.
+*
+* @param {string} strPort - Port condition string.
+* @return {(Object|null)}
+*   Port condition object that contains the value, the operator, the start
+*   port, and the end port. null if the port condition is '-/-' or '-'.
+*
+* @example
+*   strPort               Return
+*   ----------------------------------------------------------------------------
+*   'eq/443'           -> {value:'eq/443',operator:'eq',start:443,end:443}
+*   'range/1000-2000'  -> {value:'range/1000-2000',operator:'range',start:1000,end:2000}
+*   'eq/any'           -> {value:'eq/any',operator:'any',start:0,end:65535}
+*   'HTTP'             -> {value:'HTTP',operator:null,start:null,end:null}
+*   '-/-'              -> null
+*/
+function getPortConditionObject(strPort) {
+    if (strPort === '-/-' || strPort === '-' || strPort === '' || strPort === undefined) {
+        return null;
+    }
+
+    const objPort = {value: strPort, operator: null, start: null, end: null};
+    let array = strPort.match(/^eq\/(\d+|any)$/);
+    if (array) {
+        objPort.operator = array[1] === 'any' ? 'any' : 'eq';
+        objPort.start = array[1] === 'any' ? 0 : Number(array[1]);
+        objPort.end = array[1] === 'any' ? 65535 : Number(array[1]);
+    } else if ((array = strPort.match(/^range\/(\d+)-(\d+)$/))) {
+        objPort.operator = 'range';
+        objPort.start = Number(array[1]);
+        objPort.end = Number(array[2]);
+    }
+    return objPort;
+}
+
+/**
+* This function returns the ICMP type and code object of I_TPCD. The type and
+* code are null if they are 'any' or the string is the service name before
+* flattening.
+*
+* @param {string} strTypeCode - ICMP type and code string.
+* @return {(Object|null)}
+*   Object that contains the value, the type, and the code. null if the
+*   string is '-/-'.
+*
+* @example
+*   strTypeCode   Return
+*   -------------------------------------------------
+*   '8/0'      -> {value:'8/0',type:8,code:0}
+*   '8/any'    -> {value:'8/any',type:8,code:null}
+*   '-/-'      -> null
+*/
+function getIcmpTypeCodeObject(strTypeCode) {
+    if (strTypeCode === '-/-' || strTypeCode === '-' || strTypeCode === '' || strTypeCode === undefined) {
+        return null;
+    }
+
+    const objTypeCode = {value: strTypeCode, type: null, code: null};
+    const array = strTypeCode.match(/^(\d+|any)\/(\d+|any)$/);
+    if (array) {
+        objTypeCode.type = array[1] === 'any' ? null : Number(array[1]);
+        objTypeCode.code = array[2] === 'any' ? null : Number(array[2]);
+    }
+    return objTypeCode;
+}
+
+/**
+* This function returns the array of the line range objects of CONF_LINE.
+*
+* @param {string} strConfLine - Line ranges separated by a space.
+* @return {Array}
+*   Array of the objects that contain the start line and the end line. The
+*   empty array if the string has no line range.
+*
+* @example
+*   strConfLine        Return
+*   -----------------------------------------------------------------
+*   '120-135 3-5'   -> [{start:120,end:135},{start:3,end:5}]
+*   ''              -> []
+*/
+function getLineRangeObjectArray(strConfLine) {
+    const array = [];
+    if (strConfLine) {
+        strConfLine.split(' ').forEach((strLineRange) => {
+            const arrayLine = strLineRange.match(/^(\d+)-(\d+)$/);
+            if (arrayLine) {
+                array.push({start: Number(arrayLine[1]), end: Number(arrayLine[2])});
+            }
+        });
+    }
+    return array;
+}
+
+/**
+* This function returns the port forwarding object of DNAT_PORT.
+*
+* @param {string} strDnatPort - Port forwarding string.
+* @return {(Object|null)}
+*   Object that contains the value, the protocol number, the external port
+*   condition object, and the mapped port condition object. null if the
+*   string is '-'.
+*
+* @example
+*   strDnatPort           Return
+*   ---------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '6/eq/8080/eq/80'  -> {value:'6/eq/8080/eq/80',protocol:6,external:{value:'eq/8080',operator:'eq',start:8080,end:8080},mapped:{value:'eq/80',operator:'eq',start:80,end:80}}
+*   'VIP1'             -> {value:'VIP1',protocol:null,external:null,mapped:null}
+*   '-'                -> null
+*/
+function getPortForwardingObject(strDnatPort) {
+    if (strDnatPort === '-' || strDnatPort === '' || strDnatPort === undefined) {
+        return null;
+    }
+
+    const objPortForwarding = {value: strDnatPort, protocol: null, external: null, mapped: null};
+    const array = strDnatPort.match(/^(\d+)\/(\w+\/[\w-]+)\/(\w+\/[\w-]+)$/);
+    if (array) {
+        objPortForwarding.protocol = Number(array[1]);
+        objPortForwarding.external = getPortConditionObject(array[2]);
+        objPortForwarding.mapped = getPortConditionObject(array[3]);
+    }
+    return objPortForwarding;
+}
+
+/**
+* This function returns the service object of the normalized service string
+* in the service list.
+*
+* @param {string} strService - Normalized service string.
+* @return {Object}
+*   Object that contains the value, the protocol, the source and destination
+*   port condition objects, the ICMP type and code object, and the service
+*   destination address object.
+*
+* @example
+*   strService                Return
+*   -------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '6/eq/any/eq/443;0/0'  -> {value:'6/eq/any/eq/443;0/0',protocol:6,s_port:{...,operator:'any'},d_port:{...,operator:'eq'},i_tpcd:null,sd_addr:{...,kind:'any'}}
+*   '1/8/any;-'            -> {value:'1/8/any;-',protocol:1,s_port:null,d_port:null,i_tpcd:{value:'8/any',type:8,code:null},sd_addr:null}
+*   'ip;-'                 -> {value:'ip;-',protocol:'ip',s_port:null,d_port:null,i_tpcd:null,sd_addr:null}
+*/
+function getServiceObject(strService) {
+    const array = strService.split(';');
+    const arrayCondition = array[0].split('/');
+    const objService = {value: strService, protocol: getNumberValue(arrayCondition[0]), s_port: null, d_port: null, i_tpcd: null, sd_addr: getAddressObject(array[1])};
+    if (arrayCondition.length == 5) {
+        objService.s_port = getPortConditionObject(arrayCondition[1] + '/' + arrayCondition[2]);
+        objService.d_port = getPortConditionObject(arrayCondition[3] + '/' + arrayCondition[4]);
+    } else if (arrayCondition.length == 3) {
+        objService.i_tpcd = getIcmpTypeCodeObject(arrayCondition[1] + '/' + arrayCondition[2]);
+    }
+    return objService;
+}
+
+/**
+* This function returns the array of the normalized or flattened policies
+* from which the security profile columns are removed.
+*
+* @param {Array} arrayPolicy - Normalized or flattened policies array.
+* @return {Array} Array of the policies without the security profile columns.
+*
+* @example
+*   arrayPolicy                                                                       Return
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------------
+*   [',port1,port2,4to4,1,,1,accept,...,-,40-48,enable,flow,single,-,default,...,-']  -> [',port1,port2,4to4,1,,1,accept,...,-,40-48']
+*   [',port1,port2,4to4,1,,1,accept,...,-,40-48,enable,flow,...,-,ADDR1,ADDR1,...']   -> [',port1,port2,4to4,1,,1,accept,...,-,40-48,ADDR1,ADDR1,...']
+*/
+function getPoliciesWithoutProfileColumns(arrayPolicy) {
+    return arrayPolicy.map((strPolicy) => {
+        const arrayToken = getCsvFieldArray(strPolicy);
+        arrayToken.splice(NMCOL_UTM_STATUS, t_ProfileColumnName.length);
+        return getCsvRecordString(arrayToken);
+    });
+}
+
+/**
+* This function returns the policy object of the fields of the normalized or
+* flattened policy. The fields are null if '-', and the fields following D_URL
+* are the optional columns named by arrayColumnName.
+*
+* @param {Array} arrayToken - Fields of the normalized or flattened policy.
+* @param {Array} [arrayColumnName=t_NormalizedPolicyColumnName] -
+*   Column names of the fields.
+* @return {Object} Policy object.
+*
+* @example
+*   arrayToken                                                                                                         Return
+*   -------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['','port1','port2','4to4','1','','1','accept','6','10.0.0.1/32','eq/any','10.0.0.2/32','eq/443','0/0','-/-',...] -> {dom_name:'',s_intf:'port1',...,pol_id:1,pol_name:'',pol_line:1,...,prot:6,s_addr:{...,kind:'subnet'},...}
+*/
+function getPolicyObject(arrayToken, arrayColumnName = t_NormalizedPolicyColumnName) {
+    const objPolicy = {};
+    for (let i=0; i<t_NormalizedPolicyColumnName.length; ++i) {
+        objPolicy[t_NormalizedPolicyColumnName[i].toLowerCase()] = (arrayToken[i] === '-' || arrayToken[i] === undefined) ? null : arrayToken[i];
+    }
+    objPolicy['pol_id'] = getNumberValue(arrayToken[NMCOL_POL_ID]);
+    objPolicy['pol_line'] = getNumberValue(arrayToken[NMCOL_POL_LINE]);
+    objPolicy['prot'] = getNumberValue(arrayToken[NMCOL_PROTOCOL]);
+    objPolicy['s_addr'] = getAddressObject(arrayToken[NMCOL_SRC_ADDR]);
+    objPolicy['s_port'] = getPortConditionObject(arrayToken[NMCOL_SRC_PORT]);
+    objPolicy['d_addr'] = getAddressObject(arrayToken[NMCOL_DST_ADDR]);
+    objPolicy['d_port'] = getPortConditionObject(arrayToken[NMCOL_DST_PORT]);
+    objPolicy['sd_addr'] = getAddressObject(arrayToken[NMCOL_SERVICE_DSTADDR]);
+    objPolicy['i_tpcd'] = getIcmpTypeCodeObject(arrayToken[NMCOL_ICMPTYCD]);
+    objPolicy['sa_negate'] = getBooleanValue(arrayToken[NMCOL_SRCADDR_NEGATE]);
+    objPolicy['da_negate'] = getBooleanValue(arrayToken[NMCOL_DSTADDR_NEGATE]);
+    objPolicy['sv_negate'] = getBooleanValue(arrayToken[NMCOL_SERVICE_NEGATE]);
+    objPolicy['sched_expired'] = getBooleanValue(arrayToken[NMCOL_SCHED_EXPIRED]);
+    objPolicy['dnat_addr'] = getAddressObject(arrayToken[NMCOL_DNAT_ADDR]);
+    objPolicy['dnat_port'] = getPortForwardingObject(arrayToken[NMCOL_DNAT_PORT]);
+    objPolicy['snat_addr'] = getAddressObject(arrayToken[NMCOL_SNAT_ADDR]);
+    objPolicy['snat_port'] = getPortConditionObject(arrayToken[NMCOL_SNAT_PORT]);
+    objPolicy['fixed_port'] = getBooleanValue(arrayToken[NMCOL_FIXED_PORT]);
+    objPolicy['conf_line'] = getLineRangeObjectArray(arrayToken[NMCOL_CONF_LINE]);
+    for (let i=t_NormalizedPolicyColumnName.length; i<arrayColumnName.length; ++i) {
+        objPolicy[arrayColumnName[i].toLowerCase()] = (arrayToken[i] === '-' || arrayToken[i] === undefined) ? null : arrayToken[i];
+    }
+    return objPolicy;
+}
+
+/**
+* This function returns the lookup result object of the fields of the lookup
+* result. It is the policy object with the lookup address at the head.
+*
+* @param {Array} arrayToken - Fields of the lookup result.
+* @param {Array} [arrayColumnName=t_LookupResultColumnName] -
+*   Column names of the fields.
+* @return {Object} Lookup result object.
+*
+*/
+function getLookupResultObject(arrayToken, arrayColumnName = t_LookupResultColumnName) {
+    return Object.assign({lookup: arrayToken[0]}, getPolicyObject(arrayToken.slice(1), arrayColumnName.slice(1)));
+}
+
+/**
+* This function returns the object of the fields of the address list.
+*
+* @param {Array} arrayToken - Domain name, type, name, address, and comment.
+* @return {Object} Object of the address list entry.
+*
+*/
+function getAddressListEntryObject(arrayToken) {
+    return {dom_name: arrayToken[0], type: arrayToken[1], name: arrayToken[2], address: getAddressObject(arrayToken[3]), comment: arrayToken[4]};
+}
+
+/**
+* This function returns the object of the fields of the service list.
+*
+* @param {Array} arrayToken - Domain name, type, name, service, and comment.
+* @return {Object} Object of the service list entry.
+*
+*/
+function getServiceListEntryObject(arrayToken) {
+    return {dom_name: arrayToken[0], type: arrayToken[1], name: arrayToken[2], service: getServiceObject(arrayToken[3]), comment: arrayToken[4]};
+}
+
+/**
+* This function returns the object of the fields of the zone list.
+*
+* @param {Array} arrayToken -
+*   Domain name, 'zone', name, interface, intrazone, and comment.
+* @return {Object} Object of the zone list entry.
+*
+*/
+function getZoneListEntryObject(arrayToken) {
+    return {dom_name: arrayToken[0], type: arrayToken[1], name: arrayToken[2], interface: arrayToken[3] === '-' ? null : arrayToken[3], intrazone: arrayToken[4], comment: arrayToken[5]};
+}
+
+/**
+* This function returns the address field that the full represented IPv6
+* addresses are replaced with the compressed represented addresses by
+* getIPv6CompressedAddr function.
+*
+* @param {string} strField - Address field, such as S_ADDR.
+* @return {string} Address field that the IPv6 addresses are compressed.
+*
+* @example
+*   strField                                                                             Return
+*   ----------------------------------------------------------------------------------------------------------------------------
+*   '2001:0db8:0000:0000:0000:0000:0000:0001/128'                                     -> '2001:db8::1/128'
+*   '2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0009' -> '2001:db8::1-2001:db8::9'
+*   '192.168.0.1/32'                                                                  -> '192.168.0.1/32'
+*/
+function getIPv6CompressedField(strField) {
+    return strField.replace(/(?<![\da-f:])[\da-f]{4}(?::[\da-f]{4}){5}:(?:[\da-f]{4}:[\da-f]{4}|\d+\.\d+\.\d+\.\d+)(?![\da-f:])/gi, (strIPv6Addr) => getIPv6CompressedAddr(strIPv6Addr) || strIPv6Addr);
+}
+
+/**
+* This function returns the text of the records in the specified format. In
+* JSON and JSON Lines, each record is converted to the object by
+* funcRecordToObject, and the header row is not output. The IPv6 addresses of
+* the fields of arrayIPv6Column are compressed by getIPv6CompressedField
+* function before the text is built. The records keep the full represented
+* addresses for the lookup.
+*
+* @param {Array} arrayRecord - Array of CSV record strings.
+* @param {string} strFormat -
+*   OUTPUT_FORMAT_CSV, OUTPUT_FORMAT_JSON, or OUTPUT_FORMAT_JSONL.
+* @param {function} funcRecordToObject -
+*   Function that converts the fields of the record to the object.
+* @param {(Array|null)} [arrayColumnName=null] -
+*   Column names of the header row in CSV. null if no header row.
+* @param {(Array|null)} [arrayIPv6Column=null] -
+*   Column numbers of the fields whose IPv6 addresses are compressed. null if
+*   the IPv6 addresses are output in the full representation.
+* @return {string} Text of the records.
+*
+* @example
+*   arrayRecord      strFormat             funcRecordToObject     Return
+*   -----------------------------------------------------------------------------------------------------------------------------------
+*   [',zone,LAN,port1,deny,']  OUTPUT_FORMAT_CSV    getZoneListEntryObject -> ',zone,LAN,port1,deny,'
+*   [',zone,LAN,port1,deny,']  OUTPUT_FORMAT_JSONL  getZoneListEntryObject -> '{"dom_name":"","type":"zone","name":"LAN","interface":"port1","intrazone":"deny","comment":""}'
+*   [',zone,LAN,port1,deny,']  OUTPUT_FORMAT_JSON   getZoneListEntryObject -> '[\r\n{"dom_name":"","type":"zone","name":"LAN","interface":"port1","intrazone":"deny","comment":""}\r\n]'
+*/
+function getOutputText(arrayRecord, strFormat, funcRecordToObject, arrayColumnName = null, arrayIPv6Column = null) {
+    const toFieldArray = function(strRecord) {
+        const arrayToken = getCsvFieldArray(strRecord);
+        if (arrayIPv6Column) {
+            arrayIPv6Column.filter((intColumn) => intColumn < arrayToken.length).forEach((intColumn) => {
+                arrayToken[intColumn] = getIPv6CompressedField(arrayToken[intColumn]);
+            });
+        }
+        return arrayToken;
+    };
+    const toJson = function(strRecord) {
+        return JSON.stringify(funcRecordToObject(toFieldArray(strRecord)));
+    };
+
+    switch (strFormat) {
+    case OUTPUT_FORMAT_JSON:
+        return arrayRecord.length == 0 ? '[]' : '[\r\n' + arrayRecord.map(toJson).join(',\r\n') + '\r\n]';
+    case OUTPUT_FORMAT_JSONL:
+        return arrayRecord.map(toJson).join('\r\n');
+    default:
+        return getCsvText(arrayIPv6Column ? arrayRecord.map((strRecord) => getCsvRecordString(toFieldArray(strRecord))) : arrayRecord, arrayColumnName);
+    }
+}
+
+/**
+* This function returns the source of each line of the text that
+* getOutputText function returns for the same records. The source of the line
+* of a record is the object that contains the domain name, the source
+* interface, and the first line range of CONF_LINE. The record that contains
+* line feeds has the same source on all its lines. The source of the other
+* line, such as the header row and the brackets of JSON, is null. The page
+* filters the records and highlights the configuration lines by the sources
+* without parsing the text.
+*
+* @param {Array} arrayRecord - Array of CSV record strings.
+* @param {string} strFormat -
+*   OUTPUT_FORMAT_CSV, OUTPUT_FORMAT_JSON, or OUTPUT_FORMAT_JSONL.
+* @param {(Array|null)} [arrayColumnName=null] -
+*   Column names of the header row in CSV. null if no header row.
+* @param {number} [intColumnOffset=0] -
+*   Number of the columns before DOM_NAME, such as LOOKUP of the lookup
+*   result.
+* @return {Array} Array of the sources of the lines.
+*
+* @example
+*   arrayRecord                                       strFormat             arrayColumnName intColumnOffset    Return
+*   --------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   [',port1,port2,4to4,1,,1,accept,...,-,40-48,...'] OUTPUT_FORMAT_CSV     null            0               -> [{dom_name:'',src_intf:'port1',conf_line:{start:40,end:48}}]
+*   [',port1,port2,4to4,1,,1,accept,...,-,40-48,...'] OUTPUT_FORMAT_JSON    null            0               -> [null,{dom_name:'',src_intf:'port1',conf_line:{start:40,end:48}},null]
+*   ['10.0.0.1,,port1,port2,4to4,1,,1,accept,...']    OUTPUT_FORMAT_CSV     ['LOOKUP',...]  1               -> [null,{dom_name:'',src_intf:'port1',conf_line:...}]
+*   []                                                OUTPUT_FORMAT_JSON    null            0               -> [null]
+*/
+function getOutputLineSource(arrayRecord, strFormat, arrayColumnName = null, intColumnOffset = 0) {
+    const arraySource = [];
+    if (strFormat === OUTPUT_FORMAT_JSON || (strFormat !== OUTPUT_FORMAT_JSONL && arrayColumnName)) { // '[' of JSON or the header row.
+        arraySource.push(null);
+    }
+    for (let i=0; i<arrayRecord.length; ++i) {
+        const arrayToken = getCsvFieldArray(arrayRecord[i]);
+        const array = arrayToken[intColumnOffset + NMCOL_CONF_LINE] ? arrayToken[intColumnOffset + NMCOL_CONF_LINE].match(/^(\d+)-(\d+)/) : null;
+        const objSource = {
+            dom_name: arrayToken[intColumnOffset + NMCOL_DOM_NAME],
+            src_intf: arrayToken[intColumnOffset + NMCOL_SRC_INTF],
+            conf_line: array ? {start: Number(array[1]), end: Number(array[2])} : null,
+        };
+        // JSON escapes the line feeds in the fields, but CSV keeps them.
+        const intLineCount = (strFormat === OUTPUT_FORMAT_JSON || strFormat === OUTPUT_FORMAT_JSONL) ? 1 : arrayRecord[i].split(/\r\n|\r|\n/).length;
+        for (let j=0; j<intLineCount; ++j) {
+            arraySource.push(objSource);
+        }
+    }
+    if (strFormat === OUTPUT_FORMAT_JSON && arrayRecord.length > 0) { // ']' of JSON.
+        arraySource.push(null);
+    }
+    return arraySource;
+}
+
+/*
+* ============================================================================
+* IP address functions
+* ============================================================================
+*/
+
+/**
+* This function returns the normalized address string of the IPv4 or IPv6
+* address, subnet, or range. IPv4 host address is represented in CIDR format,
+* and IPv6 address is adapted to the full represented. If the address is
+* invalid, this function returns the empty string.
+*
+* @param {string} strAddr - Address, subnet, or range.
+* @return {string} Normalized address string.
+*
+* @example
+*   strAddr                      Return
+*   -------------------------------------------------------------------------------------------------------------
+*   '192.168.0.1'             -> '192.168.0.1/32'
+*   '192.168.0.0/24'          -> '192.168.0.0/24'
+*   '192.168.0.0/255.255.0.0' -> '192.168.0.0/16'
+*   '192.168.0.1-192.168.0.9' -> '192.168.0.1-192.168.0.9'
+*   '2001:db8::1'             -> '2001:0db8:0000:0000:0000:0000:0000:0001/128'
+*   '2001:db8::/32'           -> '2001:0db8:0000:0000:0000:0000:0000:0000/32'
+*   '2001:db8::1-2001:db8::9' -> '2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0009'
+*   'UNKNOWN'                 -> ''
+*/
+function getNormalizedAddress(strAddr) {
+    if (strAddr.indexOf(':') != -1) { // IPv6.
+        if (strAddr.indexOf('-') != -1) {
+            const array = strAddr.split('-');
+            const strStartAddr = getIPv6FullRepresentedAddr(array[0]);
+            const strEndAddr = getIPv6FullRepresentedAddr(array[1]);
+            return (strStartAddr === '' || strEndAddr === '') ? '' : strStartAddr + '-' + strEndAddr;
+        }
+        return getIPv6FullRepresentedAddrWithPrefixLength(strAddr.indexOf('/') == -1 ? strAddr + '/128' : strAddr);
+    }
+    if (strAddr.match(/^\d+\.\d+\.\d+\.\d+-\d+\.\d+\.\d+\.\d+$/)) {
+        return strAddr;
+    }
+    if (strAddr.match(/^\d+\.\d+\.\d+\.\d+\/\d+$/)) {
+        return strAddr;
+    }
+    if (strAddr.match(/^\d+\.\d+\.\d+\.\d+\/\d+\.\d+\.\d+\.\d+$/)) {
+        const array = strAddr.split('/');
+        return getIPv4AddrWithPrefixLength(array[0], array[1]);
+    }
+    if (strAddr.match(/^\d+\.\d+\.\d+\.\d+$/)) {
+        return strAddr + '/32';
+    }
+    return '';
+}
+
+/**
+* This function converts IPv4 netmask string to IPv4 prefix length.
+*
+* @param {string} strIPv4NetMask
+* @return {number} IPv4 prefix length.
+*
+* @example
+*   strIPv4NetMask     Return
+*   -------------------------
+*   '255.255.255.0' -> 24
+*/
+function getPrefixLengthFromIPv4NetMask(strIPv4NetMask) {
+    const arrayStrMaskOctet = strIPv4NetMask.split('.');
+    const arrayBytMaskOctet = new Uint8Array([parseInt(arrayStrMaskOctet[0]), parseInt(arrayStrMaskOctet[1]), parseInt(arrayStrMaskOctet[2]), parseInt(arrayStrMaskOctet[3])]);
+
+    let intPrefixLength = 0;
+    for (let i=0; i<=3; ++i) {
+        let bytMask = arrayBytMaskOctet[i];
+        for (let j=7; j>=0; --j) {
+            if (bytMask >= Math.pow(2, j)) {
+                ++intPrefixLength;
+                bytMask -= Math.pow(2, j);
+            } else if (bytMask == 0) {
+                break;
+            }
+        }
+    }
+    return intPrefixLength;
+}
+
+/**
+* This function converts IPv4 address string with netmask string to CIDR
+* format.
+*
+* @param {string} strIPv4Addr
+* @param {string} strIPv4NetMask
+* @return {string} CIDR format IPv4 address.
+*
+* @example
+*   strIPv4Addr   strIPv4NetMask     Return
+*   -------------------------------------------------
+*   '192.168.0.1' '255.255.255.0' -> '192.168.0.1/24'
+*/
+function getIPv4AddrWithPrefixLength(strIPv4Addr, strIPv4NetMask) {
+    return (strIPv4Addr + '/' + getPrefixLengthFromIPv4NetMask(strIPv4NetMask));
+}
+
+/**
+* This function converts octet's prefix length to octet's netmask.
+*
+* @param {number} intOctetPrefixLength
+* @return {number} Octet's netmask.
+*
+* @example
+*   intOctetPrefixLength    Return
+*   ------------------------------
+*   0                    ->   0
+*   1                    -> 128
+*   2                    -> 192
+*   3                    -> 224
+*   4                    -> 240
+*   5                    -> 248
+*   6                    -> 252
+*   7                    -> 254
+*   8                    -> 255
+*/
+function getOctetNetMaskFromOctetPrefixLength(intOctetPrefixLength) {
+    return (256 - Math.pow(2, 8 - intOctetPrefixLength));
+}
+
+/**
+* This function converts IPv4 prefix length to IPv4 netmask string.
+*
+* @param {number} intIPv4PrefixLength
+* @return {string} IPv4 netmask string.
+*
+* @example
+*   intIPv4PrefixLength    Return
+*   ----------------------------------------
+*    0                  -> '0.0.0.0'
+*    8                  -> '255.0.0.0'
+*   16                  -> '255.255.0.0'
+*   20                  -> '255.255.240.0'
+*   24                  -> '255.255.255.0'
+*   28                  -> '255.255.255.240'
+*   30                  -> '255.255.255.252'
+*   32                  -> '255.255.255.255'
+*/
+function getIPv4NetMaskFromPrefixLength(intIPv4PrefixLength) {
+    const arrayBytMaskOctet = new Uint8Array(4);
+
+    if (intIPv4PrefixLength < 8) {
+        arrayBytMaskOctet[0] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength);
+        arrayBytMaskOctet[1] = 0;
+        arrayBytMaskOctet[2] = 0;
+        arrayBytMaskOctet[3] = 0;
+    } else if (intIPv4PrefixLength < 16) {
+        arrayBytMaskOctet[0] = 255;
+        arrayBytMaskOctet[1] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength - 8);
+        arrayBytMaskOctet[2] = 0;
+        arrayBytMaskOctet[3] = 0;
+    } else if (intIPv4PrefixLength < 24) {
+        arrayBytMaskOctet[0] = 255;
+        arrayBytMaskOctet[1] = 255;
+        arrayBytMaskOctet[2] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength - 16);
+        arrayBytMaskOctet[3] = 0;
+    } else {
+        arrayBytMaskOctet[0] = 255;
+        arrayBytMaskOctet[1] = 255;
+        arrayBytMaskOctet[2] = 255;
+        arrayBytMaskOctet[3] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength - 24);
+    }
+    return (arrayBytMaskOctet[0].toString() + '.' + arrayBytMaskOctet[1].toString() + '.' + arrayBytMaskOctet[2].toString() + '.' + arrayBytMaskOctet[3].toString());
+}
+
+/**
+* This function converts IPv6 prefix length to IPv6 netmask string.
+*
+* @param {number} intIPv6PrefixLength
+* @return {string} IPv6 netmask string.
+*
+* @example
+*   intIPv6PrefixLength    Return
+*   ----------------------------------------------------------------
+*     0                 -> '0000:0000:0000:0000:0000:0000:0000:0000'
+*    16                 -> 'ffff:0000:0000:0000:0000:0000:0000:0000'
+*    32                 -> 'ffff:ffff:0000:0000:0000:0000:0000:0000'
+*    64                 -> 'ffff:ffff:ffff:ffff:0000:0000:0000:0000'
+*    96                 -> 'ffff:ffff:ffff:ffff:ffff:ffff:0000:0000'
+*   128                 -> 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'
+*/
+function getIPv6NetMaskFromPrefixLength(intIPv6PrefixLength) {
+    const arrayBytMaskOctet = new Uint8Array(16);
+    const intIndexToCalc = Math.trunc(intIPv6PrefixLength / 8);
+    for (let i=0; i<=intIndexToCalc-1; ++i) {
+        arrayBytMaskOctet[i] = 255;
+    }
+    if (intIndexToCalc < 16) {
+        arrayBytMaskOctet[intIndexToCalc] = getOctetNetMaskFromOctetPrefixLength(intIPv6PrefixLength - Math.trunc(intIPv6PrefixLength / 8) * 8);
+        for (let i=intIndexToCalc+1; i<16; ++i) {
+            arrayBytMaskOctet[i] = 0;
+        }
+    }
+
+    let strNetMask = '';
+    strNetMask += ('0' + arrayBytMaskOctet[0].toString(16)).slice(-2);
+    strNetMask += ('0' + arrayBytMaskOctet[1].toString(16)).slice(-2);
+    for (let i=2; i<16;) {
+        strNetMask += ':';
+        strNetMask += ('0' + arrayBytMaskOctet[i++].toString(16)).slice(-2);
+        strNetMask += ('0' + arrayBytMaskOctet[i++].toString(16)).slice(-2);
+    }
+    return strNetMask;
+}
+
+/**
+* This function returns the start address (i.e., network address) of the
+* segment of the specified IPv4 address.
+*
+* @param {string} strIPv4Addr
+* @param {string} strIPv4NetMask
+* @return {string} Start address of the segment.
+*
+* @example
+*   strIPv4Addr   strIPv4NetMask     Return
+*   ----------------------------------------------
+*   '192.168.0.1' '255.255.255.0' -> '192.168.0.0'
+*/
+function getIPv4StartAddr(strIPv4Addr, strIPv4NetMask) {
+    return getBitwiseANDedIPv4Addr(strIPv4Addr, strIPv4NetMask);
+}
+
+/**
+* This function returns the end address (i.e., broadcast address) of the
+* segment of the specified IPv4 address.
+*
+* @param {string} strIPv4Addr
+* @param {string} strIPv4NetMask
+* @return {string} End address of the segment.
+*
+* @example
+*   strIPv4Addr   strIPv4NetMask     Return
+*   ------------------------------------------------
+*   '192.168.0.1' '255.255.255.0' -> '192.168.0.255'
+*/
+function getIPv4EndAddr(strIPv4Addr, strIPv4NetMask) {
+    return getBitwiseORedIPv4AddrWithInvertBits(strIPv4Addr, strIPv4NetMask);
+}
+
+/**
+* This function returns the start address (i.e., network address) of
+* the segment of the specified IPv6 address.
+* IPv4-compatible address and IPv4-mapped address are not supported.
+*
+* @param {string} strIPv6Addr
+* @param {string} strIPv6NetMask
+* @return {string} Start address of the segment.
+*
+* @example
+*   strIPv6Addr                               strIPv6NetMask                               Return
+*   --------------------------------------------------------------------------------------------------------------------------------
+*   '2001:0db8:0001:0002:0003:0004:0005:0006' 'ffff:ffff:ffff:0000:0000:0000:0000:0000' -> '2001:0db8:0001:0000:0000:0000:0000:0000'
+*/
+function getIPv6StartAddr(strIPv6Addr, strIPv6NetMask) {
+    const arrayStrIPv6Hextet = strIPv6Addr.split(':');
+    const arrayIntIPv6Hextet = new Uint16Array([
+        parseInt(arrayStrIPv6Hextet[0], 16), parseInt(arrayStrIPv6Hextet[1], 16), parseInt(arrayStrIPv6Hextet[2], 16), parseInt(arrayStrIPv6Hextet[3], 16),
+        parseInt(arrayStrIPv6Hextet[4], 16), parseInt(arrayStrIPv6Hextet[5], 16), parseInt(arrayStrIPv6Hextet[6], 16), parseInt(arrayStrIPv6Hextet[7], 16)]);
+    const arrayStrMaskHextet = strIPv6NetMask.split(':');
+    const arrayIntMaskHextet = new Uint16Array([
+        parseInt(arrayStrMaskHextet[0], 16), parseInt(arrayStrMaskHextet[1], 16), parseInt(arrayStrMaskHextet[2], 16), parseInt(arrayStrMaskHextet[3], 16),
+        parseInt(arrayStrMaskHextet[4], 16), parseInt(arrayStrMaskHextet[5], 16), parseInt(arrayStrMaskHextet[6], 16), parseInt(arrayStrMaskHextet[7], 16)]);
+
+    let intHextet = arrayIntIPv6Hextet[0] & arrayIntMaskHextet[0];
+    let strIPv6NetAddr = ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
+    for (let i=1; i<8; ++i) {
+        intHextet = arrayIntIPv6Hextet[i] & arrayIntMaskHextet[i];
+        strIPv6NetAddr += ':' + ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
+    }
+    return strIPv6NetAddr;
+}
+
+/**
+* This function returns the end address of the segment of the specified IPv6
+* address.
+* IPv4-compatible address and IPv4-mapped address are not supported.
+*
+* @param {string} strIPv6Addr
+* @param {string} strIPv6NetMask
+* @return {string} End address of the segment.
+*
+* @example
+*   strIPv6Addr                               strIPv6NetMask                               Return
+*   --------------------------------------------------------------------------------------------------------------------------------
+*   '2001:0db8:0001:0002:0003:0004:0005:0006' 'ffff:ffff:ffff:0000:0000:0000:0000:0000' -> '2001:0db8:0001:ffff:ffff:ffff:ffff:ffff'
+*/
+function getIPv6EndAddr(strIPv6Addr, strIPv6NetMask) {
+    const arrayStrIPv6Hextet = strIPv6Addr.split(':');
+    const arrayIntIPv6Hextet = new Uint16Array([
+        parseInt(arrayStrIPv6Hextet[0], 16), parseInt(arrayStrIPv6Hextet[1], 16), parseInt(arrayStrIPv6Hextet[2], 16), parseInt(arrayStrIPv6Hextet[3], 16),
+        parseInt(arrayStrIPv6Hextet[4], 16), parseInt(arrayStrIPv6Hextet[5], 16), parseInt(arrayStrIPv6Hextet[6], 16), parseInt(arrayStrIPv6Hextet[7], 16)]);
+    const arrayStrMaskHextet = strIPv6NetMask.split(':');
+    const arrayIntMaskHextet = new Uint16Array([
+        parseInt(arrayStrMaskHextet[0], 16), parseInt(arrayStrMaskHextet[1], 16), parseInt(arrayStrMaskHextet[2], 16), parseInt(arrayStrMaskHextet[3], 16),
+        parseInt(arrayStrMaskHextet[4], 16), parseInt(arrayStrMaskHextet[5], 16), parseInt(arrayStrMaskHextet[6], 16), parseInt(arrayStrMaskHextet[7], 16)]);
+
+    let intHextet = arrayIntIPv6Hextet[0] | (arrayIntMaskHextet[0] ^ 0xFFFF);
+    let strIPv6LastAddr = ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
+    for (let i=1; i<8; ++i) {
+        intHextet = arrayIntIPv6Hextet[i] | (arrayIntMaskHextet[i] ^ 0xFFFF);
+        strIPv6LastAddr += ':' + ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
+    }
+    return strIPv6LastAddr;
+}
+
+/**
+* This function converts IPv4 address string to the array of hextet string and
+* returns its array.
+*
+* @param {string} strOctetsIncludePeriod
+* @return {(Array|undefined)} Array of hextet string of a IPv4 address string.
+*
+* @example
+*   strOctetsIncludePeriod    Return
+*   -----------------------------------------
+*   '192.168.0.1'          -> ['c0a8','0001']
+*   '192.256.0.1'          -> []
+*   '192.168.a.1'          -> []
+*   'UNKNOWN'              -> undefined
+*/
+function getHextetStrArrayFromOctetStr(strOctetsIncludePeriod) {
+    const arrayStrFullHextet = [];
+    const arrayStrOctet = strOctetsIncludePeriod.split('.');
+    const arrayIntOctet = new Uint8Array(arrayStrOctet.length);
+    for (let i=0; i<arrayStrOctet.length; ++i) {
+        if (arrayStrOctet[i].length > 3) {
+            return undefined;
+        }
+        const c1 = arrayStrOctet[i].charAt(0);
+        const c2 = arrayStrOctet[i].charAt(1);
+        const c3 = arrayStrOctet[i].charAt(2);
+        const intOctet = parseInt(arrayStrOctet[i]);
+        if ((c1 === '' || (c1 >= '0' && c1 <= '9')) &&
+            (c2 === '' || (c2 >= '0' && c2 <= '9')) &&
+            (c3 === '' || (c3 >= '0' && c3 <= '9')) &&
+            (intOctet <= 255)) {
+            arrayIntOctet[i] = intOctet;
+        } else {
+            return arrayStrFullHextet;
+        }
+    }
+    for (let i=0; i<(arrayIntOctet.length-1); i+=2) {
+        arrayStrFullHextet[i/2] = ('0' + arrayIntOctet[i].toString(16)).slice(-2) + ('0' + arrayIntOctet[i+1].toString(16)).slice(-2);
+    }
+    return arrayStrFullHextet;
+}
+
+/**
+* This function converts a part of IPv6 address string to the array of hextet
+* string and returns its array. The parameter can be less than eight hextets.
+*
+* @param {string} strHextetsIncludeColon
+* @return {(Array|undefined)} Array of hextet string of a part of IPv6 address.
+*
+* @example
+*   strHextetsIncludeColon                       Return
+*   ------------------------------------------------------------------------------------------------------
+*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09' -> ['2001','0db8','1234','5678','90ab','cdef','fedc','ba09']
+*   '2001:db8::1'                             -> ['2001','0db8','0000','0000','0000','0000','0000','0001']
+*   '2001:db8::gggg'                          -> []
+*   '2001:db8::fffff:1'                       -> undefined
+*   'UNKNOWN'                                 -> undefined
+*/
+function getHextetStrArray(strHextetsIncludeColon) {
+    const arrayStrFull = [];
+    const arrayStrHextet = strHextetsIncludeColon.split(':');
+    const arrayIntHextet = new Uint16Array(arrayStrHextet.length);
+    for (let i=0; i<arrayStrHextet.length; ++i) {
+        if (arrayStrHextet[i].length > 4) {
+            return undefined;
+        }
+        const c1 = arrayStrHextet[i].charAt(0);
+        const c2 = arrayStrHextet[i].charAt(1);
+        const c3 = arrayStrHextet[i].charAt(2);
+        const c4 = arrayStrHextet[i].charAt(3);
+        const intHextet = parseInt(arrayStrHextet[i], 16);
+        if ((c1 === '' || (c1 >= '0' && c1 <= '9') || (c1 >= 'a' && c1 <= 'f') || (c1 >= 'A' && c1 <= 'F')) &&
+            (c2 === '' || (c2 >= '0' && c2 <= '9') || (c2 >= 'a' && c2 <= 'f') || (c2 >= 'A' && c2 <= 'F')) &&
+            (c3 === '' || (c3 >= '0' && c3 <= '9') || (c3 >= 'a' && c3 <= 'f') || (c3 >= 'A' && c3 <= 'F')) &&
+            (c4 === '' || (c4 >= '0' && c4 <= '9') || (c4 >= 'a' && c4 <= 'f') || (c4 >= 'A' && c4 <= 'F')) &&
+            (intHextet <= 65535)) {
+            arrayIntHextet[i] = intHextet;
+        } else {
+            return arrayStrFull;
+        }
+    }
+    for (let i=0; i<arrayStrHextet.length; ++i) {
+        arrayStrFull[i] = ('0' + (arrayIntHextet[i] >> 8).toString(16)).slice(-2) + ('0' + (arrayIntHextet[i] & 0xFF).toString(16)).slice(-2);
+    }
+    return arrayStrFull;
+}
+
+/**
+* This function converts IPv6 address string to the array of hextet string and
+* returns its array.
+*
+* @param {string} strIPv6Addr
+* @return {Array} Array of hextet string of an IPv6 address.
+*
+* @example
+*   strIPv6Addr                                    Return
+*   --------------------------------------------------------------------------------------------------------
+*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09'   -> ['2001','0db8','1234','5678','90ab','cdef','fedc','ba09']
+*   '0000:0000:0000:0000:0000:0000:192.168.0.1' -> ['0000','0000','0000','0000','0000','0000','c0a8','0001']
+*   '0000:0000:0000:0000:0000:ffff:192.168.0.1' -> ['0000','0000','0000','0000','0000','ffff','c0a8','0001']
+*   '2001:db8::1'                               -> ['2001','0db8','0000','0000','0000','0000','0000','0001']
+*   '::192.168.0.1'                             -> ['0000','0000','0000','0000','0000','0000','c0a8','0001']
+*   '::ffff:192.168.0.1'                        -> ['0000','0000','0000','0000','0000','ffff','c0a8','0001']
+*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1' -> []
+*   '::eeee:192.168.0.1'                        -> []
+*   '2001:db8::fffff:1'                         -> []
+*   'UNKNOWN'                                   -> []
+*/
+function getIPv6HextetStrArray(strIPv6Addr) {
+    const arrayStrHextet = [];
+    const intIndexOfDblColon = strIPv6Addr.indexOf('::');
+
+    let arrayStrFrontHextet = [];
+    let strRear = '';
+    if (intIndexOfDblColon == -1) { // Not compressed format.
+        arrayStrFrontHextet.length = 0;
+        strRear = strIPv6Addr;
+    } else { // Compressed format.
+        arrayStrFrontHextet = getHextetStrArray(strIPv6Addr.substring(0, intIndexOfDblColon));
+        if (arrayStrFrontHextet == undefined) {
+            return arrayStrHextet;
+        }
+        strRear = strIPv6Addr.substring(intIndexOfDblColon+2);
+    }
+
+    let arrayStrRearHextet = [];
+    const intIndexOfPeriod = strRear.indexOf('.');
+    if (intIndexOfPeriod == -1) { // IPv6 standard address.
+        arrayStrRearHextet = getHextetStrArray(strRear);
+        if (arrayStrRearHextet == undefined) {
+            return arrayStrHextet;
+        }
+    } else { // IPv4-compatible address or IPv4-mapped address.
+        const intEndOfHextet = strRear.lastIndexOf(':');
+        if (intEndOfHextet == -1) {
+            arrayStrRearHextet = getHextetStrArrayFromOctetStr(strRear);
+            if (arrayStrRearHextet == undefined) {
+                return arrayStrHextet;
+            }
+        } else {
+            const arrayStrEndOfHextet = getHextetStrArray(strRear.substring(0, intEndOfHextet));
+            if (arrayStrEndOfHextet == undefined) {
+                return arrayStrHextet;
+            }
+            const arrayStrHextetOfIPv4 = getHextetStrArrayFromOctetStr(strRear.substring(intEndOfHextet+1));
+            if (arrayStrHextetOfIPv4 == undefined) {
+                return arrayStrHextet;
+            }
+            arrayStrRearHextet.push(...arrayStrEndOfHextet);
+            arrayStrRearHextet.push(...arrayStrHextetOfIPv4);
+        }
+    }
+
+    if ((intIndexOfDblColon == -1 && arrayStrRearHextet.length == 8) || (intIndexOfDblColon != -1 && (arrayStrFrontHextet.length + arrayStrRearHextet.length) <= 7)) {
+        let index = 0;
+        for (let i=0; i<arrayStrFrontHextet.length; ++i) {
+            arrayStrHextet[index++] = arrayStrFrontHextet[i];
+        }
+        for (let i=0; i<(8-arrayStrFrontHextet.length-arrayStrRearHextet.length); ++i) {
+            arrayStrHextet[index++] = '0000';
+        }
+        for (let i=0; i<arrayStrRearHextet.length; ++i) {
+            arrayStrHextet[index++] = arrayStrRearHextet[i];
+        }
+        if (intIndexOfPeriod != -1) {
+            if (parseInt(arrayStrHextet[0], 16) !== 0 ||
+                parseInt(arrayStrHextet[1], 16) !== 0 ||
+                parseInt(arrayStrHextet[2], 16) !== 0 ||
+                parseInt(arrayStrHextet[3], 16) !== 0 ||
+                parseInt(arrayStrHextet[4], 16) !== 0 ||
+                (parseInt(arrayStrHextet[5], 16) !== 0 && arrayStrHextet[5] !== 'ffff')) {
+                arrayStrHextet.length = 0;
+            }
+        }
+    }
+    return arrayStrHextet;
+}
+
+/**
+* This function adapts the IPv6 address without prefix length to the full
+* represented and returns the adapted address. It is '' if the argument is not
+* IPv6 address.
+*
+* @param {string} strIPv6Addr
+* @return {string} Full represented IPv6 address without prefix length.
+*
+* @example
+*   strIPv6Addr                                    Return
+*   ----------------------------------------------------------------------------------------
+*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09'   -> '2001:0db8:1234:5678:90ab:cdef:fedc:ba09'
+*   '0000:0000:0000:0000:0000:0000:192.168.0.1' -> '0000:0000:0000:0000:0000:0000:c0a8:0001'
+*   '0000:0000:0000:0000:0000:ffff:192.168.0.1' -> '0000:0000:0000:0000:0000:ffff:c0a8:0001'
+*   '2001:db8::1'                               -> '2001:0db8:0000:0000:0000:0000:0000:0001'
+*   '::192.168.0.1'                             -> '0000:0000:0000:0000:0000:0000:c0a8:0001'
+*   '::ffff:192.168.0.1'                        -> '0000:0000:0000:0000:0000:ffff:c0a8:0001'
+*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1' -> ''
+*   '::eeee:192.168.0.1'                        -> ''
+*   '2001:db8::fffff:1'                         -> ''
+*   'UNKNOWN'                                   -> ''
+*/
+function getIPv6FullRepresentedAddr(strIPv6Addr) {
+    let strNormalizedIPv6Addr = '';
+    const array = getIPv6HextetStrArray(strIPv6Addr);
+    if (array[0]) {
+        strNormalizedIPv6Addr = array[0];
+        for (let i=1; i<array.length; ++i) {
+            strNormalizedIPv6Addr += ':' + array[i];
+        }
+    }
+    return strNormalizedIPv6Addr;
+}
+
+/**
+* This function adapts the IPv6 address with prefix length to the full
+* represented and returns the adapted address. It is '' if the argument is not
+* IPv6 address.
+*
+* @param {string} strIPv6AddrWithPrefixLength
+* @return {string} Full represented IPv6 address with prefix length.
+*
+* @example
+*   strIPv6Addr                                       Return
+*   -----------------------------------------------------------------------------------------------
+*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09/128'  -> '2001:0db8:1234:5678:90ab:cdef:fedc:ba09/128'
+*   '0000:0000:0000:0000:0000:0000:192.168.0.1/96' -> '0000:0000:0000:0000:0000:0000:c0a8:0001/96'
+*   '0000:0000:0000:0000:0000:ffff:192.168.0.1/96' -> '0000:0000:0000:0000:0000:ffff:c0a8:0001/96'
+*   '2001:db8::1/128'                              -> '2001:0db8:0000:0000:0000:0000:0000:0001/128'
+*   '::192.168.0.1/96'                             -> '0000:0000:0000:0000:0000:0000:c0a8:0001/96'
+*   '::ffff:192.168.0.1/96'                        -> '0000:0000:0000:0000:0000:ffff:c0a8:0001/96'
+*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1/96' -> ''
+*   '::eeee:192.168.0.1/128'                       -> ''
+*   '2001:db8::fffff:1/128'                        -> ''
+*   'UNKNOWN'                                      -> ''
+*/
+function getIPv6FullRepresentedAddrWithPrefixLength(strIPv6AddrWithPrefixLength) {
+    const arrayStrIPv6 = strIPv6AddrWithPrefixLength.split('/');
+    const strNormalizedIPv6Addr = getIPv6FullRepresentedAddr(arrayStrIPv6[0]);
+    if (strNormalizedIPv6Addr === '') {
+        return '';
+    }
+    return (strNormalizedIPv6Addr + '/' + arrayStrIPv6[1]);
+}
+
+/**
+* This function adapts the IPv6 address without prefix length to the compressed
+* represented and returns the adapted address. It is '' if the argument is not
+* IPv6 address. The compressed representation follows RFC 5952: the leading
+* zeros are omitted, the longest run of two or more zero hextets is replaced
+* with '::' (the first one if tied), and the letters are lower case.
+*
+* @param {string} strIPv6Addr
+* @return {string} Compressed represented IPv6 address without prefix length.
+*
+* @example
+*   strIPv6Addr                                    Return
+*   ---------------------------------------------------------------------------------------
+*   '0000:0000:0000:0000:0000:0000:0000:0000'   -> '::'
+*   '0000:0000:0000:0000:0000:0000:0000:0001'   -> '::1'
+*   '2001:0db8:0000:0000:0000:0000:0000:0001'   -> '2001:db8::1'
+*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09'   -> '2001:db8:1234:5678:90ab:cdef:fedc:ba09'
+*   '0000:0000:0000:0000:0000:0000:192.168.0.1' -> '::192.168.0.1'
+*   '0000:0000:0000:0000:0000:ffff:192.168.0.1' -> '::ffff:192.168.0.1'
+*   '2001:db8::1'                               -> '2001:db8::1'
+*   '2001:0db8:0000:0001:0000:0000:0000:0001'   -> '2001:db8:0:1::1'
+*   '2001:0010:0000:0000:0001:0000:0000:0000'   -> '2001:10:0:0:1::'
+*   'fe80:0000:0000:0000:0000:0000:0000:0000'   -> 'fe80::'
+*   '::192.168.0.1'                             -> '::192.168.0.1'
+*   '::ffff:192.168.0.1'                        -> '::ffff:192.168.0.1'
+*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1' -> ''
+*   '::eeee:192.168.0.1'                        -> ''
+*   '2001:db8::fffff:1'                         -> ''
+*   'UNKNOWN'                                   -> ''
+*/
+function getIPv6CompressedAddr(strIPv6Addr) {
+    let strCompressedIPv6Addr = '';
+    const array = getIPv6HextetStrArray(strIPv6Addr);
+    if (array[0]) {
+        for (let i=0; i<array.length; ++i) {
+            array[i] = array[i].replace(/^0{1,3}/, '').toLowerCase();
+        }
+
+        // Recover IPv4-compatible address and IPv4-mapped address.
+        const arrayIPv4 = strIPv6Addr.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+        const intHextetCount = arrayIPv4 && arrayIPv4[1] ? 6 : 8;
+        const arrayField = array.slice(0, intHextetCount);
+        if (intHextetCount == 6) {
+            arrayField.push(arrayIPv4[1]);
+        }
+
+        // Find the longest run of zero hextets.
+        let intZeroStart = -1;
+        let intZeroLength = 1;
+        for (let i=0; i<intHextetCount; ++i) {
+            let j = i;
+            while (j < intHextetCount && arrayField[j] === '0') {
+                ++j;
+            }
+            if (j - i > intZeroLength) {
+                intZeroStart = i;
+                intZeroLength = j - i;
+            }
+            i = Math.max(i, j);
+        }
+
+        // Compress.
+        if (intZeroStart == -1) {
+            strCompressedIPv6Addr = arrayField.join(':');
+        } else {
+            strCompressedIPv6Addr = arrayField.slice(0, intZeroStart).join(':') + '::' + arrayField.slice(intZeroStart + intZeroLength).join(':');
+        }
     }
-    return intProtocolTypeBit;
+    return strCompressedIPv6Addr;
 }
 
 /**
-* This function returns the protocol type bit of the array of service port
-* condition strings.
+* This function adapts the IPv6 address with prefix length to the compressed
+* represented and returns the adapted address. It is '' if the argument is not
+* IPv6 address.
 *
-* @param {Array} arrayServicePortCondition
-* @return {number} Protocol type bit.
+* @param {string} strIPv6AddrWithPrefixLength
+* @return {string} Compressed represented IPv6 address with prefix length.
 *
 * @example
-*   arrayServicePortCondition                                                Return
-*   ---------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*   ['ip;-','89;-'                                                      ] -> PROTOCOL_TYPE_BIT_IP
-*   ['ip;-','1/any/any;-'                                               ] -> PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6
-*   ['ip;-','1/any/any;-','6/eq/any/eq/80;192.168.0.1-192.168.0.100'    ] -> PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP
-*   ['ip;-','1/any/any;-','6/eq/any/eq/80;all','UNKNOWN;UNKNOWN'        ] -> PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED
+*   strIPv6Addr                                        Return
+*   -----------------------------------------------------------------------------------------------
+*   '0000:0000:0000:0000:0000:0000:0000:0000/0'     -> '::/0'
+*   '0000:0000:0000:0000:0000:0000:0000:0001/128'   -> '::1/128'
+*   '2001:0db8:0000:0000:0000:0000:0000:0001/128'   -> '2001:db8::1/128'
+*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09/128'   -> '2001:db8:1234:5678:90ab:cdef:fedc:ba09/128'
+*   '0000:0000:0000:0000:0000:0000:192.168.0.1/128' -> '::192.168.0.1/128'
+*   '0000:0000:0000:0000:0000:ffff:192.168.0.1/128' -> '::ffff:192.168.0.1/128'
+*   '2001:db8::1/128'                               -> '2001:0db8::1/128'
+*   '::192.168.0.1/128'                             -> '::192.168.0.1/128'
+*   '::ffff:192.168.0.1/128'                        -> '::ffff:192.168.0.1/128'
+*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1/128' -> ''
+*   '::eeee:192.168.0.1/128'                        -> ''
+*   '2001:db8::fffff:1/128'                         -> ''
+*   'UNKNOWN'                                       -> ''
 */
-function getProtocolTypeBitsOfArray(arrayServicePortCondition) {
-    let intProtocolTypeBits = PROTOCOL_TYPE_BIT_NONE;
-    for (let i=0; i<arrayServicePortCondition.length; ++i) {
-        let array = arrayServicePortCondition[i].split(';');
-        array = array[0].split('/');
-        intProtocolTypeBits |= getProtocolTypeBit(array[0]);
+function getIPv6CompressedAddrWithPrefixLength(strIPv6AddrWithPrefixLength) {
+    const arrayStrIPv6 = strIPv6AddrWithPrefixLength.split('/');
+    const strCompressedIPv6Addr = getIPv6CompressedAddr(arrayStrIPv6[0]);
+    if (strCompressedIPv6Addr === '') {
+        return '';
     }
-    return intProtocolTypeBits;
+    return (strCompressedIPv6Addr + '/' + arrayStrIPv6[1]);
 }
 
-/*
-* ============================================================================
-* IP address functions
-* ============================================================================
-*/
-
 /**
-* This function converts IPv4 netmask string to IPv4 prefix length.
+* This function returns the address that bitwise ANDed of both addresses.
 *
-* @param {string} strIPv4NetMask
-* @return {number} IPv4 prefix length.
+* @param {string} strIPv4AddrA
+* @param {string} strIPv4AddrB
+* @return {string} Address that bitwise ANDed of both addresses.
 *
 * @example
-*   strIPv4NetMask     Return
-*   -------------------------
-*   '255.255.255.0' -> 24
+*   strIPv4Addr1   strIPv4Addr2       Return
+*   ------------------------------------------------
+*   '192.168.17.1' '255.255.240.0' -> '192.168.16.0'
+*   '192.168.17.1' '0.0.15.255'    -> '0.0.1.1'
 */
-function getPrefixLengthFromIPv4NetMask(strIPv4NetMask) {
-    const arrayStrMaskOctet = strIPv4NetMask.split('.');
-    const arrayBytMaskOctet = new Uint8Array([parseInt(arrayStrMaskOctet[0]), parseInt(arrayStrMaskOctet[1]), parseInt(arrayStrMaskOctet[2]), parseInt(arrayStrMaskOctet[3])]);
-
-    let intPrefixLength = 0;
-    for (let i=0; i<=3; ++i) {
-        let bytMask = arrayBytMaskOctet[i];
-        for (let j=7; j>=0; --j) {
-            if (bytMask >= Math.pow(2, j)) {
-                ++intPrefixLength;
-                bytMask -= Math.pow(2, j);
-            } else if (bytMask == 0) {
-                break;
-            }
-        }
-    }
-    return intPrefixLength;
+function getBitwiseANDedIPv4Addr(strIPv4AddrA, strIPv4AddrB) {
+    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
+    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
+    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
+    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
+    return (
+        (arrayBytIPv4AOctet[0] & arrayBytIPv4BOctet[0]).toString() + '.' +
+        (arrayBytIPv4AOctet[1] & arrayBytIPv4BOctet[1]).toString() + '.' +
+        (arrayBytIPv4AOctet[2] & arrayBytIPv4BOctet[2]).toString() + '.' +
+        (arrayBytIPv4AOctet[3] & arrayBytIPv4BOctet[3]).toString());
 }
 
 /**
-* This function converts IPv4 address string with netmask string to CIDR
-* format.
+* This function returns the address that bitwise ORed of both addresses.
 *
-* @param {string} strIPv4Addr
-* @param {string} strIPv4NetMask
-* @return {string} CIDR format IPv4 address.
+* @param {string} strIPv4AddrA
+* @param {string} strIPv4AddrB
+* @return {string} Address that bitwise ORed of both addresses.
 *
 * @example
-*   strIPv4Addr   strIPv4NetMask     Return
-*   -------------------------------------------------
-*   '192.168.0.1' '255.255.255.0' -> '192.168.0.1/24'
+*   strIPv4Addr1   strIPv4Addr2       Return
+*   --------------------------------------------------
+*   '192.168.17.1' '255.255.240.0' -> '255.255.241.1'
+*   '192.168.17.1' '0.0.15.255'    -> '192.168.31.255'
 */
-function getIPv4AddrWithPrefixLength(strIPv4Addr, strIPv4NetMask) {
-    return (strIPv4Addr + '/' + getPrefixLengthFromIPv4NetMask(strIPv4NetMask));
+function getBitwiseORedIPv4Addr(strIPv4AddrA, strIPv4AddrB) {
+    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
+    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
+    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
+    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
+    return (
+        (arrayBytIPv4AOctet[0] | arrayBytIPv4BOctet[0]).toString() + '.' +
+        (arrayBytIPv4AOctet[1] | arrayBytIPv4BOctet[1]).toString() + '.' +
+        (arrayBytIPv4AOctet[2] | arrayBytIPv4BOctet[2]).toString() + '.' +
+        (arrayBytIPv4AOctet[3] | arrayBytIPv4BOctet[3]).toString());
 }
 
 /**
-* This function converts octet's prefix length to octet's netmask.
+* This function inverts bitwise the second argument address and returns the
+* address that bitwise ANDed the first argument address.
 *
-* @param {number} intOctetPrefixLength
-* @return {number} Octet's netmask.
+* @param {string} strIPv4AddrA
+* @param {string} strIPv4AddrB
+* @return {string}
+*   Address that bitwise ANDed the address A with the address B inverted bits.
 *
 * @example
-*   intOctetPrefixLength    Return
-*   ------------------------------
-*   0                    ->   0
-*   1                    -> 128
-*   2                    -> 192
-*   3                    -> 224
-*   4                    -> 240
-*   5                    -> 248
-*   6                    -> 252
-*   7                    -> 254
-*   8                    -> 255
+*   strIPv4Addr1   strIPv4Addr2       Return
+*   ------------------------------------------------
+*   '192.168.17.1' '255.255.240.0' -> '0.0.1.1'
+*   '192.168.17.1' '0.0.15.255'    -> '192.168.16.0'
 */
-function getOctetNetMaskFromOctetPrefixLength(intOctetPrefixLength) {
-    return (256 - Math.pow(2, 8 - intOctetPrefixLength));
+function getBitwiseANDedIPv4AddrWithInvertBits(strIPv4AddrA, strIPv4AddrB) {
+    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
+    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
+    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
+    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
+    return (
+        (arrayBytIPv4AOctet[0] & (arrayBytIPv4BOctet[0] ^ 0xFF)).toString() + '.' +
+        (arrayBytIPv4AOctet[1] & (arrayBytIPv4BOctet[1] ^ 0xFF)).toString() + '.' +
+        (arrayBytIPv4AOctet[2] & (arrayBytIPv4BOctet[2] ^ 0xFF)).toString() + '.' +
+        (arrayBytIPv4AOctet[3] & (arrayBytIPv4BOctet[3] ^ 0xFF)).toString());
 }
 
 /**
-* This function converts IPv4 prefix length to IPv4 netmask string.
+* This function inverts bitwise the second argument address and returns the
+* address that bitwise ORed the first argument address.
 *
-* @param {number} intIPv4PrefixLength
-* @return {string} IPv4 netmask string.
+* @param {string} strIPv4AddrA
+* @param {string} strIPv4AddrB
+* @return {string}
+*   Address that bitwise ORed the address A with the address B inverted bits.
 *
 * @example
-*   intIPv4PrefixLength    Return
-*   ----------------------------------------
-*    0                  -> '0.0.0.0'
-*    8                  -> '255.0.0.0'
-*   16                  -> '255.255.0.0'
-*   20                  -> '255.255.240.0'
-*   24                  -> '255.255.255.0'
-*   28                  -> '255.255.255.240'
-*   30                  -> '255.255.255.252'
-*   32                  -> '255.255.255.255'
+*   strIPv4Addr1   strIPv4Addr2       Return
+*   --------------------------------------------------
+*   '192.168.17.1' '255.255.240.0' -> '192.168.31.255'
+*   '192.168.17.1' '0.0.15.255'    -> '255.255.241.1'
 */
-function getIPv4NetMaskFromPrefixLength(intIPv4PrefixLength) {
-    const arrayBytMaskOctet = new Uint8Array(4);
-
-    if (intIPv4PrefixLength < 8) {
-        arrayBytMaskOctet[0] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength);
-        arrayBytMaskOctet[1] = 0;
-        arrayBytMaskOctet[2] = 0;
-        arrayBytMaskOctet[3] = 0;
-    } else if (intIPv4PrefixLength < 16) {
-        arrayBytMaskOctet[0] = 255;
-        arrayBytMaskOctet[1] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength - 8);
-        arrayBytMaskOctet[2] = 0;
-        arrayBytMaskOctet[3] = 0;
-    } else if (intIPv4PrefixLength < 24) {
-        arrayBytMaskOctet[0] = 255;
-        arrayBytMaskOctet[1] = 255;
-        arrayBytMaskOctet[2] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength - 16);
-        arrayBytMaskOctet[3] = 0;
-    } else {
-        arrayBytMaskOctet[0] = 255;
-        arrayBytMaskOctet[1] = 255;
-        arrayBytMaskOctet[2] = 255;
-        arrayBytMaskOctet[3] = getOctetNetMaskFromOctetPrefixLength(intIPv4PrefixLength - 24);
-    }
-    return (arrayBytMaskOctet[0].toString() + '.' + arrayBytMaskOctet[1].toString() + '.' + arrayBytMaskOctet[2].toString() + '.' + arrayBytMaskOctet[3].toString());
+function getBitwiseORedIPv4AddrWithInvertBits(strIPv4AddrA, strIPv4AddrB) {
+    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
+    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
+    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
+    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
+    return (
+        (arrayBytIPv4AOctet[0] | (arrayBytIPv4BOctet[0] ^ 0xFF)).toString() + '.' +
+        (arrayBytIPv4AOctet[1] | (arrayBytIPv4BOctet[1] ^ 0xFF)).toString() + '.' +
+        (arrayBytIPv4AOctet[2] | (arrayBytIPv4BOctet[2] ^ 0xFF)).toString() + '.' +
+        (arrayBytIPv4AOctet[3] | (arrayBytIPv4BOctet[3] ^ 0xFF)).toString());
 }
 
 /**
-* This function converts IPv6 prefix length to IPv6 netmask string.
-*
-* @param {number} intIPv6PrefixLength
-* @return {string} IPv6 netmask string.
+* This function converts the IPv4 address string to the IPv4 address integer.
 *
-* @example
-*   intIPv6PrefixLength    Return
-*   ----------------------------------------------------------------
-*     0                 -> '0000:0000:0000:0000:0000:0000:0000:0000'
-*    16                 -> 'ffff:0000:0000:0000:0000:0000:0000:0000'
-*    32                 -> 'ffff:ffff:0000:0000:0000:0000:0000:0000'
-*    64                 -> 'ffff:ffff:ffff:ffff:0000:0000:0000:0000'
-*    96                 -> 'ffff:ffff:ffff:ffff:ffff:ffff:0000:0000'
-*   128                 -> 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'
-*/
-function getIPv6NetMaskFromPrefixLength(intIPv6PrefixLength) {
-    const arrayBytMaskOctet = new Uint8Array(16);
-    const intIndexToCalc = Math.trunc(intIPv6PrefixLength / 8);
-    for (let i=0; i<=intIndexToCalc-1; ++i) {
-        arrayBytMaskOctet[i] = 255;
-    }
-    if (intIndexToCalc < 16) {
-        arrayBytMaskOctet[intIndexToCalc] = getOctetNetMaskFromOctetPrefixLength(intIPv6PrefixLength - Math.trunc(intIPv6PrefixLength / 8) * 8);
-        for (let i=intIndexToCalc+1; i<16; ++i) {
-            arrayBytMaskOctet[i] = 0;
-        }
-    }
+* @param {string} strIPv4Addr - IPv4 address string.
+* @return {number} IPv4 address integer.
+*
+*/
+function toIPv4AddrInteger(strIPv4Addr) {
+    const arrayIPv4Octet = strIPv4Addr.split('.');
+    return (parseInt(arrayIPv4Octet[0]) * 16777216 + parseInt(arrayIPv4Octet[1]) * 65536 + parseInt(arrayIPv4Octet[2]) * 256 + parseInt(arrayIPv4Octet[3]));
+}
 
-    let strNetMask = '';
-    strNetMask += ('0' + arrayBytMaskOctet[0].toString(16)).slice(-2);
-    strNetMask += ('0' + arrayBytMaskOctet[1].toString(16)).slice(-2);
-    for (let i=2; i<16;) {
-        strNetMask += ':';
-        strNetMask += ('0' + arrayBytMaskOctet[i++].toString(16)).slice(-2);
-        strNetMask += ('0' + arrayBytMaskOctet[i++].toString(16)).slice(-2);
-    }
-    return strNetMask;
+/**
+* This function converts the IPv4 address integer to the IPv4 address string.
+*
+* @param {number} intIPv4AddrInteger - IPv4 address integer.
+* @return {string} IPv4 address string.
+*
+*/
+function toIPv4AddrString(intIPv4AddrInteger) {
+    return [(intIPv4AddrInteger >>> 24) & 0xFF, (intIPv4AddrInteger >>> 16) & 0xFF, (intIPv4AddrInteger >>> 8) & 0xFF, intIPv4AddrInteger & 0xFF].join('.');
 }
 
 /**
-* This function returns the start address (i.e., network address) of the
-* segment of the specified IPv4 address.
+* This function returns the number of hosts in the specified IPv4 range.
 *
-* @param {string} strIPv4Addr
-* @param {string} strIPv4NetMask
-* @return {string} Start address of the segment.
+* @param {string} strIPv4Range
+* @return {number} Number of hosts.
 *
 * @example
-*   strIPv4Addr   strIPv4NetMask     Return
-*   ----------------------------------------------
-*   '192.168.0.1' '255.255.255.0' -> '192.168.0.0'
+*   strIPv4Range                     Return
+*   ---------------------------------------
+*   '0.0.0.0-0.0.255.255'         -> 65536
+*   '192.168.0.1-192.168.0.1'     -> 1
+*   '192.168.0.1-192.168.0.100'   -> 100
+*   '192.168.0.1-192.168.100.100' -> 25700
+*   '192.168.0.255-192.168.101.0' -> 25602
 */
-function getIPv4StartAddr(strIPv4Addr, strIPv4NetMask) {
-    return getBitwiseANDedIPv4Addr(strIPv4Addr, strIPv4NetMask);
+function getIPv4HostsNumberFromRange(strIPv4Range) { // eslint-disable-line no-unused-vars
+    const arrayStrIPv4 = strIPv4Range.split('-');
+    return (toIPv4AddrInteger(arrayStrIPv4[1]) - toIPv4AddrInteger(arrayStrIPv4[0]) + 1);
 }
 
 /**
-* This function returns the end address (i.e., broadcast address) of the
-* segment of the specified IPv4 address.
+* This function returns the subnets strings array of the specified IPv4 or
+* IPv6 address range. The subnets are represented in CIDR format, and they are
+* the fewest subnets that cover the range.
 *
-* @param {string} strIPv4Addr
-* @param {string} strIPv4NetMask
-* @return {string} End address of the segment.
+* @param {string} strRange -
+*   IPv4 range or IPv6 range of the full represented addresses.
+* @return {Array} Array of subnets strings.
 *
 * @example
-*   strIPv4Addr   strIPv4NetMask     Return
-*   ------------------------------------------------
-*   '192.168.0.1' '255.255.255.0' -> '192.168.0.255'
+*   strRange                                                                                 Return
+*   ----------------------------------------------------------------------------------------------------------------------------------------
+*   '192.168.0.1-192.168.0.1'                                                             -> ['192.168.0.1/32']
+*   '192.168.0.1-192.168.0.100'                                                           -> ['192.168.0.1/32',
+*                                                                                             '192.168.0.2/31',
+*                                                                                             '192.168.0.4/30',
+*                                                                                             '192.168.0.8/29',
+*                                                                                             '192.168.0.16/28',
+*                                                                                             '192.168.0.32/27',
+*                                                                                             '192.168.0.64/27',
+*                                                                                             '192.168.0.96/30',
+*                                                                                             '192.168.0.100/32']
+*   '0.0.0.0-255.255.255.255'                                                             -> ['0.0.0.0/0']
+*   '2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0001'     -> ['2001:0db8:0000:0000:0000:0000:0000:0001/128']
+*   '2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0006'     -> ['2001:0db8:0000:0000:0000:0000:0000:0001/128',
+*                                                                                             '2001:0db8:0000:0000:0000:0000:0000:0002/127',
+*                                                                                             '2001:0db8:0000:0000:0000:0000:0000:0004/127',
+*                                                                                             '2001:0db8:0000:0000:0000:0000:0000:0006/128']
+*   '0000:0000:0000:0000:0000:0000:0000:0000-ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'     -> ['0000:0000:0000:0000:0000:0000:0000:0000/0']
 */
-function getIPv4EndAddr(strIPv4Addr, strIPv4NetMask) {
-    return getBitwiseORedIPv4AddrWithInvertBits(strIPv4Addr, strIPv4NetMask);
+function getSubnetFromRange(strRange) {
+    const objInterval = getAddressInterval(strRange);
+    const arraySubnet = [];
+    if (objInterval) {
+        const biMaxSize = BigInt(1) << BigInt(objInterval.family == 6 ? 128 : 32);
+        let biStart = objInterval.start;
+        while (biStart <= objInterval.end) {
+            // The largest block that starts at biStart and ends within the range.
+            let biSize = BigInt(1);
+            while (biSize < biMaxSize && biStart % (biSize * BigInt(2)) == BigInt(0) && biStart + biSize * BigInt(2) - BigInt(1) <= objInterval.end) {
+                biSize *= BigInt(2);
+            }
+            arraySubnet.push(getAddressFromInterval(objInterval.family, biStart, biStart + biSize - BigInt(1)));
+            biStart += biSize;
+        }
+    }
+    return arraySubnet;
 }
 
 /**
-* This function returns the start address (i.e., network address) of
-* the segment of the specified IPv6 address.
-* IPv4-compatible address and IPv4-mapped address are not supported.
+* This function returns the IPv4 subnets strings array of the specified
+* Fortinet-style wildcard address. The bits of the wildcard mask that are 0
+* below the lowest bit that is 1 are the host bits of the subnets, and the
+* other bits that are 0 are enumerated. It returns the empty array if the
+* number of the subnets is more than MAX_WILDCARD_SUBNET.
 *
-* @param {string} strIPv6Addr
-* @param {string} strIPv6NetMask
-* @return {string} Start address of the segment.
+* @param {string} strIPv4AddrWithWildcardMask
+* @return {Array} Array of IPv4 subnets strings.
 *
 * @example
-*   strIPv6Addr                               strIPv6NetMask                               Return
-*   --------------------------------------------------------------------------------------------------------------------------------
-*   '2001:0db8:0001:0002:0003:0004:0005:0006' 'ffff:ffff:ffff:0000:0000:0000:0000:0000' -> '2001:0db8:0001:0000:0000:0000:0000:0000'
+*   strIPv4AddrWithWildcardMask      Return
+*   -----------------------------------------------------------------------------------------------
+*   '192.168.0.0/255.255.255.0'   -> ['192.168.0.0/24']
+*   '10.0.1.0/255.0.255.0'        -> ['10.0.1.0/24','10.1.1.0/24','10.2.1.0/24',...,'10.255.1.0/24']
+*   '192.168.0.1/255.255.255.253' -> ['192.168.0.1/32','192.168.0.3/32']
+*   '10.0.0.1/0.0.0.255'          -> []
 */
-function getIPv6StartAddr(strIPv6Addr, strIPv6NetMask) {
-    const arrayStrIPv6Hextet = strIPv6Addr.split(':');
-    const arrayIntIPv6Hextet = new Uint16Array([
-        parseInt(arrayStrIPv6Hextet[0], 16), parseInt(arrayStrIPv6Hextet[1], 16), parseInt(arrayStrIPv6Hextet[2], 16), parseInt(arrayStrIPv6Hextet[3], 16),
-        parseInt(arrayStrIPv6Hextet[4], 16), parseInt(arrayStrIPv6Hextet[5], 16), parseInt(arrayStrIPv6Hextet[6], 16), parseInt(arrayStrIPv6Hextet[7], 16)]);
-    const arrayStrMaskHextet = strIPv6NetMask.split(':');
-    const arrayIntMaskHextet = new Uint16Array([
-        parseInt(arrayStrMaskHextet[0], 16), parseInt(arrayStrMaskHextet[1], 16), parseInt(arrayStrMaskHextet[2], 16), parseInt(arrayStrMaskHextet[3], 16),
-        parseInt(arrayStrMaskHextet[4], 16), parseInt(arrayStrMaskHextet[5], 16), parseInt(arrayStrMaskHextet[6], 16), parseInt(arrayStrMaskHextet[7], 16)]);
+function getIPv4SubnetFromFortinetWildcardAddr(strIPv4AddrWithWildcardMask) {
+    const arrayStrIPv4Wildcard = strIPv4AddrWithWildcardMask.split('/');
+    const intMask = toIPv4AddrInteger(arrayStrIPv4Wildcard[1]);
+    const intNetworkAddr = (toIPv4AddrInteger(arrayStrIPv4Wildcard[0]) & intMask) >>> 0;
 
-    let intHextet = arrayIntIPv6Hextet[0] & arrayIntMaskHextet[0];
-    let strIPv6NetAddr = ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
-    for (let i=1; i<8; ++i) {
-        intHextet = arrayIntIPv6Hextet[i] & arrayIntMaskHextet[i];
-        strIPv6NetAddr += ':' + ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
+    let intHostBits = 0;
+    while (intHostBits < 32 && (intMask & (1 << intHostBits)) == 0) {
+        ++intHostBits;
     }
-    return strIPv6NetAddr;
+    const arrayFreeBit = [];
+    for (let i=intHostBits; i<32; ++i) {
+        if ((intMask & (1 << i)) == 0) {
+            arrayFreeBit.push(i);
+        }
+    }
+    if (2 ** arrayFreeBit.length > MAX_WILDCARD_SUBNET) {
+        return [];
+    }
+
+    const arraySubnet = [];
+    for (let n=0; n<2 ** arrayFreeBit.length; ++n) {
+        let intAddr = intNetworkAddr;
+        for (let i=0; i<arrayFreeBit.length; ++i) {
+            if (n & (1 << i)) {
+                intAddr = (intAddr | (1 << arrayFreeBit[i])) >>> 0;
+            }
+        }
+        arraySubnet.push(toIPv4AddrString(intAddr) + '/' + (32 - intHostBits));
+    }
+    return arraySubnet;
 }
 
+/*
+* ============================================================================
+* IP address compare functions
+* ============================================================================
+*/
+
 /**
-* This function returns the end address of the segment of the specified IPv6
-* address.
-* IPv4-compatible address and IPv4-mapped address are not supported.
+* This function returns true if the IPv4 address is included within the
+* network segment. Otherwise, it is false.
+* If the test address is a host address, confirm whether its address is within
+* the network segment. If the test address is a network segment, confirm
+* whether all addresses of the network segment are within the network segment.
 *
-* @param {string} strIPv6Addr
-* @param {string} strIPv6NetMask
-* @return {string} End address of the segment.
+* @param {string} strTestIPv4WithPrefixLength
+* @param {string} strIPv4SegmentNetworkAddrWithPrefixLength
+* @return {boolean}
+*   true if the IPv4 address is included within the network segment.
+*   Otherwise, it is false.
 *
 * @example
-*   strIPv6Addr                               strIPv6NetMask                               Return
-*   --------------------------------------------------------------------------------------------------------------------------------
-*   '2001:0db8:0001:0002:0003:0004:0005:0006' 'ffff:ffff:ffff:0000:0000:0000:0000:0000' -> '2001:0db8:0001:ffff:ffff:ffff:ffff:ffff'
+*   strTestIPv4WithPrefixLength strIPv4SegmentNetworkAddrWithPrefixLength    Return
+*   -------------------------------------------------------------------------------
+*   '192.168.0.17/24'           '192.168.0.0/24'                          -> true
+*   '192.168.0.17/24'           '192.168.1.0/24'                          -> false
+*   '192.168.0.17/24'           '192.168.0.0/28'                          -> true
+*   '192.168.0.0/24'            '192.168.0.0/28'                          -> false
+*   '192.168.0.17/28'           '192.168.0.0/24'                          -> true
+*   '192.168.0.0/28'            '192.168.0.0/24'                          -> true
 */
-function getIPv6EndAddr(strIPv6Addr, strIPv6NetMask) {
-    const arrayStrIPv6Hextet = strIPv6Addr.split(':');
-    const arrayIntIPv6Hextet = new Uint16Array([
-        parseInt(arrayStrIPv6Hextet[0], 16), parseInt(arrayStrIPv6Hextet[1], 16), parseInt(arrayStrIPv6Hextet[2], 16), parseInt(arrayStrIPv6Hextet[3], 16),
-        parseInt(arrayStrIPv6Hextet[4], 16), parseInt(arrayStrIPv6Hextet[5], 16), parseInt(arrayStrIPv6Hextet[6], 16), parseInt(arrayStrIPv6Hextet[7], 16)]);
-    const arrayStrMaskHextet = strIPv6NetMask.split(':');
-    const arrayIntMaskHextet = new Uint16Array([
-        parseInt(arrayStrMaskHextet[0], 16), parseInt(arrayStrMaskHextet[1], 16), parseInt(arrayStrMaskHextet[2], 16), parseInt(arrayStrMaskHextet[3], 16),
-        parseInt(arrayStrMaskHextet[4], 16), parseInt(arrayStrMaskHextet[5], 16), parseInt(arrayStrMaskHextet[6], 16), parseInt(arrayStrMaskHextet[7], 16)]);
+function isIPv4WithPrefixLengthIncludedInSegment(strTestIPv4WithPrefixLength, strIPv4SegmentNetworkAddrWithPrefixLength) {
+    const arrayStrTestIPv4           = strTestIPv4WithPrefixLength.split('/');
+    const arrayStrIPv4SegmentNetworkAddr = strIPv4SegmentNetworkAddrWithPrefixLength.split('/');
 
-    let intHextet = arrayIntIPv6Hextet[0] | (arrayIntMaskHextet[0] ^ 0xFFFF);
-    let strIPv6LastAddr = ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
-    for (let i=1; i<8; ++i) {
-        intHextet = arrayIntIPv6Hextet[i] | (arrayIntMaskHextet[i] ^ 0xFFFF);
-        strIPv6LastAddr += ':' + ('0' + (intHextet >> 8).toString(16)).slice(-2) + ('0' + (intHextet & 0xFF).toString(16)).slice(-2);
+    const strTestIPv4Addr = arrayStrTestIPv4[0];
+    let intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
+    let strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
+    const intIPv4SegmentPrefixLength = parseInt(arrayStrIPv4SegmentNetworkAddr[1]);
+    const strIPv4SegmentNetMask = getIPv4NetMaskFromPrefixLength(intIPv4SegmentPrefixLength);
+    const strIPv4SegmentNetworkAddr = getIPv4StartAddr(arrayStrIPv4SegmentNetworkAddr[0], strIPv4SegmentNetMask);
+
+    // If the test address is a host address, change the prefix length to 32.
+    if (strTestIPv4NetworkAddr !== strTestIPv4Addr) {
+        intTestIPv4PrefixLength = 32;
+        strTestIPv4NetworkAddr = strTestIPv4Addr;
     }
-    return strIPv6LastAddr;
+
+    //
+    if (intTestIPv4PrefixLength == intIPv4SegmentPrefixLength) {
+        if (strTestIPv4NetworkAddr === strIPv4SegmentNetworkAddr) {
+            return true;
+        }
+    } else if (intTestIPv4PrefixLength > intIPv4SegmentPrefixLength) {
+        strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, strIPv4SegmentNetMask);
+        if (strTestIPv4NetworkAddr === strIPv4SegmentNetworkAddr) {
+            return true;
+        }
+    }
+    return false;
 }
 
 /**
-* This function converts IPv4 address string to the array of hextet string and
-* returns its array.
+* This function returns true if the IPv6 address is included within the
+* network segment. Otherwise, it is false.
+* If the test address is a host address, confirm whether its address is within
+* the network segment. If the test address is a network segment, confirm
+* whether all addresses of the network segment are within the network segment.
+* Both argument addresses have to be the full represented.
 *
-* @param {string} strOctetsIncludePeriod
-* @return {(Array|undefined)} Array of hextet string of a IPv4 address string.
+* @param {string} strTestIPv6WithPrefixLength
+* @param {string} strIPv6SegmentNetworkAddrWithPrefixLength
+* @return {boolean}
+*   true if the IPv6 address is included within the network segment.
+*   Otherwise, it is false.
 *
 * @example
-*   strOctetsIncludePeriod    Return
-*   -----------------------------------------
-*   '192.168.0.1'          -> ['c0a8','0001']
-*   '192.256.0.1'          -> []
-*   '192.168.a.1'          -> []
-*   'UNKNOWN'              -> undefined
+*   strTestIPv6WithPrefixLength                  strIPv6SegmentNetworkAddrWithPrefixLength       Return
+*   ---------------------------------------------------------------------------------------------------
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/64' '2001:0db8:0001:0002:0000:0000:0000:0000/64' -> true
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/64' '2001:0db8:0001:0003:0000:0000:0000:0000/64' -> false
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/64' '2001:0db8:0001:0002:0000:0000:0000:0000/96' -> true
+*   '2001:0db8:0001:0002:0000:0000:0000:0000/64' '2001:0db8:0001:0002:0000:0000:0000:0000/96' -> false
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/96' '2001:0db8:0001:0002:0000:0000:0000:0000/64' -> true
+*   '2001:0db8:0001:0002:0000:0000:0000:0000/96' '2001:0db8:0001:0002:0000:0000:0000:0000/64' -> true
 */
-function getHextetStrArrayFromOctetStr(strOctetsIncludePeriod) {
-    const arrayStrFullHextet = [];
-    const arrayStrOctet = strOctetsIncludePeriod.split('.');
-    const arrayIntOctet = new Uint8Array(arrayStrOctet.length);
-    for (let i=0; i<arrayStrOctet.length; ++i) {
-        if (arrayStrOctet[i].length > 3) {
-            return undefined;
+function isIPv6WithPrefixLengthIncludedInSegment(strTestIPv6WithPrefixLength, strIPv6SegmentNetworkAddrWithPrefixLength) {
+    const arrayStrTestIPv6           = strTestIPv6WithPrefixLength.split('/');
+    const arrayStrIPv6SegmentNetworkAddr = strIPv6SegmentNetworkAddrWithPrefixLength.split('/');
+
+    const strTestIPv6Addr = arrayStrTestIPv6[0];
+    let intTestIPv6PrefixLength = parseInt(arrayStrTestIPv6[1]);
+    let strTestIPv6NetworkAddr = getIPv6StartAddr(strTestIPv6Addr, getIPv6NetMaskFromPrefixLength(intTestIPv6PrefixLength));
+    const intIPv6SegmentPrefixLength = parseInt(arrayStrIPv6SegmentNetworkAddr[1]);
+    const strIPv6SegmentNetMask = getIPv6NetMaskFromPrefixLength(intIPv6SegmentPrefixLength);
+    const strIPv6SegmentNetworkAddr = getIPv6StartAddr(arrayStrIPv6SegmentNetworkAddr[0], strIPv6SegmentNetMask);
+
+    // If the test address is a host address, change the prefix length to 128.
+    if (strTestIPv6NetworkAddr !== strTestIPv6Addr) {
+        intTestIPv6PrefixLength = 128;
+        strTestIPv6NetworkAddr = strTestIPv6Addr;
+    }
+
+    //
+    if (intTestIPv6PrefixLength == intIPv6SegmentPrefixLength) {
+        if (strTestIPv6NetworkAddr === strIPv6SegmentNetworkAddr) {
+            return true;
         }
-        const c1 = arrayStrOctet[i].charAt(0);
-        const c2 = arrayStrOctet[i].charAt(1);
-        const c3 = arrayStrOctet[i].charAt(2);
-        const intOctet = parseInt(arrayStrOctet[i]);
-        if ((c1 === '' || (c1 >= '0' && c1 <= '9')) &&
-            (c2 === '' || (c2 >= '0' && c2 <= '9')) &&
-            (c3 === '' || (c3 >= '0' && c3 <= '9')) &&
-            (intOctet <= 255)) {
-            arrayIntOctet[i] = intOctet;
-        } else {
-            return arrayStrFullHextet;
+    } else if (intTestIPv6PrefixLength > intIPv6SegmentPrefixLength) {
+        strTestIPv6NetworkAddr = getIPv6StartAddr(strTestIPv6Addr, strIPv6SegmentNetMask);
+        if (strTestIPv6NetworkAddr === strIPv6SegmentNetworkAddr) {
+            return true;
         }
     }
-    for (let i=0; i<(arrayIntOctet.length-1); i+=2) {
-        arrayStrFullHextet[i/2] = ('0' + arrayIntOctet[i].toString(16)).slice(-2) + ('0' + arrayIntOctet[i+1].toString(16)).slice(-2);
+    return false;
+}
+
+/**
+* This function compares two IPv4 addresses.
+*
+* @param {string} strIPv4_1
+* @param {string} strIPv4_2
+* @return {number}
+*    1: IPv4_1 > IPv4_2
+*    0: IPv4_1 = IPv4_2
+*   -1: IPv4_1 < IPv4_2
+*
+*/
+function compareIPv4(strIPv4_1, strIPv4_2) {
+    const arrayStrIPv4Octet_1 = strIPv4_1.split('.');
+    const arrayIntIPv4Octet_1 = [];
+    for (let i=0; i<4; ++i) {
+        arrayIntIPv4Octet_1[i] = parseInt(arrayStrIPv4Octet_1[i]);
+    }
+    const arrayStrIPv4Octet_2 = strIPv4_2.split('.');
+    const arrayIntIPv4Octet_2 = [];
+    for (let i=0; i<4; ++i) {
+        arrayIntIPv4Octet_2[i] = parseInt(arrayStrIPv4Octet_2[i]);
     }
-    return arrayStrFullHextet;
+
+    for (let i=0; i<4; ++i) {
+        if (arrayIntIPv4Octet_1[i] > arrayIntIPv4Octet_2[i]) {
+            return 1;
+        } else if (arrayIntIPv4Octet_1[i] < arrayIntIPv4Octet_2[i]) {
+            return -1;
+        }
+    }
+    return 0;
 }
 
 /**
-* This function converts a part of IPv6 address string to the array of hextet
-* string and returns its array. The parameter can be less than eight hextets.
+* This function compares two IPv6 addresses.
 *
-* @param {string} strHextetsIncludeColon
-* @return {(Array|undefined)} Array of hextet string of a part of IPv6 address.
+* @param {string} strIPv6_1
+* @param {string} strIPv6_2
+* @return {number}
+*    1: IPv6_1 > IPv6_2
+*    0: IPv6_1 = IPv6_2
+*   -1: IPv6_1 < IPv6_2
 *
-* @example
-*   strHextetsIncludeColon                       Return
-*   ------------------------------------------------------------------------------------------------------
-*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09' -> ['2001','0db8','1234','5678','90ab','cdef','fedc','ba09']
-*   '2001:db8::1'                             -> ['2001','0db8','0000','0000','0000','0000','0000','0001']
-*   '2001:db8::gggg'                          -> []
-*   '2001:db8::fffff:1'                       -> undefined
-*   'UNKNOWN'                                 -> undefined
 */
-function getHextetStrArray(strHextetsIncludeColon) {
-    const arrayStrFull = [];
-    const arrayStrHextet = strHextetsIncludeColon.split(':');
-    const arrayIntHextet = new Uint16Array(arrayStrHextet.length);
-    for (let i=0; i<arrayStrHextet.length; ++i) {
-        if (arrayStrHextet[i].length > 4) {
-            return undefined;
-        }
-        const c1 = arrayStrHextet[i].charAt(0);
-        const c2 = arrayStrHextet[i].charAt(1);
-        const c3 = arrayStrHextet[i].charAt(2);
-        const c4 = arrayStrHextet[i].charAt(3);
-        const intHextet = parseInt(arrayStrHextet[i], 16);
-        if ((c1 === '' || (c1 >= '0' && c1 <= '9') || (c1 >= 'a' && c1 <= 'f') || (c1 >= 'A' && c1 <= 'F')) &&
-            (c2 === '' || (c2 >= '0' && c2 <= '9') || (c2 >= 'a' && c2 <= 'f') || (c2 >= 'A' && c2 <= 'F')) &&
-            (c3 === '' || (c3 >= '0' && c3 <= '9') || (c3 >= 'a' && c3 <= 'f') || (c3 >= 'A' && c3 <= 'F')) &&
-            (c4 === '' || (c4 >= '0' && c4 <= '9') || (c4 >= 'a' && c4 <= 'f') || (c4 >= 'A' && c4 <= 'F')) &&
-            (intHextet <= 65535)) {
-            arrayIntHextet[i] = intHextet;
-        } else {
-            return arrayStrFull;
-        }
+function compareIPv6(strIPv6_1, strIPv6_2) {
+    const arrayStrIPv6_16bits_1 = strIPv6_1.split(':');
+    const arrayIntIPv6_16bits_1 = [];
+    for (let i=0; i<8; ++i) {
+        arrayIntIPv6_16bits_1[i] = parseInt(arrayStrIPv6_16bits_1[i], 16);
     }
-    for (let i=0; i<arrayStrHextet.length; ++i) {
-        arrayStrFull[i] = ('0' + (arrayIntHextet[i] >> 8).toString(16)).slice(-2) + ('0' + (arrayIntHextet[i] & 0xFF).toString(16)).slice(-2);
+    const arrayStrIPv6_16bits_2 = strIPv6_2.split(':');
+    const arrayIntIPv6_16bits_2 = [];
+    for (let i=0; i<8; ++i) {
+        arrayIntIPv6_16bits_2[i] = parseInt(arrayStrIPv6_16bits_2[i], 16);
     }
-    return arrayStrFull;
+
+    for (let i=0; i<8; ++i) {
+        if (arrayIntIPv6_16bits_1[i] > arrayIntIPv6_16bits_2[i]) {
+            return 1;
+        } else if (arrayIntIPv6_16bits_1[i] < arrayIntIPv6_16bits_2[i]) {
+            return -1;
+        }
+    }
+    return 0;
 }
 
 /**
-* This function converts IPv6 address string to the array of hextet string and
-* returns its array.
+* This function returns true if the IPv4 address is within the range.
+* Otherwise, it is false.
+* If the test address is a host address, confirm whether its address is within
+* the range. If the test address is a network segment, confirm whether all
+* addresses of the network segment are within the range.
 *
-* @param {string} strIPv6Addr
-* @return {Array} Array of hextet string of an IPv6 address.
+* @param {string} strTestIPv4WithPrefixLength
+* @param {string} strIPv4Range
+* @return {boolean}
+*   true if the IPv4 address is within the range.
+*   Otherwise, it is false.
 *
 * @example
-*   strIPv6Addr                                    Return
-*   --------------------------------------------------------------------------------------------------------
-*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09'   -> ['2001','0db8','1234','5678','90ab','cdef','fedc','ba09']
-*   '0000:0000:0000:0000:0000:0000:192.168.0.1' -> ['0000','0000','0000','0000','0000','0000','c0a8','0001']
-*   '0000:0000:0000:0000:0000:ffff:192.168.0.1' -> ['0000','0000','0000','0000','0000','ffff','c0a8','0001']
-*   '2001:db8::1'                               -> ['2001','0db8','0000','0000','0000','0000','0000','0001']
-*   '::192.168.0.1'                             -> ['0000','0000','0000','0000','0000','0000','c0a8','0001']
-*   '::ffff:192.168.0.1'                        -> ['0000','0000','0000','0000','0000','ffff','c0a8','0001']
-*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1' -> []
-*   '::eeee:192.168.0.1'                        -> []
-*   '2001:db8::fffff:1'                         -> []
-*   'UNKNOWN'                                   -> []
+*   strTestIPv4WithPrefixLength strIPv4Range                   Return
+*   -----------------------------------------------------------------
+*   '192.168.0.1/32'            '192.168.0.0-192.168.0.100' -> true
+*   '192.168.0.1/32'            '192.168.0.8-192.168.0.100' -> false
+*   '192.168.0.0/24'            '192.168.0.0-192.168.0.100' -> false
+*   '192.168.0.0/24'            '192.168.0.0-192.168.1.0'   -> true
+*   '192.168.0.1/24'            '192.168.0.0-192.168.0.100' -> true
 */
-function getIPv6HextetStrArray(strIPv6Addr) {
-    const arrayStrHextet = [];
-    const intIndexOfDblColon = strIPv6Addr.indexOf('::');
+function isIPv4WithPrefixLengthIncludedInRange(strTestIPv4WithPrefixLength, strIPv4Range) {
+    const arrayStrTestIPv4 = strTestIPv4WithPrefixLength.split('/');
+    const arrayStrIPv4Range = strIPv4Range.split('-');
 
-    let arrayStrFrontHextet = [];
-    let strRear = '';
-    if (intIndexOfDblColon == -1) { // Not compressed format.
-        arrayStrFrontHextet.length = 0;
-        strRear = strIPv6Addr;
-    } else { // Compressed format.
-        arrayStrFrontHextet = getHextetStrArray(strIPv6Addr.substring(0, intIndexOfDblColon));
-        if (arrayStrFrontHextet == undefined) {
-            return arrayStrHextet;
-        }
-        strRear = strIPv6Addr.substring(intIndexOfDblColon+2);
-    }
+    const strTestIPv4Addr = arrayStrTestIPv4[0];
+    const intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
+    const strTestIPv4NetMask = getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength);
+    let strTestIPv4Start = getIPv4StartAddr(strTestIPv4Addr, strTestIPv4NetMask);
+    let strTestIPv4End = getIPv4EndAddr(strTestIPv4Addr, strTestIPv4NetMask);
 
-    let arrayStrRearHextet = [];
-    const intIndexOfPeriod = strRear.indexOf('.');
-    if (intIndexOfPeriod == -1) { // IPv6 standard address.
-        arrayStrRearHextet = getHextetStrArray(strRear);
-        if (arrayStrRearHextet == undefined) {
-            return arrayStrHextet;
-        }
-    } else { // IPv4-compatible address or IPv4-mapped address.
-        const intEndOfHextet = strRear.lastIndexOf(':');
-        if (intEndOfHextet == -1) {
-            arrayStrRearHextet = getHextetStrArrayFromOctetStr(strRear);
-            if (arrayStrRearHextet == undefined) {
-                return arrayStrHextet;
-            }
-        } else {
-            const arrayStrEndOfHextet = getHextetStrArray(strRear.substring(0, intEndOfHextet));
-            if (arrayStrEndOfHextet == undefined) {
-                return arrayStrHextet;
-            }
-            const arrayStrHextetOfIPv4 = getHextetStrArrayFromOctetStr(strRear.substring(intEndOfHextet+1));
-            if (arrayStrHextetOfIPv4 == undefined) {
-                return arrayStrHextet;
-            }
-            arrayStrRearHextet.push(...arrayStrEndOfHextet);
-            arrayStrRearHextet.push(...arrayStrHextetOfIPv4);
-        }
+    // If the test address is a host address, change the start address and the end address to the same as the test address.
+    if (strTestIPv4Addr !== strTestIPv4Start) {
+        strTestIPv4Start = strTestIPv4End = strTestIPv4Addr;
     }
 
-    if ((intIndexOfDblColon == -1 && arrayStrRearHextet.length == 8) || (intIndexOfDblColon != -1 && (arrayStrFrontHextet.length + arrayStrRearHextet.length) <= 7)) {
-        let index = 0;
-        for (let i=0; i<arrayStrFrontHextet.length; ++i) {
-            arrayStrHextet[index++] = arrayStrFrontHextet[i];
-        }
-        for (let i=0; i<(8-arrayStrFrontHextet.length-arrayStrRearHextet.length); ++i) {
-            arrayStrHextet[index++] = '0000';
-        }
-        for (let i=0; i<arrayStrRearHextet.length; ++i) {
-            arrayStrHextet[index++] = arrayStrRearHextet[i];
-        }
-        if (intIndexOfPeriod != -1) {
-            if (parseInt(arrayStrHextet[0], 16) !== 0 ||
-                parseInt(arrayStrHextet[1], 16) !== 0 ||
-                parseInt(arrayStrHextet[2], 16) !== 0 ||
-                parseInt(arrayStrHextet[3], 16) !== 0 ||
-                parseInt(arrayStrHextet[4], 16) !== 0 ||
-                (parseInt(arrayStrHextet[5], 16) !== 0 && arrayStrHextet[5] !== 'ffff')) {
-                arrayStrHextet.length = 0;
-            }
-        }
+    //
+    if (compareIPv4(strTestIPv4Start, arrayStrIPv4Range[0]) >= 0 && compareIPv4(strTestIPv4End, arrayStrIPv4Range[1]) <= 0) {
+        return true;
     }
-    return arrayStrHextet;
+    return false;
 }
 
 /**
-* This function adapts the IPv6 address without prefix length to the full
-* represented and returns the adapted address. It is '' if the argument is not
-* IPv6 address.
+* This function returns true if the IPv6 address is within the range.
+* Otherwise, it is false.
+* If the test address is a host address, confirm whether its address is within
+* the range. If the test address is a network segment, confirm whether all
+* addresses of the network segment are within the range.
+* Both argument addresses have to be the full represented.
 *
-* @param {string} strIPv6Addr
-* @return {string} Full represented IPv6 address without prefix length.
+* @param {string} strTestIPv6WithPrefixLength
+* @param {string} strIPv6Range
+* @return {boolean}
+*   true if the IPv6 address is within the range.
+*   Otherwise, it is false.
 *
 * @example
-*   strIPv6Addr                                    Return
-*   ----------------------------------------------------------------------------------------
-*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09'   -> '2001:0db8:1234:5678:90ab:cdef:fedc:ba09'
-*   '0000:0000:0000:0000:0000:0000:192.168.0.1' -> '0000:0000:0000:0000:0000:0000:c0a8:0001'
-*   '0000:0000:0000:0000:0000:ffff:192.168.0.1' -> '0000:0000:0000:0000:0000:ffff:c0a8:0001'
-*   '2001:db8::1'                               -> '2001:0db8:0000:0000:0000:0000:0000:0001'
-*   '::192.168.0.1'                             -> '0000:0000:0000:0000:0000:0000:c0a8:0001'
-*   '::ffff:192.168.0.1'                        -> '0000:0000:0000:0000:0000:ffff:c0a8:0001'
-*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1' -> ''
-*   '::eeee:192.168.0.1'                        -> ''
-*   '2001:db8::fffff:1'                         -> ''
-*   'UNKNOWN'                                   -> ''
+*   strTestIPv6WithPrefixLength                    strIPv6Range                                                                         Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/128'  '2001:0db8:0001:0002:0003:0004:0005:0000-2001:0db8:0001:0002:0003:0004:0005:0010' -> true
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/128'  '2001:0db8:0001:0002:0003:0004:0005:0008-2001:0db8:0001:0002:0003:0004:0005:0010' -> false
+*   '2001:0db8:0001:0002:0000:0000:0000:0000/64'   '2001:0db8:0001:0002:0003:0004:0005:0000-2001:0db8:0001:0002:0003:0004:0005:0010' -> false
+*   '2001:0db8:0001:0002:0000:0000:0000:0000/64'   '2001:0db8:0001:0002:0000:0000:0000:0000-2001:0db8:0001:0003:0000:0000:0000:0000' -> true
+*   '2001:0db8:0001:0002:0003:0004:0005:0006/64'   '2001:0db8:0001:0002:0003:0004:0005:0000-2001:0db8:0001:0002:0003:0004:0005:0010' -> true
 */
-function getIPv6FullRepresentedAddr(strIPv6Addr) {
-    let strNormalizedIPv6Addr = '';
-    const array = getIPv6HextetStrArray(strIPv6Addr);
-    if (array[0]) {
-        strNormalizedIPv6Addr = array[0];
-        for (let i=1; i<array.length; ++i) {
-            strNormalizedIPv6Addr += ':' + array[i];
-        }
+function isIPv6WithPrefixLengthIncludedInRange(strTestIPv6WithPrefixLength, strIPv6Range) {
+    const arrayStrTestIPv6 = strTestIPv6WithPrefixLength.split('/');
+    const arrayStrIPv6Range = strIPv6Range.split('-');
+
+    const strTestIPv6Addr = arrayStrTestIPv6[0];
+    const intTestIPv6PrefixLength = parseInt(arrayStrTestIPv6[1]);
+    const strTestIPv6NetMask = getIPv6NetMaskFromPrefixLength(intTestIPv6PrefixLength);
+    let strTestIPv6Start = getIPv6StartAddr(strTestIPv6Addr, strTestIPv6NetMask);
+    let strTestIPv6End = getIPv6EndAddr(strTestIPv6Addr, strTestIPv6NetMask);
+
+    // If the test address is a host address, change the start address and the end address to the same as the test address.
+    if (strTestIPv6Addr !== strTestIPv6Start) {
+        strTestIPv6Start = strTestIPv6End = strTestIPv6Addr;
+    }
+
+    //
+    if (compareIPv6(strTestIPv6Start, arrayStrIPv6Range[0]) >= 0 && compareIPv6(strTestIPv6End, arrayStrIPv6Range[1]) <= 0) {
+        return true;
     }
-    return strNormalizedIPv6Addr;
+    return false;
 }
 
 /**
-* This function adapts the IPv6 address with prefix length to the full
-* represented and returns the adapted address. It is '' if the argument is not
-* IPv6 address.
+* This function returns true if the IPv4 address matches the Cisco-style
+* wildcard address. Otherwise, it is false. If the IPv4 address is a host
+* address, test whether its address matches. If a network segment, test
+* whether all addresses of the network segment match.
 *
-* @param {string} strIPv6AddrWithPrefixLength
-* @return {string} Full represented IPv6 address with prefix length.
+* @param {string} strTestIPv4WithPrefixLength
+* @param {string} strIPv4AddrWithWildcardMask
+* @return {boolean}
+*   true if the IPv4 address matches the wildcard address.
+*   Otherwise, it is false.
 *
 * @example
-*   strIPv6Addr                                       Return
-*   -----------------------------------------------------------------------------------------------
-*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09/128'  -> '2001:0db8:1234:5678:90ab:cdef:fedc:ba09/128'
-*   '0000:0000:0000:0000:0000:0000:192.168.0.1/96' -> '0000:0000:0000:0000:0000:0000:c0a8:0001/96'
-*   '0000:0000:0000:0000:0000:ffff:192.168.0.1/96' -> '0000:0000:0000:0000:0000:ffff:c0a8:0001/96'
-*   '2001:db8::1/128'                              -> '2001:0db8:0000:0000:0000:0000:0000:0001/128'
-*   '::192.168.0.1/96'                             -> '0000:0000:0000:0000:0000:0000:c0a8:0001/96'
-*   '::ffff:192.168.0.1/96'                        -> '0000:0000:0000:0000:0000:ffff:c0a8:0001/96'
-*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1/96' -> ''
-*   '::eeee:192.168.0.1/128'                       -> ''
-*   '2001:db8::fffff:1/128'                        -> ''
-*   'UNKNOWN'                                      -> ''
+*   strTestIPv4WithPrefixLength strIPv4AddrWithWildcardMask    Return
+*   -----------------------------------------------------------------
+*   '192.168.0.0/32'            '192.168.0.0/0.0.0.255'     -> true
+*   '192.168.0.1/32'            '192.168.0.0/0.0.0.255'     -> true
+*   '192.168.0.2/32'            '192.168.0.0/0.0.0.255'     -> true
+*   '192.168.0.3/32'            '192.168.0.0/0.0.0.255'     -> true
+*   '192.168.0.0/32'            '192.168.0.1/0.0.0.254'     -> false
+*   '192.168.0.1/32'            '192.168.0.1/0.0.0.254'     -> true
+*   '192.168.0.2/32'            '192.168.0.1/0.0.0.254'     -> false
+*   '192.168.0.3/32'            '192.168.0.1/0.0.0.254'     -> true
+*   '192.168.0.0/31'            '192.168.0.0/0.0.0.2'       -> false
+*   '192.168.0.0/31'            '192.168.0.1/0.0.0.2'       -> false
 */
-function getIPv6FullRepresentedAddrWithPrefixLength(strIPv6AddrWithPrefixLength) {
-    const arrayStrIPv6 = strIPv6AddrWithPrefixLength.split('/');
-    const strNormalizedIPv6Addr = getIPv6FullRepresentedAddr(arrayStrIPv6[0]);
-    if (strNormalizedIPv6Addr === '') {
-        return '';
+function isIPv4WithPrefixLengthIncludedInCiscoWildcardAddr(strTestIPv4WithPrefixLength, strIPv4AddrWithWildcardMask) { // eslint-disable-line no-unused-vars
+    const arrayStrTestIPv4     = strTestIPv4WithPrefixLength.split('/');
+    const arrayStrIPv4Wildcard = strIPv4AddrWithWildcardMask.split('/');
+
+    const strTestIPv4Addr = arrayStrTestIPv4[0];
+    const intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
+    const strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
+
+    const strIPv4WildcardAddr = arrayStrIPv4Wildcard[0];
+    const strIPv4WildcardMask = arrayStrIPv4Wildcard[1];
+    const strIPv4WildcardAddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strIPv4WildcardAddr, strIPv4WildcardMask);
+    const strIPv4WildcardAddrMaskbits1 = getBitwiseORedIPv4Addr(strIPv4WildcardAddr, strIPv4WildcardMask);
+
+    //
+    if (intTestIPv4PrefixLength == 32 || strTestIPv4NetworkAddr !== strTestIPv4Addr) {
+        const strTestIPv4AddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strTestIPv4Addr, strIPv4WildcardMask);
+        const strTestIPv4AddrMaskbits1 = getBitwiseORedIPv4Addr(strTestIPv4Addr, strIPv4WildcardMask);
+
+        if ((strTestIPv4AddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
+            (strTestIPv4AddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
+            return true;
+        }
+    } else {
+        const strTestIPv4BroadcastAddr = getIPv4EndAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
+        const strTestIPv4NetworkAddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strTestIPv4NetworkAddr, strIPv4WildcardMask);
+        const strTestIPv4NetworkAddrMaskbits1 = getBitwiseORedIPv4Addr(strTestIPv4NetworkAddr, strIPv4WildcardMask);
+        const strTestIPv4BroadcastAddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
+        const strTestIPv4BroadcastAddrMaskbits1 = getBitwiseORedIPv4Addr(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
+
+        if ((strTestIPv4NetworkAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
+            (strTestIPv4NetworkAddrMaskbits1 === strIPv4WildcardAddrMaskbits1) &&
+            (strTestIPv4BroadcastAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
+            (strTestIPv4BroadcastAddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
+            return true;
+        }
     }
-    return (strNormalizedIPv6Addr + '/' + arrayStrIPv6[1]);
+    return false;
 }
 
 /**
-* This function adapts the IPv6 address without prefix length to the compressed
-* represented and returns the adapted address. It is '' if the argument is not
-* IPv6 address.
+* This function returns true if the IPv4 address matches the Fortinet-style
+* wildcard address. Otherwise, it is false. If the IPv4 address is a host
+* address, test whether its address matches. If a network segment, test
+* whether all addresses of the network segment match.
 *
-* @param {string} strIPv6Addr
-* @return {string} Compressed represented IPv6 address without prefix length.
+* @param {string} strTestIPv4WithPrefixLength
+* @param {string} strIPv4AddrWithWildcardMask
+* @return {boolean}
+*   true if the IPv4 address matches the wildcard address.
+*   Otherwise, it is false.
 *
 * @example
-*   strIPv6Addr                                    Return
-*   ---------------------------------------------------------------------------------------
-*   '0000:0000:0000:0000:0000:0000:0000:0000'   -> '::'
-*   '0000:0000:0000:0000:0000:0000:0000:0001'   -> '::1'
-*   '2001:0db8:0000:0000:0000:0000:0000:0001'   -> '2001:db8::1'
-*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09'   -> '2001:db8:1234:5678:90ab:cdef:fedc:ba09'
-*   '0000:0000:0000:0000:0000:0000:192.168.0.1' -> '::192.168.0.1'
-*   '0000:0000:0000:0000:0000:ffff:192.168.0.1' -> '::ffff:192.168.0.1'
-*   '2001:db8::1'                               -> '2001:0db8::1'
-*   '::192.168.0.1'                             -> '::192.168.0.1'
-*   '::ffff:192.168.0.1'                        -> '::ffff:192.168.0.1'
-*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1' -> ''
-*   '::eeee:192.168.0.1'                        -> ''
-*   '2001:db8::fffff:1'                         -> ''
-*   'UNKNOWN'                                   -> ''
+*   strTestIPv4WithPrefixLength strIPv4AddrWithWildcardMask      Return
+*   -------------------------------------------------------------------
+*   '192.168.0.0/32'            '192.168.0.0/255.255.255.0'   -> true
+*   '192.168.0.1/32'            '192.168.0.0/255.255.255.0'   -> true
+*   '192.168.0.2/32'            '192.168.0.0/255.255.255.0'   -> true
+*   '192.168.0.3/32'            '192.168.0.0/255.255.255.0'   -> true
+*   '192.168.0.0/32'            '192.168.0.1/255.255.255.1'   -> false
+*   '192.168.0.1/32'            '192.168.0.1/255.255.255.1'   -> true
+*   '192.168.0.2/32'            '192.168.0.1/255.255.255.1'   -> false
+*   '192.168.0.3/32'            '192.168.0.1/255.255.255.1'   -> true
+*   '192.168.0.0/31'            '192.168.0.0/255.255.255.253' -> false
+*   '192.168.0.0/31'            '192.168.0.1/255.255.255.253' -> false
 */
-function getIPv6CompressedAddr(strIPv6Addr) {
-    let strCompressedIPv6Addr = '';
-    const array = getIPv6HextetStrArray(strIPv6Addr);
-    if (array[0]) {
-        for (let i=0; i<array.length; ++i) {
-            array[i] = array[i].replace(/^0{1,3}/, '');
-        }
+function isIPv4WithPrefixLengthIncludedInFortinetWildcardAddr(strTestIPv4WithPrefixLength, strIPv4AddrWithWildcardMask) {
+    const arrayStrTestIPv4     = strTestIPv4WithPrefixLength.split('/');
+    const arrayStrIPv4Wildcard = strIPv4AddrWithWildcardMask.split('/');
 
-        const arrayIPv4 = strIPv6Addr.match(/:(\d+\.\d+\.\d+\.\d+)$/);
-        if (arrayIPv4 && arrayIPv4[1]) {
-            // Recover IPv4-compatible address and IPv4-mapped address.
-            strCompressedIPv6Addr = array.slice(0, 6).join(':') + ':' + arrayIPv4[1];
-        } else {
-            strCompressedIPv6Addr = array.join(':');
+    const strTestIPv4Addr = arrayStrTestIPv4[0];
+    const intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
+    const strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
+
+    const strIPv4WildcardAddr = arrayStrIPv4Wildcard[0];
+    const strIPv4WildcardMask = arrayStrIPv4Wildcard[1];
+    const strIPv4WildcardAddrMaskbits0 = getBitwiseANDedIPv4Addr(strIPv4WildcardAddr, strIPv4WildcardMask);
+    const strIPv4WildcardAddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strIPv4WildcardAddr, strIPv4WildcardMask);
+
+    //
+    if (intTestIPv4PrefixLength == 32 || strTestIPv4NetworkAddr !== strTestIPv4Addr) {
+        const strTestIPv4AddrMaskbits0 = getBitwiseANDedIPv4Addr(strTestIPv4Addr, strIPv4WildcardMask);
+        const strTestIPv4AddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strTestIPv4Addr, strIPv4WildcardMask);
+
+        if ((strTestIPv4AddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
+            (strTestIPv4AddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
+            return true;
         }
+    } else {
+        const strTestIPv4BroadcastAddr = getIPv4EndAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
+        const strTestIPv4NetworkAddrMaskbits0 = getBitwiseANDedIPv4Addr(strTestIPv4NetworkAddr, strIPv4WildcardMask);
+        const strTestIPv4NetworkAddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strTestIPv4NetworkAddr, strIPv4WildcardMask);
+        const strTestIPv4BroadcastAddrMaskbits0 = getBitwiseANDedIPv4Addr(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
+        const strTestIPv4BroadcastAddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
 
-        // Compress.
-        strCompressedIPv6Addr = strCompressedIPv6Addr.replace('0:0:0:0:0:0:0:0', '::');
-        for (let i=0; i<=10; i+=2) {
-            const strTemp = strCompressedIPv6Addr.replace('0:0:0:0:0:0:0'.substring(i), ':');
-            if (strCompressedIPv6Addr !== strTemp) {
-                strCompressedIPv6Addr = strTemp;
-                break;
-            }
+        if ((strTestIPv4NetworkAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
+            (strTestIPv4NetworkAddrMaskbits1 === strIPv4WildcardAddrMaskbits1) &&
+            (strTestIPv4BroadcastAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
+            (strTestIPv4BroadcastAddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
+            return true;
         }
-        strCompressedIPv6Addr = strCompressedIPv6Addr.replace(':::', '::');
     }
-    return strCompressedIPv6Addr;
+    return false;
 }
 
+/*
+* ============================================================================
+* Normalization functions
+* ============================================================================
+*/
+
 /**
-* This function adapts the IPv6 address with prefix length to the compressed
-* represented and returns the adapted address. It is '' if the argument is not
-* IPv6 address.
+* This function normalizes the address string of an address object in the
+* 'firewall address' configuration and returns the object that contains the
+* array of a normalized address string. If the address type is 'ipmask', the
+* normalized address string is represented in CIDR format. If the address type
+* is 'iprange', the start-ip and end-ip are combined with '-.' The wildcard
+* address is combined with '/.' If the address type is 'geography', the
+* normalized string is the country name with the prefix 'geo:'. The prefix
+* 'fqdn:' is added if the address type is 'fqdn' or 'wildcard-fqdn.' If the
+* address type is not supported, such as 'dynamic' or a template, or the
+* address is not set, the array is empty.
 *
-* @param {string} strIPv6AddrWithPrefixLength
-* @return {string} Compressed represented IPv6 address with prefix length.
+* @param {Object} objParam -
+*   Parameter object of an address object to normalize.
+* @return {Object} Object that contains the normalized address string.
 *
 * @example
-*   strIPv6Addr                                        Return
-*   -----------------------------------------------------------------------------------------------
-*   '0000:0000:0000:0000:0000:0000:0000:0000/0'     -> '::/0'
-*   '0000:0000:0000:0000:0000:0000:0000:0001/128'   -> '::1/128'
-*   '2001:0db8:0000:0000:0000:0000:0000:0001/128'   -> '2001:db8::1/128'
-*   '2001:0db8:1234:5678:90aB:cDeF:feDC:bA09/128'   -> '2001:db8:1234:5678:90ab:cdef:fedc:ba09/128'
-*   '0000:0000:0000:0000:0000:0000:192.168.0.1/128' -> '::192.168.0.1/128'
-*   '0000:0000:0000:0000:0000:ffff:192.168.0.1/128' -> '::ffff:192.168.0.1/128'
-*   '2001:db8::1/128'                               -> '2001:0db8::1/128'
-*   '::192.168.0.1/128'                             -> '::192.168.0.1/128'
-*   '::ffff:192.168.0.1/128'                        -> '::ffff:192.168.0.1/128'
-*   'eeee:0000:0000:0000:0000:ffff:192.168.0.1/128' -> ''
-*   '::eeee:192.168.0.1/128'                        -> ''
-*   '2001:db8::fffff:1/128'                         -> ''
-*   'UNKNOWN'                                       -> ''
+*   objParam['type'] objParam['param1'] objParam['param2'] objParam['comment']    Return['value']               Return['comment']
+*   -----------------------------------------------------------------------------------------------------------------------------
+*   'ipmask'         '192.168.0.0'      '255.255.255.0'    'MyComment.'        -> ['192.168.0.0/24'           ] 'MyComment.'
+*   'iprange'        '192.168.0.1'      '192.168.0.100'    'My comment.'       -> ['192.168.0.1-192.168.0.100'] 'My comment.'
+*   'wildcard'       '192.168.0.0'      '255.255.0.255'    ''                  -> ['192.168.0.0/255.255.0.255'] ''
+*   'fqdn'           'example.com'      ''                 'Comment'           -> ['fqdn:example.com'         ] 'Comment'
+*   'wildcard-fqdn'  '*.example.com'    ''                 'Comment'           -> ['fqdn:*.example.com'       ] 'Comment'
+*   'geography'      'US'               ''                 'Comment'           -> ['geo:US'                   ] 'Comment'
+*   'UNKNOWN'        ''                 ''                 'Comment'           -> [                           ] 'Comment'
+*   ''               ''                 ''                 'Comment'           -> [                           ] 'Comment'
 */
-function getIPv6CompressedAddrWithPrefixLength(strIPv6AddrWithPrefixLength) {
-    const arrayStrIPv6 = strIPv6AddrWithPrefixLength.split('/');
-    const strCompressedIPv6Addr = getIPv6CompressedAddr(arrayStrIPv6[0]);
-    if (strCompressedIPv6Addr === '') {
-        return '';
+function normalizeFirewallIPv4Address(objParam) {
+    const strParam1 = objParam['param1'];
+    const strParam2 = objParam['param2'];
+    const objReturn = {};
+    const arrayValue = [];
+
+    switch (objParam['type']) {
+    case 'ipmask':
+        if (strParam1 !== '' && strParam2 !== '') {
+            arrayValue[0] = getIPv4AddrWithPrefixLength(strParam1, strParam2);
+        }
+        break;
+    case 'iprange':
+        if (strParam1 !== '' && strParam2 !== '') {
+            arrayValue[0] = strParam1 + '-' + strParam2;
+        }
+        break;
+    case 'wildcard':
+        if (strParam1 !== '' && strParam2 !== '') {
+            arrayValue[0] = strParam1 + '/' + strParam2;
+        }
+        break;
+    case 'fqdn':
+    case 'wildcard-fqdn':
+        if (strParam1 !== '') {
+            arrayValue[0] = 'fqdn:' + strParam1;
+        }
+        break;
+    case 'geography':
+        if (strParam1 !== '') {
+            arrayValue[0] = 'geo:' + strParam1;
+        }
+        break;
     }
-    return (strCompressedIPv6Addr + '/' + arrayStrIPv6[1]);
+    objReturn['value'] = arrayValue.unique();
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
 }
 
 /**
-* This function returns the address that bitwise ANDed of both addresses.
+* This function normalizes the address string of an address object in the
+* 'firewall address6' configuration and returns the object that contains the
+* array of a normalized address string. If the address type is 'ip6,' the
+* normalized address string is adapted to the full represented. If the address
+* type is 'iprange,' the start-ip and end-ip are combined with '-.' The prefix
+* 'fqdn:' is added if the address type is 'fqdn.' If the address type is not
+* supported or the address is not set, the array is empty.
 *
-* @param {string} strIPv4AddrA
-* @param {string} strIPv4AddrB
-* @return {string} Address that bitwise ANDed of both addresses.
+* @param {Object} objParam -
+*   Parameter object of an address object to normalize.
+* @return {Object} Object that contains the normalized address string.
 *
 * @example
-*   strIPv4Addr1   strIPv4Addr2       Return
-*   ------------------------------------------------
-*   '192.168.17.1' '255.255.240.0' -> '192.168.16.0'
-*   '192.168.17.1' '0.0.15.255'    -> '0.0.1.1'
+*   objParam['type'] objParam['param1']         objParam['param2'] objParam['comment']    Return['value']                                                                     Return['comment']
+*   -------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   'ipprefix'       '2001:0db8:0002:0003::/64' ''                 'MyComment.'        -> ['2001:0db8:0002:0003:0000:0000:0000:0000/64'                                     ] 'MyComment.'
+*   'iprange'        '2001:0db8::0001'          '2001:0db8::0100'  'My comment.'       -> ['2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0100'] 'My comment.'
+*   'fqdn'           'example.com'              ''                 ''                  -> ['fqdn:example.com'                                                               ] ''
+*   'UNKNOWN'        ''                         ''                 'Comment'           -> [                                                                                 ] 'Comment'
+*   ''               ''                         ''                 'Comment'           -> [                                                                                 ] 'Comment'
 */
-function getBitwiseANDedIPv4Addr(strIPv4AddrA, strIPv4AddrB) {
-    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
-    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
-    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
-    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
-    return (
-        (arrayBytIPv4AOctet[0] & arrayBytIPv4BOctet[0]).toString() + '.' +
-        (arrayBytIPv4AOctet[1] & arrayBytIPv4BOctet[1]).toString() + '.' +
-        (arrayBytIPv4AOctet[2] & arrayBytIPv4BOctet[2]).toString() + '.' +
-        (arrayBytIPv4AOctet[3] & arrayBytIPv4BOctet[3]).toString());
-}
+function normalizeFirewallIPv6Address(objParam) {
+    const strParam1 = objParam['param1'];
+    const strParam2 = objParam['param2'];
+    const objReturn = {};
+    const arrayValue = [];
 
-/**
-* This function returns the address that bitwise ORed of both addresses.
-*
-* @param {string} strIPv4AddrA
-* @param {string} strIPv4AddrB
-* @return {string} Address that bitwise ORed of both addresses.
-*
-* @example
-*   strIPv4Addr1   strIPv4Addr2       Return
-*   --------------------------------------------------
-*   '192.168.17.1' '255.255.240.0' -> '255.255.241.1'
-*   '192.168.17.1' '0.0.15.255'    -> '192.168.31.255'
-*/
-function getBitwiseORedIPv4Addr(strIPv4AddrA, strIPv4AddrB) {
-    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
-    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
-    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
-    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
-    return (
-        (arrayBytIPv4AOctet[0] | arrayBytIPv4BOctet[0]).toString() + '.' +
-        (arrayBytIPv4AOctet[1] | arrayBytIPv4BOctet[1]).toString() + '.' +
-        (arrayBytIPv4AOctet[2] | arrayBytIPv4BOctet[2]).toString() + '.' +
-        (arrayBytIPv4AOctet[3] | arrayBytIPv4BOctet[3]).toString());
+    switch (objParam['type']) {
+    case 'ipprefix':
+        if (strParam1 !== '') {
+            arrayValue[0] = getIPv6FullRepresentedAddrWithPrefixLength(strParam1);
+        }
+        break;
+    case 'iprange':
+        if (strParam1 !== '' && strParam2 !== '') {
+            arrayValue[0] = getIPv6FullRepresentedAddr(strParam1) + '-' + getIPv6FullRepresentedAddr(strParam2);
+        }
+        break;
+    case 'fqdn':
+        if (strParam1 !== '') {
+            arrayValue[0] = 'fqdn:' + strParam1;
+        }
+        break;
+    }
+    objReturn['value'] = arrayValue.unique();
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
 }
 
 /**
-* This function inverts bitwise the second argument address and returns the
-* address that bitwise ANDed the first argument address.
+* This function normalizes the address string of a multicast address object in
+* the 'firewall multicast-address' configuration and returns the object that
+* contains the array of a normalized address string. If the address type is
+* 'broadcastmask', the normalized address string is represented in CIDR format.
+* If the address type is 'multicastrange', the start-ip and end-ip are
+* combined with '-.'
 *
-* @param {string} strIPv4AddrA
-* @param {string} strIPv4AddrB
-* @return {string}
-*   Address that bitwise ANDed the address A with the address B inverted bits.
+* @param {Object} objParam -
+*   Parameter object of a multicast address object to normalize.
+* @return {Object} Object that contains the normalized address string.
 *
 * @example
-*   strIPv4Addr1   strIPv4Addr2       Return
-*   ------------------------------------------------
-*   '192.168.17.1' '255.255.240.0' -> '0.0.1.1'
-*   '192.168.17.1' '0.0.15.255'    -> '192.168.16.0'
+*   objParam['type'] objParam['param1'] objParam['param2'] objParam['comment']    Return['value']           Return['comment']
+*   -------------------------------------------------------------------------------------------------------------------------
+*   'broadcastmask'  '224.0.0.0'        '255.255.255.0'    'MyComment.'        -> ['224.0.0.0/24'         ] 'MyComment.'
+*   'multicastrange' '224.0.0.1'        '224.0.0.100'      'My comment.'       -> ['224.0.0.1-224.0.0.100'] 'My comment.'
+*   'UNKNOWN'        ''                 ''                 'Comment'           -> ['undefined'            ] 'Comment'
+*   ''               ''                 ''                 'Comment'           -> ['undefined'            ] 'Comment'
 */
-function getBitwiseANDedIPv4AddrWithInvertBits(strIPv4AddrA, strIPv4AddrB) {
-    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
-    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
-    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
-    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
-    return (
-        (arrayBytIPv4AOctet[0] & (arrayBytIPv4BOctet[0] ^ 0xFF)).toString() + '.' +
-        (arrayBytIPv4AOctet[1] & (arrayBytIPv4BOctet[1] ^ 0xFF)).toString() + '.' +
-        (arrayBytIPv4AOctet[2] & (arrayBytIPv4BOctet[2] ^ 0xFF)).toString() + '.' +
-        (arrayBytIPv4AOctet[3] & (arrayBytIPv4BOctet[3] ^ 0xFF)).toString());
+function normalizeFirewallIPv4MulticastAddress(objParam) {
+    const strParam1 = objParam['param1'];
+    const strParam2 = objParam['param2'];
+    const objReturn = {};
+    const arrayValue = [];
+    arrayValue[0] = 'undefined';
+
+    switch (objParam['type']) {
+    case 'broadcastmask':
+        if (strParam1 !== '' && strParam2 !== '') {
+            arrayValue[0] = getIPv4AddrWithPrefixLength(strParam1, strParam2);
+        }
+        break;
+    case 'multicastrange':
+        if (strParam1 !== '' && strParam2 !== '') {
+            arrayValue[0] = strParam1 + '-' + strParam2;
+        }
+        break;
+    }
+    objReturn['value'] = arrayValue.unique();
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
 }
 
 /**
-* This function inverts bitwise the second argument address and returns the
-* address that bitwise ORed the first argument address.
+* This function normalizes the address string of a multicast address object in
+* the 'firewall multicast-address6' configuration and returns the object that
+* contains the array of a normalized address string.
 *
-* @param {string} strIPv4AddrA
-* @param {string} strIPv4AddrB
-* @return {string}
-*   Address that bitwise ORed the address A with the address B inverted bits.
+* @param {Object} objParam -
+*   Parameter object of a multicast address object to normalize.
+* @return {Object} Object that contains the normalized address string.
 *
 * @example
-*   strIPv4Addr1   strIPv4Addr2       Return
-*   --------------------------------------------------
-*   '192.168.17.1' '255.255.240.0' -> '192.168.31.255'
-*   '192.168.17.1' '0.0.15.255'    -> '255.255.241.1'
+*   objParam['param1'] objParam['comment']    Return['value']                                 Return['comment']
+*   -----------------------------------------------------------------------------------------------------------
+*   'ff00::1/128'      'MyComment.'        -> ['ff00:0000:0000:0000:0000:0000:0000:0001/128'] 'MyComment.'
+*   ''                 'My comment.'       -> ['undefined'                                  ] 'My comment.'
 */
-function getBitwiseORedIPv4AddrWithInvertBits(strIPv4AddrA, strIPv4AddrB) {
-    const arrayStrIPv4AOctet = strIPv4AddrA.split('.');
-    const arrayBytIPv4AOctet = new Uint8Array([parseInt(arrayStrIPv4AOctet[0]), parseInt(arrayStrIPv4AOctet[1]), parseInt(arrayStrIPv4AOctet[2]), parseInt(arrayStrIPv4AOctet[3])]);
-    const arrayStrIPv4BOctet = strIPv4AddrB.split('.');
-    const arrayBytIPv4BOctet = new Uint8Array([parseInt(arrayStrIPv4BOctet[0]), parseInt(arrayStrIPv4BOctet[1]), parseInt(arrayStrIPv4BOctet[2]), parseInt(arrayStrIPv4BOctet[3])]);
-    return (
-        (arrayBytIPv4AOctet[0] | (arrayBytIPv4BOctet[0] ^ 0xFF)).toString() + '.' +
-        (arrayBytIPv4AOctet[1] | (arrayBytIPv4BOctet[1] ^ 0xFF)).toString() + '.' +
-        (arrayBytIPv4AOctet[2] | (arrayBytIPv4BOctet[2] ^ 0xFF)).toString() + '.' +
-        (arrayBytIPv4AOctet[3] | (arrayBytIPv4BOctet[3] ^ 0xFF)).toString());
-}
+function normalizeFirewallIPv6MulticastAddress(objParam) {
+    const strParam1 = objParam['param1'];
+    const objReturn = {};
+    const arrayValue = [];
 
-/**
-* This function converts the IPv4 address string to the IPv4 address integer.
-*
-* @param {string} strIPv4Addr - IPv4 address string.
-* @return {number} IPv4 address integer.
-*
-*/
-function toIPv4AddrInteger(strIPv4Addr) {
-    const arrayIPv4Octet = strIPv4Addr.split('.');
-    return (parseInt(arrayIPv4Octet[0]) * 16777216 + parseInt(arrayIPv4Octet[1]) * 65536 + parseInt(arrayIPv4Octet[2]) * 256 + parseInt(arrayIPv4Octet[3]));
-}
+    arrayValue[0] = strParam1 === '' ? 'undefined' : getIPv6FullRepresentedAddrWithPrefixLength(strParam1);
 
-/**
-* This function converts the IPv4 address integer to the IPv4 address string.
-*
-* @param {number} intIPv4AddrInteger - IPv4 address integer.
-* @return {string} IPv4 address string.
-*
-*/
-function toIPv4AddrString(intIPv4AddrInteger) {
-    return [(intIPv4AddrInteger >>> 24) & 0xFF, (intIPv4AddrInteger >>> 16) & 0xFF, (intIPv4AddrInteger >>> 8) & 0xFF, intIPv4AddrInteger & 0xFF].join('.');
+    objReturn['value'] = arrayValue.unique();
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
 }
 
 /**
-* This function returns the number of hosts in the specified IPv4 range.
+* This function returns the operator-port style condition string of the
+* specified port condition string.
 *
-* @param {string} strIPv4Range
-* @return {number} Number of hosts.
+* @param {string} strPortCondition - Port condtion string.
+* @return {string} Operator-port style condition string.
 *
 * @example
-*   strIPv4Range                     Return
-*   ---------------------------------------
-*   '0.0.0.0-0.0.255.255'         -> 65536
-*   '192.168.0.1-192.168.0.1'     -> 1
-*   '192.168.0.1-192.168.0.100'   -> 100
-*   '192.168.0.1-192.168.100.100' -> 25700
-*   '192.168.0.255-192.168.101.0' -> 25602
+*   strPortCondition    Return
+*   ----------------------------------------
+*   '80'             -> 'eq/80'
+*   '20-21'          -> 'range/20-21'
+*   '20-'            -> 'range/20-undefined'
+*   'UNKNOWN'        -> 'eq/UNKNOWN'
+*   ''               -> 'eq/any'
 */
-function getIPv4HostsNumberFromRange(strIPv4Range) { // eslint-disable-line no-unused-vars
-    const arrayStrIPv4 = strIPv4Range.split('-');
-    return (toIPv4AddrInteger(arrayStrIPv4[1]) - toIPv4AddrInteger(arrayStrIPv4[0]) + 1);
+function getOperPortStyleConditionStringFromPortCondition(strPortCondition) {
+    let strNormalizedPortCondition = 'eq/any';
+    if (strPortCondition && strPortCondition !== '') {
+        if (strPortCondition.indexOf('-') == -1) { // Port number only or unknown condition.
+            strNormalizedPortCondition = 'eq/' + strPortCondition;
+        } else { // Range.
+            const array = strPortCondition.split(/-/);
+            strNormalizedPortCondition = 'range/' + (array[0] === '' ? 'undefined' : array[0]) + '-' + (array[1] ? array[1] : 'undefined');
+        }
+    }
+    return strNormalizedPortCondition;
 }
 
 /**
-* This function converts the IPv4 address range to IPv4 subnets represented in
-* CIDR format and saves it into the specified array. However, network
-* 0.0.0.0/0 is split into subnetworks 0.0.0.0/1 and 128.0.0.0/1.
+* This function returns the array of service port condition strings for the
+* specified service parameters. At the tail of the service port condition
+* string, the service destination address is added.
 *
-* @param {number} intStartAddr - Start address integer.
-* @param {number} intEndAddr - End address integer.
-* @param {Array} arraySave - Array to save IPv4 subnets strings.
+* @param {string} strProtocolNumber - Protocol number.
+* @param {string} strTcpUdpOrSctpPortRange -
+*   tcp-portrange, udp-portrange, or sctp-portrange of service object.
+* @param {string} strIpRange - Iprange of service object.
+* @param {string} strFqdn - Fqdn of service object.
+* @return {Array} Array of service port condition strings.
 *
 * @example
-*   intStartAddr intEndAddr    arraySave
-*   -----------------------------------------------
-*   3232235521   3232235521 -> ['192.168.0.1/32']
-*   3232235521   3232261220 -> ['192.168.0.1/32',
-*                               '192.168.0.2/31',
-*                               '192.168.0.4/30',
-*                               '192.168.0.8/29',
-*                               '192.168.0.16/28',
-*                               '192.168.0.32/27',
-*                               '192.168.0.64/27',
-*                               '192.168.0.96/30',
-*                               '192.168.0.100/32']
-*   3232235775   3232261376 -> ['192.168.0.255/32',
-*                               '192.168.1.0/24',
-*                               '192.168.2.0/23',
-*                               '192.168.4.0/22',
-*                               '192.168.8.0/21',
-*                               '192.168.16.0/20',
-*                               '192.168.32.0/19',
-*                               '192.168.64.0/19',
-*                               '192.168.96.0/22',
-*                               '192.168.100.0/24',
-*                               '192.168.101.0/32]
-*/
-function makeIPv4SubnetFromRange(intStartAddr, intEndAddr, arraySave) {
-    let intSegSize = 2147483648;
-    for (let i=1; i<=32; ++i) {
-        //
-        // Example of round up and round down in 8 bits segment.
-        //
-        //       |<------ segment ------>|
-        //     15 16 17 18 19 20 21 22 23 24
-        //          |-> round up to 24
-        //         round down to 15 <-|
-        //
-        const intBlockStart = Math.trunc((intStartAddr + intSegSize - 1) / intSegSize) * intSegSize; // Round up to the start of the next segment.
-        const intBlockEnd = (Math.trunc((intEndAddr + 1) / intSegSize) * intSegSize) - 1; // Round down to the end of the previous segment.
-
-        if (intBlockStart <= intBlockEnd) {
-            if (intStartAddr < intBlockStart) {
-                makeIPv4SubnetFromRange(intStartAddr, intBlockStart - 1, arraySave);
-            }
-            let intSegStart = intBlockStart;
-            let intSegEnd = intSegStart + intSegSize - 1;
-            while (intSegEnd <= intBlockEnd) {
-                arraySave.push(toIPv4AddrString(intSegStart) + '/' + i);
-
-                intSegStart += intSegSize;
-                intSegEnd = intSegStart + intSegSize - 1;
-            }
-            intStartAddr = intSegStart;
+*   strProtocolNumber strTcpUdpOrSctpPortRange              strIpRange                  strFqdn              Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '6'               '80'                                  ''                          ''                -> ['6/eq/any/eq/80;0/0'                                                                             ]
+*   '6'               '80 80'                               '192.168.0.1'               ''                -> ['6/eq/any/eq/80;192.168.0.1/32'                                                                  ]
+*   '17'              '123 :1-65535'                        '192.168.0.1-192.168.0.100' ''                -> ['17/eq/any/eq/123;192.168.0.1-192.168.0.100','17/range/1-65535/eq/any;192.168.0.1-192.168.0.100' ]
+*   '17'              '123:10000-20000 161-162'             ''                          'www.example.com' -> ['17/range/10000-20000/eq/123;fqdn:www.example.com','17/eq/any/range/161-162;fqdn:www.example.com']
+*   '132'             '4321-4322:1-65535 :1-65535'          '0.0.0.0'                   ''                -> ['132/range/1-65535/range/4321-4322;0/0','132/range/1-65535/eq/any;0/0'                           ]
+*   '132'             '4321-4322:1-65535 4321-4322:1-65535' ''                          ''                -> ['132/range/1-65535/range/4321-4322;0/0'                                                          ]
+*   '6'               '-'                                   ''                          ''                -> ['6/eq/any/range/undefined-undefined;0/0'                                                         ]
+*   '6'               ':'                                   ''                          ''                -> ['6/eq/any/eq/any;0/0'                                                                            ]
+*/
+function getServicePortConditionArray(strProtocolNumber, strTcpUdpOrSctpPortRange, strIpRange, strFqdn) {
+    const arrayReturn = [];
 
-            if (intBlockEnd < intEndAddr) {
-                makeIPv4SubnetFromRange(intBlockEnd + 1, intEndAddr, arraySave);
-                intEndAddr = intBlockEnd;
-            }
+    let strServiceDstAddr = '0/0';
+    if (strIpRange !== '') {
+        if (strIpRange === '0.0.0.0') { // Default value.
+            // Nothing to do.
+        } else if (strIpRange.indexOf('-') == -1) {
+            strServiceDstAddr = strIpRange + '/32';
+        } else {
+            strServiceDstAddr = strIpRange;
         }
-        intSegSize = Math.trunc(intSegSize / 2);
+    } else if (strFqdn !== '') {
+        strServiceDstAddr = 'fqdn:' + strFqdn;
+    }
+
+    const arrayPortRange = strTcpUdpOrSctpPortRange.split(/\s+/).unique();
+    for (let i=0; i<arrayPortRange.length; ++i) {
+        const arrayPortCondition = arrayPortRange[i].split(':');
+        arrayReturn[i] = strProtocolNumber + '/' +
+            getOperPortStyleConditionStringFromPortCondition(arrayPortCondition[1]) + '/' +
+            getOperPortStyleConditionStringFromPortCondition(arrayPortCondition[0]) + ';' + strServiceDstAddr;
     }
+    return arrayReturn;
 }
 
 /**
-* This function returns the IPv4 subnets strings array of the specified IPv4
-* address range. The subnets are represented in CIDR format.
+* This function normalizes the service string of a service object in the
+* 'firewall service custom' configuration and returns the object that contains
+* the array of normalized service strings. The parameters that use for
+* normalization are the following.
 *
-* @param {string} strIPv4Range
-* @return {Array} Array of IPv4 subnets strings.
+*   - protocol
+*   - protocol-number
+*   - icmptype and icmpcode
+*   - tcp-portrange, udp-portrange, and sctp-portrange
 *
-* @example
-*   strIPv4Range                     Return
-*   -----------------------------------------------------
-*   '192.168.0.1-192.168.0.1'     -> ['192.168.0.1/32']
-*   '192.168.0.1-192.168.0.100'   -> ['192.168.0.1/32',
-*                                     '192.168.0.2/31',
-*                                     '192.168.0.4/30',
-*                                     '192.168.0.8/29',
-*                                     '192.168.0.16/28',
-*                                     '192.168.0.32/27',
-*                                     '192.168.0.64/27',
-*                                     '192.168.0.96/30',
-*                                     '192.168.0.100/32']
-*/
-function getIPv4SubnetFromRange(strIPv4Range) { // eslint-disable-line no-unused-vars
-    const arrayStrIPv4 = strIPv4Range.split('-');
-    const arraySubnet = [];
-    makeIPv4SubnetFromRange(toIPv4AddrInteger(arrayStrIPv4[0]), toIPv4AddrInteger(arrayStrIPv4[1]), arraySubnet);
-    return arraySubnet;
-}
-
-/*
-* ============================================================================
-* IP address compare functions
-* ============================================================================
-*/
-
-/**
-* This function returns true if the IPv4 address is included within the
-* network segment. Otherwise, it is false.
-* If the test address is a host address, confirm whether its address is within
-* the network segment. If the test address is a network segment, confirm
-* whether all addresses of the network segment are within the network segment.
+* Protocol name is converted to its number string. However, if the protocol
+* number is 0, it is changed to 'ip.' The protocols of the proxy service, such
+* as the default 'webproxy,' are converted to TCP or UDP with tcp-portrange or
+* udp-portrange, and the service destination address is '0/0.'
 *
-* @param {string} strTestIPv4WithPrefixLength
-* @param {string} strIPv4SegmentNetworkAddrWithPrefixLength
-* @return {boolean}
-*   true if the IPv4 address is included within the network segment.
-*   Otherwise, it is false.
+* @param {Object} objParam - Parameter object of a service object to normalize.
+* @return {Object}
+*   Object that contains the string of the normalized service condition.
 *
 * @example
-*   strTestIPv4WithPrefixLength strIPv4SegmentNetworkAddrWithPrefixLength    Return
-*   -------------------------------------------------------------------------------
-*   '192.168.0.17/24'           '192.168.0.0/24'                          -> true
-*   '192.168.0.17/24'           '192.168.1.0/24'                          -> false
-*   '192.168.0.17/24'           '192.168.0.0/28'                          -> true
-*   '192.168.0.0/24'            '192.168.0.0/28'                          -> false
-*   '192.168.0.17/28'           '192.168.0.0/24'                          -> true
-*   '192.168.0.0/28'            '192.168.0.0/24'                          -> true
+*   ip:
+*       objParam['protocol'] objParam['protocol_number'] objParam['comment']    Return['value'] Return['protocol_type'] Return['comment']
+*       ---------------------------------------------------------------------------------------------------------------------------------
+*       'IP'                 '0'                         'MyComment.'        -> ['ip;-']        PROTOCOL_TYPE_BIT_IP    'MyComment.'
+*       'IP'                 '89'                        'My comment.'       -> ['89;-']        PROTOCOL_TYPE_BIT_IP    'My comment.'
+*   icmp or icmp6:
+*       objParam['protocol'] objParam['icmptype'] objParam['icmpcode'] objParam['comment']    Return['value']     Return['protocol_type']      Return['comment']
+*       --------------------------------------------------------------------------------------------------------------------------------------------------------
+*       'ICMP'               ''                   ''                   'MyComment.'        -> ['1/any/any;-'    ] PROTOCOL_TYPE_BIT_ICMP_ICMP6 'MyComment.'
+*       'ICMP'               '0'                  ''                   'My comment.'       -> ['1/0/any;-'      ] PROTOCOL_TYPE_BIT_ICMP_ICMP6 'My comment.'
+*       'ICMP6'              '0'                  '255'                ''                  -> ['58/0/255;-'     ] PROTOCOL_TYPE_BIT_ICMP_ICMP6 ''
+*   tcp, udp, or sctp:
+*       objParam['protocol'] objParam['tcp_portrange'] objParam['udp_portrange'] objParam['sctp_portrange']   objParam['iprange']         objParam['fqdn']       objParam['comment']    Return['value']                                                                                                                                                               Return['protocol_type']        Return['comment']
+*       --------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*       'TCP/UDP/SCTP'       '80'                      ''                        ''                           ''                          ''                     'MyComment.'        -> ['6/eq/any/eq/80;0/0'                                                                                                                                                       ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'MyComment.'
+*       'TCP/UDP/SCTP'       ''                        ':1-65535'                ''                           '192.168.0.1'               ''                     'My comment.'       -> ['17/range/1-65535/eq/any;192.168.0.1/32'                                                                                                                                   ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'My comment.'
+*       'TCP/UDP/SCTP'       ''                        ''                        '4321-4322:10000-20000'      ''                          ''                     ''                  -> ['132/range/10000-20000/range/4321-4322;0/0'                                                                                                                                ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP ''
+*       'TCP/UDP/SCTP'       '20-21'                   '123:10000-20000'         ''                           '192.168.0.1-192.168.0.100' ''                     'Comment'           -> ['6/eq/any/range/20-21;192.168.0.1-192.168.0.100','17/range/10000-20000/eq/123;192.168.0.1-192.168.0.100'                                                                   ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
+*       'TCP/UDP/SCTP'       ':10000-20000'            ''                        '4321'                       ''                          'fqdn:www.example.com' 'Comment'           -> ['6/range/10000-20000/eq/any;fqdn:www.example.com','132/eq/any/eq/4321;fqdn:www.example.com'                                                                                ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
+*       'TCP/UDP/SCTP'       '20-21:10000'             '123'                     ':1-65535'                   ''                          ''                     'Comment'           -> ['6/eq/10000/range/20-21;0/0','17/eq/any/eq/123;0/0','132/range/1-65535/eq/any;0/0'                                                                                         ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
+*       'TCP/UDP/SCTP'       '80 20-21:10000'          '123 161-162'             '4321-4322:10000-20000 4323' ''                          ''                     'Comment'           -> ['6/eq/any/eq/80;0/0','6/eq/10000/range/20-21;0/0','17/eq/any/eq/123;0/0','17/eq/any/range/161-162;0/0','132/range/10000-20000/range/4321-4322;0/0','132/eq/any/eq/4323;0/0'] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
+*   proxy:
+*       objParam['protocol'] objParam['tcp_portrange'] objParam['udp_portrange'] objParam['comment']    Return['value']                               Return['protocol_type']        Return['comment']
+*       ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*       'ALL'                '0-65535:0-65535'         ''                        'webproxy'          -> ['6/range/0-65535/range/0-65535;0/0'        ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'webproxy'
+*       'HTTP'               '80 8080'                 ''                        ''                  -> ['6/eq/any/eq/80;0/0','6/eq/any/eq/8080;0/0'] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP ''
+*       'SOCKS-UDP'          ''                        '1080'                    ''                  -> ['17/eq/any/eq/1080;0/0'                    ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP ''
+*   others:
+*       objParam['protocol'] objParam['comment']    Return['value']       Return['protocol_type']       Return['comment']
+*       -----------------------------------------------------------------------------------------------------------------
+*       'UNKNOWN'            'MyComment.'        -> ['UNKNOWN;UNKNOWN']   PROTOCOL_TYPE_BIT_UNSUPPORTED 'MyComment.'
+*       ''                   'My comment.'       -> ['undefined;-'    ]   PROTOCOL_TYPE_BIT_NONE        'My comment.'
 */
-function isIPv4WithPrefixLengthIncludedInSegment(strTestIPv4WithPrefixLength, strIPv4SegmentNetworkAddrWithPrefixLength) {
-    const arrayStrTestIPv4           = strTestIPv4WithPrefixLength.split('/');
-    const arrayStrIPv4SegmentNetworkAddr = strIPv4SegmentNetworkAddrWithPrefixLength.split('/');
-
-    const strTestIPv4Addr = arrayStrTestIPv4[0];
-    let intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
-    let strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
-    const intIPv4SegmentPrefixLength = parseInt(arrayStrIPv4SegmentNetworkAddr[1]);
-    const strIPv4SegmentNetMask = getIPv4NetMaskFromPrefixLength(intIPv4SegmentPrefixLength);
-    const strIPv4SegmentNetworkAddr = getIPv4StartAddr(arrayStrIPv4SegmentNetworkAddr[0], strIPv4SegmentNetMask);
-
-    // If the test address is a host address, change the prefix length to 32.
-    if (strTestIPv4NetworkAddr !== strTestIPv4Addr) {
-        intTestIPv4PrefixLength = 32;
-        strTestIPv4NetworkAddr = strTestIPv4Addr;
-    }
-
-    //
-    if (intTestIPv4PrefixLength == intIPv4SegmentPrefixLength) {
-        if (strTestIPv4NetworkAddr === strIPv4SegmentNetworkAddr) {
-            return true;
+function normalizeFirewallServiceCustom(objParam) {
+    const objReturn = {};
+    const arrayValue = [];
+    switch (objParam['protocol']) {
+    case 'IP':
+        arrayValue[0] = (Number.isInteger(+objParam['protocol_number']) && objParam['protocol_number'] !== '0' && objParam['protocol_number'] !== '') ? objParam['protocol_number'] : 'ip';
+        arrayValue[0] += ';-';
+        break;
+    case 'ICMP':
+        arrayValue[0] = '1/'  + (objParam['icmptype'] === '' ? 'any' : objParam['icmptype']) + '/' + (objParam['icmpcode'] === '' ? 'any' : objParam['icmpcode']);
+        arrayValue[0] += ';-';
+        break;
+    case 'ICMP6':
+        arrayValue[0] = '58/' + (objParam['icmptype'] === '' ? 'any' : objParam['icmptype']) + '/' + (objParam['icmpcode'] === '' ? 'any' : objParam['icmpcode']);
+        arrayValue[0] += ';-';
+        break;
+    case 'TCP/UDP/SCTP':
+        if (objParam['tcp_portrange'] !== '') {
+            arrayValue.push(...getServicePortConditionArray('6', objParam['tcp_portrange'], objParam['iprange'], objParam['fqdn']));
         }
-    } else if (intTestIPv4PrefixLength > intIPv4SegmentPrefixLength) {
-        strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, strIPv4SegmentNetMask);
-        if (strTestIPv4NetworkAddr === strIPv4SegmentNetworkAddr) {
-            return true;
+        if (objParam['udp_portrange'] !== '') {
+            arrayValue.push(...getServicePortConditionArray('17', objParam['udp_portrange'], objParam['iprange'], objParam['fqdn']));
+        }
+        if (objParam['sctp_portrange'] !== '') {
+            arrayValue.push(...getServicePortConditionArray('132', objParam['sctp_portrange'], objParam['iprange'], objParam['fqdn']));
         }
+        break;
+    case 'ALL': // Proxy service.
+    case 'HTTP':
+    case 'CONNECT':
+    case 'FTP':
+    case 'SOCKS-TCP':
+        arrayValue.push(...getServicePortConditionArray('6', objParam['tcp_portrange'], '', ''));
+        break;
+    case 'SOCKS-UDP': // Proxy service.
+        arrayValue.push(...getServicePortConditionArray('17', objParam['udp_portrange'], '', ''));
+        break;
+    case '':
+        arrayValue[0] = 'undefined;-';
+        break;
+    default: // Unsupported protocol.
+        arrayValue[0] = objParam['protocol'] + ';' + objParam['protocol'];
+        break;
     }
-    return false;
+    objReturn['value'] = arrayValue.unique();
+    objReturn['protocol_type'] = getProtocolTypeBitsOfArray(objReturn['value']);
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
 }
 
 /**
-* This function returns true if the IPv6 address is included within the
-* network segment. Otherwise, it is false.
-* If the test address is a host address, confirm whether its address is within
-* the network segment. If the test address is a network segment, confirm
-* whether all addresses of the network segment are within the network segment.
-* Both argument addresses have to be the full represented.
+* This function flattens the specified members to those values and returns the
+* flattened values array. If two or more members flatten, all flattened values
+* are contained in an array. However, duplicate values are stripped.
 *
-* @param {string} strTestIPv6WithPrefixLength
-* @param {string} strIPv6SegmentNetworkAddrWithPrefixLength
-* @return {boolean}
-*   true if the IPv6 address is included within the network segment.
-*   Otherwise, it is false.
+* @param {Object} objObjectOrGroupObject -
+*   Address object, address-group object, service object, or service-group
+*   object.
+* @param {Array} arrayMember - Member names that to flatten.
+* @return {Array} Array of flattened values.
 *
 * @example
-*   strTestIPv6WithPrefixLength                  strIPv6SegmentNetworkAddrWithPrefixLength       Return
-*   ---------------------------------------------------------------------------------------------------
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/64' '2001:0db8:0001:0002:0000:0000:0000:0000/64' -> true
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/64' '2001:0db8:0001:0003:0000:0000:0000:0000/64' -> false
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/64' '2001:0db8:0001:0002:0000:0000:0000:0000/96' -> true
-*   '2001:0db8:0001:0002:0000:0000:0000:0000/64' '2001:0db8:0001:0002:0000:0000:0000:0000/96' -> false
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/96' '2001:0db8:0001:0002:0000:0000:0000:0000/64' -> true
-*   '2001:0db8:0001:0002:0000:0000:0000:0000/96' '2001:0db8:0001:0002:0000:0000:0000:0000/64' -> true
+*   objObjectOrGroupObject                                                          arrayMember          Return
+*   ------------------------------------------------------------------------------------------------------------------
+*   {KEY11:{value:['ABC'      ],comment:''},KEY12:{value:['DEF','GHI'],comment:''}} ['KEY11']         -> ['ABC'      ]
+*   {KEY12:{value:['DEF','GHI'],comment:''},KEY13:{value:['DEF','DEF'],comment:''}} ['KEY12','KEY13'] -> ['DEF','GHI']
+*   {KEY11:{value:['ABC'      ],comment:''}                                       } ['NOKEY']         -> [           ]
 */
-function isIPv6WithPrefixLengthIncludedInSegment(strTestIPv6WithPrefixLength, strIPv6SegmentNetworkAddrWithPrefixLength) {
-    const arrayStrTestIPv6           = strTestIPv6WithPrefixLength.split('/');
-    const arrayStrIPv6SegmentNetworkAddr = strIPv6SegmentNetworkAddrWithPrefixLength.split('/');
-
-    const strTestIPv6Addr = arrayStrTestIPv6[0];
-    let intTestIPv6PrefixLength = parseInt(arrayStrTestIPv6[1]);
-    let strTestIPv6NetworkAddr = getIPv6StartAddr(strTestIPv6Addr, getIPv6NetMaskFromPrefixLength(intTestIPv6PrefixLength));
-    const intIPv6SegmentPrefixLength = parseInt(arrayStrIPv6SegmentNetworkAddr[1]);
-    const strIPv6SegmentNetMask = getIPv6NetMaskFromPrefixLength(intIPv6SegmentPrefixLength);
-    const strIPv6SegmentNetworkAddr = getIPv6StartAddr(arrayStrIPv6SegmentNetworkAddr[0], strIPv6SegmentNetMask);
-
-    // If the test address is a host address, change the prefix length to 128.
-    if (strTestIPv6NetworkAddr !== strTestIPv6Addr) {
-        intTestIPv6PrefixLength = 128;
-        strTestIPv6NetworkAddr = strTestIPv6Addr;
-    }
-
-    //
-    if (intTestIPv6PrefixLength == intIPv6SegmentPrefixLength) {
-        if (strTestIPv6NetworkAddr === strIPv6SegmentNetworkAddr) {
-            return true;
-        }
-    } else if (intTestIPv6PrefixLength > intIPv6SegmentPrefixLength) {
-        strTestIPv6NetworkAddr = getIPv6StartAddr(strTestIPv6Addr, strIPv6SegmentNetMask);
-        if (strTestIPv6NetworkAddr === strIPv6SegmentNetworkAddr) {
-            return true;
+function flattenMember(objObjectOrGroupObject, arrayMember) {
+    const arrayValue = [];
+    for (let i=0; i<arrayMember.length; ++i) {
+        if (objObjectOrGroupObject[arrayMember[i]]) {
+            arrayValue.push(...objObjectOrGroupObject[arrayMember[i]].value);
         }
     }
-    return false;
+    return arrayValue.unique();
 }
 
 /**
-* This function compares two IPv4 addresses.
+* This function returns the origin of the specified value of the object or
+* group. The origin contains the path and the line range in the configuration
+* of the object that has the value. The path is the names from the specified
+* object or group to that object, joined with '>'. The group saves the origin
+* of each value from its member in 'origin' when it is resolved.
 *
-* @param {string} strIPv4_1
-* @param {string} strIPv4_2
-* @return {number}
-*    1: IPv4_1 > IPv4_2
-*    0: IPv4_1 = IPv4_2
-*   -1: IPv4_1 < IPv4_2
+* @param {Object} objObjectOrGroupObject -
+*   Address object, address-group object, service object, or service-group
+*   object.
+* @param {string} strName - Name of the object or group.
+* @param {string} strValue - Flattened value of the object or group.
+* @return {Object} Origin that contains the path and the line range.
 *
+* @example
+*   objObjectOrGroupObject                                                                                                      strName   strValue         Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   {GRP1:{value:['10.0.0.1/32'],origin:{'10.0.0.1/32':{path:'GRP2>ADDR1',line:'3-5'}},conf_line:'20-23',comment:''}}  'GRP1'    '10.0.0.1/32' -> {path:'GRP1>GRP2>ADDR1',line:'3-5'}
+*   {ADDR1:{value:['10.0.0.1/32'],conf_line:'3-5',comment:''}                                                         }  'ADDR1'   '10.0.0.1/32' -> {path:'ADDR1',line:'3-5'}
+*   {GRP1:{value:['10.0.0.0/24'],origin:{},conf_line:'20-23',comment:''}                                              }  'GRP1'    '10.0.0.0/24' -> {path:'GRP1',line:'20-23'}
 */
-function compareIPv4(strIPv4_1, strIPv4_2) {
-    const arrayStrIPv4Octet_1 = strIPv4_1.split('.');
-    const arrayIntIPv4Octet_1 = [];
-    for (let i=0; i<4; ++i) {
-        arrayIntIPv4Octet_1[i] = parseInt(arrayStrIPv4Octet_1[i]);
-    }
-    const arrayStrIPv4Octet_2 = strIPv4_2.split('.');
-    const arrayIntIPv4Octet_2 = [];
-    for (let i=0; i<4; ++i) {
-        arrayIntIPv4Octet_2[i] = parseInt(arrayStrIPv4Octet_2[i]);
+function getValueOrigin(objObjectOrGroupObject, strName, strValue) {
+    const obj = objObjectOrGroupObject[strName];
+    if (obj && obj.origin && obj.origin.hasOwnProperty(strValue)) {
+        return {path: strName + '>' + obj.origin[strValue].path, line: obj.origin[strValue].line};
     }
+    return {path: strName, line: obj && obj.conf_line ? obj.conf_line : ''};
+}
 
-    for (let i=0; i<4; ++i) {
-        if (arrayIntIPv4Octet_1[i] > arrayIntIPv4Octet_2[i]) {
-            return 1;
-        } else if (arrayIntIPv4Octet_1[i] < arrayIntIPv4Octet_2[i]) {
-            return -1;
+/**
+* This function returns the origin of each value of the specified group from
+* its members by getValueOrigin function. If two or more members have the
+* same value, the origin is from the first member.
+*
+* @param {Array} arrayMember - Member names of the group.
+* @param {Object} objObject - Objects that the members refer to.
+* @param {Object} objGroup - Groups that the members refer to.
+* @return {Object} Object that has the origin of each value.
+*
+* @example
+*   Variables state when calls.
+*   -------------------------------------------------------------------------------------------------------
+*   objObject['ADDR1'] = {value:['10.0.0.1/32'],conf_line:'3-5',comment:''}
+*   objGroup['GRP2']   = {value:['10.0.0.1/32','10.0.0.2/32'],origin:{'10.0.0.1/32':{path:'ADDR1',line:'3-5'},'10.0.0.2/32':{path:'ADDR2',line:'6-8'}},conf_line:'20-23',comment:''}
+*
+*   arrayMember        Return
+*   --------------------------------------------------------------------------------------------------------------------------------
+*   ['ADDR1','GRP2'] -> {'10.0.0.1/32':{path:'ADDR1',line:'3-5'},'10.0.0.2/32':{path:'GRP2>ADDR2',line:'6-8'}}
+*/
+function getMemberOrigin(arrayMember, objObject, objGroup) {
+    const objOrigin = {};
+    const addOrigin = function(objObjectOrGroupObject) {
+        for (let i=0; i<arrayMember.length; ++i) {
+            if (objObjectOrGroupObject[arrayMember[i]]) {
+                const arrayValue = objObjectOrGroupObject[arrayMember[i]].value;
+                for (let j=0; j<arrayValue.length; ++j) {
+                    if (!objOrigin.hasOwnProperty(arrayValue[j])) {
+                        objOrigin[arrayValue[j]] = getValueOrigin(objObjectOrGroupObject, arrayMember[i], arrayValue[j]);
+                    }
+                }
+            }
         }
-    }
-    return 0;
+    };
+
+    // The values of the objects precede those of the groups as flattenMember.
+    addOrigin(objObject);
+    addOrigin(objGroup);
+    return objOrigin;
 }
 
 /**
-* This function compares two IPv6 addresses.
+* This function returns the address interval of the normalized address
+* string. The interval is the start and end addresses as BigInt. The address
+* that is neither IPv4 nor IPv6 subnet or range, such as FQDN, geography, and
+* the wildcard address, has no interval.
 *
-* @param {string} strIPv6_1
-* @param {string} strIPv6_2
-* @return {number}
-*    1: IPv6_1 > IPv6_2
-*    0: IPv6_1 = IPv6_2
-*   -1: IPv6_1 < IPv6_2
+* @param {string} strAddr - Normalized address string.
+* @return {(Object|null)}
+*   Object that contains the address family, the start address, and the end
+*   address. null if the address has no interval.
 *
+* @example
+*   strAddr                                                                                   Return
+*   -----------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '192.168.0.0/24'                                                                       -> {family:4,start:3232235520n,end:3232235775n}
+*   '192.168.0.1-192.168.0.9'                                                              -> {family:4,start:3232235521n,end:3232235529n}
+*   '2001:0db8:0000:0000:0000:0000:0000:0000/127'                                          -> {family:6,start:42540766411282592856903984951653826560n,end:42540766411282592856903984951653826561n}
+*   '2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0002'      -> {family:6,start:42540766411282592856903984951653826561n,end:42540766411282592856903984951653826562n}
+*   'fqdn:www.example.com'                                                                 -> null
+*   '192.168.0.0/0.0.255.0'                                                                -> null
 */
-function compareIPv6(strIPv6_1, strIPv6_2) {
-    const arrayStrIPv6_16bits_1 = strIPv6_1.split(':');
-    const arrayIntIPv6_16bits_1 = [];
-    for (let i=0; i<8; ++i) {
-        arrayIntIPv6_16bits_1[i] = parseInt(arrayStrIPv6_16bits_1[i], 16);
-    }
-    const arrayStrIPv6_16bits_2 = strIPv6_2.split(':');
-    const arrayIntIPv6_16bits_2 = [];
-    for (let i=0; i<8; ++i) {
-        arrayIntIPv6_16bits_2[i] = parseInt(arrayStrIPv6_16bits_2[i], 16);
-    }
+function getAddressInterval(strAddr) {
+    const toBigInt = function(strIPAddr) {
+        return strIPAddr.indexOf(':') != -1 ? BigInt('0x' + strIPAddr.replaceAll(':', '')) : BigInt(toIPv4AddrInteger(strIPAddr));
+    };
 
-    for (let i=0; i<8; ++i) {
-        if (arrayIntIPv6_16bits_1[i] > arrayIntIPv6_16bits_2[i]) {
-            return 1;
-        } else if (arrayIntIPv6_16bits_1[i] < arrayIntIPv6_16bits_2[i]) {
-            return -1;
-        }
+    let array = strAddr.match(/^(\d+\.\d+\.\d+\.\d+|[\da-f]{4}(?::[\da-f]{4}){7})\/(\d+)$/);
+    if (array) {
+        const intBits = array[1].indexOf(':') != -1 ? 128 : 32;
+        const biSize = BigInt(1) << BigInt(intBits - parseInt(array[2]));
+        const biStart = toBigInt(array[1]) / biSize * biSize;
+        return {family: intBits == 128 ? 6 : 4, start: biStart, end: biStart + biSize - BigInt(1)};
     }
-    return 0;
+    array = strAddr.match(/^(\d+\.\d+\.\d+\.\d+|[\da-f]{4}(?::[\da-f]{4}){7})-(\d+\.\d+\.\d+\.\d+|[\da-f]{4}(?::[\da-f]{4}){7})$/);
+    if (array) {
+        return {family: array[1].indexOf(':') != -1 ? 6 : 4, start: toBigInt(array[1]), end: toBigInt(array[2])};
+    }
+    return null;
 }
 
 /**
-* This function returns true if the IPv4 address is within the range.
-* Otherwise, it is false.
-* If the test address is a host address, confirm whether its address is within
-* the range. If the test address is a network segment, confirm whether all
-* addresses of the network segment are within the range.
+* This function returns the normalized address string of the address
+* interval. It is the CIDR representation if the interval is a subnet.
+* Otherwise, it is the range representation.
 *
-* @param {string} strTestIPv4WithPrefixLength
-* @param {string} strIPv4Range
-* @return {boolean}
-*   true if the IPv4 address is within the range.
-*   Otherwise, it is false.
+* @param {number} intFamily - Address family, 4 or 6.
+* @param {BigInt} biStart - Start address.
+* @param {BigInt} biEnd - End address.
+* @return {string} Normalized address string.
 *
 * @example
-*   strTestIPv4WithPrefixLength strIPv4Range                   Return
-*   -----------------------------------------------------------------
-*   '192.168.0.1/32'            '192.168.0.0-192.168.0.100' -> true
-*   '192.168.0.1/32'            '192.168.0.8-192.168.0.100' -> false
-*   '192.168.0.0/24'            '192.168.0.0-192.168.0.100' -> false
-*   '192.168.0.0/24'            '192.168.0.0-192.168.1.0'   -> true
-*   '192.168.0.1/24'            '192.168.0.0-192.168.0.100' -> true
+*   intFamily biStart                                  biEnd                                       Return
+*   -----------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   4         3232235520n                              3232235775n                              -> '192.168.0.0/24'
+*   4         3232235521n                              3232235529n                              -> '192.168.0.1-192.168.0.9'
+*   6         42540766411282592856903984951653826560n  42540766411282592856903984951653826561n  -> '2001:0db8:0000:0000:0000:0000:0000:0000/127'
 */
-function isIPv4WithPrefixLengthIncludedInRange(strTestIPv4WithPrefixLength, strIPv4Range) {
-    const arrayStrTestIPv4 = strTestIPv4WithPrefixLength.split('/');
-    const arrayStrIPv4Range = strIPv4Range.split('-');
-
-    const strTestIPv4Addr = arrayStrTestIPv4[0];
-    const intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
-    const strTestIPv4NetMask = getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength);
-    let strTestIPv4Start = getIPv4StartAddr(strTestIPv4Addr, strTestIPv4NetMask);
-    let strTestIPv4End = getIPv4EndAddr(strTestIPv4Addr, strTestIPv4NetMask);
-
-    // If the test address is a host address, change the start address and the end address to the same as the test address.
-    if (strTestIPv4Addr !== strTestIPv4Start) {
-        strTestIPv4Start = strTestIPv4End = strTestIPv4Addr;
-    }
+function getAddressFromInterval(intFamily, biStart, biEnd) {
+    const intBits = intFamily == 6 ? 128 : 32;
+    const toAddrString = function(biAddr) {
+        return intFamily == 6 ? biAddr.toString(16).padStart(32, '0').match(/.{4}/g).join(':') : toIPv4AddrString(Number(biAddr));
+    };
 
-    //
-    if (compareIPv4(strTestIPv4Start, arrayStrIPv4Range[0]) >= 0 && compareIPv4(strTestIPv4End, arrayStrIPv4Range[1]) <= 0) {
-        return true;
+    const biSize = biEnd - biStart + BigInt(1);
+    if ((biSize & (biSize - BigInt(1))) == BigInt(0) && biStart % biSize == BigInt(0)) {
+        return toAddrString(biStart) + '/' + (intBits - biSize.toString(2).length + 1);
     }
-    return false;
+    return toAddrString(biStart) + '-' + toAddrString(biEnd);
 }
 
 /**
-* This function returns true if the IPv6 address is within the range.
-* Otherwise, it is false.
-* If the test address is a host address, confirm whether its address is within
-* the range. If the test address is a network segment, confirm whether all
-* addresses of the network segment are within the range.
-* Both argument addresses have to be the full represented.
+* This function returns the array of normalized address strings that the
+* excluded addresses are subtracted from. The subnet or range is split when
+* the excluded address is a part of it. The address that has no interval, such
+* as FQDN and geography, is removed only if the same address is excluded.
 *
-* @param {string} strTestIPv6WithPrefixLength
-* @param {string} strIPv6Range
-* @return {boolean}
-*   true if the IPv6 address is within the range.
-*   Otherwise, it is false.
+* @param {Array} arrayAddr - Array of normalized address strings.
+* @param {Array} arrayExcludeAddr -
+*   Array of normalized address strings to exclude.
+* @return {Array} Array of normalized address strings.
 *
 * @example
-*   strTestIPv6WithPrefixLength                    strIPv6Range                                                                         Return
-*   ------------------------------------------------------------------------------------------------------------------------------------------
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/128'  '2001:0db8:0001:0002:0003:0004:0005:0000-2001:0db8:0001:0002:0003:0004:0005:0010' -> true
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/128'  '2001:0db8:0001:0002:0003:0004:0005:0008-2001:0db8:0001:0002:0003:0004:0005:0010' -> false
-*   '2001:0db8:0001:0002:0000:0000:0000:0000/64'   '2001:0db8:0001:0002:0003:0004:0005:0000-2001:0db8:0001:0002:0003:0004:0005:0010' -> false
-*   '2001:0db8:0001:0002:0000:0000:0000:0000/64'   '2001:0db8:0001:0002:0000:0000:0000:0000-2001:0db8:0001:0003:0000:0000:0000:0000' -> true
-*   '2001:0db8:0001:0002:0003:0004:0005:0006/64'   '2001:0db8:0001:0002:0003:0004:0005:0000-2001:0db8:0001:0002:0003:0004:0005:0010' -> true
+*   arrayAddr                                  arrayExcludeAddr                           Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['192.168.0.0/24'                       ] ['192.168.0.128/25'                      ] -> ['192.168.0.0/25'                                                  ]
+*   ['192.168.0.0/24'                       ] ['192.168.0.1/32'                        ] -> ['192.168.0.0/32','192.168.0.2-192.168.0.255'                      ]
+*   ['192.168.0.0/24','fqdn:www.example.com'] ['0.0.0.0/0','fqdn:www.example.com'      ] -> [                                                                  ]
+*   ['192.168.0.0/24'                       ] ['192.168.0.5-192.168.0.10','10.0.0.0/8'] -> ['192.168.0.0-192.168.0.4','192.168.0.11-192.168.0.255'             ]
+*   ['192.168.0.0/24'                       ] ['2001:0db8:0000:0000:0000:0000:0000:0000/32'] -> ['192.168.0.0/24'                                                  ]
 */
-function isIPv6WithPrefixLengthIncludedInRange(strTestIPv6WithPrefixLength, strIPv6Range) {
-    const arrayStrTestIPv6 = strTestIPv6WithPrefixLength.split('/');
-    const arrayStrIPv6Range = strIPv6Range.split('-');
+function getAddressArrayExcluded(arrayAddr, arrayExcludeAddr) {
+    const arrayExcludeInterval = [];
+    for (let i=0; i<arrayExcludeAddr.length; ++i) {
+        const objInterval = getAddressInterval(arrayExcludeAddr[i]);
+        if (objInterval) {
+            arrayExcludeInterval.push(objInterval);
+        }
+    }
 
-    const strTestIPv6Addr = arrayStrTestIPv6[0];
-    const intTestIPv6PrefixLength = parseInt(arrayStrTestIPv6[1]);
-    const strTestIPv6NetMask = getIPv6NetMaskFromPrefixLength(intTestIPv6PrefixLength);
-    let strTestIPv6Start = getIPv6StartAddr(strTestIPv6Addr, strTestIPv6NetMask);
-    let strTestIPv6End = getIPv6EndAddr(strTestIPv6Addr, strTestIPv6NetMask);
+    const arrayReturn = [];
+    for (let i=0; i<arrayAddr.length; ++i) {
+        const objInterval = getAddressInterval(arrayAddr[i]);
+        if (!objInterval) {
+            if (!arrayExcludeAddr.includes(arrayAddr[i])) {
+                arrayReturn.push(arrayAddr[i]);
+            }
+            continue;
+        }
 
-    // If the test address is a host address, change the start address and the end address to the same as the test address.
-    if (strTestIPv6Addr !== strTestIPv6Start) {
-        strTestIPv6Start = strTestIPv6End = strTestIPv6Addr;
+        // Subtract each excluded interval from the remaining intervals.
+        let arrayRemain = [[objInterval.start, objInterval.end]];
+        for (let j=0; j<arrayExcludeInterval.length; ++j) {
+            if (arrayExcludeInterval[j].family != objInterval.family) {
+                continue;
+            }
+            const biExcludeStart = arrayExcludeInterval[j].start;
+            const biExcludeEnd = arrayExcludeInterval[j].end;
+            const arrayNext = [];
+            for (let k=0; k<arrayRemain.length; ++k) {
+                const [biStart, biEnd] = arrayRemain[k];
+                if (biExcludeEnd < biStart || biEnd < biExcludeStart) { // Not overlapped.
+                    arrayNext.push(arrayRemain[k]);
+                    continue;
+                }
+                if (biStart < biExcludeStart) {
+                    arrayNext.push([biStart, biExcludeStart - BigInt(1)]);
+                }
+                if (biExcludeEnd < biEnd) {
+                    arrayNext.push([biExcludeEnd + BigInt(1), biEnd]);
+                }
+            }
+            arrayRemain = arrayNext;
+        }
+
+        for (let j=0; j<arrayRemain.length; ++j) {
+            arrayReturn.push(getAddressFromInterval(objInterval.family, arrayRemain[j][0], arrayRemain[j][1]));
+        }
     }
+    return arrayReturn.unique();
+}
 
-    //
-    if (compareIPv6(strTestIPv6Start, arrayStrIPv6Range[0]) >= 0 && compareIPv6(strTestIPv6End, arrayStrIPv6Range[1]) <= 0) {
-        return true;
+/**
+* This function flattens members of an address-group object in the 'firewall
+* addrgrp' or 'firewall addrgrp6' configuration and returns the object that
+* contains the array of normalized address strings. However, duplicate
+* addresses are stripped. If exclude is enabled, the addresses of
+* exclude-member are subtracted from the addresses of member by
+* getAddressArrayExcluded function. The origin of each address from the
+* members is saved in 'origin' by getMemberOrigin function. The address left
+* by the subtraction has the origin of the member address it is left from.
+*
+* @param {Object} objParam -
+*   Parameter object of an address-group object to flatten.
+* @param {Object} objFirewallAddress -
+*   g_Domain_Data[].address4 or g_Domain_Data[].address6.
+* @param {Object} objFirewallAddressGroup -
+*   g_Domain_Data[].addrgrp4 or g_Domain_Data[].addrgrp6.
+* @return {Object} Array of normalized address strings.
+*
+* @example
+*   Variables state when calls.
+*   -------------------------------------------------------------------------------------------------------
+*   objFirewallAddress['ADDR11']       = {value:['192.168.0.1/32'                             ],comment:''}
+*   objFirewallAddress['ADDR21']       = {value:['0.0.0.0/0','172.16.0.0/16'                  ],comment:''}
+*   objFirewallAddress['ADDR22']       = {value:['192.168.0.1/32','172.16.0.0/16'             ],comment:''}
+*   objFirewallAddressGroup['ADDRG11'] = {value:['10.0.0.0/8'                                 ],comment:''}
+*   objFirewallAddressGroup['ADDRG21'] = {value:['192.168.0.1/32','192.168.0.0/24'            ],comment:''}
+*   objFirewallAddress['ADDR31']       = {value:['2001:0db8:0000:0000:0000:0000:0000:0001/128'],comment:''}
+*   objFirewallAddress['ADDR32']       = {value:['2001:0db8:0002:0003:0000:0000:0000:0000/64' ],comment:''}
+*
+*   objParam['member']                      objParam['comment']    Return['value']                                                                              Return['comment']
+*   -----------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '"ADDR11"'                              'MyComment.'        -> ['192.168.0.1/32'                                                                          ] 'MyComment.'
+*   '"ADDR31" "ADDR32'                      'My comment.'       -> ['2001:0db8:0000:0000:0000:0000:0000:0001/128','2001:0db8:0002:0003:0000:0000:0000:0000/64'] 'My comment.'
+*   '"ADDRG11"'                             'Comment'           -> ['10.0.0.0/8'                                                                              ] 'Comment'
+*   '"ADDR21" "ADDR22" "ADDRG11" "ADDRG21"' 'Comment'           -> ['0.0.0.0/0','172.16.0.0/16','192.168.0.1/32','10.0.0.0/8','192.168.0.0/24'                ] 'Comment'
+*   '"UNKNOWN"'                             'Comment'           -> [                                                                                          ] 'Comment'
+*/
+function normalizeFirewallAddressGroup(objParam, objFirewallAddress, objFirewallAddressGroup) {
+    const objReturn = {};
+    const arrayMember = getConfigValueArray(objParam['member']);
+    const arrayValue = flattenMember(objFirewallAddress, arrayMember);
+    arrayValue.push(...flattenMember(objFirewallAddressGroup, arrayMember));
+    if (objParam['exclude'] === 'enable' && objParam['exclude_member'] !== '') {
+        const arrayExcludeMember = getConfigValueArray(objParam['exclude_member']);
+        const arrayExcludeValue = flattenMember(objFirewallAddress, arrayExcludeMember);
+        arrayExcludeValue.push(...flattenMember(objFirewallAddressGroup, arrayExcludeMember));
+        const objMemberOrigin = getMemberOrigin(arrayMember, objFirewallAddress, objFirewallAddressGroup);
+        const arrayMemberValue = arrayValue.unique();
+        const arrayRemainValue = [];
+        objReturn['origin'] = {};
+        for (let i=0; i<arrayMemberValue.length; ++i) {
+            const arrayRemain = getAddressArrayExcluded([arrayMemberValue[i]], arrayExcludeValue.unique());
+            for (let j=0; j<arrayRemain.length; ++j) {
+                if (!objReturn['origin'].hasOwnProperty(arrayRemain[j])) {
+                    objReturn['origin'][arrayRemain[j]] = objMemberOrigin[arrayMemberValue[i]];
+                }
+            }
+            arrayRemainValue.push(...arrayRemain);
+        }
+        objReturn['value'] = arrayRemainValue.unique();
+    } else {
+        objReturn['value'] = arrayValue.unique();
+        objReturn['origin'] = getMemberOrigin(arrayMember, objFirewallAddress, objFirewallAddressGroup);
     }
-    return false;
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
 }
 
 /**
-* This function returns true if the IPv4 address matches the Cisco-style
-* wildcard address. Otherwise, it is false. If the IPv4 address is a host
-* address, test whether its address matches. If a network segment, test
-* whether all addresses of the network segment match.
+* This function flattens members of a service-group object in the 'firewall
+* service group' configuration and returns the object that contains the array
+* of normalized service strings. However, duplicate services are stripped.
+* The origin of each service from the members is saved in 'origin' by
+* getMemberOrigin function.
 *
-* @param {string} strTestIPv4WithPrefixLength
-* @param {string} strIPv4AddrWithWildcardMask
-* @return {boolean}
-*   true if the IPv4 address matches the wildcard address.
-*   Otherwise, it is false.
+* @param {Object} objParam -
+*   Parameter object of a service-group object to flatten.
+* @param {Object} objFirewallServiceCustom - g_Domain_Data[].service_custom
+* @param {Object} objFirewallServiceGroup - g_Domain_Data[].service_group
+* @return {Object} Array of normalized service strings.
 *
 * @example
-*   strTestIPv4WithPrefixLength strIPv4AddrWithWildcardMask    Return
-*   -----------------------------------------------------------------
-*   '192.168.0.0/32'            '192.168.0.0/0.0.0.255'     -> true
-*   '192.168.0.1/32'            '192.168.0.0/0.0.0.255'     -> true
-*   '192.168.0.2/32'            '192.168.0.0/0.0.0.255'     -> true
-*   '192.168.0.3/32'            '192.168.0.0/0.0.0.255'     -> true
-*   '192.168.0.0/32'            '192.168.0.1/0.0.0.254'     -> false
-*   '192.168.0.1/32'            '192.168.0.1/0.0.0.254'     -> true
-*   '192.168.0.2/32'            '192.168.0.1/0.0.0.254'     -> false
-*   '192.168.0.3/32'            '192.168.0.1/0.0.0.254'     -> true
-*   '192.168.0.0/31'            '192.168.0.0/0.0.0.2'       -> false
-*   '192.168.0.0/31'            '192.168.0.1/0.0.0.2'       -> false
+*   Variables state when calls.
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   objFirewallServiceCustom['SRVC11'] = {value:['1/any/any;-'                           ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6                               },comment:''
+*   objFirewallServiceCustom['SRVC12'] = {value:['6/eq/any/eq/80;0/0'                    ],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP                             },comment:''
+*   objFirewallServiceCustom['SRVC21'] = {value:['ip;-','17/eq/any/eq/123;192.168.0.1/32'],protocol_type:PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP        },comment:''
+*   objFirewallServiceCustom['SRVC22'] = {value:['1/any/any:','17/eq/any/eq/123;0/0'     ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP},comment:''
+*   objFirewallServiceGroup['SRVCG11'] = {value:['58/any/any;-'                          ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6                               },comment:''
+*   objFirewallServiceGroup['SRVCG21'] = {value:['1/any/any;-','6/eq/any/eq/80;0/0'      ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP},comment:''
+*
+*   objParam['member']                      objParam['comment']    Return['value']                                                                                                     Return['protocol_type']                                                          Return['comment']
+*   -------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '"SRVC11"'                              'MyComment.'        -> ['1/any/any;-'                                                                                                    ] PROTOCOL_TYPE_BIT_ICMP_ICMP6                                                     'MyComment.'
+*   '"SRVC11" "SRVC12'                      'My comment.'       -> ['1/any/any;-','6/eq/any/eq/80;0/0'                                                                               ] PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP                      'My comment.'
+*   '"SRVC11" "SRVC12" "SRVC21" "SRVC22"'   ''                  -> ['1/any/any;-','6/eq/any/eq/80;0/0','ip;-','17/eq/any/eq/123;192.168.0.1/32','17/eq/any/eq/123;0/0'               ] PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP ''
+*   '"SRVCG11"'                             'Comment'           -> ['58/any/any;-'                                                                                                   ] PROTOCOL_TYPE_BIT_ICMP_ICMP6                                                     'Comment'
+*   '"SRVC21" "SRVC22" "SRVCG11" "SRVCG21"' 'Comment'           -> ['ip;-','17/eq/any/eq/123;192.168.0.1/32','1/any/any;-','17/eq/any/eq/123;0/0','58/any/any;-','6/eq/any/eq/80;0/0'] PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
+*   '"UNKNOWN"'                             'Comment'           -> [                                                                                                                 ] PROTOCOL_TYPE_BIT_NONE                                                           'Comment.'
 */
-function isIPv4WithPrefixLengthIncludedInCiscoWildcardAddr(strTestIPv4WithPrefixLength, strIPv4AddrWithWildcardMask) { // eslint-disable-line no-unused-vars
-    const arrayStrTestIPv4     = strTestIPv4WithPrefixLength.split('/');
-    const arrayStrIPv4Wildcard = strIPv4AddrWithWildcardMask.split('/');
+function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFirewallServiceGroup) {
+    const objReturn = {};
+    const arrayMember = getConfigValueArray(objParam['member']);
+    const arrayValue = flattenMember(objFirewallServiceCustom, arrayMember);
+    arrayValue.push(...flattenMember(objFirewallServiceGroup, arrayMember));
+    objReturn['value'] = arrayValue.unique();
+    objReturn['protocol_type'] = getProtocolTypeBitsOfArray(objReturn['value']);
+    objReturn['origin'] = getMemberOrigin(arrayMember, objFirewallServiceCustom, objFirewallServiceGroup);
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
+}
 
-    const strTestIPv4Addr = arrayStrTestIPv4[0];
-    const intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
-    const strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
+/**
+* This function resolves a group object saved as the parameter object by
+* resolving its member groups recursively, and replaces it with the
+* normalized group object. The member that refers back to a group being
+* resolved is skipped as a circular reference, and the member that is neither
+* an object nor a group is skipped as a dangling reference. Both references
+* are saved into g_Domain_Data[].group_reference_error as the following
+* string. Every group on the cycle is saved with its member on the cycle, and
+* 'circular' of the normalized group object is set to true.
+*
+*   domain,group property,group name,circular or dangling,member name
+*
+* @param {string} strDomainName - Domain name of the group.
+* @param {string} strGroupProperty -
+*   Group property name of g_Domain_Data. 'addrgrp4', 'addrgrp6', or
+*   'service_group'.
+* @param {string} strGroupName - Name of the group to resolve.
+* @param {Array} [arrayPath=[]] -
+*   Names of the groups being resolved from the outermost group.
+*
+* @example
+*   Variables state when calls.
+*   -------------------------------------------------------------------------------------------
+*   g_Domain_Data['root'].address4['ADDR11']  = {value:['192.168.0.1/32'],comment:''}
+*   g_Domain_Data['root'].addrgrp4['ADDRG11'] = {value:[],param:{member:'ADDRG12" "ADDR11',...}}
+*   g_Domain_Data['root'].addrgrp4['ADDRG12'] = {value:[],param:{member:'ADDRG11" "NOADDR',...}}
+*
+*   strDomainName strGroupProperty strGroupName    g_Domain_Data['root'].group_reference_error
+*   --------------------------------------------------------------------------------------------------
+*   'root'        'addrgrp4'       'ADDRG11'    -> ['root,addrgrp4,ADDRG11,circular,ADDRG12',
+*                                                   'root,addrgrp4,ADDRG12,circular,ADDRG11',
+*                                                   'root,addrgrp4,ADDRG12,dangling,NOADDR']
+*/
+function resolveGroupObject(strDomainName, strGroupProperty, strGroupName, arrayPath = []) {
+    const objDomain = g_Domain_Data[strDomainName];
+    const objGroup = objDomain[strGroupProperty];
+    const objObject = objDomain[t_GroupPropertyName[strGroupProperty]];
+    const objParam = objGroup[strGroupName].param;
+    if (!objParam) { // Already resolved.
+        return;
+    }
+    if (objGroup[strGroupName].resolving) {
+        return;
+    }
+    objGroup[strGroupName].resolving = true;
+    arrayPath.push(strGroupName);
 
-    const strIPv4WildcardAddr = arrayStrIPv4Wildcard[0];
-    const strIPv4WildcardMask = arrayStrIPv4Wildcard[1];
-    const strIPv4WildcardAddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strIPv4WildcardAddr, strIPv4WildcardMask);
-    const strIPv4WildcardAddrMaskbits1 = getBitwiseORedIPv4Addr(strIPv4WildcardAddr, strIPv4WildcardMask);
+    const arrayMember = getConfigValueArray(objParam['member']);
+    if (objParam['exclude_member']) {
+        arrayMember.push(...getConfigValueArray(objParam['exclude_member']));
+    }
+    for (let i=0; i<arrayMember.length; ++i) {
+        const strMember = arrayMember[i];
+        if (strMember === '') {
+            continue;
+        }
+        if (objGroup[strMember]) {
+            if (objGroup[strMember].resolving) {
+                const arrayCycle = arrayPath.slice(arrayPath.indexOf(strMember));
+                arrayCycle.push(strMember);
+                for (let j=0; j<arrayCycle.length-1; ++j) {
+                    const strError = getCsvRecordString([strDomainName, strGroupProperty, arrayCycle[j], 'circular', arrayCycle[j+1]]);
+                    if (!objDomain.group_reference_error.includes(strError)) {
+                        objDomain.group_reference_error.push(strError);
+                    }
+                    objGroup[arrayCycle[j]].circular = true;
+                }
+            } else {
+                resolveGroupObject(strDomainName, strGroupProperty, strMember, arrayPath);
+            }
+        } else if (!objObject[strMember]) {
+            objDomain.group_reference_error.push(getCsvRecordString([strDomainName, strGroupProperty, strGroupName, 'dangling', strMember]));
+        }
+    }
 
-    //
-    if (intTestIPv4PrefixLength == 32 || strTestIPv4NetworkAddr !== strTestIPv4Addr) {
-        const strTestIPv4AddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strTestIPv4Addr, strIPv4WildcardMask);
-        const strTestIPv4AddrMaskbits1 = getBitwiseORedIPv4Addr(strTestIPv4Addr, strIPv4WildcardMask);
+    arrayPath.pop();
 
-        if ((strTestIPv4AddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
-            (strTestIPv4AddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
-            return true;
-        }
+    const boolCircular = objGroup[strGroupName].circular === true;
+    if (strGroupProperty === 'service_group') {
+        objGroup[strGroupName] = normalizeFirewallServiceGroup(objParam, objObject, objGroup);
     } else {
-        const strTestIPv4BroadcastAddr = getIPv4EndAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
-        const strTestIPv4NetworkAddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strTestIPv4NetworkAddr, strIPv4WildcardMask);
-        const strTestIPv4NetworkAddrMaskbits1 = getBitwiseORedIPv4Addr(strTestIPv4NetworkAddr, strIPv4WildcardMask);
-        const strTestIPv4BroadcastAddrMaskbits0 = getBitwiseANDedIPv4AddrWithInvertBits(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
-        const strTestIPv4BroadcastAddrMaskbits1 = getBitwiseORedIPv4Addr(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
+        objGroup[strGroupName] = normalizeFirewallAddressGroup(objParam, objObject, objGroup);
+    }
+    if (boolCircular) {
+        objGroup[strGroupName].circular = true;
+    }
+}
 
-        if ((strTestIPv4NetworkAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
-            (strTestIPv4NetworkAddrMaskbits1 === strIPv4WildcardAddrMaskbits1) &&
-            (strTestIPv4BroadcastAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
-            (strTestIPv4BroadcastAddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
-            return true;
+/**
+* This function resolves all groups in t_GroupPropertyName of all domains.
+* Groups are resolved regardless of the order in which they are defined in
+* the configuration.
+*
+*/
+function resolveAllGroupObjects() {
+    for (const key in g_Domain_Data) {
+        if (g_Domain_Data.hasOwnProperty(key)) {
+            for (const strGroupProperty in t_GroupPropertyName) {
+                if (t_GroupPropertyName.hasOwnProperty(strGroupProperty)) {
+                    for (const name in g_Domain_Data[key][strGroupProperty]) {
+                        if (g_Domain_Data[key][strGroupProperty].hasOwnProperty(name)) {
+                            resolveGroupObject(key, strGroupProperty, name);
+                        }
+                    }
+                }
+            }
         }
     }
-    return false;
 }
 
 /**
-* This function returns true if the IPv4 address matches the Fortinet-style
-* wildcard address. Otherwise, it is false. If the IPv4 address is a host
-* address, test whether its address matches. If a network segment, test
-* whether all addresses of the network segment match.
+* This function finds the source addresses, the destination addresses, and
+* the services of normalized policies that are not resolved, and saves them
+* into g_Domain_Data[].unresolved_reference as the following string. The
+* duplicate strings are saved once. The group on a circular reference is not
+* saved because it is saved into g_Domain_Data[].group_reference_error.
 *
-* @param {string} strTestIPv4WithPrefixLength
-* @param {string} strIPv4AddrWithWildcardMask
-* @return {boolean}
-*   true if the IPv4 address matches the wildcard address.
-*   Otherwise, it is false.
+*   domain,policy type,policy id,srcaddr or dstaddr or service,name,line number
+*
+* @param {Array} arrayNormalizedPolicy - Array of normalized policy strings.
+* @param {number} intLineNumber -
+*   Line number of the 'edit' command of the policy in the configuration.
+* @return {Array} arrayNormalizedPolicy as it is.
 *
 * @example
-*   strTestIPv4WithPrefixLength strIPv4AddrWithWildcardMask      Return
-*   -------------------------------------------------------------------
-*   '192.168.0.0/32'            '192.168.0.0/255.255.255.0'   -> true
-*   '192.168.0.1/32'            '192.168.0.0/255.255.255.0'   -> true
-*   '192.168.0.2/32'            '192.168.0.0/255.255.255.0'   -> true
-*   '192.168.0.3/32'            '192.168.0.0/255.255.255.0'   -> true
-*   '192.168.0.0/32'            '192.168.0.1/255.255.255.1'   -> false
-*   '192.168.0.1/32'            '192.168.0.1/255.255.255.1'   -> true
-*   '192.168.0.2/32'            '192.168.0.1/255.255.255.1'   -> false
-*   '192.168.0.3/32'            '192.168.0.1/255.255.255.1'   -> true
-*   '192.168.0.0/31'            '192.168.0.0/255.255.255.253' -> false
-*   '192.168.0.0/31'            '192.168.0.1/255.255.255.253' -> false
+*   Variables state when calls.
+*   ---------------------------------------------------------------------------
+*   g_Domain_Data['root'].address4['ADDR1'] = {value:['192.168.0.1/32'], comment:''}
+*   g_Domain_Data['root'].service_custom['SRVC1'] = {value:['ip;-'], comment:''}
+*
+*   arrayNormalizedPolicy                                                                      intLineNumber    g_Domain_Data['root'].unresolved_reference
+*   -----------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['root,port1,port2,4to4,1,,1,accept,SRVC1,ADDR1,-/-,NOADDR,-/-,-,SRVC1,false,false,...'] 120           -> ['root,4to4,1,dstaddr,NOADDR,120']
+*   ['root,port1,port2,4to4,2,,2,accept,NOSRVC,ADDR1,NOSRVC,ADDR1,NOSRVC,NOSRVC,NOSRVC,...'] 135           -> ['root,4to4,2,service,NOSRVC,135']
 */
-function isIPv4WithPrefixLengthIncludedInFortinetWildcardAddr(strTestIPv4WithPrefixLength, strIPv4AddrWithWildcardMask) {
-    const arrayStrTestIPv4     = strTestIPv4WithPrefixLength.split('/');
-    const arrayStrIPv4Wildcard = strIPv4AddrWithWildcardMask.split('/');
-
-    const strTestIPv4Addr = arrayStrTestIPv4[0];
-    const intTestIPv4PrefixLength = parseInt(arrayStrTestIPv4[1]);
-    const strTestIPv4NetworkAddr = getIPv4StartAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
-
-    const strIPv4WildcardAddr = arrayStrIPv4Wildcard[0];
-    const strIPv4WildcardMask = arrayStrIPv4Wildcard[1];
-    const strIPv4WildcardAddrMaskbits0 = getBitwiseANDedIPv4Addr(strIPv4WildcardAddr, strIPv4WildcardMask);
-    const strIPv4WildcardAddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strIPv4WildcardAddr, strIPv4WildcardMask);
-
-    //
-    if (intTestIPv4PrefixLength == 32 || strTestIPv4NetworkAddr !== strTestIPv4Addr) {
-        const strTestIPv4AddrMaskbits0 = getBitwiseANDedIPv4Addr(strTestIPv4Addr, strIPv4WildcardMask);
-        const strTestIPv4AddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strTestIPv4Addr, strIPv4WildcardMask);
-
-        if ((strTestIPv4AddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
-            (strTestIPv4AddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
-            return true;
-        }
-    } else {
-        const strTestIPv4BroadcastAddr = getIPv4EndAddr(strTestIPv4Addr, getIPv4NetMaskFromPrefixLength(intTestIPv4PrefixLength));
-        const strTestIPv4NetworkAddrMaskbits0 = getBitwiseANDedIPv4Addr(strTestIPv4NetworkAddr, strIPv4WildcardMask);
-        const strTestIPv4NetworkAddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strTestIPv4NetworkAddr, strIPv4WildcardMask);
-        const strTestIPv4BroadcastAddrMaskbits0 = getBitwiseANDedIPv4Addr(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
-        const strTestIPv4BroadcastAddrMaskbits1 = getBitwiseORedIPv4AddrWithInvertBits(strTestIPv4BroadcastAddr, strIPv4WildcardMask);
-
-        if ((strTestIPv4NetworkAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
-            (strTestIPv4NetworkAddrMaskbits1 === strIPv4WildcardAddrMaskbits1) &&
-            (strTestIPv4BroadcastAddrMaskbits0 === strIPv4WildcardAddrMaskbits0) &&
-            (strTestIPv4BroadcastAddrMaskbits1 === strIPv4WildcardAddrMaskbits1)) {
-            return true;
+function checkUnresolvedReference(arrayNormalizedPolicy, intLineNumber) {
+    for (let i=0; i<arrayNormalizedPolicy.length; ++i) {
+        const arrayToken = getCsvFieldArray(arrayNormalizedPolicy[i]);
+        const objDomain = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]];
+        const arrayUnresolved = [];
+        const addUnresolved = function(strField, arrayValue, arrayGroupProperty) {
+            for (let j=0; j<arrayValue.length; ++j) {
+                if (arrayValue[j].startsWith('unresolved:')) {
+                    const strName = arrayValue[j].substring(11).split(';')[0];
+                    if (!arrayGroupProperty.some((strGroupProperty) => objDomain[strGroupProperty][strName] && objDomain[strGroupProperty][strName].circular)) {
+                        arrayUnresolved.push([strField, strName]);
+                    }
+                }
+            }
+        };
+        addUnresolved('srcaddr', getAddressArray(arrayToken, NMCOL_SRC_ADDR), ['addrgrp4', 'addrgrp6']);
+        addUnresolved('dstaddr', getAddressArray(arrayToken, NMCOL_DST_ADDR), ['addrgrp4', 'addrgrp6']);
+        addUnresolved('service', getServiceArray(arrayToken), ['service_group']);
+
+        const arrayReference = objDomain.unresolved_reference;
+        for (let j=0; j<arrayUnresolved.length; ++j) {
+            const strReference = getCsvRecordString([arrayToken[NMCOL_DOM_NAME], arrayToken[NMCOL_POL_TYPE], arrayToken[NMCOL_POL_ID], ...arrayUnresolved[j], intLineNumber]);
+            if (!arrayReference.includes(strReference)) {
+                arrayReference.push(strReference);
+            }
         }
     }
-    return false;
+    return arrayNormalizedPolicy;
 }
 
-/*
-* ============================================================================
-* Normalization functions
-* ============================================================================
-*/
-
 /**
-* This function normalizes the address string of an address object in the
-* 'firewall address' configuration and returns the object that contains the
-* array of a normalized address string. If the address type is 'ipmask', the
-* normalized address string is represented in CIDR format. If the address type
-* is 'iprange', the start-ip and end-ip are combined with '-.' The wildcard
-* address is combined with '/.' If the address type is 'geography', the
-* normalized string is the country name with the prefix 'geo:'. The prefix
-* 'fqdn:' is added if the address type is 'fqdn' or 'wildcard-fqdn.'
-*
-* @param {Object} objParam -
-*   Parameter object of an address object to normalize.
-* @return {Object} Object that contains the normalized address string.
+* This function normalizes the external addresses, the mapped addresses, and
+* the port forwarding of a virtual IP object in the 'firewall vip', 'firewall
+* vip6', 'firewall vip46', or 'firewall vip64' configuration and returns the
+* object that contains those arrays. The mapped addresses are taken from the
+* following parameters depending on the virtual IP type.
+*
+*   - fqdn: mapped-addr. It is flattened by the specified address objects.
+*   - load-balance or server-load-balance: ip of realservers.
+*   - others: mappedip.
+*
+* The port forwarding string is described as the protocol number, the
+* external port condition, and the mapped port condition combined with '/.'
+* It is generated if portforward is enabled or the type is
+* server-load-balance. If the real servers have ports, the mapped port
+* condition is generated for each port.
+*
+* @param {Object} objParam - Parameter object of a virtual IP object to normalize.
+* @param {Object} objFirewallAddress -
+*   g_Domain_Data[].address4 or g_Domain_Data[].address6 for mapped-addr.
+* @return {Object}
+*   Object that contains the external addresses, the mapped addresses, and the
+*   port forwarding strings.
 *
 * @example
-*   objParam['type'] objParam['param1'] objParam['param2'] objParam['comment']    Return['value']               Return['comment']
-*   -----------------------------------------------------------------------------------------------------------------------------
-*   'ipmask'         '192.168.0.0'      '255.255.255.0'    'MyComment.'        -> ['192.168.0.0/24'           ] 'MyComment.'
-*   'iprange'        '192.168.0.1'      '192.168.0.100'    'My comment.'       -> ['192.168.0.1-192.168.0.100'] 'My comment.'
-*   'wildcard'       '192.168.0.0'      '255.255.0.255'    ''                  -> ['192.168.0.0/255.255.0.255'] ''
-*   'fqdn'           'example.com'      ''                 'Comment'           -> ['fqdn:example.com'         ] 'Comment'
-*   'wildcard-fqdn'  '*.example.com'    ''                 'Comment'           -> ['fqdn:*.example.com'       ] 'Comment'
-*   'geography'      'US'               ''                 'Comment'           -> ['geo:US'                   ] 'Comment'
-*   'UNKNOWN'        ''                 ''                 'Comment'           -> ['undefined'                ] 'Comment'
-*   ''               ''                 ''                 'Comment'           -> ['undefined'                ] 'Comment'
+*   objParam['type'] objParam['extip']           objParam['mappedip']        objParam['portforward'] objParam['protocol'] objParam['extport'] objParam['mappedport'] objParam['realservers']                    Return['value']                Return['mapped']               Return['port']
+*   -------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   'static-nat'     '192.0.2.1'                 '"10.0.0.1"'                'disable'               'tcp'                ''                  ''                     []                                       -> ['192.0.2.1/32'             ] ['10.0.0.1/32'             ] [                                       ]
+*   'static-nat'     '192.0.2.1-192.0.2.9'       '"10.0.0.1-10.0.0.9"'       'enable'                'tcp'                '8080'              '80'                   []                                       -> ['192.0.2.1-192.0.2.9'      ] ['10.0.0.1-10.0.0.9'       ] ['6/eq/8080/eq/80'                      ]
+*   'static-nat'     '192.0.2.1'                 '"10.0.0.1"'                'enable'                'udp'                '5000-5009'         ''                     []                                       -> ['192.0.2.1/32'             ] ['10.0.0.1/32'             ] ['17/range/5000-5009/range/5000-5009'   ]
+*   'load-balance'   '192.0.2.1'                 ''                          'enable'                'tcp'                '443'               ''                     [{ip:'10.0.0.1',port:'8443'},{ip:'10.0.0.2',port:''}] -> ['192.0.2.1/32'] ['10.0.0.1/32','10.0.0.2/32'] ['6/eq/443/eq/8443','6/eq/443/eq/443']
+*   'static-nat'     ''                          ''                          'disable'               'tcp'                ''                  ''                     []                                       -> [                           ] [                          ] [                                       ]
 */
-function normalizeFirewallIPv4Address(objParam) {
-    const strParam1 = objParam['param1'];
-    const strParam2 = objParam['param2'];
+function normalizeFirewallVip(objParam, objFirewallAddress) {
     const objReturn = {};
     const arrayValue = [];
-    arrayValue[0] = 'undefined';
+    const arrayMapped = [];
+    const arrayMappedPort = [];
+    const arrayPort = [];
 
-    switch (objParam['type']) {
-    case 'ipmask':
-        if (strParam1 !== '' && strParam2 !== '') {
-            arrayValue[0] = getIPv4AddrWithPrefixLength(strParam1, strParam2);
-        }
-        break;
-    case 'iprange':
-        if (strParam1 !== '' && strParam2 !== '') {
-            arrayValue[0] = strParam1 + '-' + strParam2;
+    const getNormalizedAddressArray = function(strAddresses) {
+        const arrayAddress = [];
+        const array = getConfigValueArray(strAddresses);
+        for (let i=0; i<array.length; ++i) {
+            const strNormalizedAddr = getNormalizedAddress(array[i]);
+            arrayAddress.push(strNormalizedAddr === '' ? array[i] : strNormalizedAddr);
         }
-        break;
-    case 'wildcard':
-        if (strParam1 !== '' && strParam2 !== '') {
-            arrayValue[0] = strParam1 + '/' + strParam2;
+        return arrayAddress;
+    };
+
+    arrayValue.push(...getNormalizedAddressArray(objParam['extip']));
+    if (objParam['type'] === 'fqdn') {
+        arrayMapped.push(...flattenMember(objFirewallAddress, getConfigValueArray(objParam['mapped_addr'])));
+    } else if (objParam['realservers'].length > 0) {
+        for (let i=0; i<objParam['realservers'].length; ++i) {
+            arrayMapped.push(...getNormalizedAddressArray(objParam['realservers'][i].ip));
+            arrayMappedPort.push(objParam['realservers'][i].port);
         }
-        break;
-    case 'fqdn':
-    case 'wildcard-fqdn':
-        if (strParam1 !== '') {
-            arrayValue[0] = 'fqdn:' + strParam1;
+    } else {
+        arrayMapped.push(...getNormalizedAddressArray(objParam['mappedip']));
+    }
+
+    if (objParam['portforward'] === 'enable' || objParam['type'] === 'server-load-balance') {
+        const strProtocolNumber = t_ProtocolNumber[objParam['protocol']] ? t_ProtocolNumber[objParam['protocol']] : objParam['protocol'];
+        if (arrayMappedPort.length == 0) {
+            arrayMappedPort.push(objParam['mappedport']);
         }
-        break;
-    case 'geography':
-        if (strParam1 !== '') {
-            arrayValue[0] = 'geo:' + strParam1;
+        for (let i=0; i<arrayMappedPort.length; ++i) {
+            const strMappedPort = arrayMappedPort[i] === '' ? objParam['extport'] : arrayMappedPort[i];
+            arrayPort.push(strProtocolNumber + '/' +
+                getOperPortStyleConditionStringFromPortCondition(objParam['extport']) + '/' +
+                getOperPortStyleConditionStringFromPortCondition(strMappedPort));
         }
-        break;
     }
+
     objReturn['value'] = arrayValue.unique();
+    objReturn['mapped'] = arrayMapped.unique();
+    objReturn['port'] = arrayPort.unique();
     objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
     return objReturn;
 }
 
 /**
-* This function normalizes the address string of an address object in the
-* 'firewall address6' configuration and returns the object that contains the
-* array of a normalized address string. If the address type is 'ip6,' the
-* normalized address string is adapted to the full represented. If the address
-* type is 'iprange,' the start-ip and end-ip are combined with '-.' The prefix
-* 'fqdn:' is added if the address type is 'fqdn.'
+* This function flattens members of a virtual IP group object in the
+* 'firewall vipgrp', 'firewall vipgrp6', 'firewall vipgrp46', or 'firewall
+* vipgrp64' configuration and returns the object that contains the member
+* names and the arrays of the flattened external addresses, mapped addresses,
+* and port forwarding strings. The policy that uses the virtual IP group is
+* divided by the members.
 *
 * @param {Object} objParam -
-*   Parameter object of an address object to normalize.
-* @return {Object} Object that contains the normalized address string.
+*   Parameter object of a virtual IP group object to flatten.
+* @param {Object} objFirewallVip -
+*   g_Domain_Data[].vip4, g_Domain_Data[].vip6, g_Domain_Data[].vip46, or
+*   g_Domain_Data[].vip64.
+* @return {Object}
+*   Object that contains the member names, the external addresses, the mapped
+*   addresses, and the port forwarding strings.
 *
 * @example
-*   objParam['type'] objParam['param1']         objParam['param2'] objParam['comment']    Return['value']                                                                     Return['comment']
-*   -------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*   'ipprefix'       '2001:0db8:0002:0003::/64' ''                 'MyComment.'        -> ['2001:0db8:0002:0003:0000:0000:0000:0000/64'                                     ] 'MyComment.'
-*   'iprange'        '2001:0db8::0001'          '2001:0db8::0100'  'My comment.'       -> ['2001:0db8:0000:0000:0000:0000:0000:0001-2001:0db8:0000:0000:0000:0000:0000:0100'] 'My comment.'
-*   'fqdn'           'example.com'              ''                 ''                  -> ['fqdn:example.com'                                                               ] ''
-*   'UNKNOWN'        ''                         ''                 'Comment'           -> ['undefined'                                                                      ] 'Comment'
-*   ''               ''                         ''                 'Comment'           -> ['undefined'                                                                      ] 'Comment'
+*   Variables state when calls.
+*   --------------------------------------------------------------------------------------------------------------------
+*   objFirewallVip['VIP1'] = {value:['192.0.2.1/32'],mapped:['10.0.0.1/32'],port:[                 ],comment:''}
+*   objFirewallVip['VIP2'] = {value:['192.0.2.2/32'],mapped:['10.0.0.2/32'],port:['6/eq/8080/eq/80'],comment:''}
+*
+*   objParam['member'] objParam['comment']    Return['member'] Return['value']                 Return['mapped']                Return['port']      Return['comment']
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '"VIP1" "VIP2"'    'MyComment.'        -> ['VIP1','VIP2']  ['192.0.2.1/32','192.0.2.2/32'] ['10.0.0.1/32','10.0.0.2/32'] ['6/eq/8080/eq/80'] 'MyComment.'
 */
-function normalizeFirewallIPv6Address(objParam) {
-    const strParam1 = objParam['param1'];
-    const strParam2 = objParam['param2'];
+function normalizeFirewallVipGroup(objParam, objFirewallVip) {
     const objReturn = {};
+    const arrayMember = getConfigValueArray(objParam['member']);
     const arrayValue = [];
-    arrayValue[0] = 'undefined';
-
-    switch (objParam['type']) {
-    case 'ipprefix':
-        arrayValue[0] = strParam1 === '' ? 'undefined' : getIPv6FullRepresentedAddrWithPrefixLength(strParam1);
-        break;
-    case 'iprange':
-        if (strParam1 !== '' && strParam2 !== '') {
-            arrayValue[0] = getIPv6FullRepresentedAddr(strParam1) + '-' + getIPv6FullRepresentedAddr(strParam2);
-        }
-        break;
-    case 'fqdn':
-        if (strParam1 !== '') {
-            arrayValue[0] = 'fqdn:' + strParam1;
+    const arrayMapped = [];
+    const arrayPort = [];
+    for (let i=0; i<arrayMember.length; ++i) {
+        if (objFirewallVip[arrayMember[i]]) {
+            arrayValue.push(...objFirewallVip[arrayMember[i]].value);
+            arrayMapped.push(...objFirewallVip[arrayMember[i]].mapped);
+            arrayPort.push(...objFirewallVip[arrayMember[i]].port);
         }
-        break;
     }
+    objReturn['member'] = arrayMember.filter((strMember) => strMember !== '');
     objReturn['value'] = arrayValue.unique();
+    objReturn['mapped'] = arrayMapped.unique();
+    objReturn['port'] = arrayPort.unique();
     objReturn['comment'] = objParam['comment'];
     return objReturn;
 }
 
 /**
-* This function normalizes the address string of a multicast address object in
-* the 'firewall multicast-address' configuration and returns the object that
-* contains the array of a normalized address string. If the address type is
-* 'broadcastmask', the normalized address string is represented in CIDR format.
-* If the address type is 'multicastrange', the start-ip and end-ip are
-* combined with '-.'
+* This function normalizes the address range and the type of an IP pool
+* object in the 'firewall ippool' or 'firewall ippool6' configuration and
+* returns the object that contains them. If the start address and the end
+* address are the same, the address is represented in CIDR format.
 *
-* @param {Object} objParam -
-*   Parameter object of a multicast address object to normalize.
-* @return {Object} Object that contains the normalized address string.
+* @param {Object} objParam - Parameter object of an IP pool object to normalize.
+* @return {Object} Object that contains the address range and the type.
 *
 * @example
-*   objParam['type'] objParam['param1'] objParam['param2'] objParam['comment']    Return['value']           Return['comment']
-*   -------------------------------------------------------------------------------------------------------------------------
-*   'broadcastmask'  '224.0.0.0'        '255.255.255.0'    'MyComment.'        -> ['224.0.0.0/24'         ] 'MyComment.'
-*   'multicastrange' '224.0.0.1'        '224.0.0.100'      'My comment.'       -> ['224.0.0.1-224.0.0.100'] 'My comment.'
-*   'UNKNOWN'        ''                 ''                 'Comment'           -> ['undefined'            ] 'Comment'
-*   ''               ''                 ''                 'Comment'           -> ['undefined'            ] 'Comment'
+*   objParam['type']    objParam['startip'] objParam['endip']    Return['value']                                   Return['type']
+*   -------------------------------------------------------------------------------------------------------------------------------
+*   'overload'          '192.0.2.1'         '192.0.2.9'       -> ['192.0.2.1-192.0.2.9'                          ] 'overload'
+*   'one-to-one'        '192.0.2.1'         '192.0.2.1'       -> ['192.0.2.1/32'                                 ] 'one-to-one'
+*   'overload'          '2001:db8::1'       '2001:db8::1'     -> ['2001:0db8:0000:0000:0000:0000:0000:0001/128'  ] 'overload'
 */
-function normalizeFirewallIPv4MulticastAddress(objParam) {
-    const strParam1 = objParam['param1'];
-    const strParam2 = objParam['param2'];
+function normalizeFirewallIppool(objParam) {
     const objReturn = {};
-    const arrayValue = [];
-    arrayValue[0] = 'undefined';
+    const strStartAddr = objParam['startip'];
+    const strEndAddr = objParam['endip'];
 
-    switch (objParam['type']) {
-    case 'broadcastmask':
-        if (strParam1 !== '' && strParam2 !== '') {
-            arrayValue[0] = getIPv4AddrWithPrefixLength(strParam1, strParam2);
-        }
-        break;
-    case 'multicastrange':
-        if (strParam1 !== '' && strParam2 !== '') {
-            arrayValue[0] = strParam1 + '-' + strParam2;
-        }
-        break;
+    let strAddr = '';
+    if (strEndAddr === '' || strStartAddr === strEndAddr) {
+        strAddr = getNormalizedAddress(strStartAddr);
+    } else {
+        strAddr = getNormalizedAddress(strStartAddr + '-' + strEndAddr);
     }
-    objReturn['value'] = arrayValue.unique();
-    objReturn['comment'] = objParam['comment'];
+
+    objReturn['value'] = [strAddr === '' ? 'undefined' : strAddr];
+    objReturn['type'] = objParam['type'];
+    objReturn['comment'] = objParam['comments'];
     return objReturn;
 }
 
 /**
-* This function normalizes the address string of a multicast address object in
-* the 'firewall multicast-address6' configuration and returns the object that
-* contains the array of a normalized address string.
+* This function normalizes a zone object in the 'system zone' configuration
+* and returns the object that contains the array of member interface names.
+*
+* @param {Object} objParam - Parameter object of a zone object to normalize.
+* @return {Object} Object that contains the member interfaces and intrazone.
+*
+* @example
+*   objParam['interface'] objParam['intrazone'] objParam['description']    Return['value']     Return['intrazone'] Return['comment']
+*   ----------------------------------------------------------------------------------------------------------------------------------
+*   '"port1" "port2"'     'allow'               'LAN'                   -> ['port1','port2'] 'allow'             'LAN'
+*   '"port3"'             'deny'                ''                      -> ['port3'        ] 'deny'              ''
+*   ''                    'deny'                ''                      -> [               ] 'deny'              ''
+*/
+function normalizeSystemZone(objParam) {
+    const objReturn = {};
+    objReturn['value'] = getConfigValueArray(objParam['interface']);
+    objReturn['intrazone'] = objParam['intrazone'];
+    objReturn['comment'] = objParam['description'];
+    return objReturn;
+}
+
+/**
+* This function normalizes a user group object in the 'user group'
+* configuration and returns the object that contains the array of member
+* names. The members are the users only if the group type is 'firewall.'
+* Otherwise, such as 'fsso-service,' the array is empty because the members
+* are not users.
+*
+* @param {Object} objParam - Parameter object of a user group to normalize.
+* @return {Object} Object that contains the member users and the group type.
+*
+* @example
+*   objParam['member']  objParam['group_type']    Return['value']     Return['type']
+*   ------------------------------------------------------------------------------------
+*   '"user1" "user2"'   'firewall'             -> ['user1','user2'] 'firewall'
+*   '"CN=G1,DC=local"'  'fsso-service'         -> [               ] 'fsso-service'
+*   ''                  'firewall'             -> [               ] 'firewall'
+*/
+function normalizeUserGroup(objParam) {
+    const objReturn = {};
+    objReturn['value'] = objParam['group_type'] === 'firewall' ? getConfigValueArray(objParam['member']) : [];
+    objReturn['type'] = objParam['group_type'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
+}
+
+/**
+* This function normalizes a recurring schedule object in the 'firewall
+* schedule recurring' configuration and returns the object that contains the
+* array of the schedule window string. The days are abbreviated to three
+* letters and joined with '+', and the time is the 'hh:mm-hh:mm' format.
 *
 * @param {Object} objParam -
-*   Parameter object of a multicast address object to normalize.
-* @return {Object} Object that contains the normalized address string.
+*   Parameter object of a recurring schedule object to normalize.
+* @return {Object} Object that contains the schedule window.
 *
 * @example
-*   objParam['param1'] objParam['comment']    Return['value']                                 Return['comment']
-*   -----------------------------------------------------------------------------------------------------------
-*   'ff00::1/128'      'MyComment.'        -> ['ff00:0000:0000:0000:0000:0000:0000:0001/128'] 'MyComment.'
-*   ''                 'My comment.'       -> ['undefined'                                  ] 'My comment.'
+*   objParam['day']                                            objParam['start'] objParam['end']    Return['value']
+*   -------------------------------------------------------------------------------------------------------------------------------------------------------
+*   'monday tuesday wednesday thursday friday'                 '8:00'            '17:30'         -> ['recurring/mon+tue+wed+thu+fri/08:00-17:30'        ]
+*   'sunday monday tuesday wednesday thursday friday saturday' '00:00'           '00:00'         -> ['recurring/sun+mon+tue+wed+thu+fri+sat/00:00-00:00']
+*   'saturday'                                                 '22:00'           '06:00'         -> ['recurring/sat/22:00-06:00'                        ]
+*   'none'                                                     '00:00'           '00:00'         -> ['recurring/none/00:00-00:00'                       ]
 */
-function normalizeFirewallIPv6MulticastAddress(objParam) {
-    const strParam1 = objParam['param1'];
+function normalizeFirewallScheduleRecurring(objParam) {
     const objReturn = {};
-    const arrayValue = [];
+    const arrayDay = [];
+    const arrayToken = objParam['day'].split(/\s+/);
+    for (let i=0; i<arrayToken.length; ++i) {
+        const strDay = arrayToken[i].substring(0, 3);
+        if (t_DayOfWeek.includes(strDay)) {
+            arrayDay.push(strDay);
+        }
+    }
 
-    arrayValue[0] = strParam1 === '' ? 'undefined' : getIPv6FullRepresentedAddrWithPrefixLength(strParam1);
+    const getTimeString = function(strTime) {
+        const array = strTime.match(/^(\d{1,2}):(\d{1,2})$/);
+        return array ? array[1].padStart(2, '0') + ':' + array[2].padStart(2, '0') : '00:00';
+    };
 
-    objReturn['value'] = arrayValue.unique();
-    objReturn['comment'] = objParam['comment'];
+    objReturn['value'] = ['recurring/' + (arrayDay.length == 0 ? 'none' : arrayDay.unique().join('+')) + '/' + getTimeString(objParam['start']) + '-' + getTimeString(objParam['end'])];
+    objReturn['comment'] = '';
+    return objReturn;
+}
+
+/**
+* This function normalizes a one-time schedule object in the 'firewall
+* schedule onetime' configuration and returns the object that contains the
+* array of the schedule window string. The start and end date-times are the
+* 'YYYY-MM-DDThh:mm' format.
+*
+* @param {Object} objParam -
+*   Parameter object of a one-time schedule object to normalize.
+* @return {Object} Object that contains the schedule window.
+*
+* @example
+*   objParam['start']  objParam['end']       Return['value']
+*   ----------------------------------------------------------------------------------------------
+*   '08:00 2021/07/01' '17:00 2021/07/31' -> ['onetime/2021-07-01T08:00/2021-07-31T17:00']
+*   '0:00 2021/7/1'    '23:59 2021/12/31' -> ['onetime/2021-07-01T00:00/2021-12-31T23:59']
+*   'invalid'          '17:00 2021/07/31' -> ['undefined'                                ]
+*/
+function normalizeFirewallScheduleOnetime(objParam) {
+    const objReturn = {};
+    const getDateTimeString = function(strDateTime) {
+        const array = strDateTime.match(/^(\d{1,2}):(\d{1,2})\s+(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
+        return array ? array[3] + '-' + array[4].padStart(2, '0') + '-' + array[5].padStart(2, '0') + 'T' + array[1].padStart(2, '0') + ':' + array[2].padStart(2, '0') : '';
+    };
+
+    const strStart = getDateTimeString(objParam['start']);
+    const strEnd = getDateTimeString(objParam['end']);
+    objReturn['value'] = [strStart === '' || strEnd === '' ? 'undefined' : 'onetime/' + strStart + '/' + strEnd];
+    objReturn['comment'] = '';
     return objReturn;
 }
 
 /**
-* This function returns the operator-port style condition string of the
-* specified port condition string.
+* This function flattens members of a schedule-group object in the 'firewall
+* schedule group' configuration and returns the object that contains the
+* array of the schedule window strings. However, duplicate windows are
+* stripped.
 *
-* @param {string} strPortCondition - Port condtion string.
-* @return {string} Operator-port style condition string.
+* @param {Object} objParam -
+*   Parameter object of a schedule-group object to flatten.
+* @param {Object} objFirewallScheduleRecurring -
+*   g_Domain_Data[].schedule_recurring
+* @param {Object} objFirewallScheduleOnetime - g_Domain_Data[].schedule_onetime
+* @return {Object} Object that contains the schedule windows.
 *
 * @example
-*   strPortCondition    Return
-*   ----------------------------------------
-*   '80'             -> 'eq/80'
-*   '20-21'          -> 'range/20-21'
-*   '20-'            -> 'range/20-undefined'
-*   'UNKNOWN'        -> 'eq/UNKNOWN'
-*   ''               -> 'eq/any'
+*   Variables state when calls.
+*   ------------------------------------------------------------------------------------------------------------------
+*   objFirewallScheduleRecurring['WORKHOUR'] = {value:['recurring/mon+tue+wed+thu+fri/08:00-17:00'],comment:''}
+*   objFirewallScheduleOnetime['EVENT']      = {value:['onetime/2021-07-01T08:00/2021-07-31T17:00'],comment:''}
+*
+*   objParam['member']      Return['value']
+*   -------------------------------------------------------------------------------------------------------------------
+*   '"WORKHOUR" "EVENT"' -> ['recurring/mon+tue+wed+thu+fri/08:00-17:00','onetime/2021-07-01T08:00/2021-07-31T17:00']
+*   '"UNKNOWN"'          -> [                                                                                       ]
 */
-function getOperPortStyleConditionStringFromPortCondition(strPortCondition) {
-    let strNormalizedPortCondition = 'eq/any';
-    if (strPortCondition && strPortCondition !== '') {
-        if (strPortCondition.indexOf('-') == -1) { // Port number only or unknown condition.
-            strNormalizedPortCondition = 'eq/' + strPortCondition;
-        } else { // Range.
-            const array = strPortCondition.split(/-/);
-            strNormalizedPortCondition = 'range/' + (array[0] === '' ? 'undefined' : array[0]) + '-' + (array[1] ? array[1] : 'undefined');
-        }
-    }
-    return strNormalizedPortCondition;
+function normalizeFirewallScheduleGroup(objParam, objFirewallScheduleRecurring, objFirewallScheduleOnetime) {
+    const objReturn = {};
+    const arrayMember = getConfigValueArray(objParam['member']);
+    const arrayValue = flattenMember(objFirewallScheduleRecurring, arrayMember);
+    arrayValue.push(...flattenMember(objFirewallScheduleOnetime, arrayMember));
+    objReturn['value'] = arrayValue.unique();
+    objReturn['comment'] = objParam['comment'];
+    return objReturn;
 }
 
 /**
 * This function returns the array of service port condition strings for the
-* specified service parameters. At the tail of the service port condition
-* string, the service destination address is added.
+* protocol and the port ranges of an Internet Service. The port ranges are the
+* destination port conditions separated by the white space. If the port ranges
+* are empty, the destination port is any.
 *
 * @param {string} strProtocolNumber - Protocol number.
-* @param {string} strTcpUdpOrSctpPortRange -
-*   tcp-portrange, udp-portrange, or sctp-portrange of service object.
-* @param {string} strIpRange - Iprange of service object.
-* @param {string} strFqdn - Fqdn of service object.
+* @param {string} strPortRange - Destination port ranges.
 * @return {Array} Array of service port condition strings.
 *
 * @example
-*   strProtocolNumber strTcpUdpOrSctpPortRange              strIpRange                  strFqdn              Return
-*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*   '6'               '80'                                  ''                          ''                -> ['6/eq/any/eq/80;0/0'                                                                             ]
-*   '6'               '80 80'                               '192.168.0.1'               ''                -> ['6/eq/any/eq/80;192.168.0.1/32'                                                                  ]
-*   '17'              '123 :1-65535'                        '192.168.0.1-192.168.0.100' ''                -> ['17/eq/any/eq/123;192.168.0.1-192.168.0.100','17/range/1-65535/eq/any;192.168.0.1-192.168.0.100' ]
-*   '17'              '123:10000-20000 161-162'             ''                          'www.example.com' -> ['17/range/10000-20000/eq/123;fqdn:www.example.com','17/eq/any/range/161-162;fqdn:www.example.com']
-*   '132'             '4321-4322:1-65535 :1-65535'          '0.0.0.0'                   ''                -> ['132/range/1-65535/range/4321-4322;0/0','132/range/1-65535/eq/any;0/0'                           ]
-*   '132'             '4321-4322:1-65535 4321-4322:1-65535' ''                          ''                -> ['132/range/1-65535/range/4321-4322;0/0'                                                          ]
-*   '6'               '-'                                   ''                          ''                -> ['6/eq/any/range/undefined-undefined;0/0'                                                         ]
-*   '6'               ':'                                   ''                          ''                -> ['6/eq/any/eq/any;0/0'                                                                            ]
+*   strProtocolNumber strPortRange       Return
+*   --------------------------------------------------------------------------------------------
+*   '6'               '443'           -> ['6/eq/any/eq/443;0/0'                                ]
+*   '17'              '53 1000-2000'  -> ['17/eq/any/eq/53;0/0','17/eq/any/range/1000-2000;0/0']
+*   '132'             ''              -> ['132/eq/any/eq/any;0/0'                              ]
+*   '1'               ''              -> ['1/any/any;-'                                        ]
+*   '58'              ''              -> ['58/any/any;-'                                       ]
+*   '0'               ''              -> ['ip;-'                                               ]
+*   '89'              ''              -> ['89;-'                                               ]
 */
-function getServicePortConditionArray(strProtocolNumber, strTcpUdpOrSctpPortRange, strIpRange, strFqdn) {
+function getInternetServicePortConditionArray(strProtocolNumber, strPortRange) {
     const arrayReturn = [];
-
-    let strServiceDstAddr = '0/0';
-    if (strIpRange !== '') {
-        if (strIpRange === '0.0.0.0') { // Default value.
-            // Nothing to do.
-        } else if (strIpRange.indexOf('-') == -1) {
-            strServiceDstAddr = strIpRange + '/32';
-        } else {
-            strServiceDstAddr = strIpRange;
-        }
-    } else if (strFqdn !== '') {
-        strServiceDstAddr = 'fqdn:' + strFqdn;
-    }
-
-    const arrayPortRange = strTcpUdpOrSctpPortRange.split(/\s+/).unique();
-    for (let i=0; i<arrayPortRange.length; ++i) {
-        const arrayPortCondition = arrayPortRange[i].split(':');
-        arrayReturn[i] = strProtocolNumber + '/' +
-            getOperPortStyleConditionStringFromPortCondition(arrayPortCondition[1]) + '/' +
-            getOperPortStyleConditionStringFromPortCondition(arrayPortCondition[0]) + ';' + strServiceDstAddr;
+    switch (strProtocolNumber) {
+    case '6':
+    case '17':
+    case '132':
+        arrayReturn.push(...getServicePortConditionArray(strProtocolNumber, strPortRange, '', ''));
+        break;
+    case '1':
+    case '58':
+        arrayReturn.push(strProtocolNumber + '/any/any;-');
+        break;
+    case '0':
+    case '':
+        arrayReturn.push('ip;-');
+        break;
+    default:
+        arrayReturn.push(strProtocolNumber + ';-');
+        break;
     }
     return arrayReturn;
 }
 
 /**
-* This function normalizes the service string of a service object in the
-* 'firewall service custom' configuration and returns the object that contains
-* the array of normalized service strings. The parameters that use for
-* normalization are the following.
-*
-*   - protocol
-*   - protocol-number
-*   - icmptype and icmpcode
-*   - tcp-portrange, udp-portrange, and sctp-portrange
-*
-* Protocol name is converted to its number string. However, if the protocol
-* number is 0, it is changed to 'ip.'
-*
-* @param {Object} objParam - Parameter object of a service object to normalize.
+* This function normalizes the addresses and services of an Internet Service
+* object in the 'firewall internet-service-custom' configuration and returns
+* the object that contains the array of normalized address strings and the
+* array of normalized service strings. The addresses of each entry are
+* flattened from 'dst' and 'dst6'. If both are empty, the entry matches all
+* addresses.
+*
+* @param {string} strDomainName - Domain name of the Internet Service object.
+* @param {Object} objParam -
+*   Parameter object of an Internet Service object to normalize.
 * @return {Object}
-*   Object that contains the string of the normalized service condition.
+*   Object that contains the normalized address strings and service strings.
 *
 * @example
-*   ip:
-*       objParam['protocol'] objParam['protocol_number'] objParam['comment']    Return['value'] Return['protocol_type'] Return['comment']
-*       ---------------------------------------------------------------------------------------------------------------------------------
-*       'IP'                 '0'                         'MyComment.'        -> ['ip;-']        PROTOCOL_TYPE_BIT_IP    'MyComment.'
-*       'IP'                 '89'                        'My comment.'       -> ['89;-']        PROTOCOL_TYPE_BIT_IP    'My comment.'
-*   icmp or icmp6:
-*       objParam['protocol'] objParam['icmptype'] objParam['icmpcode'] objParam['comment']    Return['value']     Return['protocol_type']      Return['comment']
-*       --------------------------------------------------------------------------------------------------------------------------------------------------------
-*       'ICMP'               ''                   ''                   'MyComment.'        -> ['1/any/any;-'    ] PROTOCOL_TYPE_BIT_ICMP_ICMP6 'MyComment.'
-*       'ICMP'               '0'                  ''                   'My comment.'       -> ['1/0/any;-'      ] PROTOCOL_TYPE_BIT_ICMP_ICMP6 'My comment.'
-*       'ICMP6'              '0'                  '255'                ''                  -> ['58/0/255;-'     ] PROTOCOL_TYPE_BIT_ICMP_ICMP6 ''
-*   tcp, udp, or sctp:
-*       objParam['protocol'] objParam['tcp_portrange'] objParam['udp_portrange'] objParam['sctp_portrange']   objParam['iprange']         objParam['fqdn']       objParam['comment']    Return['value']                                                                                                                                                               Return['protocol_type']        Return['comment']
-*       --------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*       'TCP/UDP/SCTP'       '80'                      ''                        ''                           ''                          ''                     'MyComment.'        -> ['6/eq/any/eq/80;0/0'                                                                                                                                                       ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'MyComment.'
-*       'TCP/UDP/SCTP'       ''                        ':1-65535'                ''                           '192.168.0.1'               ''                     'My comment.'       -> ['17/range/1-65535/eq/any;192.168.0.1/32'                                                                                                                                   ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'My comment.'
-*       'TCP/UDP/SCTP'       ''                        ''                        '4321-4322:10000-20000'      ''                          ''                     ''                  -> ['132/range/10000-20000/range/4321-4322;0/0'                                                                                                                                ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP ''
-*       'TCP/UDP/SCTP'       '20-21'                   '123:10000-20000'         ''                           '192.168.0.1-192.168.0.100' ''                     'Comment'           -> ['6/eq/any/range/20-21;192.168.0.1-192.168.0.100','17/range/10000-20000/eq/123;192.168.0.1-192.168.0.100'                                                                   ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
-*       'TCP/UDP/SCTP'       ':10000-20000'            ''                        '4321'                       ''                          'fqdn:www.example.com' 'Comment'           -> ['6/range/10000-20000/eq/any;fqdn:www.example.com','132/eq/any/eq/4321;fqdn:www.example.com'                                                                                ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
-*       'TCP/UDP/SCTP'       '20-21:10000'             '123'                     ':1-65535'                   ''                          ''                     'Comment'           -> ['6/eq/10000/range/20-21;0/0','17/eq/any/eq/123;0/0','132/range/1-65535/eq/any;0/0'                                                                                         ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
-*       'TCP/UDP/SCTP'       '80 20-21:10000'          '123 161-162'             '4321-4322:10000-20000 4323' ''                          ''                     'Comment'           -> ['6/eq/any/eq/80;0/0','6/eq/10000/range/20-21;0/0','17/eq/any/eq/123;0/0','17/eq/any/range/161-162;0/0','132/range/10000-20000/range/4321-4322;0/0','132/eq/any/eq/4323;0/0'] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
-*   others:
-*       objParam['protocol'] objParam['comment']    Return['value']       Return['protocol_type']       Return['comment']
-*       -----------------------------------------------------------------------------------------------------------------
-*       'UNKNOWN'            'MyComment.'        -> ['UNKNOWN;UNKNOWN']   PROTOCOL_TYPE_BIT_UNSUPPORTED 'MyComment.'
-*       ''                   'My comment.'       -> ['undefined;-'    ]   PROTOCOL_TYPE_BIT_NONE        'My comment.'
+*   Variables state when calls.
+*   ----------------------------------------------------------------------------------------
+*   g_Domain_Data[''].address4['ADDR11'] = {value:['192.168.0.1/32'], comment:''}
+*   g_Domain_Data[''].addrgrp4['ADDRG1'] = {value:['10.0.0.0/8','172.16.0.0/16'], comment:''}
+*
+*   objParam['entry']                                                                            objParam['comment']    Return['value']                                                       Return['service']                  Return['protocol_type']        Return['comment']
+*   ---------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   [{protocol:'6' ,port_range:[{start_port:'443' ,end_port:'443' }],dst:'"ADDR11"',dst6:''}]      'MyComment.'        -> ['192.168.0.1/32'                                                   ] ['6/eq/any/eq/443;0/0'           ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'MyComment.'
+*   [{protocol:'17',port_range:[{start_port:'1000',end_port:'2000'}],dst:'"ADDRG1"',dst6:''}]      'My comment.'       -> ['10.0.0.0/8','172.16.0.0/16'                                       ] ['17/eq/any/range/1000-2000;0/0' ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'My comment.'
+*   [{protocol:'1' ,port_range:[                                   ],dst:''        ,dst6:''}]      ''                  -> ['0.0.0.0/0','0000:0000:0000:0000:0000:0000:0000:0000/0'            ] ['1/any/any;-'                   ] PROTOCOL_TYPE_BIT_ICMP_ICMP6   ''
 */
-function normalizeFirewallServiceCustom(objParam) {
+function normalizeFirewallInternetServiceCustom(strDomainName, objParam) {
+    const objDomain = g_Domain_Data[strDomainName];
     const objReturn = {};
     const arrayValue = [];
-    switch (objParam['protocol']) {
-    case 'IP':
-        arrayValue[0] = (Number.isInteger(+objParam['protocol_number']) && objParam['protocol_number'] !== '0' && objParam['protocol_number'] !== '') ? objParam['protocol_number'] : 'ip';
-        arrayValue[0] += ';-';
-        break;
-    case 'ICMP':
-        arrayValue[0] = '1/'  + (objParam['icmptype'] === '' ? 'any' : objParam['icmptype']) + '/' + (objParam['icmpcode'] === '' ? 'any' : objParam['icmpcode']);
-        arrayValue[0] += ';-';
-        break;
-    case 'ICMP6':
-        arrayValue[0] = '58/' + (objParam['icmptype'] === '' ? 'any' : objParam['icmptype']) + '/' + (objParam['icmpcode'] === '' ? 'any' : objParam['icmpcode']);
-        arrayValue[0] += ';-';
-        break;
-    case 'TCP/UDP/SCTP':
-        if (objParam['tcp_portrange'] !== '') {
-            arrayValue.push(...getServicePortConditionArray('6', objParam['tcp_portrange'], objParam['iprange'], objParam['fqdn']));
+    const arrayService = [];
+    for (let i=0; i<objParam['entry'].length; ++i) {
+        const objEntry = objParam['entry'][i];
+        if (objEntry['dst'] === '' && objEntry['dst6'] === '') {
+            arrayValue.push('0.0.0.0/0');
+            arrayValue.push(getIPv6FullRepresentedAddrWithPrefixLength('::/0'));
         }
-        if (objParam['udp_portrange'] !== '') {
-            arrayValue.push(...getServicePortConditionArray('17', objParam['udp_portrange'], objParam['iprange'], objParam['fqdn']));
+        if (objEntry['dst'] !== '') {
+            arrayValue.push(...flattenMember(objDomain.address4, getConfigValueArray(objEntry['dst'])));
+            arrayValue.push(...flattenMember(objDomain.addrgrp4, getConfigValueArray(objEntry['dst'])));
         }
-        if (objParam['sctp_portrange'] !== '') {
-            arrayValue.push(...getServicePortConditionArray('132', objParam['sctp_portrange'], objParam['iprange'], objParam['fqdn']));
+        if (objEntry['dst6'] !== '') {
+            arrayValue.push(...flattenMember(objDomain.address6, getConfigValueArray(objEntry['dst6'])));
+            arrayValue.push(...flattenMember(objDomain.addrgrp6, getConfigValueArray(objEntry['dst6'])));
         }
-        break;
-    case '':
-        arrayValue[0] = 'undefined;-';
-        break;
-    default: // Unsupported protocol.
-        arrayValue[0] = objParam['protocol'] + ';' + objParam['protocol'];
-        break;
+
+        const arrayPortRange = [];
+        for (let j=0; j<objEntry['port_range'].length; ++j) {
+            const strStartPort = objEntry['port_range'][j]['start_port'];
+            const strEndPort = objEntry['port_range'][j]['end_port'];
+            if (strEndPort === '' || strEndPort === strStartPort) {
+                arrayPortRange.push(strStartPort);
+            } else {
+                arrayPortRange.push(strStartPort + '-' + strEndPort);
+            }
+        }
+        arrayService.push(...getInternetServicePortConditionArray(objEntry['protocol'], arrayPortRange.join(' ')));
     }
     objReturn['value'] = arrayValue.unique();
-    objReturn['protocol_type'] = getProtocolTypeBitsOfArray(objReturn['value']);
+    objReturn['service'] = arrayService.unique();
+    objReturn['protocol_type'] = getProtocolTypeBitsOfArray(objReturn['service']);
     objReturn['comment'] = objParam['comment'];
     return objReturn;
 }
 
 /**
-* This function flattens the specified members to those values and returns the
-* flattened values array. If two or more members flatten, all flattened values
-* are contained in an array. However, duplicate values are stripped.
+* This function flattens members of an Internet Service group object in the
+* 'firewall internet-service-group' or 'firewall
+* internet-service-custom-group' configuration and returns the object that
+* contains the array of normalized address strings and the array of
+* normalized service strings. If the member is not found in the specified
+* Internet Service objects, the member is described as the name with the
+* prefix 'isdb:.'
 *
-* @param {Object} objObjectOrGroupObject -
-*   Address object, address-group object, service object, or service-group
-*   object.
-* @param {string} strMembers - Members that to flatten.
-* @return {Array} Array of flattened values.
+* @param {Object} objParam -
+*   Parameter object of an Internet Service group object to flatten.
+* @param {Object} objInternetService -
+*   g_ISDB_Data or g_Domain_Data[].internet_service_custom.
+* @return {Object}
+*   Object that contains the normalized address strings and service strings.
 *
 * @example
-*   objObjectOrGroupObject                                                          strMembers           Return
-*   ------------------------------------------------------------------------------------------------------------------
-*   {KEY11:{value:['ABC'      ],comment:''},KEY12:{value:['DEF','GHI'],comment:''}} '"KEY11"'         -> ['ABC'      ]
-*   {KEY12:{value:['DEF','GHI'],comment:''},KEY13:{value:['DEF','DEF'],comment:''}} '"KEY12" "KEY13"' -> ['DEF','GHI']
-*   {KEY11:{value:['ABC'      ],comment:''}                                       } '"NOKEY"'         -> [           ]
+*   Variables state when calls.
+*   --------------------------------------------------------------------------------------------------------------------------------------------
+*   objInternetService['Google-Web'] = {value:['8.8.8.0/24'],service:['6/eq/any/eq/443;0/0'],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,comment:''}
+*
+*   objParam['member']             objParam['comment']    Return['value']              Return['service']                                      Return['protocol_type']                                        Return['comment']
+*   -----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '"Google-Web"'                 'MyComment.'        -> ['8.8.8.0/24'             ] ['6/eq/any/eq/443;0/0'                               ] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP                                'MyComment.'
+*   '"Google-Web" "UNKNOWN"'       ''                  -> ['8.8.8.0/24','isdb:UNKNOWN'] ['6/eq/any/eq/443;0/0','isdb:UNKNOWN;isdb:UNKNOWN'] PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED ''
 */
-function flattenMember(objObjectOrGroupObject, strMembers) {
+function normalizeFirewallInternetServiceGroup(objParam, objInternetService) {
+    const objReturn = {};
     const arrayValue = [];
-    const arrayMember = strMembers.trimString('"').split('" "');
+    const arrayService = [];
+    const arrayMember = getConfigValueArray(objParam['member']);
     for (let i=0; i<arrayMember.length; ++i) {
-        if (objObjectOrGroupObject[arrayMember[i]]) {
-            arrayValue.push(...objObjectOrGroupObject[arrayMember[i]].value);
+        if (arrayMember[i] === '') {
+            continue;
+        }
+        if (objInternetService[arrayMember[i]]) {
+            arrayValue.push(...objInternetService[arrayMember[i]].value);
+            arrayService.push(...objInternetService[arrayMember[i]].service);
+        } else {
+            arrayValue.push('isdb:' + arrayMember[i]);
+            arrayService.push('isdb:' + arrayMember[i] + ';isdb:' + arrayMember[i]);
         }
     }
-    return arrayValue.unique();
+    objReturn['value'] = arrayValue.unique();
+    objReturn['service'] = arrayService.unique();
+    objReturn['protocol_type'] = getProtocolTypeBitsOfArray(objReturn['service']);
+    objReturn['comment'] = objParam['comment'];
+    return objReturn;
 }
 
 /**
-* This function flattens members of an address-group object in the 'firewall
-* addrgrp' or 'firewall addrgrp6' configuration and returns the object that
-* contains the array of normalized address strings. However, duplicate
-* addresses are stripped.
+* This function normalizes a proxy address object in the 'firewall
+* proxy-address' configuration and returns the object that contains the host
+* and the URL path. The host is the name of the address object for the 'url'
+* type and the regular expression for the 'host-regex' type. The other types,
+* such as 'category' and 'header,' have neither the host nor the path.
 *
-* @param {Object} objParam -
-*   Parameter object of an address-group object to flatten.
-* @param {Object} objFirewallAddress -
-*   g_Domain_Data[].address4 or g_Domain_Data[].address6.
-* @param {Object} objFirewallAddressGroup -
-*   g_Domain_Data[].addrgrp4 or g_Domain_Data[].addrgrp6.
-* @return {Object} Array of normalized address strings.
+* @param {Object} objParam - Parameter object of a proxy address to normalize.
+* @return {Object} Object that contains the type, the host, and the path.
 *
 * @example
-*   Variables state when calls.
-*   -------------------------------------------------------------------------------------------------------
-*   objFirewallAddress['ADDR11']       = {value:['192.168.0.1/32'                             ],comment:''}
-*   objFirewallAddress['ADDR21']       = {value:['0.0.0.0/0','172.16.0.0/16'                  ],comment:''}
-*   objFirewallAddress['ADDR22']       = {value:['192.168.0.1/32','172.16.0.0/16'             ],comment:''}
-*   objFirewallAddressGroup['ADDRG11'] = {value:['10.0.0.0/8'                                 ],comment:''}
-*   objFirewallAddressGroup['ADDRG21'] = {value:['192.168.0.1/32','192.168.0.0/24'            ],comment:''}
-*   objFirewallAddress['ADDR31']       = {value:['2001:0db8:0000:0000:0000:0000:0000:0001/128'],comment:''}
-*   objFirewallAddress['ADDR32']       = {value:['2001:0db8:0002:0003:0000:0000:0000:0000/64' ],comment:''}
+*   objParam['type'] objParam['host'] objParam['host_regex'] objParam['path']    Return['type'] Return['host'] Return['host_regex'] Return['path']
+*   ------------------------------------------------------------------------------------------------------------------------------------------------
+*   'url'            'web01'          ''                     '/api'           -> 'url'          'web01'        ''                   '/api'
+*   'host-regex'     ''               '.*\.example\.com'     ''               -> 'host-regex'   ''             '.*\.example\.com'   ''
+*   'category'       ''               ''                     ''               -> 'category'     ''             ''                   ''
+*/
+function normalizeFirewallProxyAddress(objParam) {
+    const objReturn = {};
+    objReturn['type'] = objParam['type'];
+    objReturn['host'] = objParam['type'] === 'url' ? objParam['host'] : '';
+    objReturn['host_regex'] = objParam['type'] === 'host-regex' ? objParam['host_regex'] : '';
+    objReturn['path'] = objParam['type'] === 'url' ? objParam['path'] : '';
+    objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
+}
+
+/**
+* This function normalizes a proxy address group object in the 'firewall
+* proxy-addrgrp' configuration and returns the object that contains the array
+* of member names.
 *
-*   objParam['member']                      objParam['comment']    Return['value']                                                                              Return['comment']
-*   -----------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*   '"ADDR11"'                              'MyComment.'        -> ['192.168.0.1/32'                                                                          ] 'MyComment.'
-*   '"ADDR31" "ADDR32'                      'My comment.'       -> ['2001:0db8:0000:0000:0000:0000:0000:0001/128','2001:0db8:0002:0003:0000:0000:0000:0000/64'] 'My comment.'
-*   '"ADDRG11"'                             'Comment'           -> ['10.0.0.0/8'                                                                              ] 'Comment'
-*   '"ADDR21" "ADDR22" "ADDRG11" "ADDRG21"' 'Comment'           -> ['0.0.0.0/0','172.16.0.0/16','192.168.0.1/32','10.0.0.0/8','192.168.0.0/24'                ] 'Comment'
-*   '"UNKNOWN"'                             'Comment'           -> [                                                                                          ] 'Comment'
+* @param {Object} objParam -
+*   Parameter object of a proxy address group to normalize.
+* @return {Object} Object that contains the member names.
+*
+* @example
+*   objParam['member']       Return['member']
+*   -----------------------------------------------
+*   '"PADDR1" "PADDR2"'   -> ['PADDR1','PADDR2']
+*   ''                    -> []
 */
-function normalizeFirewallAddressGroup(objParam, objFirewallAddress, objFirewallAddressGroup) {
+function normalizeFirewallProxyAddrgrp(objParam) {
     const objReturn = {};
-    const arrayValue = flattenMember(objFirewallAddress, objParam['member']);
-    arrayValue.push(...flattenMember(objFirewallAddressGroup, objParam['member']));
-    objReturn['value'] = arrayValue.unique();
+    objReturn['member'] = getConfigValueArray(objParam['member']);
     objReturn['comment'] = objParam['comment'];
+    objReturn['conf_line'] = objParam['conf_line'];
+    return objReturn;
+}
+
+/**
+* This function normalizes a profile group object in the 'firewall
+* profile-group' configuration and returns the object that contains the
+* profile names. The unset profile is described as '-.'
+*
+* @param {Object} objParam - Parameter object of a profile group to normalize.
+* @return {Object} Object that contains the profile names.
+*
+* @example
+*   objParam['av_profile'] objParam['ips_sensor'] objParam['ssl_ssh_profile']    Return['av_profile'] Return['ips_sensor'] Return['ssl_ssh_profile']
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------
+*   'default'              'high_security'        'certificate-inspection'    -> 'default'            'high_security'      'certificate-inspection'
+*   ''                     ''                     'deep-inspection'           -> '-'                  '-'                  'deep-inspection'
+*/
+function normalizeFirewallProfileGroup(objParam) {
+    const objReturn = {};
+    t_ProfilePropertyName.forEach((strProperty) => {
+        objReturn[strProperty] = objParam[strProperty] === '' ? '-' : objParam[strProperty];
+    });
     return objReturn;
 }
 
 /**
-* This function flattens members of a service-group object in the 'firewall
-* service group' configuration and returns the object that contains the array
-* of normalized service strings. However, duplicate services are stripped.
+* This function returns the Internet Service object of the specified name. The
+* object is searched in the following order. If the name is not found, this
+* function returns undefined.
+*
+*   1. 'firewall internet-service-custom' of the domain.
+*   2. 'firewall internet-service-custom-group' of the domain.
+*   3. 'firewall internet-service-group' of the domain.
+*   4. Internet Service Database mapping data.
+*
+* @param {string} strDomainName - Domain name.
+* @param {string} strName - Internet Service name without the prefix 'isdb:.'
+* @return {Object} Internet Service object or undefined.
+*
+*/
+function getInternetServiceObject(strDomainName, strName) {
+    const objDomain = g_Domain_Data[strDomainName];
+    if (objDomain) {
+        if (objDomain.internet_service_custom[strName]) {
+            return objDomain.internet_service_custom[strName];
+        }
+        if (objDomain.internet_service_custom_group[strName]) {
+            return objDomain.internet_service_custom_group[strName];
+        }
+        if (objDomain.internet_service_group[strName]) {
+            return objDomain.internet_service_group[strName];
+        }
+    }
+    return g_ISDB_Data[strName];
+}
+
+/**
+* This function parses the Internet Service Database mapping and saves it into
+* g_ISDB_Data. Each line of the mapping is the following format. The name is
+* the Internet Service name or id that is specified in the policy. The
+* service is the protocol name or number followed by the destination ports
+* separated by the white space. If the name has no service, its service is
+* ip.
+*
+*   name,address[,protocol[/ports]]
+*
+* The line that starts with '!' or '#' is a comment line.
+*
+* @param {string} listOfMapping - Internet Service Database mapping.
+*
+* @example
+*   listOfMapping                              g_ISDB_Data['Google-Web']
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   'Google-Web,8.8.8.0/24,tcp/80 443\n'    -> {value:['8.8.8.0/24'          ],service:['6/eq/any/eq/80;0/0','6/eq/any/eq/443;0/0'],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,comment:''}
+*   'Google-Web,8.8.8.0/24\n' +
+*   'Google-Web,2001:4860::/32,udp/443\n'   -> {value:['8.8.8.0/24','2001:4860:0000:0000:0000:0000:0000:0000/32'],service:['17/eq/any/eq/443;0/0'],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,comment:''}
+*/
+function parseInternetServiceDatabaseMapping(listOfMapping) {
+    const arrayText = listOfMapping.split(/\r\n|\r|\n/);
+    for (let i=0; i<arrayText.length; ++i) {
+        // Trim a line feed at the tail and trim white spaces at both head and tail.
+        const strLine = arrayText[i].trim();
+
+        // Skip if white line.
+        if (strLine.length == 0) {
+            continue;
+        }
+
+        // Skip if comment line.
+        const strHeadChar = strLine.substring(0, 1);
+        if (strHeadChar === '!' || strHeadChar === '#') {
+            continue;
+        }
+
+        const arrayField = getCsvFieldArray(strLine);
+        const strName = arrayField[0].trim();
+        const strAddr = arrayField[1] ? arrayField[1].trim() : '';
+        const strService = arrayField[2] ? arrayField[2].trim() : '';
+        if (strName === '') {
+            continue;
+        }
+        if (!g_ISDB_Data[strName]) {
+            g_ISDB_Data[strName] = {value: [], service: [], protocol_type: PROTOCOL_TYPE_BIT_NONE, comment: ''};
+        }
+        if (strAddr !== '') {
+            const strNormalizedAddr = getNormalizedAddress(strAddr);
+            if (strNormalizedAddr !== '') {
+                g_ISDB_Data[strName].value.push(strNormalizedAddr);
+            }
+        }
+        if (strService !== '') {
+            const intIndexOfPorts = strService.indexOf('/');
+            const strProtocol = (intIndexOfPorts == -1 ? strService : strService.substring(0, intIndexOfPorts)).toLowerCase();
+            const strPorts = intIndexOfPorts == -1 ? '' : strService.substring(intIndexOfPorts + 1).trim();
+            const strProtocolNumber = t_ProtocolNumber[strProtocol] ? t_ProtocolNumber[strProtocol] : strProtocol;
+            g_ISDB_Data[strName].service.push(...getInternetServicePortConditionArray(strProtocolNumber, strPorts));
+        }
+    }
+
+    for (const key in g_ISDB_Data) {
+        if (g_ISDB_Data.hasOwnProperty(key)) {
+            const obj = g_ISDB_Data[key];
+            if (obj.service.length == 0) {
+                obj.service.push('ip;-');
+            }
+            obj.value = obj.value.unique();
+            obj.service = obj.service.unique();
+            obj.protocol_type = getProtocolTypeBitsOfArray(obj.service);
+        }
+    }
+}
+
+/**
+* This function returns the Internet Service members of the policy as the
+* member string. Each member is the name with the prefix 'isdb:.' The members
+* are taken from the following parameters. strPrefix is 'internet_service'
+* for the destination and 'internet_service_src' for the source, and
+* 'internet_service6' and 'internet_service6_src' for the IPv6 addresses.
 *
-* @param {Object} objParam -
-*   Parameter object of a service-group object to flatten.
-* @param {Object} objFirewallServiceCustom - g_Domain_Data[].service_custom
-* @param {Object} objFirewallServiceGroup - g_Domain_Data[].service_group
-* @return {Object} Array of normalized service strings.
+*   - <strPrefix>_name or <strPrefix>_id
+*   - <strPrefix>_custom
+*   - <strPrefix>_group
+*   - <strPrefix>_custom_group
 *
-* @example
-*   Variables state when calls.
-*   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*   objFirewallServiceCustom['SRVC11'] = {value:['1/any/any;-'                           ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6                               },comment:''
-*   objFirewallServiceCustom['SRVC12'] = {value:['6/eq/any/eq/80;0/0'                    ],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP                             },comment:''
-*   objFirewallServiceCustom['SRVC21'] = {value:['ip;-','17/eq/any/eq/123;192.168.0.1/32'],protocol_type:PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP        },comment:''
-*   objFirewallServiceCustom['SRVC22'] = {value:['1/any/any:','17/eq/any/eq/123;0/0'     ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP},comment:''
-*   objFirewallServiceGroup['SRVCG11'] = {value:['58/any/any;-'                          ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6                               },comment:''
-*   objFirewallServiceGroup['SRVCG21'] = {value:['1/any/any;-','6/eq/any/eq/80;0/0'      ],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP},comment:''
+* @param {Object} objParam - Parameter object of a policy object.
+* @param {string} strPrefix - Prefix of the parameter names.
+* @return {string} Member string.
 *
-*   objParam['member']                      objParam['comment']    Return['value']                                                                                                     Return['protocol_type']                                                          Return['comment']
-*   -------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
-*   '"SRVC11"'                              'MyComment.'        -> ['1/any/any;-'                                                                                                    ] PROTOCOL_TYPE_BIT_ICMP_ICMP6                                                     'MyComment.'
-*   '"SRVC11" "SRVC12'                      'My comment.'       -> ['1/any/any;-','6/eq/any/eq/80;0/0'                                                                               ] PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP                      'My comment.'
-*   '"SRVC11" "SRVC12" "SRVC21" "SRVC22"'   ''                  -> ['1/any/any;-','6/eq/any/eq/80;0/0','ip;-','17/eq/any/eq/123;192.168.0.1/32','17/eq/any/eq/123;0/0'               ] PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP ''
-*   '"SRVCG11"'                             'Comment'           -> ['58/any/any;-'                                                                                                   ] PROTOCOL_TYPE_BIT_ICMP_ICMP6                                                     'Comment'
-*   '"SRVC21" "SRVC22" "SRVCG11" "SRVCG21"' 'Comment'           -> ['ip;-','17/eq/any/eq/123;192.168.0.1/32','1/any/any;-','17/eq/any/eq/123;0/0','58/any/any;-','6/eq/any/eq/80;0/0'] PROTOCOL_TYPE_BIT_IP|PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP 'Comment'
-*   '"UNKNOWN"'                             'Comment'           -> [                                                                                                                 ] PROTOCOL_TYPE_BIT_NONE                                                           'Comment.'
+* @example
+*   objParam['internet_service_name'] objParam['internet_service_id'] objParam['internet_service_custom'] objParam['internet_service_group'] objParam['internet_service_custom_group']    Return
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   '"Google-Web" "Amazon-AWS"'       ''                              '"CUSTOM1"'                        ''                                ''                                        -> '"isdb:Google-Web" "isdb:Amazon-AWS" "isdb:CUSTOM1"'
+*   ''                                '65646 327682'                  ''                                 '"GROUP1"'                        ''                                        -> '"isdb:65646" "isdb:327682" "isdb:GROUP1"'
 */
-function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFirewallServiceGroup) {
-    const objReturn = {};
-    const arrayValue = flattenMember(objFirewallServiceCustom, objParam['member']);
-    arrayValue.push(...flattenMember(objFirewallServiceGroup, objParam['member']));
-    objReturn['value'] = arrayValue.unique();
-    objReturn['protocol_type'] = getProtocolTypeBitsOfArray(objReturn['value']);
-    objReturn['comment'] = objParam['comment'];
-    return objReturn;
+function getInternetServiceMember(objParam, strPrefix) {
+    const arrayMember = [];
+    const arrayProperty = ['_name', '_id', '_custom', '_group', '_custom_group'];
+    for (let i=0; i<arrayProperty.length; ++i) {
+        const strValue = objParam[strPrefix + arrayProperty[i]];
+        if (strValue) {
+            const array = getConfigValueArray(strValue);
+            for (let j=0; j<array.length; ++j) {
+                arrayMember.push('isdb:' + array[j]);
+            }
+        }
+    }
+    return getConfigQuotedValue(arrayMember.unique());
 }
 
 /*
@@ -3161,7 +6963,7 @@ function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFi
 * Firewall Policy Normalization normalizes all firewall policies to the
 * following format.
 *
-*   DOM_NAME,S_INTF,D_INTF,POL_TYPE,POL_ID,POL_NAME,POL_LINE,{accept|deny|ipsec},PROT,S_ADDR,S_PORT,D_ADDR,D_PORT,SD_ADDR,I_TPCD,SA_NEGATE,DA_NEGATE,SV_NEGATE,{enable|disable},LOG,SCHEDULE,COMMENT
+*   DOM_NAME,S_INTF,D_INTF,POL_TYPE,POL_ID,POL_NAME,POL_LINE,{accept|deny|ipsec},PROT,S_ADDR,S_PORT,D_ADDR,D_PORT,SD_ADDR,I_TPCD,SA_NEGATE,DA_NEGATE,SV_NEGATE,{enable|disable},LOG,SCHEDULE,COMMENT,DNAT_ADDR,DNAT_PORT,SNAT_ADDR,SNAT_TYPE,SNAT_PORT,FIXED_PORT,SCHED_WINDOW,SCHED_EXPIRED,S_ZONE,D_ZONE
 *
 *     DOM_NAME     domain name
 *     S_INTF       source interface
@@ -3183,6 +6985,16 @@ function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFi
 *     LOG          log
 *     SCHEDULE     schedule name
 *     COMMENT      comment
+*     DNAT_ADDR    translated destination network address
+*     DNAT_PORT    translated destination port forwarding
+*     SNAT_ADDR    translated source network address
+*     SNAT_TYPE    source NAT type
+*     SNAT_PORT    translated source port
+*     FIXED_PORT   true if source port is fixed
+*     SCHED_WINDOW schedule time window
+*     SCHED_EXPIRED true if one-time schedule expires
+*     S_ZONE       source zone
+*     D_ZONE       destination zone
 *
 * This format is described as following rules.
 *
@@ -3198,6 +7010,9 @@ function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFi
 *      6to4: IPv6 to IPv4 policy
 *      4to4m: IPv4 multicast NAT policy
 *      6to6m: IPv6 multicast NAT policy
+*      local4: IPv4 local-in policy
+*      local6: IPv6 local-in policy
+*      proxy: IPv4 proxy policy
 *
 *  - POL_LINE is the policy order number in policy type.
 *
@@ -3209,21 +7024,129 @@ function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFi
 *    IP or TCP/UDP/SCTP protocol. In multicast NAT policy, these follow the
 *    flattening rule.
 *
-*  - LOG is currently not supported. It is described as '-.'
+*  - When the policy enables internet-service or internet-service-src, D_ADDR
+*    or S_ADDR is the Internet Service name with the prefix 'isdb:.' If the
+*    policy has no service, PROT, S_PORT, D_PORT, SD_ADDR, and I_TPCD are
+*    described by the destination Internet Service name. However, if the
+*    Internet Service is not in the Internet Service Database mapping, they
+*    are described as 'ip', '-/-', '-/-', '0/0', and '-/-.'
+*
+*  - LOG is logtraffic of the policy. It is one of 'all', 'utm', or
+*    'disable,' and the default is 'utm.' If logtraffic-start is enabled,
+*    '/start' is appended, such as 'all/start.' In 'firewall policy46' and
+*    'firewall policy64', it is 'enable' or 'disable,' and the default is
+*    'disable.' In the multicast policy, it is logtraffic or log-traffic, and
+*    the default is 'disable.' In the central SNAT rule, it is '-.'
+*
+*  - When D_ADDR is a virtual IP object, DNAT_ADDR is its name. Also,
+*    DNAT_PORT is its name if the virtual IP forwards the port. Otherwise,
+*    they are described as '-.' If D_ADDR is a virtual IP group object, the
+*    policy is divided by the members.
+*
+*  - When the policy enables nat or ippool, SNAT_ADDR and SNAT_TYPE are the IP
+*    pool name. If the policy does not use the IP pool, SNAT_ADDR is
+*    'interface-address' and SNAT_TYPE is 'overload.' If the policy has two or
+*    more IP pools, the policy is divided by the IP pools. FIXED_PORT is
+*    'true' or 'false.' When the policy enables neither nat nor ippool, they
+*    are described as '-.' SNAT_PORT of the policy is always '-.'
+*
+*  - When S_INTF or D_INTF is a zone in 'system zone,' S_ZONE or D_ZONE is
+*    the zone name. Otherwise, it is described as '-.' If the zone expansion
+*    is specified, S_INTF or D_INTF is the member interface of the zone, and
+*    the policy is divided by the member interfaces.
+*
+*  - SCHED_WINDOW is the schedule name, and SCHED_EXPIRED is '-.' They follow
+*    the flattening rule. In the multicast policy, SCHEDULE, SCHED_WINDOW, and
+*    SCHED_EXPIRED are described as '-.'
+*
+*  - The central SNAT rules in 'firewall central-snat-map' are normalized to
+*    the same format separately from the policies. S_ADDR and D_ADDR are
+*    orig-addr and dst-addr, and PROT, S_PORT, D_PORT, SD_ADDR, and I_TPCD
+*    follow the flattening rule from protocol and orig-port. SNAT_ADDR and
+*    SNAT_TYPE are the same as the policy, and SNAT_PORT is nat-port in the
+*    same format as D_PORT. POL_NAME, ACTION, SA_NEGATE, DA_NEGATE,
+*    SV_NEGATE, LOG, SCHEDULE, DNAT_ADDR, DNAT_PORT, FIXED_PORT,
+*    SCHED_WINDOW, and SCHED_EXPIRED are described as '-.'
+*
+*  - The security profile columns, UTM_STATUS, INSPECTION_MODE, PROFILE_TYPE,
+*    PROFILE_GROUP, and the profile names, are the same as configuration. The
+*    defaults of UTM_STATUS, INSPECTION_MODE, and PROFILE_TYPE are 'disable',
+*    'flow', and 'single,' and the unset profile is described as '-.' If
+*    PROFILE_TYPE is 'group,' the profile names are the members of the
+*    profile group in 'firewall profile-group.' In 'firewall policy46',
+*    'firewall policy64', the multicast policy, and the central SNAT rule,
+*    they are all described as '-.' They are output only if enabled.
 *
 * ============================================================================
 */
 
+/**
+* This function returns the security profile fields of the policy in the order
+* of t_ProfileColumnName. If the profile type is 'group,' the profile names
+* are taken from the profile group object. If the profile group does not
+* exist, the profile names are described as '-.' If the policy has no
+* security profile, in which case objParam['utm_status'] is '-,' all fields
+* are described as '-.'
+*
+* @param {string} strDomainName - Domain name of the policy object.
+* @param {Object} objParam - Parameter object of a policy object.
+* @return {Array} Security profile fields.
+*
+* @example
+*   Variables state when calls.
+*   ----------------------------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].profile_group['PG1'] = {av_profile:'default',webfilter_profile:'-',...,ssl_ssh_profile:'certificate-inspection'}
+*
+*   strDomainName objParam                                                                                        Return
+*   --------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ''            {utm_status:'enable',inspection_mode:'',profile_type:'',av_profile:'default',...}            -> ['enable','flow','single','-','default','-','-','-','-','-','-']
+*   ''            {utm_status:'enable',inspection_mode:'proxy',profile_type:'group',profile_group:'PG1',...}   -> ['enable','proxy','group','PG1','default','-','-','-','-','-','certificate-inspection']
+*   ''            {utm_status:'',inspection_mode:'',profile_type:'',...}                                       -> ['disable','flow','single','-','-','-','-','-','-','-','-']
+*   ''            {utm_status:'-',...}                                                                         -> ['-','-','-','-','-','-','-','-','-','-','-']
+*/
+function getProfileFieldArray(strDomainName, objParam) {
+    if (objParam['utm_status'] === '-') {
+        return t_ProfileColumnName.map(() => '-');
+    }
+
+    const strProfileType = objParam['profile_type'] === '' ? 'single' : objParam['profile_type'];
+    const strProfileGroup = strProfileType === 'group' ? objParam['profile_group'] : '';
+    const objProfileGroup = g_Domain_Data[strDomainName].profile_group[strProfileGroup];
+    return [
+        objParam['utm_status'] === '' ? 'disable' : objParam['utm_status'],
+        objParam['inspection_mode'] === '' ? 'flow' : objParam['inspection_mode'],
+        strProfileType,
+        strProfileGroup === '' ? '-' : strProfileGroup,
+        ...t_ProfilePropertyName.map((strProperty) => {
+            if (strProfileType === 'group') {
+                return objProfileGroup ? objProfileGroup[strProperty] : '-';
+            }
+            return objParam[strProperty] === '' ? '-' : objParam[strProperty];
+        }),
+    ];
+}
+
 /**
 * This function normalizes the policy of a policy object in the 'firewall
 * policy', 'firewall policy6', 'firewall policy64', or 'firewall policy46'
-* configuration and returns the array of normalized policy strings.
+* configuration and returns the array of normalized policy strings. The source
+* and destination addresses are taken from the parameters specified by
+* strSrcAddrProperty and strDstAddrProperty. They are 'srcaddr6' and
+* 'dstaddr6' for the IPv6 addresses in 'firewall policy' of FortiOS 6.4 or
+* later. Likewise, the IP pools of the source NAT are taken from the parameter
+* specified by strPoolNameProperty.
 *
 * @param {string} strDomainName - Domain name of the policy object.
 * @param {string} strPolicyType - Policy type of the policy object.
 * @param {string} strPolicyID - Policy id of the policy object.
 * @param {number} intOrderNumber - Order number in the policy type.
 * @param {Object} objParam - Parameter object of a policy object to normalize.
+* @param {string} [strSrcAddrProperty='srcaddr'] -
+*   Property name of objParam for the source addresses.
+* @param {string} [strDstAddrProperty='dstaddr'] -
+*   Property name of objParam for the destination addresses.
+* @param {string} [strPoolNameProperty='poolname'] -
+*   Property name of objParam for the IP pools of the source NAT.
 * @return {Array} Array of normalized policy strings.
 *
 * @example
@@ -3288,14 +7211,23 @@ function normalizeFirewallServiceGroup(objParam, objFirewallServiceCustom, objFi
 *   ''            '4to6'        '1234'      1              '"ADDR11"'           '"ADDRG21"'          '"SRVC13" "SRVC21"'  '-'                '-'                '-'                '-'             'ipsec'    ''         '"internal1"'               '"wan2"'          'always'     ''               -> [',internal1,wan2,4to6,1234,-,1,ipsec,SRVC13,ADDR11,SRVC13,ADDRG21,SRVC13,SRVC13,SRVC13,-,-,-,enable,-,always,',
 *                                                                                                                                                                                                                                                                                                       ',internal1,wan2,4to6,1234,-,1,ipsec,SRVC21,ADDR11,SRVC21,ADDRG21,SRVC21,SRVC21,-/-,-,-,-,enable,-,always,']
 */
-function normalizeFirewallPolicy(strDomainName, strPolicyType, strPolicyID, intOrderNumber, objParam) {
-    const strName = objParam['name'].trimString('"').trimString('\'');
+function normalizeFirewallPolicy(strDomainName, strPolicyType, strPolicyID, intOrderNumber, objParam, strSrcAddrProperty = 'srcaddr', strDstAddrProperty = 'dstaddr', strPoolNameProperty = 'poolname') {
+    const strName = objParam['name'];
     const strStatus = objParam['status'] === '' ? 'enable' : objParam['status'];
     const strAction = objParam['action'] === '' ? 'deny' : objParam['action'];
-    const strSchedule = objParam['schedule'].trimString('"').trimString('\'');
-    const strComments = objParam['comments'].trimString('"').trimString('\'');
+    const strSchedule = objParam['schedule'];
+    const strComments = objParam['comments'];
+    const strLogTraffic = objParam['logtraffic'] === '' ? 'utm' : objParam['logtraffic'];
+    const strLog = (strLogTraffic !== 'disable' && objParam['logtraffic_start'] === 'enable') ? strLogTraffic + '/start' : strLogTraffic;
+    const strUuid = objParam['uuid'] || '-';
+    const strGlobalLabel = objParam['global_label'] || '-';
+    const strLabel = objParam['label'] || '-';
+    const strProxy = objParam['proxy'] ? objParam['proxy'] : '-';
+    const arrayProfile = getProfileFieldArray(strDomainName, objParam);
     const objFirewallServiceCustom = g_Domain_Data[strDomainName].service_custom;
     const objFirewallServiceGroup  = g_Domain_Data[strDomainName].service_group;
+    const objFirewallVip      = t_VipPropertyName[strPolicyType] ? g_Domain_Data[strDomainName][t_VipPropertyName[strPolicyType][0]] : undefined;
+    const objFirewallVipGroup = t_VipPropertyName[strPolicyType] ? g_Domain_Data[strDomainName][t_VipPropertyName[strPolicyType][1]] : undefined;
 
     const arraySrcIntf = [];
     const arrayDstIntf = [];
@@ -3303,19 +7235,67 @@ function normalizeFirewallPolicy(strDomainName, strPolicyType, strPolicyID, intO
     const arrayDstAddr = [];
     const arrayService = [];
     if (objParam['srcintf'] !== '') {
-        arraySrcIntf.push(...objParam['srcintf'].trimString('"').split('" "'));
+        arraySrcIntf.push(...getConfigValueArray(objParam['srcintf']));
     }
     if (objParam['dstintf'] !== '') {
-        arrayDstIntf.push(...objParam['dstintf'].trimString('"').split('" "'));
+        arrayDstIntf.push(...getConfigValueArray(objParam['dstintf']));
     }
-    if (objParam['srcaddr'] !== '') {
-        arraySrcAddr.push(...objParam['srcaddr'].trimString('"').split('" "'));
+    if (objParam[strSrcAddrProperty] !== '') {
+        arraySrcAddr.push(...getConfigValueArray(objParam[strSrcAddrProperty]));
     }
-    if (objParam['dstaddr'] !== '') {
-        arrayDstAddr.push(...objParam['dstaddr'].trimString('"').split('" "'));
+    if (objParam[strDstAddrProperty] !== '') {
+        arrayDstAddr.push(...getConfigValueArray(objParam[strDstAddrProperty]));
+    }
+    if (objFirewallVipGroup) {
+        // The policy is divided by the members of the virtual IP group.
+        for (let i=arrayDstAddr.length-1; i>=0; --i) {
+            if (objFirewallVipGroup[arrayDstAddr[i]]) {
+                arrayDstAddr.splice(i, 1, ...objFirewallVipGroup[arrayDstAddr[i]].member);
+            }
+        }
     }
     if (objParam['service'] !== '') {
-        arrayService.push(...objParam['service'].trimString('"').split('" "'));
+        arrayService.push(...getConfigValueArray(objParam['service']));
+    }
+
+    // The policy is divided by the IP pools of the source NAT. The IP pool
+    // name is described in both the address and the type.
+    const arraySnatAddr = [];
+    const arraySnatType = [];
+    let strFixedPort = '-';
+    if (objParam['nat'] === 'enable' || objParam['ippool'] === 'enable') {
+        if (objParam['ippool'] === 'enable' && objParam[strPoolNameProperty] !== '') {
+            arraySnatAddr.push(...getConfigValueArray(objParam[strPoolNameProperty]));
+            arraySnatType.push(...arraySnatAddr);
+        } else {
+            arraySnatAddr.push('interface-address');
+            arraySnatType.push('overload');
+        }
+        strFixedPort = objParam['fixedport'] === 'enable' ? 'true' : 'false';
+    } else {
+        arraySnatAddr.push('-');
+        arraySnatType.push('-');
+    }
+
+    // The policy is divided by the users, the user groups, and the FSSO
+    // groups. The FSSO group name has the prefix 'fsso:.'
+    const arraySrcUser = [];
+    const arraySrcGroup = [];
+    getConfigValueArray(objParam['users']).forEach((strUser) => {
+        arraySrcUser.push(strUser);
+        arraySrcGroup.push('-');
+    });
+    getConfigValueArray(objParam['groups']).forEach((strGroup) => {
+        arraySrcUser.push('-');
+        arraySrcGroup.push(strGroup);
+    });
+    getConfigValueArray(objParam['fsso_groups']).forEach((strGroup) => {
+        arraySrcUser.push('-');
+        arraySrcGroup.push('fsso:' + strGroup);
+    });
+    if (arraySrcUser.length == 0) {
+        arraySrcUser.push('-');
+        arraySrcGroup.push('-');
     }
 
     const arrayReturn = [];
@@ -3324,51 +7304,94 @@ function normalizeFirewallPolicy(strDomainName, strPolicyType, strPolicyID, intO
         for (let j=0; j<arrayDstIntf.length; ++j) {
             for (let k=0; k<arraySrcAddr.length; ++k) {
                 for (let l=0; l<arrayDstAddr.length; ++l) {
-                    for (let m=0; m<arrayService.length; ++m) {
+                    const objVip = objFirewallVip ? objFirewallVip[arrayDstAddr[l]] : undefined;
+                    const strDnatAddr = objVip ? arrayDstAddr[l] : '-';
+                    const strDnatPort = (objVip && objVip.port.length > 0) ? arrayDstAddr[l] : '-';
+                    // The destination Internet Service without service uses its own ports.
+                    const arrayServiceOfDstAddr = (arrayService.length == 0 && arrayDstAddr[l].startsWith('isdb:')) ? [arrayDstAddr[l]] : arrayService;
+                    for (let m=0; m<arrayServiceOfDstAddr.length; ++m) {
+                        let strService = arrayServiceOfDstAddr[m];
+                        const objInternetService = strService.startsWith('isdb:') ? getInternetServiceObject(strDomainName, strService.substring(5)) : undefined;
                         let strPort = '-/-';
                         let strTypeCode = '-/-';
-                        if (objFirewallServiceCustom[arrayService[m]]) {
-                            if (objFirewallServiceCustom[arrayService[m]].protocol_type & (PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
-                                strTypeCode = arrayService[m];
+                        let strServiceDstAddr = '-';
+                        if (arrayService.length == 0 && !objInternetService) { // Internet Service not in the mapping.
+                            strService = 'ip';
+                            strServiceDstAddr = '0/0';
+                        } else if (objFirewallServiceCustom[strService]) {
+                            if (objFirewallServiceCustom[strService].protocol_type & (PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
+                                strTypeCode = strService;
+                            }
+                            if (objFirewallServiceCustom[strService].protocol_type & (PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
+                                strPort = strService;
                             }
-                            if (objFirewallServiceCustom[arrayService[m]].protocol_type & (PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
-                                strPort = arrayService[m];
+                        } else if (objFirewallServiceGroup[strService]) {
+                            if (objFirewallServiceGroup[strService].protocol_type & (PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
+                                strTypeCode = strService;
                             }
-                        } else if (objFirewallServiceGroup[arrayService[m]]) {
-                            if (objFirewallServiceGroup[arrayService[m]].protocol_type & (PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
-                                strTypeCode = arrayService[m];
+                            if (objFirewallServiceGroup[strService].protocol_type & (PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
+                                strPort = strService;
                             }
-                            if (objFirewallServiceGroup[arrayService[m]].protocol_type & (PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
-                                strPort = arrayService[m];
+                        } else if (objInternetService) {
+                            if (objInternetService.protocol_type & (PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
+                                strTypeCode = strService;
+                            }
+                            if (objInternetService.protocol_type & (PROTOCOL_TYPE_BIT_TCP_UDP_SCTP|PROTOCOL_TYPE_BIT_UNSUPPORTED)) {
+                                strPort = strService;
                             }
                         } else { // Unknown service name.
-                            strPort = arrayService[m];
-                            strTypeCode = arrayService[m];
+                            strPort = strService;
+                            strTypeCode = strService;
+                        }
+                        if (strPort !== '-/-') {
+                            strServiceDstAddr = strPort;
+                        }
+                        for (let n=0; n<arraySnatAddr.length; ++n) {
+                            for (let o=0; o<arraySrcUser.length; ++o) {
+                                arrayReturn[index++] = getCsvRecordString([
+                                    strDomainName,
+                                    arraySrcIntf[i],
+                                    arrayDstIntf[j],
+                                    strPolicyType,
+                                    strPolicyID,
+                                    strName,
+                                    intOrderNumber,
+                                    strAction,
+                                    strService,
+                                    arraySrcAddr[k],
+                                    strPort,
+                                    arrayDstAddr[l],
+                                    strPort,
+                                    strServiceDstAddr,
+                                    strTypeCode,
+                                    objParam['srcaddr_negate'],
+                                    objParam['dstaddr_negate'],
+                                    objParam['service_negate'],
+                                    strStatus,
+                                    strLog,
+                                    strSchedule,
+                                    strComments,
+                                    strDnatAddr,
+                                    strDnatPort,
+                                    arraySnatAddr[n],
+                                    arraySnatType[n],
+                                    '-', // snat port.
+                                    strFixedPort,
+                                    strSchedule, // schedule window.
+                                    '-', // schedule expired.
+                                    '-', '-', // source zone and destination zone.
+                                    objParam['conf_line'],
+                                    arraySrcUser[o],
+                                    arraySrcGroup[o],
+                                    strUuid,
+                                    strGlobalLabel,
+                                    strLabel,
+                                    strProxy,
+                                    '-', '-', // destination host and destination URL path.
+                                    ...arrayProfile,
+                                ]);
+                            }
                         }
-                        const strServiceDstAddr = strPort === '-/-' ? '-' : strPort;
-                        arrayReturn[index++] =
-                            strDomainName + ',' +
-                            arraySrcIntf[i] + ',' +
-                            arrayDstIntf[j] + ',' +
-                            strPolicyType + ',' +
-                            strPolicyID + ',' +
-                            strName + ',' +
-                            intOrderNumber + ',' +
-                            strAction + ',' +
-                            arrayService[m] + ',' +
-                            arraySrcAddr[k] + ',' +
-                            strPort + ',' +
-                            arrayDstAddr[l] + ',' +
-                            strPort + ',' +
-                            strServiceDstAddr + ',' +
-                            strTypeCode + ',' +
-                            objParam['srcaddr_negate'] + ',' +
-                            objParam['dstaddr_negate'] + ',' +
-                            objParam['service_negate'] + ',' +
-                            strStatus + ',' +
-                            '-,' + // log.
-                            strSchedule + ',' +
-                            strComments;
                     }
                 }
             }
@@ -3407,6 +7430,7 @@ function normalizeFirewallPolicy(strDomainName, strPolicyType, strPolicyID, intO
 function normalizeFirewallMulticastPolicy(strDomainName, strPolicyType, strPolicyID, intOrderNumber, objParam) {
     const strStatus = objParam['status'] === '' ? 'enable' : objParam['status'];
     const strAction = objParam['action'] === '' ? 'accept' : objParam['action'];
+    const strLog = objParam['logtraffic'] === '' ? 'disable' : objParam['logtraffic'];
 
     let strProtocol = objParam['protocol'];
     let strSrcPort = '-/-';
@@ -3440,16 +7464,16 @@ function normalizeFirewallMulticastPolicy(strDomainName, strPolicyType, strPolic
     const arraySrcAddr = [];
     const arrayDstAddr = [];
     if (objParam['srcintf'] !== '') {
-        arraySrcIntf.push(...objParam['srcintf'].trimString('"').split('" "'));
+        arraySrcIntf.push(...getConfigValueArray(objParam['srcintf']));
     }
     if (objParam['dstintf'] !== '') {
-        arrayDstIntf.push(...objParam['dstintf'].trimString('"').split('" "'));
+        arrayDstIntf.push(...getConfigValueArray(objParam['dstintf']));
     }
     if (objParam['srcaddr'] !== '') {
-        arraySrcAddr.push(...objParam['srcaddr'].trimString('"').split('" "'));
+        arraySrcAddr.push(...getConfigValueArray(objParam['srcaddr']));
     }
     if (objParam['dstaddr'] !== '') {
-        arrayDstAddr.push(...objParam['dstaddr'].trimString('"').split('" "'));
+        arrayDstAddr.push(...getConfigValueArray(objParam['dstaddr']));
     }
 
     const arrayReturn = [];
@@ -3458,26 +7482,162 @@ function normalizeFirewallMulticastPolicy(strDomainName, strPolicyType, strPolic
         for (let j=0; j<arrayDstIntf.length; ++j) {
             for (let k=0; k<arraySrcAddr.length; ++k) {
                 for (let l=0; l<arrayDstAddr.length; ++l) {
-                    arrayReturn[index++] =
-                        strDomainName + ',' +
-                        arraySrcIntf[i] + ',' +
-                        arrayDstIntf[j] + ',' +
-                        strPolicyType + ',' +
-                        strPolicyID + ',' +
-                        '-,' + // policy name.
-                        intOrderNumber + ',' +
-                        strAction + ',' +
-                        strProtocol + ',' +
-                        arraySrcAddr[k] + ',' +
-                        strSrcPort + ',' +
-                        arrayDstAddr[l] + ',' +
-                        strDstPort + ',' +
-                        strServiceDstAddr + ',' +
-                        strTypeCode + ',' +
-                        '-,-,-,' +  // srcaddr negate, dstaddr negate, and service negate.
-                        strStatus + ',' +
-                        '-,' +  // log.
-                        '-,-';  // schedule, comments.
+                    arrayReturn[index++] = getCsvRecordString([
+                        strDomainName,
+                        arraySrcIntf[i],
+                        arrayDstIntf[j],
+                        strPolicyType,
+                        strPolicyID,
+                        '-', // policy name.
+                        intOrderNumber,
+                        strAction,
+                        strProtocol,
+                        arraySrcAddr[k],
+                        strSrcPort,
+                        arrayDstAddr[l],
+                        strDstPort,
+                        strServiceDstAddr,
+                        strTypeCode,
+                        '-', '-', '-', // srcaddr negate, dstaddr negate, and service negate.
+                        strStatus,
+                        strLog,
+                        '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', // schedule, comments, dnat address, dnat port, snat address, snat type, snat port, fixed port, schedule window, schedule expired, source zone, destination zone.
+                        objParam['conf_line'],
+                        '-', '-', // source user and source group.
+                        objParam['uuid'] === '' ? '-' : objParam['uuid'],
+                        '-', '-', '-', '-', '-', // global label, label, proxy, destination host, and destination URL path.
+                        ...t_ProfileColumnName.map(() => '-'), // security profiles.
+                    ]);
+                }
+            }
+        }
+    }
+    return arrayReturn;
+}
+
+/**
+* This function normalizes the central SNAT rule in the 'firewall
+* central-snat-map' configuration and returns the array of normalized rule
+* strings. The normalized rule has the same format as the normalized policy.
+* The original addresses, the destination addresses, and the IP pools are
+* taken from the parameters specified by strOrigAddrProperty,
+* strDstAddrProperty, and strNatIppoolProperty.
+*
+* @param {string} strDomainName - Domain name of the central SNAT rule.
+* @param {string} strPolicyType - Policy type of the central SNAT rule.
+* @param {string} strPolicyID - Policy id of the central SNAT rule.
+* @param {number} intOrderNumber - Order number in the policy type.
+* @param {Object} objParam - Parameter object of a central SNAT rule to normalize.
+* @param {string} [strOrigAddrProperty='orig_addr'] -
+*   Property name of objParam for the original addresses.
+* @param {string} [strDstAddrProperty='dst_addr'] -
+*   Property name of objParam for the destination addresses.
+* @param {string} [strNatIppoolProperty='nat_ippool'] -
+*   Property name of objParam for the IP pools.
+* @return {Array} Array of normalized rule strings.
+*
+* @example
+*                                                          objParam
+*   strDomainName strPolicyType strPolicyID intOrderNumber ['srcintf']   ['dstintf'] ['orig-addr'] ['dst-addr'] ['nat']   ['nat-ippool'] ['protocol'] ['orig-port'] ['nat-port']    Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ''            '4to4'        '1'         1              '"internal1"' '"wan2"'    '"ADDR1"'     '"all"'      ''        '"POOL1"'      ''           ''            ''           -> [',internal1,wan2,4to4,1,-,1,-,ip,ADDR1,-/-,all,-/-,-,-/-,-,-,-,enable,-,-,,-,-,POOL1,POOL1,-,-,...']
+*   ''            '4to4'        '2'         2              '"internal1"' '"wan2"'    '"ADDR1"'     '"all"'      ''        ''             '6'          '1024-2047'   '3000-3999'  -> [',internal1,wan2,4to4,2,-,2,-,6,ADDR1,range/1024-2047,all,eq/any,0/0,-/-,-,-,-,enable,-,-,,-,-,interface-address,overload,range/3000-3999,-,...']
+*   ''            '4to4'        '3'         3              '"internal1"' '"wan2"'    '"ADDR1"'     '"all"'      'disable' ''             ''           ''            ''           -> [',internal1,wan2,4to4,3,-,3,-,ip,ADDR1,-/-,all,-/-,-,-/-,-,-,-,enable,-,-,,-,-,-,-,-,-,...']
+*/
+function normalizeFirewallCentralSnatMap(strDomainName, strPolicyType, strPolicyID, intOrderNumber, objParam, strOrigAddrProperty = 'orig_addr', strDstAddrProperty = 'dst_addr', strNatIppoolProperty = 'nat_ippool') {
+    const strStatus = objParam['status'] === '' ? 'enable' : objParam['status'];
+    const strComments = objParam['comments'];
+
+    let strProtocol = objParam['protocol'];
+    let strSrcPort = '-/-';
+    let strDstPort = '-/-';
+    let strTypeCode = '-/-';
+    let strServiceDstAddr = '-';
+    if (isIcmpProtocol(strProtocol) || isIcmp6Protocol(strProtocol)) {
+        strTypeCode = 'any/any';
+    } else if (isTcpProtocol(strProtocol) || isUdpProtocol(strProtocol) || isSctpProtocol(strProtocol)) {
+        strSrcPort = getOperPortStyleConditionStringFromPortCondition(objParam['orig_port'] === '0' ? '' : objParam['orig_port']);
+        strDstPort = 'eq/any';
+        strServiceDstAddr = '0/0';
+    } else if (strProtocol === '' || strProtocol === '0' || isIpProtocol(strProtocol)) {
+        strProtocol = 'ip';
+    }
+
+    const arraySrcIntf = [];
+    const arrayDstIntf = [];
+    const arrayOrigAddr = [];
+    const arrayDstAddr = [];
+    if (objParam['srcintf'] !== '') {
+        arraySrcIntf.push(...getConfigValueArray(objParam['srcintf']));
+    }
+    if (objParam['dstintf'] !== '') {
+        arrayDstIntf.push(...getConfigValueArray(objParam['dstintf']));
+    }
+    if (objParam[strOrigAddrProperty] !== '') {
+        arrayOrigAddr.push(...getConfigValueArray(objParam[strOrigAddrProperty]));
+    }
+    if (objParam[strDstAddrProperty] !== '') {
+        arrayDstAddr.push(...getConfigValueArray(objParam[strDstAddrProperty]));
+    }
+
+    // The rule is divided by the IP pools.
+    const arraySnatAddr = [];
+    const arraySnatType = [];
+    let strSnatPort = '-';
+    if (objParam['nat'] !== 'disable') {
+        if (objParam[strNatIppoolProperty] !== '') {
+            arraySnatAddr.push(...getConfigValueArray(objParam[strNatIppoolProperty]));
+            arraySnatType.push(...arraySnatAddr);
+        } else {
+            arraySnatAddr.push('interface-address');
+            arraySnatType.push('overload');
+        }
+        if (objParam['nat_port'] !== '' && objParam['nat_port'] !== '0') {
+            strSnatPort = getOperPortStyleConditionStringFromPortCondition(objParam['nat_port']);
+        }
+    } else {
+        arraySnatAddr.push('-');
+        arraySnatType.push('-');
+    }
+
+    const arrayReturn = [];
+    let index = 0;
+    for (let i=0; i<arraySrcIntf.length; ++i) {
+        for (let j=0; j<arrayDstIntf.length; ++j) {
+            for (let k=0; k<arrayOrigAddr.length; ++k) {
+                for (let l=0; l<arrayDstAddr.length; ++l) {
+                    for (let m=0; m<arraySnatAddr.length; ++m) {
+                        arrayReturn[index++] = getCsvRecordString([
+                            strDomainName,
+                            arraySrcIntf[i],
+                            arrayDstIntf[j],
+                            strPolicyType,
+                            strPolicyID,
+                            '-', // policy name.
+                            intOrderNumber,
+                            '-', // action.
+                            strProtocol,
+                            arrayOrigAddr[k],
+                            strSrcPort,
+                            arrayDstAddr[l],
+                            strDstPort,
+                            strServiceDstAddr,
+                            strTypeCode,
+                            '-', '-', '-', // srcaddr negate, dstaddr negate, and service negate.
+                            strStatus,
+                            '-', '-', // log and schedule.
+                            strComments,
+                            '-', '-', // dnat address and dnat port.
+                            arraySnatAddr[m],
+                            arraySnatType[m],
+                            strSnatPort,
+                            '-', '-', '-', '-', '-', // fixed port, schedule window, schedule expired, source zone, and destination zone.
+                            objParam['conf_line'],
+                            '-', '-', '-', '-', '-', // source user, source group, policy uuid, global label, and label.
+                            '-', '-', '-', // proxy, destination host, and destination URL path.
+                            ...t_ProfileColumnName.map(() => '-'), // security profiles.
+                        ]);
+                    }
                 }
             }
         }
@@ -3485,6 +7645,58 @@ function normalizeFirewallMulticastPolicy(strDomainName, strPolicyType, strPolic
     return arrayReturn;
 }
 
+/**
+* This function resolves the zones of the source and destination interfaces
+* of normalized policies and returns the new array of normalized policy
+* strings. S_ZONE and D_ZONE are the zone name if the interface is a zone in
+* 'system zone.' If boolExpandZone is true, the policy is divided by the
+* member interfaces of the zone.
+*
+* @param {Array} arrayNormalizedPolicy - Array of normalized policies.
+* @param {boolean} boolExpandZone -
+*   True when expands the zones to the member interfaces.
+* @return {Array} Array of normalized policy strings.
+*
+* @example
+*   Variables state when calls.
+*   -----------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].zone['LAN'] = {value:['port1','port2'], intrazone:'deny', comment:''}
+*
+*   arrayNormalizedPolicy                                                    boolExpandZone    Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   [',LAN,wan1,4to4,1,,1,accept,ALL,all,ALL,all,ALL,ALL,ALL,...,-,-,...']      false          -> [',LAN,wan1,4to4,1,,1,accept,ALL,all,ALL,all,ALL,ALL,ALL,...,LAN,-,...']
+*   [',LAN,wan1,4to4,1,,1,accept,ALL,all,ALL,all,ALL,ALL,ALL,...,-,-,...']      true           -> [',port1,wan1,4to4,1,,1,accept,ALL,all,ALL,all,ALL,ALL,ALL,...,LAN,-,...',
+*                                                                                               ',port2,wan1,4to4,1,,1,accept,ALL,all,ALL,all,ALL,ALL,ALL,...,LAN,-,...']
+*/
+function resolveSystemZoneOfNormalizedPolicies(arrayNormalizedPolicy, boolExpandZone) {
+    const arrayReturn = [];
+    for (let i=0; i<arrayNormalizedPolicy.length; ++i) {
+        const arrayToken = getCsvFieldArray(arrayNormalizedPolicy[i]);
+        const objZone = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]].zone;
+
+        const getInterfaceArray = function(strInterface) {
+            return objZone[strInterface] && boolExpandZone && objZone[strInterface].value.length > 0 ? objZone[strInterface].value : [strInterface];
+        };
+
+        const arraySrcIntf = getInterfaceArray(arrayToken[NMCOL_SRC_INTF]);
+        const arrayDstIntf = getInterfaceArray(arrayToken[NMCOL_DST_INTF]);
+        if (objZone[arrayToken[NMCOL_SRC_INTF]]) {
+            arrayToken[NMCOL_SRC_ZONE] = arrayToken[NMCOL_SRC_INTF];
+        }
+        if (objZone[arrayToken[NMCOL_DST_INTF]]) {
+            arrayToken[NMCOL_DST_ZONE] = arrayToken[NMCOL_DST_INTF];
+        }
+        for (let j=0; j<arraySrcIntf.length; ++j) {
+            for (let k=0; k<arrayDstIntf.length; ++k) {
+                arrayToken[NMCOL_SRC_INTF] = arraySrcIntf[j];
+                arrayToken[NMCOL_DST_INTF] = arrayDstIntf[k];
+                arrayReturn.push(getCsvRecordString(arrayToken));
+            }
+        }
+    }
+    return arrayReturn;
+}
+
 /*
 * ============================================================================
 * ============================================================================
@@ -3506,12 +7718,57 @@ function initDomainData(strDomainName) {
     g_Domain_Data[strDomainName].addrgrp6 = {};
     g_Domain_Data[strDomainName].multicastaddress4 = {};
     g_Domain_Data[strDomainName].multicastaddress6 = {};
+    g_Domain_Data[strDomainName].vip4 = {};
+    g_Domain_Data[strDomainName].vip6 = {};
+    g_Domain_Data[strDomainName].vip46 = {};
+    g_Domain_Data[strDomainName].vip64 = {};
+    g_Domain_Data[strDomainName].vipgrp4 = {};
+    g_Domain_Data[strDomainName].vipgrp6 = {};
+    g_Domain_Data[strDomainName].vipgrp46 = {};
+    g_Domain_Data[strDomainName].vipgrp64 = {};
+    g_Domain_Data[strDomainName].ippool4 = {};
+    g_Domain_Data[strDomainName].ippool6 = {};
+    g_Domain_Data[strDomainName].schedule_recurring = {};
+    g_Domain_Data[strDomainName].schedule_onetime = {};
+    g_Domain_Data[strDomainName].schedule_group = {};
+    g_Domain_Data[strDomainName].zone = {};
+    g_Domain_Data[strDomainName].user_group = {};
+    g_Domain_Data[strDomainName].internet_service_custom = {};
+    g_Domain_Data[strDomainName].internet_service_group = {};
+    g_Domain_Data[strDomainName].internet_service_custom_group = {};
+    g_Domain_Data[strDomainName].profile_group = {};
+    g_Domain_Data[strDomainName].proxy_address = {};
+    g_Domain_Data[strDomainName].proxy_addrgrp = {};
     g_Domain_Data[strDomainName].policy4to4 = [];
     g_Domain_Data[strDomainName].policy6to6 = [];
     g_Domain_Data[strDomainName].policy6to4 = [];
     g_Domain_Data[strDomainName].policy4to6 = [];
     g_Domain_Data[strDomainName].policy4to4m = [];
     g_Domain_Data[strDomainName].policy6to6m = [];
+    g_Domain_Data[strDomainName].policylocal4 = [];
+    g_Domain_Data[strDomainName].policylocal6 = [];
+    g_Domain_Data[strDomainName].policyproxy = [];
+    g_Domain_Data[strDomainName].central_snat_map4to4 = [];
+    g_Domain_Data[strDomainName].central_snat_map6to6 = [];
+    g_Domain_Data[strDomainName].group_reference_error = [];
+    g_Domain_Data[strDomainName].unresolved_reference = [];
+}
+
+/**
+* This function saves a diagnostic of parsing FortiGate configuration into
+* g_Parse_Diagnostic as the following string.
+*
+*   line number,severity,message
+*
+* @param {number} intLineNumber - Line number starting from 1.
+* @param {string} strSeverity -
+*   DIAGNOSTIC_SEVERITY_ERROR, DIAGNOSTIC_SEVERITY_WARNING, or
+*   DIAGNOSTIC_SEVERITY_INFO.
+* @param {string} strMessage - Message of the diagnostic.
+*
+*/
+function addParseDiagnostic(intLineNumber, strSeverity, strMessage) {
+    g_Parse_Diagnostic.push(getCsvRecordString([intLineNumber, strSeverity, strMessage]));
 }
 
 /**
@@ -3526,12 +7783,41 @@ function initDomainData(strDomainName) {
 *     config firewall addrgrp6
 *     config firewall service custom
 *     config firewall service group
+*     config firewall vip
+*     config firewall vip6
+*     config firewall vip46
+*     config firewall vip64
+*     config firewall vipgrp
+*     config firewall vipgrp6
+*     config firewall vipgrp46
+*     config firewall vipgrp64
+*     config firewall ippool
+*     config firewall ippool6
+*     config firewall schedule recurring
+*     config firewall schedule onetime
+*     config firewall schedule group
+*     config firewall internet-service-custom
+*     config firewall internet-service-group
+*     config firewall internet-service-custom-group
+*     config firewall profile-group
+*     config firewall proxy-address
+*     config firewall proxy-addrgrp
 *     config firewall policy
 *     config firewall policy6
 *     config firewall policy64
 *     config firewall policy46
+*     config firewall local-in-policy
+*     config firewall local-in-policy6
+*     config firewall proxy-policy
 *     config firewall multicast-policy
 *     config firewall multicast-policy6
+*     config firewall central-snat-map
+*     config system zone
+*     config user group
+*
+* The 'edit' and 'next' commands in the sub-configuration of an object, such
+* as 'config entry' of 'firewall internet-service-custom', are passed to the
+* object as the sub-edit.
 *
 * @param {string} configToFlat - FortiGate configuration that to parse.
 *
@@ -3625,8 +7911,8 @@ function initDomainData(strDomainName) {
 *       edit 1001
 *           set uuid xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx
 *           set srcintf "internal1" "INTERNAL 02"
-*           set dstintf "wan2" "WAN 02"
-*           set srcaddr "ADDR1001" "ADDR1002"
+*           set dstintf "wan2"
+*           set srcaddr "ADDR1001"
 *           set dstaddr "ADDRG1001" "ADDR1003"
 *           set action accept
 *           set schedule "always"
@@ -3681,94 +7967,104 @@ function initDomainData(strDomainName) {
 *      Results of g_Domain_Data
 *   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------
 *   -> g_Domain_Data['VDOM01'].address4 = {
-*          'ADDR1001':{value:['192.168.0.1/32'],comment:''},
-*          'ADDR1002':{value:['10.0.0.0/8'],comment:''},
-*          'ADDR1003':{value:['172.16.0.1-172.16.0.100'],comment:''}
+*          'ADDR1001':{value:['192.168.0.1/32'],comment:'',conf_line:'4-7'},
+*          'ADDR1002':{value:['10.0.0.0/8'],comment:'',conf_line:'8-11'},
+*          'ADDR1003':{value:['172.16.0.1-172.16.0.100'],comment:'',conf_line:'12-17'}
 *      }
 *      g_Domain_Data['VDOM01'].address6 = {
-*          'ADDR1001':{value:['2001:0db8:0000:0000:0000:0000:0000:0001/128'],comment:''},
-*          'ADDR1002':{value:['2001:0db8:0000:0000:0000:0000:0000:0000/32'],comment:''},
-*          'ADDR1003':{value:['2001:0db8:eeee:eeee:0000:0000:0000:0001-2001:0db8:eeee:eeee:0000:0000:0000:0100'],comment:''}
+*          'ADDR1001':{value:['2001:0db8:0000:0000:0000:0000:0000:0001/128'],comment:'',conf_line:'26-29'},
+*          'ADDR1002':{value:['2001:0db8:0000:0000:0000:0000:0000:0000/32'],comment:'',conf_line:'30-33'},
+*          'ADDR1003':{value:['2001:0db8:eeee:eeee:0000:0000:0000:0001-2001:0db8:eeee:eeee:0000:0000:0000:0100'],comment:'',conf_line:'34-39'}
 *      }
 *      g_Domain_Data['VDOM01'].addrgrp4 = {
-*          'ADDRG1001':{value:['10.0.0.0/8','172.16.0.1-172.16.0.100'],comment:''}
+*          'ADDRG1001':{value:['10.0.0.0/8','172.16.0.1-172.16.0.100'],origin:{'10.0.0.0/8':{path:'ADDR1002',line:'8-11'},'172.16.0.1-172.16.0.100':{path:'ADDR1003',line:'12-17'}},comment:'',conf_line:'47-50'}
 *      }
 *      g_Domain_Data['VDOM01'].addrgrp6 = {
-*          'ADDRG1001':{value:['2001:0db8:0000:0000:0000:0000:0000:0000/32','2001:0db8:eeee:eeee:0000:0000:0000:0001-2001:0db8:eeee:eeee:0000:0000:0000:0100'],comment:''}
+*          'ADDRG1001':{value:['2001:0db8:0000:0000:0000:0000:0000:0000/32','2001:0db8:eeee:eeee:0000:0000:0000:0001-2001:0db8:eeee:eeee:0000:0000:0000:0100'],origin:{'2001:0db8:0000:0000:0000:0000:0000:0000/32':{path:'ADDR1002',line:'30-33'},'2001:0db8:eeee:eeee:0000:0000:0000:0001-2001:0db8:eeee:eeee:0000:0000:0000:0100':{path:'ADDR1003',line:'34-39'}},comment:'',conf_line:'53-56'}
 *      }
-*      g_Domain_Data['VDOM01'].multicast_address4 = {
-*          'ADDR1001':{value:['224.0.0.1-224.0.0.100'],comment:''}
+*      g_Domain_Data['VDOM01'].multicastaddress4 = {
+*          'ADDR1001':{value:['224.0.0.1-224.0.0.100'],comment:'',conf_line:'20-23'}
 *      }
-*      g_Domain_Data['VDOM01'].multicast_address6 = {
-*          'ADDR1001':{value:['ff00:0000:0000:0000:0000:0000:0000:0000/120'],comment:''}
+*      g_Domain_Data['VDOM01'].multicastaddress6 = {
+*          'ADDR1001':{value:['ff00:0000:0000:0000:0000:0000:0000:0000/120'],comment:'',conf_line:'42-44'}
 *      }
 *      g_Domain_Data['VDOM01'].service_custom = {
-*          'SRVC1001':{value:['1/any/any;-'],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6,comment:''},
-*          'SRVC1002':{value:['6/eq/any/eq/80;0/0'],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,comment:''}
+*          'SRVC1001':{value:['1/any/any;-'],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6,comment:'',conf_line:'59-62'},
+*          'SRVC1002':{value:['6/eq/any/eq/80;0/0'],protocol_type:PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,comment:'',conf_line:'63-65'}
 *      }
 *      g_Domain_Data['VDOM01'].service_group = {
-*          'SRVCG1001':{value:['1/any/any;-','6/eq/any/eq/80;0/0'],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,comment:''}
+*          'SRVCG1001':{value:['1/any/any;-','6/eq/any/eq/80;0/0'],protocol_type:PROTOCOL_TYPE_BIT_ICMP_ICMP6|PROTOCOL_TYPE_BIT_TCP_UDP_SCTP,origin:{'1/any/any;-':{path:'SRVC1001',line:'59-62'},'6/eq/any/eq/80;0/0':{path:'SRVC1002',line:'63-65'}},comment:'',conf_line:'68-70'}
 *      }
 *      g_Domain_Data['VDOM01'].policy4to4 = [
-*          'VDOM01,internal1,wan2,4to4,1001,,1,accept,SRVC1001,ADDR1001,-/-,ADDRG1001,-/-,-,SRVC1001,false,false,false,enable,-,always,'
+*          'VDOM01,internal1,wan2,4to4,1001,,1,accept,SRVC1001,ADDR1001,-/-,ADDRG1001,-/-,-,SRVC1001,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,73-82,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-'
 *      ]
 *      g_Domain_Data['VDOM01'].policy6to6 = [
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,internal1,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVCG1001,ADDR1002,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,-,always,',
-*          'VDOM01,INTERNAL 02,WAN 02,6to6,1001,,1,accept,SRVC1002,ADDR1002,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,-,always,'
+*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,internal1,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDRG1001,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDRG1001,SRVC1002,SRVC1002,-/-,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVCG1001,ADDR1001,SRVCG1001,ADDR1003,SRVCG1001,SRVCG1001,SRVCG1001,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-',
+*          'VDOM01,INTERNAL 02,wan2,6to6,1001,,1,accept,SRVC1002,ADDR1001,SRVC1002,ADDR1003,SRVC1002,SRVC1002,-/-,false,false,false,enable,utm,always,,-,-,-,-,-,-,always,-,-,-,85-94,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,disable,flow,single,-,-,-,-,-,-,-,-'
 *      ]
 *      g_Domain_Data['VDOM01'].policy6to4 = [
-*          'VDOM01,internal1,wan2,6to4,1001,-,1,accept,SRVC1001,ADDR1001,-/-,ADDRG1001,-/-,-,SRVC1001,-,-,-,enable,-,always,'
+*          'VDOM01,internal1,wan2,6to4,1001,-,1,accept,SRVC1001,ADDR1001,-/-,ADDRG1001,-/-,-,SRVC1001,-,-,-,enable,disable,always,,-,-,-,-,-,-,always,-,-,-,97-106,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-'
 *      ]
 *      g_Domain_Data['VDOM01'].policy4to6 = [
-*          'VDOM01,internal1,wan2,4to6,1001,-,1,accept,SRVCG1001,ADDR1001,SRVCG1001,VIP1001,SRVCG1001,SRVCG1001,SRVCG1001,-,-,-,enable,-,always,'
+*          'VDOM01,internal1,wan2,4to6,1001,-,1,accept,SRVCG1001,ADDR1001,SRVCG1001,VIP1001,SRVCG1001,SRVCG1001,SRVCG1001,-,-,-,enable,disable,always,,-,-,-,-,-,-,always,-,-,-,109-118,-,-,xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-'
 *      ]
 *      g_Domain_Data['VDOM01'].policy4to4m = [
-*          'VDOM01,internal1,wan2,4to4m,1001,-,1,accept,ip,ADDR1001,-/-,ADDR1001,-/-,-,-/-,-,-,-,enable,-,-,-'
+*          'VDOM01,internal1,wan2,4to4m,1001,-,1,accept,ip,ADDR1001,-/-,ADDR1001,-/-,-,-/-,-,-,-,enable,disable,-,-,-,-,-,-,-,-,-,-,-,-,121-126,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-'
 *      ]
 *      g_Domain_Data['VDOM01'].policy6to6m = [
-*          'VDOM01,internal1,wan2,6to6m,1001,-,1,accept,17,ADDR1001,eq/any,ADDR1001,range/10001-10009,0/0,-/-,-,-,-,enable,-,-,-'
+*          'VDOM01,internal1,wan2,6to6m,1001,-,1,accept,17,ADDR1001,eq/any,ADDR1001,range/10001-10009,0/0,-/-,-,-,-,enable,disable,-,-,-,-,-,-,-,-,-,-,-,-,129-137,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-,-'
+*      ]
+*      g_Domain_Data['VDOM01'].unresolved_reference = [
+*          'VDOM01,4to6,1001,dstaddr,VIP1001,109'
 *      ]
 */
 function parseFortiGateConfig(configToFlat) {
-    const arrayText = configToFlat.split(/\r\n|\r|\n/);
+    const arrayLine = getConfigLineArray(configToFlat.split(/\r\n|\r|\n/));
+    parseFortiGateConfigLines(arrayLine, false);
+    resolveAllGroupObjects();
+    parseFortiGateConfigLines(arrayLine, true);
+}
+
+/**
+* This function parses the lines of FortiGate configuration. Either the
+* policy configurations in t_FortiGatePolicyConfigName or the other
+* configurations are parsed, so that the policies refer to the objects and
+* groups which are completely parsed. The diagnostics of the configuration
+* structure are saved into g_Parse_Diagnostic when parses the others, and
+* the diagnostics of the 'edit' command are saved when parses its
+* configuration.
+*
+* @param {Array} arrayLine -
+*   Logical lines of FortiGate configuration returned by getConfigLineArray.
+* @param {boolean} boolPolicyConfig -
+*   true if parses the policy configurations, false if parses the others.
+*
+*/
+function parseFortiGateConfigLines(arrayLine, boolPolicyConfig) {
     const stack_config = [];
+    const stack_config_line = [];
+    const addDiagnostic = function(intLineNumber, strSeverity, strMessage) {
+        if (!boolPolicyConfig) {
+            addParseDiagnostic(intLineNumber, strSeverity, strMessage);
+        }
+    };
+    const arrayUnparsedParam = [];
+    const arrayUnparsedSectionLine = [];
     let strDomainName = '';
     let strEditName = '';
+    let intEditDepth = 0;
     let configEdit;
 
-    for (let i=0; i<arrayText.length; ++i) {
-        // Trim a line feed at the tail and trim white spaces at both head and tail.
-        const strLine = arrayText[i].trim();
+    for (let i=0; i<arrayLine.length; ++i) {
+        // Trim white spaces at both head and tail.
+        const strLine = arrayLine[i].text.trim();
+        const intLineNumber = arrayLine[i].number;
 
         // Skip if white line.
         if (strLine.length == 0) {
@@ -3780,15 +8076,29 @@ function parseFortiGateConfig(configToFlat) {
             continue;
         }
 
+        // The quoted value is not closed until the end of the configuration.
+        if (!arrayLine[i].closed) {
+            addDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_ERROR, 'The quoted value is not closed. The configuration may be truncated.');
+        }
+
         //
         if (strLine === 'end') {
             const arrayPopped = stack_config.pop();
+            stack_config_line.pop();
+            if (!arrayPopped) {
+                addDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_ERROR, '\'end\' without \'config\' is ignored.');
+                continue;
+            }
+            if (strEditName !== '' && stack_config.length < intEditDepth) {
+                addParseDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_WARNING, '\'edit ' + strEditName + '\' is not closed by \'next\' and is discarded.');
+            }
             if (arrayPopped[0] && arrayPopped[0] === 'config') {
                 if (arrayPopped[1] && arrayPopped[1] === 'vdom') {
                     strDomainName = '';
-                } else if (arrayPopped[2] && arrayPopped[1] === 'firewall') {
+                } else if (arrayPopped[2] && t_FortiGateConfigObject[arrayPopped[1]]) {
+                    const objConfigObject = t_FortiGateConfigObject[arrayPopped[1]];
                     const strConfigName = arrayPopped[3] ? arrayPopped[2] + '_' + arrayPopped[3] : arrayPopped[2];
-                    if (t_FortiGateFirewallObject[strConfigName]) {
+                    if (objConfigObject[strConfigName] && t_FortiGatePolicyConfigName.includes(strConfigName) === boolPolicyConfig) {
                         strEditName = '';
                         configEdit.init();
                     }
@@ -3800,43 +8110,77 @@ function parseFortiGateConfig(configToFlat) {
         //
         if (strLine === 'next') {
             if (strEditName !== '') {
-                configEdit.end();
-                strEditName = '';
+                if (stack_config.length > intEditDepth) { // 'next' of the sub-configuration.
+                    configEdit.endSubEdit(stack_config.last()[1]);
+                } else {
+                    configEdit.EndLineNumber = intLineNumber;
+                    configEdit.end();
+                    strEditName = '';
+                }
             }
             continue;
         }
 
-        // Split by whitespace.
-        const arrayToken = strLine.split(/\s+/);
+        // Split into tokens.
+        const arrayToken = getConfigValueArray(strLine);
 
         //
         if (arrayToken[0] && arrayToken[0] === 'config') {
+            if (strEditName === '' && arrayToken[1] === 'firewall' && arrayToken[2]) {
+                const strConfigName = arrayToken[3] ? arrayToken[2] + '_' + arrayToken[3] : arrayToken[2];
+                if (!t_FortiGateFirewallObject[strConfigName]) {
+                    addDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_INFO, '\'' + strLine + '\' is not supported and is skipped.');
+                }
+            }
             stack_config.push(arrayToken);
+            stack_config_line.push(intLineNumber);
             continue;
         }
 
         //
         if (arrayToken[1] && arrayToken[0] === 'edit') {
             const arrayLast = stack_config.last();
+            if (!arrayLast) {
+                addDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_ERROR, '\'' + strLine + '\' without \'config\' is ignored.');
+                continue;
+            }
+            if (strEditName !== '' && stack_config.length > intEditDepth) { // 'edit' of the sub-configuration.
+                configEdit.beginSubEdit(arrayLast[1], arrayToken.slice(1).join(' '));
+                continue;
+            }
             if (arrayLast[0] && arrayLast[0] === 'config') {
                 if (arrayLast[1] && arrayLast[1] === 'vdom') {
-                    strDomainName = strLine.substring(5).trimString('"'); // virtual domain name.
+                    strDomainName = arrayToken.slice(1).join(' '); // virtual domain name.
                     if (!g_Domain_Data[strDomainName]) {
                         initDomainData(strDomainName);
                     }
-                } else if (arrayLast[2] && arrayLast[1] === 'firewall') {
-                    const strConfigName = arrayLast[3] ? arrayLast[2] + '_' + arrayLast[3] : arrayLast[2];
-                    if (t_FortiGateFirewallObject[strConfigName]) {
+                    continue;
+                }
+                const objConfigObject = t_FortiGateConfigObject[arrayLast[1]];
+                const strConfigName = arrayLast[3] ? arrayLast[2] + '_' + arrayLast[3] : arrayLast[2];
+                if (arrayLast[2] && objConfigObject && objConfigObject[strConfigName]) {
+                    if (t_FortiGatePolicyConfigName.includes(strConfigName) === boolPolicyConfig) {
                         // Associate an object if 'edit vdom_name' line is not found.
                         if (!g_Domain_Data[strDomainName]) {
                             initDomainData('');
                         }
                         //
-                        strEditName = strLine.substring(5).trimString('"');
-                        configEdit = t_FortiGateFirewallObject[strConfigName];
+                        strEditName = arrayToken.slice(1).join(' ');
+                        intEditDepth = stack_config.length;
+                        configEdit = objConfigObject[strConfigName];
                         configEdit.DomainName = strDomainName;
+                        configEdit.LineNumber = intLineNumber;
                         configEdit.begin(strEditName);
                     }
+                    continue;
+                }
+                // The 'edit' in the section that is not parsed, such as
+                // 'config system interface.' It is reported once for each
+                // section, but not for the sub-configuration of the section.
+                const isTopLevelSection = stack_config.slice(0, -1).every((array) => array[1] === 'vdom' || array[1] === 'global');
+                if (isTopLevelSection && !arrayUnparsedSectionLine.includes(stack_config_line.last())) {
+                    arrayUnparsedSectionLine.push(stack_config_line.last());
+                    addDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_INFO, '\'' + strLine + '\' in \'' + arrayLast.join(' ') + '\' is not parsed and is skipped. The other \'edit\' in the section is not reported.');
                 }
             }
             continue;
@@ -3844,11 +8188,25 @@ function parseFortiGateConfig(configToFlat) {
 
         //
         if (strEditName !== '') {
-            if (arrayToken[0] && arrayToken[0] === 'set') {
-                configEdit.set(strLine, arrayToken);
+            if (arrayToken[0] && arrayToken[0] === 'set' && arrayToken[1] && !configEdit.set(strLine, arrayToken)) {
+                // Report the unparsed parameter once for each section.
+                const strSection = stack_config.last().join(' ');
+                const strParam = strSection + ' ' + arrayToken[1];
+                if (!arrayUnparsedParam.includes(strParam)) {
+                    arrayUnparsedParam.push(strParam);
+                    addParseDiagnostic(intLineNumber, DIAGNOSTIC_SEVERITY_INFO, '\'set ' + arrayToken[1] + '\' in \'' + strSection + '\' is not parsed and is ignored. It is not reported again in the section.');
+                }
             }
         }
     }
+
+    // The configuration may be truncated if any 'config' is not closed.
+    if (strEditName !== '') {
+        addParseDiagnostic(configEdit.intLineNumber, DIAGNOSTIC_SEVERITY_ERROR, '\'edit ' + strEditName + '\' is not closed by \'next\' and is discarded. The configuration may be truncated.');
+    }
+    for (let i=stack_config.length-1; i>=0; --i) {
+        addDiagnostic(stack_config_line[i], DIAGNOSTIC_SEVERITY_ERROR, '\'' + stack_config[i].join(' ') + '\' is not closed by \'end\'. The configuration may be truncated.');
+    }
 }
 
 /*
@@ -3869,6 +8227,11 @@ function parseFortiGateConfig(configToFlat) {
 *      'NN'
 *      NN: protocol-number or 'ip'
 *
+*    If the service is neither an object nor a group, or is resolved to no
+*    service, PROT is described as its name with the prefix is 'unresolved:',
+*    S_PORT, D_PORT, and I_TPCD are described as '-/-', and SD_ADDR is
+*    described as '-.'
+*
 *  - S_PORT and D_PORT format is the following. If PROT is '6'(tcp), '17'(udp),
 *    or '132'(sctp) and the port condition is not specified, S_PORT is
 *    described as 'eq/any'. If PROT is neither '6', '17', nor '58', S_PORT and
@@ -3905,6 +8268,15 @@ function parseFortiGateConfig(configToFlat) {
 *    If the network address is FQDN, S_ADDR and D_ADDR are described as FQDN
 *    with the prefix is 'fqdn:'. If the network address is geography, S_ADDR
 *    and D_ADDR are described as the country name with the prefix is 'geo:'.
+*    If the Internet Service is not found in the Internet Service objects and
+*    the Internet Service Database mapping, S_ADDR and D_ADDR are described as
+*    the Internet Service name with the prefix is 'isdb:'. If the address is
+*    neither an object nor a group, or is resolved to no address, S_ADDR and
+*    D_ADDR are described as its name with the prefix is 'unresolved:'.
+*
+*    If the address group enables exclude, the excluded addresses are
+*    subtracted, and the subnet or range that contains them is split into the
+*    remaining subnets and ranges.
 *
 *    'all' network address is converted as following rules.
 *
@@ -3918,14 +8290,70 @@ function parseFortiGateConfig(configToFlat) {
 *    '0.0.0.0.' If PROT is neither '6', '17', nor '58', SD_ADDR is described
 *    as '-'.
 *
+*  - When D_ADDR is a virtual IP object, D_ADDR is its external address and
+*    DNAT_ADDR is its mapped address in the same format as S_ADDR and D_ADDR.
+*    The mapped address is the real server address in the load balancing
+*    virtual IP.
+*
+*  - DNAT_PORT format is the following if the virtual IP forwards the port.
+*    Otherwise, it is described as '-'.
+*
+*      'NN/EXTOP/EXTPORT/MAPOP/MAPPORT'
+*      NN: protocol-number
+*      EXTOP/EXTPORT: external port condition in the same format as D_PORT
+*      MAPOP/MAPPORT: mapped port condition in the same format as D_PORT
+*
+*  - SNAT_ADDR is the address of the IP pool in the same format as S_ADDR and
+*    D_ADDR. SNAT_TYPE is the type of the IP pool, such as 'overload',
+*    'one-to-one', 'fixed-port-range', or 'port-block-allocation.' If the
+*    policy does not use the IP pool, they are 'interface-address' and
+*    'overload.' SNAT_PORT is the translated source port of the central SNAT
+*    rule in the same format as D_PORT. Otherwise, it is described as '-'.
+*
+*  - SCHED_WINDOW format is the following. If the schedule is a schedule-group
+*    object, the policy is divided by the members. If the schedule is not
+*    found, it is described as the schedule name.
+*
+*      'recurring/DAYS/START-END'
+*      'onetime/START/END'
+*      DAYS: days of the week joined with '+', such as 'mon+tue', or 'none'
+*      START-END: 'hh:mm-hh:mm' time of the day. The whole day if START and
+*                 END are the same, and until END of the next day if START
+*                 is later than END.
+*      START/END: 'YYYY-MM-DDThh:mm' date-time
+*
+*  - SCHED_EXPIRED is 'true' if the one-time schedule has expired at the
+*    specified date-time. Otherwise, it is 'false.' It is described as '-' if
+*    the schedule is not found.
+*
 * ============================================================================
 */
 
 /**
-* This function returns the address strings array of normalized policy.
+* This function returns the address strings array of normalized policy. If
+* the destination address is a virtual IP, it returns the external addresses
+* for NMCOL_DST_ADDR and the mapped addresses for NMCOL_DNAT_ADDR. If the
+* virtual IP has no external or mapped address, it returns its name with the
+* prefix 'unresolved:' for the column. For
+* NMCOL_SNAT_ADDR, it returns the address range of the IP pool. If the source
+* or destination address is neither an object nor a group, or is resolved to
+* no address, it returns its name with the prefix 'unresolved:'. If
+* arrayOrigin is specified, the origin of each address is saved into it in the
+* same order. The origin has the path of the object or group, such as
+* 'GRP-DC>GRP-WEB>web01', and the line range of the object in the
+* configuration, such as '12-15'. The line range is empty if the address is
+* not from the configuration.
+*
+* If the destination address of the proxy policy is a proxy address or a
+* proxy address group, it returns the addresses of the host for the 'url'
+* type, and '-' for the other types. The origin of each address also has the
+* host pattern and the URL path for D_HOST and D_URL. The host pattern is the
+* address of the host, or the regular expression with the prefix 'regex:' for
+* the 'host-regex' type.
 *
 * @param {Array} arrayToken - Tokens array of normalized policy.
 * @param {number} index - Column index that to retrieve the address.
+* @param {(Array|null)} [arrayOrigin=null] - Array to save the origins.
 * @return {Array} Array of address strings.
 *
 * @example
@@ -3946,10 +8374,12 @@ function parseFortiGateConfig(configToFlat) {
 *   [''     ,'internal1','wan2','6to6','1234','' ,'1','deny','SRVC1','ADDRG1','-/-','ADDRG2','-/-','-','SRVC1','false','false','false','enable','-','always',''] NMCOL_DST_ADDR -> ['2001:0db8:0000:0000:0000:0000:0000:0002/128','2001:0db8:0000:0000:0000:0000:0000:0000/16']
 *   ['VDOM1','internal1','wan2','4to6','1234','-','1','deny','SRVC1','ADDR1' ,'-/-','ADDR2' ,'-/-','-','SRVC1','-'    ,'-'    ,'-'    ,'enable','-','always',''] NMCOL_DST_ADDR -> ['2001:0db8:1000:0000:0000:0000:0000:0002/128']
 *   ['VDOM1','internal1','wan2','6to4','1234','-','1','deny','SRVC1','ADDRG1','-/-','ADDRG2','-/-','-','SRVC1','-'    ,'-'    ,'-'    ,'enable','-','always',''] NMCOL_SRC_ADDR -> ['2001:0db8:1000:0000:0000:0000:0000:0001/128','2001:0db8:1002:0003:0000:0000:0000:0000/64']
+*   ['VDOM1','internal1','wan2','4to4','1234','' ,'1','deny','SRVC1','NOADDR','-/-','ADDR1' ,'-/-','-','SRVC1','false','false','false','enable','-','always',''] NMCOL_SRC_ADDR -> ['unresolved:NOADDR']
 *   []                                                                                                                                                           NMCOL_DST_ADDR -> []
 */
-function getAddressArray(arrayToken, index) {
+function getAddressArray(arrayToken, index, arrayOrigin = null) {
     const array = [];
+    const arrayOriginOfValue = [];
     if (arrayToken[index]) {
         const objDomain = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]];
         const strAddressOrAddressGroupName = arrayToken[index];
@@ -3961,59 +8391,196 @@ function getAddressArray(arrayToken, index) {
         const is4to6 = intPolicyType == POLICY_TYPE_4TO6;
         const is4to4m = intPolicyType == POLICY_TYPE_4TO4M;
         const is6to6m = intPolicyType == POLICY_TYPE_6TO6M;
+        const isLocal4 = intPolicyType == POLICY_TYPE_LOCAL4;
+        const isLocal6 = intPolicyType == POLICY_TYPE_LOCAL6;
+        const isProxy = intPolicyType == POLICY_TYPE_PROXY;
+        const objFirewallVip = t_VipPropertyName[arrayToken[NMCOL_POL_TYPE]] ? objDomain[t_VipPropertyName[arrayToken[NMCOL_POL_TYPE]][0]] : undefined;
+        const objVip = objFirewallVip ? objFirewallVip[strAddressOrAddressGroupName] : undefined;
         const isSrcAddr = index == NMCOL_SRC_ADDR;
-        const isDstAddr = index == NMCOL_DST_ADDR;
+        const isDstAddr = index == NMCOL_DST_ADDR && !objVip;
+        const objInternetService = strAddressOrAddressGroupName.startsWith('isdb:') ? getInternetServiceObject(arrayToken[NMCOL_DOM_NAME], strAddressOrAddressGroupName.substring(5)) : undefined;
 
-        if (((is4to4 || is4to6 || is4to4m) && isSrcAddr) || ((is4to4 || is6to4) && isDstAddr)) {
+        if (index == NMCOL_DST_ADDR && objVip) {
+            array.push(...(objVip.value.length > 0 ? objVip.value : ['unresolved:' + strAddressOrAddressGroupName]));
+        }
+        if (index == NMCOL_DNAT_ADDR && objVip) {
+            array.push(...(objVip.mapped.length > 0 ? objVip.mapped : ['unresolved:' + strAddressOrAddressGroupName]));
+        } else if (index == NMCOL_DNAT_ADDR) {
+            array.push(strAddressOrAddressGroupName);
+        }
+        if (index == NMCOL_SNAT_ADDR) {
+            const objIppool = t_IppoolPropertyName[arrayToken[NMCOL_POL_TYPE]] ? objDomain[t_IppoolPropertyName[arrayToken[NMCOL_POL_TYPE]]][strAddressOrAddressGroupName] : undefined;
+            array.push(...(objIppool ? objIppool.value : [strAddressOrAddressGroupName]));
+        }
+        arrayOriginOfValue.push(...array.map(() => ({path: strAddressOrAddressGroupName, line: objVip && objVip.conf_line ? objVip.conf_line : ''})));
+
+        // The address that is neither an object nor a group, or is resolved
+        // to no address, is described with the prefix 'unresolved:'.
+        const arrayResolved = [];
+        const arrayResolvedOrigin = [];
+        const pushResolved = function(objObjectOrGroupObject) {
+            const arrayValue = flattenMember(objObjectOrGroupObject, [strAddressOrAddressGroupName]);
+            arrayResolved.push(...arrayValue);
+            arrayResolvedOrigin.push(...arrayValue.map((strValue) => getValueOrigin(objObjectOrGroupObject, strAddressOrAddressGroupName, strValue)));
+        };
+        const pushResolvedAsIs = function(arrayValue) {
+            arrayResolved.push(...arrayValue);
+            arrayResolvedOrigin.push(...arrayValue.map(() => ({path: strAddressOrAddressGroupName, line: ''})));
+        };
+
+        if (((is4to4 || is4to6 || is4to4m || isLocal4 || isProxy) && isSrcAddr) || ((is4to4 || is6to4 || isLocal4 || isProxy) && isDstAddr)) {
             const objFirewallAddressIPv4      = objDomain['address4'];
             const objFirewallAddressIPv4Group = objDomain['addrgrp4'];
 
             if (objFirewallAddressIPv4[strAddressOrAddressGroupName]) {
-                array.push(...flattenMember(objFirewallAddressIPv4, strAddressOrAddressGroupName));
+                pushResolved(objFirewallAddressIPv4);
             } else if (objFirewallAddressIPv4Group[strAddressOrAddressGroupName]) {
-                array.push(...flattenMember(objFirewallAddressIPv4Group, strAddressOrAddressGroupName));
-            } else {
-                array.push(strAddressOrAddressGroupName);
+                pushResolved(objFirewallAddressIPv4Group);
+            } else if (objInternetService) {
+                pushResolvedAsIs(objInternetService.value.filter((strAddr) => strAddr.startsWith('isdb:') || strAddr.indexOf(':') == -1));
+            } else if (strAddressOrAddressGroupName.startsWith('isdb:')) { // Internet Service not in the mapping.
+                pushResolvedAsIs([strAddressOrAddressGroupName]);
             }
         }
-        if (((is6to6 || is6to4 || is6to6m) && isSrcAddr) || ((is6to6 || is4to6) && isDstAddr)) {
+        if (((is6to6 || is6to4 || is6to6m || isLocal6) && isSrcAddr) || ((is6to6 || is4to6 || isLocal6) && isDstAddr)) {
             const objFirewallAddressIPv6      = objDomain['address6'];
             const objFirewallAddressIPv6Group = objDomain['addrgrp6'];
 
             if (objFirewallAddressIPv6[strAddressOrAddressGroupName]) {
-                array.push(...flattenMember(objFirewallAddressIPv6, strAddressOrAddressGroupName));
+                pushResolved(objFirewallAddressIPv6);
             } else if (objFirewallAddressIPv6Group[strAddressOrAddressGroupName]) {
-                array.push(...flattenMember(objFirewallAddressIPv6Group, strAddressOrAddressGroupName));
-            } else {
-                array.push(strAddressOrAddressGroupName);
+                pushResolved(objFirewallAddressIPv6Group);
+            } else if (objInternetService) {
+                pushResolvedAsIs(objInternetService.value.filter((strAddr) => strAddr.startsWith('isdb:') || strAddr.indexOf(':') != -1));
+            } else if (strAddressOrAddressGroupName.startsWith('isdb:')) { // Internet Service not in the mapping.
+                pushResolvedAsIs([strAddressOrAddressGroupName]);
+            }
+        }
+        if (isProxy && isDstAddr) {
+            const objFirewallProxyAddress = objDomain['proxy_address'];
+            const objFirewallProxyAddrgrp = objDomain['proxy_addrgrp'];
+
+            // The proxy address is resolved to the addresses of the host with
+            // the host pattern and the URL path.
+            const pushProxyAddress = function(strProxyAddressName, strPath) {
+                const objProxyAddress = objFirewallProxyAddress[strProxyAddressName];
+                const strUrlPath = objProxyAddress.path === '' ? '-' : objProxyAddress.path;
+                if (objProxyAddress.type === 'url' && objProxyAddress.host !== '') {
+                    const objHostAddress = objDomain['address4'][objProxyAddress.host] ? objDomain['address4'] : objDomain['addrgrp4'];
+                    const arrayValue = flattenMember(objHostAddress, [objProxyAddress.host]);
+                    if (arrayValue.length == 0) {
+                        arrayValue.push('unresolved:' + objProxyAddress.host);
+                    }
+                    arrayResolved.push(...arrayValue);
+                    arrayResolvedOrigin.push(...arrayValue.map((strValue) => ({path: strPath, line: objProxyAddress.conf_line, host: strValue, url_path: strUrlPath})));
+                } else {
+                    arrayResolved.push('-');
+                    arrayResolvedOrigin.push({path: strPath, line: objProxyAddress.conf_line, host: objProxyAddress.type === 'host-regex' ? 'regex:' + objProxyAddress.host_regex : '-', url_path: strUrlPath});
+                }
+            };
+
+            if (objFirewallProxyAddress[strAddressOrAddressGroupName]) {
+                pushProxyAddress(strAddressOrAddressGroupName, strAddressOrAddressGroupName);
+            } else if (objFirewallProxyAddrgrp[strAddressOrAddressGroupName]) {
+                objFirewallProxyAddrgrp[strAddressOrAddressGroupName].member.filter((strMember) => objFirewallProxyAddress[strMember]).forEach((strMember) => {
+                    pushProxyAddress(strMember, strAddressOrAddressGroupName + '>' + strMember);
+                });
             }
         }
         if (is4to4m && isDstAddr) {
             const objFirewallMulticastAddressIPv4 = objDomain['multicastaddress4'];
 
             if (objFirewallMulticastAddressIPv4[strAddressOrAddressGroupName]) {
-                array.push(...flattenMember(objFirewallMulticastAddressIPv4, strAddressOrAddressGroupName));
-            } else {
-                array.push(strAddressOrAddressGroupName);
+                pushResolved(objFirewallMulticastAddressIPv4);
             }
         }
         if (is6to6m && isDstAddr) {
             const objFirewallMulticastAddressIPv6 = objDomain['multicastaddress6'];
 
             if (objFirewallMulticastAddressIPv6[strAddressOrAddressGroupName]) {
-                array.push(...flattenMember(objFirewallMulticastAddressIPv6, strAddressOrAddressGroupName));
-            } else {
-                array.push(strAddressOrAddressGroupName);
+                pushResolved(objFirewallMulticastAddressIPv6);
             }
         }
+        if (isSrcAddr || isDstAddr) {
+            array.push(...(arrayResolved.length > 0 ? arrayResolved : ['unresolved:' + strAddressOrAddressGroupName]));
+            arrayOriginOfValue.push(...(arrayResolved.length > 0 ? arrayResolvedOrigin : [{path: strAddressOrAddressGroupName, line: ''}]));
+        }
+    }
+    if (arrayOrigin) {
+        arrayOrigin.push(...arrayOriginOfValue);
+    }
+    return array;
+}
+
+/**
+* This function returns the port forwarding strings array of normalized
+* policy. If the destination address is a virtual IP without the port
+* forwarding, it returns ['-'].
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @return {Array} Array of port forwarding strings.
+*
+* @example
+*   Variables state when calls.
+*   -----------------------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].vip4['VIP1'] = {value:['192.0.2.1/32'], mapped:['10.0.0.1/32'], port:['6/eq/8080/eq/80'], comment:''}
+*
+*   arrayToken                                                                                                                                                                  Return
+*   --------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['','internal1','wan2','4to4','1234','','1','accept','SRVC1','ADDR1','-/-','VIP1' ,'-/-','-','SRVC1','false','false','false','enable','-','always','','VIP1','VIP1'] -> ['6/eq/8080/eq/80']
+*   ['','internal1','wan2','4to4','1234','','1','accept','SRVC1','ADDR1','-/-','ADDR2','-/-','-','SRVC1','false','false','false','enable','-','always','','-'   ,'-'   ] -> ['-']
+*   []                                                                                                                                                                       -> []
+*/
+function getDnatPortArray(arrayToken) {
+    const array = [];
+    if (arrayToken[NMCOL_DNAT_PORT]) {
+        const strVipPropertyName = t_VipPropertyName[arrayToken[NMCOL_POL_TYPE]] ? t_VipPropertyName[arrayToken[NMCOL_POL_TYPE]][0] : undefined;
+        const objVip = strVipPropertyName ? g_Domain_Data[arrayToken[NMCOL_DOM_NAME]][strVipPropertyName][arrayToken[NMCOL_DNAT_PORT]] : undefined;
+
+        if (objVip && objVip.port.length > 0) {
+            array.push(...objVip.port);
+        } else {
+            array.push(arrayToken[NMCOL_DNAT_PORT]);
+        }
     }
     return array;
 }
 
 /**
-* This function returns the service strings array of normalized policy.
+* This function returns the source NAT type of normalized policy. If the
+* source NAT uses an IP pool, it returns the type of the IP pool.
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @return {string} Source NAT type.
+*
+* @example
+*   Variables state when calls.
+*   -----------------------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].ippool4['POOL1'] = {value:['192.0.2.1-192.0.2.9'], type:'one-to-one', comment:''}
+*
+*   arrayToken                                                                                                                                                                                                 Return
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['','internal1','wan2','4to4','1234','','1','accept','SRVC1','ADDR1','-/-','ADDR2','-/-','-','SRVC1','false','false','false','enable','-','always','','-','-','POOL1'            ,'POOL1'   ,'-','false'] -> 'one-to-one'
+*   ['','internal1','wan2','4to4','1234','','1','accept','SRVC1','ADDR1','-/-','ADDR2','-/-','-','SRVC1','false','false','false','enable','-','always','','-','-','interface-address','overload','-','false'] -> 'overload'
+*   ['','internal1','wan2','4to4','1234','','1','accept','SRVC1','ADDR1','-/-','ADDR2','-/-','-','SRVC1','false','false','false','enable','-','always','','-','-','-'                ,'-'       ,'-','-'    ] -> '-'
+*/
+function getSnatType(arrayToken) {
+    const strIppoolPropertyName = t_IppoolPropertyName[arrayToken[NMCOL_POL_TYPE]];
+    const objIppool = strIppoolPropertyName ? g_Domain_Data[arrayToken[NMCOL_DOM_NAME]][strIppoolPropertyName][arrayToken[NMCOL_SNAT_TYPE]] : undefined;
+    return objIppool ? objIppool.type : arrayToken[NMCOL_SNAT_TYPE];
+}
+
+/**
+* This function returns the service strings array of normalized policy. If
+* the service is neither an object nor a group, or is resolved to no service,
+* it returns its name with the prefix 'unresolved:'. If arrayOrigin is
+* specified, the origin of each service is saved into it in the same order.
+* The origin has the path of the object or group, such as 'SRVCG1>SRVC1', and
+* the line range of the object in the configuration. The line range is empty
+* if the service is not from the configuration.
 *
 * @param {Array} arrayToken - Tokens array of normalized policy.
+* @param {(Array|null)} [arrayOrigin=null] - Array to save the origins.
 * @return {Array} Array of service strings.
 *
 * @example
@@ -4029,28 +8596,93 @@ function getAddressArray(arrayToken, index) {
 *   [''     ,'internal1','wan2','4to4' ,'1234','' ,'1','deny','SRVCG3' ,'ADDR1','SRVCG3' ,'ADDR2','SRVCG3' ,'SRVCG3' ,'SRVCG3' ,'false','false','false','enable','-','always',''] -> ['1/any/any;-','6/eq/any/eq/80;0/0']
 *   ['VDOM1','internal1','wan2','4to4' ,'1234','' ,'1','deny','SRVCG3' ,'ADDR1','SRVCG3' ,'ADDR2','SRVCG3' ,'SRVCG3' ,'SRVCG3' ,'false','false','false','enable','-','always',''] -> ['58/any/any;-','6/eq/any/eq/443;0/0']
 *   [''     ,'internal1','wan2','4to4m','1234','-','1','deny','6'      ,'ADDR1','eq/any' ,'ADDR2','eq/any','0/0'     ,'-/-'    ,'-'    ,'-'    ,'-'    ,'enable','-','-'     ,''] -> ['6/eq/any/eq/any;0/0']
+*   [''     ,'internal1','wan2','4to4' ,'1234','' ,'1','deny','NOSRVC' ,'ADDR1','NOSRVC' ,'ADDR2','NOSRVC' ,'NOSRVC' ,'NOSRVC' ,'false','false','false','enable','-','always',''] -> ['unresolved:NOSRVC;-']
 *   []                                                                                                                                                                            -> []
 */
-function getServiceArray(arrayToken) {
+function getServiceArray(arrayToken, arrayOrigin = null) {
     const array = [];
+    const arrayOriginOfValue = [];
     if (arrayToken[NMCOL_PROTOCOL]) {
         const objFirewallServiceCustom = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]]['service_custom'];
         const objFirewallServiceGroup = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]]['service_group'];
         const strProtocol = arrayToken[NMCOL_PROTOCOL];
 
         if (objFirewallServiceCustom[strProtocol]) {
-            array.push(...flattenMember(objFirewallServiceCustom, strProtocol));
+            array.push(...flattenMember(objFirewallServiceCustom, [strProtocol]));
+            arrayOriginOfValue.push(...array.map((strValue) => getValueOrigin(objFirewallServiceCustom, strProtocol, strValue)));
         } else if (objFirewallServiceGroup[strProtocol]) {
-            array.push(...flattenMember(objFirewallServiceGroup, strProtocol));
+            array.push(...flattenMember(objFirewallServiceGroup, [strProtocol]));
+            arrayOriginOfValue.push(...array.map((strValue) => getValueOrigin(objFirewallServiceGroup, strProtocol, strValue)));
+        } else if (strProtocol.startsWith('isdb:') && getInternetServiceObject(arrayToken[NMCOL_DOM_NAME], strProtocol.substring(5))) { // Internet Service.
+            array.push(...getInternetServiceObject(arrayToken[NMCOL_DOM_NAME], strProtocol.substring(5)).service);
         } else if (isIcmpProtocol(strProtocol) || isIcmp6Protocol(strProtocol)) { // ICMP or ICMP6 of multicast policy.
             array.push(strProtocol + '/' + arrayToken[NMCOL_ICMPTYCD] + ';' + arrayToken[NMCOL_SERVICE_DSTADDR]);
         } else if (isTcpProtocol(strProtocol) || isUdpProtocol(strProtocol) || isSctpProtocol(strProtocol)) { // TCP, UDP, or SCTP of multicast policy.
             array.push(strProtocol + '/' + arrayToken[NMCOL_SRC_PORT] + '/' + arrayToken[NMCOL_DST_PORT] + ';' + arrayToken[NMCOL_SERVICE_DSTADDR]);
-        } else if (isIpProtocol(strProtocol) || Number.isInteger(+strProtocol)) { // IP of multicast policy.
-            array.push(strProtocol + ';' + arrayToken[NMCOL_SERVICE_DSTADDR]);
-        } else { // Unknown.
+        } else if (isIpProtocol(strProtocol) || Number.isInteger(+strProtocol)) { // IP of multicast policy, or Internet Service not in the mapping.
             array.push(strProtocol + ';' + arrayToken[NMCOL_SERVICE_DSTADDR]);
         }
+        if (array.length == 0) { // Unknown, or resolved to no service.
+            array.push('unresolved:' + strProtocol + ';-');
+        }
+        while (arrayOriginOfValue.length < array.length) {
+            arrayOriginOfValue.push({path: strProtocol, line: ''});
+        }
+    }
+    if (arrayOrigin) {
+        arrayOrigin.push(...arrayOriginOfValue);
+    }
+    return array;
+}
+
+/**
+* This function returns the line ranges of flattened policy that the line
+* ranges of the specified origins are added to. The line ranges are separated
+* by a space, and the duplicate and empty line ranges are removed.
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @param {Array} arrayOrigin - Origins of the addresses or services.
+* @return {string} Line ranges.
+*
+* @example
+*   arrayToken                    arrayOrigin                                                      Return
+*   ------------------------------------------------------------------------------------------------------------------------
+*   [...,'COMMENT','120-135',...] [{path:'GRP1>ADDR1',line:'3-5'},{path:'ADDR2',line:'6-8'}]   -> '120-135 3-5 6-8'
+*   [...,'COMMENT','120-135 3-5'] [{path:'SRVC1',line:'3-5'},{path:'isdb:Google-DNS',line:''}] -> '120-135 3-5'
+*/
+function getConfLineString(arrayToken, arrayOrigin) {
+    return [arrayToken[NMCOL_CONF_LINE], ...arrayOrigin.map((objOrigin) => objOrigin.line)].join(' ').split(' ').filter((strLine) => strLine != '' && strLine != '-').unique().join(' ');
+}
+
+/**
+* This function returns the provenance fields of flattened policy that the
+* specified paths are set into. The key of objPath is the column index of the
+* object name, and the path is set into the next column. The object name is
+* the last name of the path. If the policy has no provenance fields, it
+* returns the empty array.
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @param {Object} objPath -
+*   Paths of the objects keyed by NMCOL_SRC_ADDR_OBJ, NMCOL_DST_ADDR_OBJ, or
+*   NMCOL_SERVICE_OBJ.
+* @return {Array} Provenance fields.
+*
+* @example
+*   arrayToken                                    objPath                                                            Return
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   [...,'SSL_SSH_PROFILE','-','-','-','-','-','-'] {[NMCOL_SRC_ADDR_OBJ]:'GRP1>ADDR1',[NMCOL_DST_ADDR_OBJ]:'ADDR2'} -> ['ADDR1','GRP1>ADDR1','ADDR2','ADDR2','-','-']
+*   [...,'SSL_SSH_PROFILE','-','-','-','-','-','-'] {[NMCOL_SERVICE_OBJ]:'SRVCG1>SRVC1'}                             -> ['-','-','-','-','SRVC1','SRVCG1>SRVC1']
+*   [...,'SSL_SSH_PROFILE'                        ] {[NMCOL_SRC_ADDR_OBJ]:'ADDR1',[NMCOL_DST_ADDR_OBJ]:'ADDR2'}      -> []
+*/
+function getProvenanceFieldArray(arrayToken, objPath) {
+    const array = arrayToken.slice(NMCOL_SRC_ADDR_OBJ);
+    if (array.length > 0) {
+        for (const key in objPath) {
+            if (objPath.hasOwnProperty(key)) {
+                array[key - NMCOL_SRC_ADDR_OBJ] = objPath[key].split('>').pop();
+                array[key - NMCOL_SRC_ADDR_OBJ + 1] = objPath[key];
+            }
+        }
     }
     return array;
 }
@@ -4086,41 +8718,76 @@ function getServiceArray(arrayToken) {
 *                                                                                                                                                                       'VDOM1,internal1,wan2,6to6,1234,,1,deny,SRVC1,2001:0db8:1000:0000:0000:0000:0000:0001/128,-/-,2001:0db8:1000:0000:0000:0000:0000:0000/16,-/-,-,SRVC1,false,false,false,enable,-,always,',
 *                                                                                                                                                                       'VDOM1,internal1,wan2,6to6,1234,,1,deny,SRVC1,2001:0db8:1002:0003:0000:0000:0000:0000/64,-/-,2001:0db8:1000:0000:0000:0000:0000:0002/128,-/-,-,SRVC1,false,false,false,enable,-,always,',
 *                                                                                                                                                                       'VDOM1,internal1,wan2,6to6,1234,,1,deny,SRVC1,2001:0db8:1002:0003:0000:0000:0000:0000/64,-/-,2001:0db8:1000:0000:0000:0000:0000:0000/16,-/-,-,SRVC1,false,false,false,enable,-,always,']
-*   ['VDOM1','internal1','wan2','6to6','1234','','1','deny','SRVC1','UNKNOWN1','-/-','UNKNOWN2','-/-','-','SRVC1','false','false','false','enable','-','always',''] -> ['VDOM1,internal1,wan2,6to6,1234,,1,deny,SRVC1,UNKNOWN1,-/-,UNKNOWN2,-/-,-,SRVC1,false,false,false,enable,-,always,']
+*   ['VDOM1','internal1','wan2','6to6','1234','','1','deny','SRVC1','UNKNOWN1','-/-','UNKNOWN2','-/-','-','SRVC1','false','false','false','enable','-','always',''] -> ['VDOM1,internal1,wan2,6to6,1234,,1,deny,SRVC1,unresolved:UNKNOWN1,-/-,unresolved:UNKNOWN2,-/-,-,SRVC1,false,false,false,enable,-,always,']
 *   []                                                                                                                                                              -> []
 */
 const funcFlattenAddressAndAddressGroupOfNormalizedPolicy = function(arrayToken) {
     const arrayFlatString = [];
-    const arraySrcIP = getAddressArray(arrayToken, NMCOL_SRC_ADDR);
-    const arrayDstIP = getAddressArray(arrayToken, NMCOL_DST_ADDR);
+    const arraySrcOrigin = [];
+    const arrayDstOrigin = [];
+    const arraySrcIP = getAddressArray(arrayToken, NMCOL_SRC_ADDR, arraySrcOrigin);
+    const arrayDstIP = getAddressArray(arrayToken, NMCOL_DST_ADDR, arrayDstOrigin);
+    const arrayDnatIP = getAddressArray(arrayToken, NMCOL_DNAT_ADDR);
+    const arrayDnatPort = getDnatPortArray(arrayToken);
+    const arraySnatIP = getAddressArray(arrayToken, NMCOL_SNAT_ADDR);
+    const strSnatType = getSnatType(arrayToken);
 
     if (arraySrcIP[0] && arrayDstIP[0]) {
         let index = 0;
         for (let i=0; i<arraySrcIP.length; ++i) {
             for (let j=0; j<arrayDstIP.length; ++j) {
-                arrayFlatString[index] = arrayToken[NMCOL_DOM_NAME];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_SRC_INTF];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_DST_INTF];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_TYPE];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_ID];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_NAME];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_LINE];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_ACTION];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_PROTOCOL];
-                arrayFlatString[index] += ',' + arraySrcIP[i];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_SRC_PORT];
-                arrayFlatString[index] += ',' + arrayDstIP[j];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_DST_PORT];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_SERVICE_DSTADDR];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_ICMPTYCD];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_SRCADDR_NEGATE];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_DSTADDR_NEGATE];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_SERVICE_NEGATE];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_STATUS];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_LOG];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_SCHEDULE];
-                arrayFlatString[index] += ',' + arrayToken[NMCOL_COMMENT];
-                ++index;
+                for (let k=0; k<arrayDnatIP.length; ++k) {
+                    for (let l=0; l<arrayDnatPort.length; ++l) {
+                        for (let m=0; m<arraySnatIP.length; ++m) {
+                            arrayFlatString[index] = getCsvRecordString([
+                                arrayToken[NMCOL_DOM_NAME],
+                                arrayToken[NMCOL_SRC_INTF],
+                                arrayToken[NMCOL_DST_INTF],
+                                arrayToken[NMCOL_POL_TYPE],
+                                arrayToken[NMCOL_POL_ID],
+                                arrayToken[NMCOL_POL_NAME],
+                                arrayToken[NMCOL_POL_LINE],
+                                arrayToken[NMCOL_ACTION],
+                                arrayToken[NMCOL_PROTOCOL],
+                                arraySrcIP[i],
+                                arrayToken[NMCOL_SRC_PORT],
+                                arrayDstIP[j],
+                                arrayToken[NMCOL_DST_PORT],
+                                arrayToken[NMCOL_SERVICE_DSTADDR],
+                                arrayToken[NMCOL_ICMPTYCD],
+                                arrayToken[NMCOL_SRCADDR_NEGATE],
+                                arrayToken[NMCOL_DSTADDR_NEGATE],
+                                arrayToken[NMCOL_SERVICE_NEGATE],
+                                arrayToken[NMCOL_STATUS],
+                                arrayToken[NMCOL_LOG],
+                                arrayToken[NMCOL_SCHEDULE],
+                                arrayToken[NMCOL_COMMENT],
+                                arrayDnatIP[k],
+                                arrayDnatPort[l],
+                                arraySnatIP[m],
+                                strSnatType,
+                                arrayToken[NMCOL_SNAT_PORT],
+                                arrayToken[NMCOL_FIXED_PORT],
+                                arrayToken[NMCOL_SCHED_WINDOW],
+                                arrayToken[NMCOL_SCHED_EXPIRED],
+                                arrayToken[NMCOL_SRC_ZONE],
+                                arrayToken[NMCOL_DST_ZONE],
+                                getConfLineString(arrayToken, [arraySrcOrigin[i], arrayDstOrigin[j]]),
+                                arrayToken[NMCOL_SRC_USER],
+                                arrayToken[NMCOL_SRC_GROUP],
+                                arrayToken[NMCOL_POL_UUID],
+                                arrayToken[NMCOL_GLOBAL_LABEL],
+                                arrayToken[NMCOL_LABEL],
+                                arrayToken[NMCOL_PROXY],
+                                arrayDstOrigin[j].host ? arrayDstOrigin[j].host : arrayToken[NMCOL_DST_HOST],
+                                arrayDstOrigin[j].url_path ? arrayDstOrigin[j].url_path : arrayToken[NMCOL_DST_URL],
+                                ...arrayToken.slice(NMCOL_UTM_STATUS, NMCOL_SRC_ADDR_OBJ),
+                                ...getProvenanceFieldArray(arrayToken, {[NMCOL_SRC_ADDR_OBJ]: arraySrcOrigin[i].path, [NMCOL_DST_ADDR_OBJ]: arrayDstOrigin[j].path}),
+                            ]);
+                            ++index;
+                        }
+                    }
+                }
             }
         }
     }
@@ -4149,12 +8816,13 @@ const funcFlattenAddressAndAddressGroupOfNormalizedPolicy = function(arrayToken)
 *                                                                                                                                                                                    'VDOM1,internal1,wan2,4to4,1234,,1,deny,6,ADDR1,eq/any,ADDR2,eq/443,0/0,-/-,false,false,false,enable,-,always,']
 *   [''     ,'internal1','wan2','4to4' ,'1234','' ,'1','deny','SRVC13' ,'ADDR1','SRVC13' ,'ADDR2','SRVC13' ,'SRVC13' ,'-/-'    ,'false','false','false','enable','-','always',''] -> [',internal1,wan2,4to4,1234,,1,deny,6,ADDR1,eq/any,ADDR2,eq/443,192.168.0.1/32,-/-,false,false,false,enable,-,always,']
 *   [''     ,'internal1','wan2','4to4m','1234','-','1','deny','ip'     ,'ADDR1','-/-'    ,'ADDR2','-/-'    ,'-'      ,'-/-'    ,'-'    ,'-'    ,'-'    ,'enable','-','-'     ,''] -> [',internal1,wan2,4to4m,1234,-,1,deny,ip,ADDR1,-/-,ADDR2,-/-,-,-/-,-,-,-,enable,-,-,']
-*   ['VDOM1','internal1','wan2','4to4' ,'1234','' ,'1','deny','UNKNOWN','ADDR1','UNKNOWN','ADDR2','UNKNOWN','UNKNOWN','UNKNOWN','false','false','false','enable','-','always',''] -> ['VDOM1,internal1,wan2,4to4,1234,,1,deny,UNKNOWN,ADDR1,UNKNOWN,ADDR2,UNKNOWN,UNKNOWN,UNKNOWN,false,false,false,enable,-,always,']
+*   ['VDOM1','internal1','wan2','4to4' ,'1234','' ,'1','deny','UNKNOWN','ADDR1','UNKNOWN','ADDR2','UNKNOWN','UNKNOWN','UNKNOWN','false','false','false','enable','-','always',''] -> ['VDOM1,internal1,wan2,4to4,1234,,1,deny,unresolved:UNKNOWN,ADDR1,-/-,ADDR2,-/-,-,-/-,false,false,false,enable,-,always,']
 *   []                                                                                                                                                                            -> []
 */
 const funcFlattenServiceAndServiceGroupOfNormalizedPolicy = function(arrayToken) {
     const arrayFlatString = [];
-    const arrayService = getServiceArray(arrayToken);
+    const arrayServiceOrigin = [];
+    const arrayService = getServiceArray(arrayToken, arrayServiceOrigin);
     if (arrayService[0]) {
         let index = 0;
         for (let i=0; i<arrayService.length; ++i) {
@@ -4171,40 +8839,338 @@ const funcFlattenServiceAndServiceGroupOfNormalizedPolicy = function(arrayToken)
                 strTypeCode = array[1] + '/' + array[2];
             } else if (isIpProtocol(strProtocol) || Number.isInteger(+strProtocol)) { // IP.
                 // as-is.
-            } else { // Unknown protocol.
+            } else if (!strProtocol.startsWith('unresolved:')) { // Unknown protocol.
                 strSrcPort = strProtocol;
                 strDstPort = strProtocol;
                 strTypeCode = strProtocol;
             }
 
-            arrayFlatString[index] = arrayToken[NMCOL_DOM_NAME];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_SRC_INTF];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_DST_INTF];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_TYPE];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_ID];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_NAME];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_POL_LINE];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_ACTION];
-            arrayFlatString[index] += ',' + strProtocol;
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_SRC_ADDR];
-            arrayFlatString[index] += ',' + strSrcPort;
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_DST_ADDR];
-            arrayFlatString[index] += ',' + strDstPort;
-            arrayFlatString[index] += ',' + arrayServiceAndDstaddr[1]; // Service destination address.
-            arrayFlatString[index] += ',' + strTypeCode;
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_SRCADDR_NEGATE];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_DSTADDR_NEGATE];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_SERVICE_NEGATE];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_STATUS];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_LOG];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_SCHEDULE];
-            arrayFlatString[index] += ',' + arrayToken[NMCOL_COMMENT];
+            arrayFlatString[index] = getCsvRecordString([
+                arrayToken[NMCOL_DOM_NAME],
+                arrayToken[NMCOL_SRC_INTF],
+                arrayToken[NMCOL_DST_INTF],
+                arrayToken[NMCOL_POL_TYPE],
+                arrayToken[NMCOL_POL_ID],
+                arrayToken[NMCOL_POL_NAME],
+                arrayToken[NMCOL_POL_LINE],
+                arrayToken[NMCOL_ACTION],
+                strProtocol,
+                arrayToken[NMCOL_SRC_ADDR],
+                strSrcPort,
+                arrayToken[NMCOL_DST_ADDR],
+                strDstPort,
+                arrayServiceAndDstaddr[1], // Service destination address.
+                strTypeCode,
+                arrayToken[NMCOL_SRCADDR_NEGATE],
+                arrayToken[NMCOL_DSTADDR_NEGATE],
+                arrayToken[NMCOL_SERVICE_NEGATE],
+                arrayToken[NMCOL_STATUS],
+                arrayToken[NMCOL_LOG],
+                arrayToken[NMCOL_SCHEDULE],
+                arrayToken[NMCOL_COMMENT],
+                arrayToken[NMCOL_DNAT_ADDR],
+                arrayToken[NMCOL_DNAT_PORT],
+                arrayToken[NMCOL_SNAT_ADDR],
+                arrayToken[NMCOL_SNAT_TYPE],
+                arrayToken[NMCOL_SNAT_PORT],
+                arrayToken[NMCOL_FIXED_PORT],
+                arrayToken[NMCOL_SCHED_WINDOW],
+                arrayToken[NMCOL_SCHED_EXPIRED],
+                arrayToken[NMCOL_SRC_ZONE],
+                arrayToken[NMCOL_DST_ZONE],
+                getConfLineString(arrayToken, [arrayServiceOrigin[i]]),
+                arrayToken[NMCOL_SRC_USER],
+                arrayToken[NMCOL_SRC_GROUP],
+                arrayToken[NMCOL_POL_UUID],
+                arrayToken[NMCOL_GLOBAL_LABEL],
+                arrayToken[NMCOL_LABEL],
+                arrayToken[NMCOL_PROXY],
+                arrayToken[NMCOL_DST_HOST],
+                arrayToken[NMCOL_DST_URL],
+                ...arrayToken.slice(NMCOL_UTM_STATUS, NMCOL_SRC_ADDR_OBJ),
+                ...getProvenanceFieldArray(arrayToken, {[NMCOL_SERVICE_OBJ]: arrayServiceOrigin[i].path}),
+            ]);
             ++index;
         }
     }
     return arrayFlatString;
 };
 
+/**
+* This function returns the Date object of the date-time string. The date-time
+* string is 'YYYY-MM-DD', 'YYYY-MM-DDThh:mm', or 'YYYY-MM-DD hh:mm,' and the
+* date separator can be '/.' The date-time is the local time.
+*
+* @param {string} strDateTime - Date-time string.
+* @return {(Date|null)} Date object. null if the string is invalid.
+*
+* @example
+*   strDateTime           Return
+*   -----------------------------------------------------
+*   '2021-07-01T08:00' -> Date of 2021-07-01 08:00 local
+*   '2021/07/01 8:00'  -> Date of 2021-07-01 08:00 local
+*   '2021-07-01'       -> Date of 2021-07-01 00:00 local
+*   ''                 -> null
+*/
+function getDateFromString(strDateTime) {
+    const array = strDateTime.trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/);
+    if (!array) {
+        return null;
+    }
+    return new Date(+array[1], +array[2] - 1, +array[3], array[4] ? +array[4] : 0, array[5] ? +array[5] : 0);
+}
+
+/**
+* This function returns the schedule window strings array of normalized
+* policy. If the schedule is not found or the schedule group has no known
+* member, it returns the schedule name. However, the predefined 'always'
+* schedule returns SCHEDULE_WINDOW_ALWAYS.
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @return {Array} Array of schedule window strings.
+*
+* @example
+*   Variables state when calls.
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].schedule_recurring['WORKHOUR'] = {value:['recurring/mon+tue+wed+thu+fri/08:00-17:00'], comment:''}
+*   g_Domain_Data[''].schedule_group['GROUP1'] = {value:['recurring/sat/10:00-12:00','onetime/2021-07-01T08:00/2021-07-31T17:00'], comment:''}
+*
+*   arrayToken[NMCOL_SCHED_WINDOW]    Return
+*   -------------------------------------------------------------------------------------------------------------
+*   'WORKHOUR'                     -> ['recurring/mon+tue+wed+thu+fri/08:00-17:00'                             ]
+*   'GROUP1'                       -> ['recurring/sat/10:00-12:00','onetime/2021-07-01T08:00/2021-07-31T17:00']
+*   'always'                       -> ['recurring/sun+mon+tue+wed+thu+fri+sat/00:00-00:00'                    ]
+*   'UNKNOWN'                      -> ['UNKNOWN'                                                              ]
+*   '-'                            -> ['-'                                                                    ]
+*/
+function getScheduleArray(arrayToken) {
+    const strSchedule = arrayToken[NMCOL_SCHED_WINDOW];
+    const objDomain = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]];
+    if (objDomain) {
+        if (objDomain.schedule_recurring[strSchedule]) {
+            return objDomain.schedule_recurring[strSchedule].value;
+        }
+        if (objDomain.schedule_onetime[strSchedule]) {
+            return objDomain.schedule_onetime[strSchedule].value;
+        }
+        if (objDomain.schedule_group[strSchedule] && objDomain.schedule_group[strSchedule].value.length > 0) {
+            return objDomain.schedule_group[strSchedule].value;
+        }
+    }
+    return [strSchedule === 'always' ? SCHEDULE_WINDOW_ALWAYS : strSchedule];
+}
+
+/**
+* This function returns whether the schedule window has expired at the
+* specified date-time. Only the one-time schedule expires.
+*
+* @param {string} strWindow - Schedule window string.
+* @param {Date} dateBase - Date-time to judge the expiration.
+* @return {string}
+*   'true' if expired. 'false' if not expired. '-' if the window is unknown.
+*
+* @example
+*   strWindow                                      dateBase            Return
+*   -----------------------------------------------------------------------------
+*   'onetime/2021-07-01T08:00/2021-07-31T17:00'    2021-08-01 00:00 -> 'true'
+*   'onetime/2021-07-01T08:00/2021-07-31T17:00'    2021-07-31 17:00 -> 'false'
+*   'recurring/mon+tue+wed+thu+fri/08:00-17:00'    2021-08-01 00:00 -> 'false'
+*   'UNKNOWN'                                      2021-08-01 00:00 -> '-'
+*/
+function getScheduleExpired(strWindow, dateBase) {
+    const array = strWindow.split('/');
+    switch (array[0]) {
+    case 'onetime':
+        return getDateFromString(array[2]) < dateBase ? 'true' : 'false';
+    case 'recurring':
+        return 'false';
+    }
+    return '-';
+}
+
+/**
+* This function returns whether the schedule window is active at the
+* specified date-time. In the recurring schedule, the window is the whole day
+* if the start time equals the end time, and the window ends on the next day
+* if the start time is later than the end time. The unknown window is always
+* active.
+*
+* @param {string} strWindow - Schedule window string.
+* @param {Date} date - Date-time to test.
+* @return {boolean} true if active.
+*
+* @example
+*   strWindow                                      date                            Return
+*   ----------------------------------------------------------------------------------------
+*   'recurring/mon+tue+wed+thu+fri/08:00-17:00'    2021-07-05 09:00 (Monday)    -> true
+*   'recurring/mon+tue+wed+thu+fri/08:00-17:00'    2021-07-05 17:00 (Monday)    -> false
+*   'recurring/sat/22:00-06:00'                    2021-07-11 05:00 (Sunday)    -> true
+*   'recurring/sun/00:00-00:00'                    2021-07-11 23:59 (Sunday)    -> true
+*   'onetime/2021-07-01T08:00/2021-07-31T17:00'    2021-07-31 17:00 (Saturday)  -> true
+*   'onetime/2021-07-01T08:00/2021-07-31T17:00'    2021-08-01 00:00 (Sunday)    -> false
+*   'UNKNOWN'                                      2021-08-01 00:00 (Sunday)    -> true
+*/
+function isScheduleActive(strWindow, date) {
+    const array = strWindow.split('/');
+    switch (array[0]) {
+    case 'onetime':
+        return getDateFromString(array[1]) <= date && date <= getDateFromString(array[2]);
+    case 'recurring':
+        {
+            const arrayDay = array[1].split('+');
+            const arrayTime = array[2].split(/[-:]/).map(Number);
+            const intStart = arrayTime[0] * 60 + arrayTime[1];
+            const intEnd = arrayTime[2] * 60 + arrayTime[3];
+            const intNow = date.getHours() * 60 + date.getMinutes();
+            const isToday = arrayDay.includes(t_DayOfWeek[date.getDay()]);
+            const isYesterday = arrayDay.includes(t_DayOfWeek[(date.getDay() + 6) % 7]);
+            if (intStart == intEnd) {
+                return isToday;
+            } else if (intStart < intEnd) {
+                return isToday && intStart <= intNow && intNow < intEnd;
+            }
+            return (isToday && intStart <= intNow) || (isYesterday && intNow < intEnd);
+        }
+    }
+    return true;
+}
+
+/**
+* This function flattens the schedule objects and schedule-group objects of
+* normalized policy and returns the strings array of flattened policy. The
+* expiration of the one-time schedule is judged at the specified date-time.
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @param {Date} dateBase - Date-time to judge the expiration.
+* @return {Array} Strings array of flattened policy.
+*
+* @example
+*   Variables state when calls.
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].schedule_group['GROUP1'] = {value:['recurring/sat/10:00-12:00','onetime/2021-07-01T08:00/2021-07-31T17:00'], comment:''}
+*
+*   arrayToken                                                                                                                                                 dateBase            Return
+*   --------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['','internal1','wan2','4to4','1','','1','accept','SRVC1','ADDR1','-/-','ADDR2','-/-','-','SRVC1','false','false','false','enable','utm','GROUP1','','-','-','-','-','-','-','GROUP1','-']  2021-08-01 00:00 -> [',internal1,wan2,4to4,1,,1,accept,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,enable,utm,GROUP1,,-,-,-,-,-,-,recurring/sat/10:00-12:00,false',
+*                                                                                                                                                                                          ',internal1,wan2,4to4,1,,1,accept,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,enable,utm,GROUP1,,-,-,-,-,-,-,onetime/2021-07-01T08:00/2021-07-31T17:00,true']
+*   []                                                                                                                                                         2021-08-01 00:00 -> []
+*/
+const funcFlattenScheduleOfNormalizedPolicy = function(arrayToken, dateBase) {
+    const arrayFlatString = [];
+    if (arrayToken[NMCOL_SCHED_WINDOW]) {
+        const arraySchedule = getScheduleArray(arrayToken);
+        for (let i=0; i<arraySchedule.length; ++i) {
+            const array = arrayToken.slice();
+            array[NMCOL_SCHED_WINDOW] = arraySchedule[i];
+            array[NMCOL_SCHED_EXPIRED] = getScheduleExpired(arraySchedule[i], dateBase);
+            arrayFlatString.push(getCsvRecordString(array));
+        }
+    }
+    return arrayFlatString;
+};
+
+/**
+* This function flattens the user group of normalized policy and returns the
+* strings array of flattened policy. If S_GROUP is a user group that has the
+* member users, S_USER is the member user and the policy is divided by the
+* members. The line range of the user group is appended to CONF_LINE.
+* Otherwise, the policy is returned as-is.
+*
+* @param {Array} arrayToken - Tokens array of normalized policy.
+* @return {Array} Strings array of flattened policy.
+*
+* @example
+*   Variables state when calls.
+*   ------------------------------------------------------------------------------------------
+*   g_Domain_Data[''].user_group['GROUP1'] = {value:['user1','user2'], type:'firewall', conf_line:'3-6'}
+*
+*   arrayToken                                                           Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['','internal1','wan2','4to4','1',...,'-', '40-48','-',    'GROUP1'] -> [',internal1,wan2,4to4,1,...,-,40-48 3-6,user1,GROUP1',
+*                                                                           ',internal1,wan2,4to4,1,...,-,40-48 3-6,user2,GROUP1']
+*   ['','internal1','wan2','4to4','1',...,'-', '40-48','user3','-'     ] -> [',internal1,wan2,4to4,1,...,-,40-48,user3,-']
+*   []                                                                   -> []
+*/
+const funcFlattenUserGroupOfNormalizedPolicy = function(arrayToken) {
+    const arrayFlatString = [];
+    if (arrayToken[NMCOL_SRC_GROUP]) {
+        const objUserGroup = g_Domain_Data[arrayToken[NMCOL_DOM_NAME]].user_group[arrayToken[NMCOL_SRC_GROUP]];
+        if (objUserGroup && objUserGroup.value.length > 0) {
+            const strConfLine = getConfLineString(arrayToken, [{line: objUserGroup.conf_line}]);
+            for (let i=0; i<objUserGroup.value.length; ++i) {
+                const array = arrayToken.slice();
+                array[NMCOL_CONF_LINE] = strConfLine;
+                array[NMCOL_SRC_USER] = objUserGroup.value[i];
+                arrayFlatString.push(getCsvRecordString(array));
+            }
+        } else {
+            arrayFlatString.push(getCsvRecordString(arrayToken));
+        }
+    }
+    return arrayFlatString;
+};
+
+/**
+* This function returns the subnets strings array of the normalized address
+* string. The IPv4 and IPv6 ranges are split into the fewest subnets, and the
+* IPv4 wildcard address is split into the subnets if the number of them is
+* MAX_WILDCARD_SUBNET or less. Otherwise, it returns the address as-is.
+*
+* @param {string} strAddr - Normalized address string.
+* @return {Array} Array of subnets strings.
+*
+* @example
+*   strAddr                                 Return
+*   --------------------------------------------------------------------------------------------------
+*   '192.168.0.1-192.168.0.6'            -> ['192.168.0.1/32','192.168.0.2/31','192.168.0.4/31','192.168.0.6/32']
+*   '192.168.0.1/255.255.255.253'        -> ['192.168.0.1/32','192.168.0.3/32']
+*   '10.0.0.1/0.0.0.255'                 -> ['10.0.0.1/0.0.0.255']
+*   '192.168.0.0/24'                     -> ['192.168.0.0/24']
+*   'fqdn:www.example.com'               -> ['fqdn:www.example.com']
+*/
+function getSubnetArrayOfAddress(strAddr) {
+    let array = [];
+    if (/^\d+\.\d+\.\d+\.\d+-\d+\.\d+\.\d+\.\d+$/.test(strAddr) || /^[\da-f]{4}(?::[\da-f]{4}){7}-[\da-f]{4}(?::[\da-f]{4}){7}$/.test(strAddr)) {
+        array = getSubnetFromRange(strAddr);
+    } else if (/^\d+\.\d+\.\d+\.\d+\/\d+\.\d+\.\d+\.\d+$/.test(strAddr)) {
+        array = getIPv4SubnetFromFortinetWildcardAddr(strAddr);
+    }
+    return array.length > 0 ? array : [strAddr];
+}
+
+/**
+* This function splits the ranges and the wildcard addresses of the source and
+* destination addresses of flattened policy into the subnets by
+* getSubnetArrayOfAddress function and returns the strings array of flattened
+* policy. The policy is divided by the subnets.
+*
+* @param {Array} arrayToken - Tokens array of flattened policy.
+* @return {Array} Strings array of flattened policy.
+*
+* @example
+*   arrayToken                                                                                                                                         Return
+*   ------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   ['','internal1','wan2','4to4','1','','1','accept','6','192.168.0.1-192.168.0.2','eq/any','10.0.0.0/24','eq/443','0/0','-/-',...,'always',...] -> [',internal1,wan2,4to4,1,,1,accept,6,192.168.0.1/32,eq/any,10.0.0.0/24,eq/443,0/0,-/-,...,always,...',
+*                                                                                                                                                         ',internal1,wan2,4to4,1,,1,accept,6,192.168.0.2/32,eq/any,10.0.0.0/24,eq/443,0/0,-/-,...,always,...']
+*   []                                                                                                                                              -> []
+*/
+const funcSplitAddressRangeOfFlattenedPolicy = function(arrayToken) {
+    const arrayFlatString = [];
+    if (arrayToken[NMCOL_SRC_ADDR] && arrayToken[NMCOL_DST_ADDR]) {
+        const arraySrcAddr = getSubnetArrayOfAddress(arrayToken[NMCOL_SRC_ADDR]);
+        const arrayDstAddr = getSubnetArrayOfAddress(arrayToken[NMCOL_DST_ADDR]);
+        for (let i=0; i<arraySrcAddr.length; ++i) {
+            for (let j=0; j<arrayDstAddr.length; ++j) {
+                const array = arrayToken.slice();
+                array[NMCOL_SRC_ADDR] = arraySrcAddr[i];
+                array[NMCOL_DST_ADDR] = arrayDstAddr[j];
+                arrayFlatString.push(getCsvRecordString(array));
+            }
+        }
+    }
+    return arrayFlatString;
+};
+
 /**
 * This function flattens the objects and group objects of normalized policy
 * using the specified argument and returns the strings array of all flattened
@@ -4234,8 +9200,8 @@ const funcFlattenServiceAndServiceGroupOfNormalizedPolicy = function(arrayToken)
 function flattenObjectAndGroupObjectOfNormalizedPolicy(arrayNormalizedPolicy, funcFlatten) {
     const arrayFlattenedString = [];
     for (let i=0; i<arrayNormalizedPolicy.length; ++i) {
-        // Split by a comma.
-        const arrayToken = arrayNormalizedPolicy[i].split(',');
+        // Split into fields.
+        const arrayToken = getCsvFieldArray(arrayNormalizedPolicy[i]);
 
         // Flatten the objects and object-groups.
         arrayFlattenedString.push(...funcFlatten(arrayToken));
@@ -4246,7 +9212,9 @@ function flattenObjectAndGroupObjectOfNormalizedPolicy(arrayNormalizedPolicy, fu
 /**
 * This function flattens the objects and group objects of all normalized
 * policies and saves them into the specified array. It can specify by
-* boolAddress and boolService arguments what kind of object flatten.
+* boolAddress and boolService arguments what kind of object flatten. The
+* user groups, the schedule objects, and schedule-group objects are always
+* flattened.
 *
 * @param {boolean} boolAddress - True when flattens the address objects and
 *     address-group objects.
@@ -4254,6 +9222,20 @@ function flattenObjectAndGroupObjectOfNormalizedPolicy(arrayNormalizedPolicy, fu
 *     service-group objects.
 * @param {Array} arrayAllFlattenedPolicies - Array to save all flattened
 *     policies.
+* @param {Array} [arrayPropertyName=t_PolicyPropertyName] - Property names of
+*     g_Domain_Data to flatten. t_CentralSnatMapPropertyName is specified to
+*     flatten the central SNAT rules.
+* @param {Date} [dateScheduleBase=new Date()] - Date-time to judge the
+*     expiration of the one-time schedule.
+* @param {boolean} [boolProvenance=false] - True when adds the provenance
+*     columns, which are the object names and the paths of the source
+*     address, the destination address, and the service, to the flattened
+*     policies. They are '-' if the objects are not flattened.
+* @param {boolean} [boolSplitRange=false] - True when splits the ranges and
+*     the wildcard addresses of the source and destination addresses into
+*     the subnets. It is effective only if boolAddress is true.
+* @param {boolean} [boolProfile=false] - True when keeps the security profile
+*     columns in the flattened policies. Otherwise, they are removed.
 *
 * @example
 *   Variables state when calls.
@@ -4292,19 +9274,28 @@ function flattenObjectAndGroupObjectOfNormalizedPolicy(arrayNormalizedPolicy, fu
 *                                                         'VDOM1,internal1,wan2,6to4,1234,-,1,deny,58,2001:0db8:1000:0000:0000:0000:0000:0001/128,-/-,192.168.1.2/32,-/-,-,8/any,-,-,-,enable,-,always,',
 *                                                         'VDOM1,internal1,wan2,4to4m,1234,-,1,deny,58,192.168.1.1/32,-/-,224.0.1.1/32,-/-,-,any/any,-,-,-,enable,-,-,']
 */
-function flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattenedPolicies) {
+function flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattenedPolicies, arrayPropertyName = t_PolicyPropertyName, dateScheduleBase = new Date(), boolProvenance = false, boolSplitRange = false, boolProfile = false) {
     arrayAllFlattenedPolicies.length = 0;
 
+    const strProvenance = boolProvenance ? ',' + getCsvRecordString(t_ProvenanceColumnName.map(() => '-')) : '';
     const flattenNormalizedPolicies = function(arrayNormalizedPolicies) {
         for (let i=0; i<arrayNormalizedPolicies.length; ++i) {
             let arrayFlattenedPolicy = [];
-            arrayFlattenedPolicy[0] = arrayNormalizedPolicies[i];
+            arrayFlattenedPolicy[0] = arrayNormalizedPolicies[i] + strProvenance;
             if (boolAddress) {
                 arrayFlattenedPolicy = flattenObjectAndGroupObjectOfNormalizedPolicy(arrayFlattenedPolicy, funcFlattenAddressAndAddressGroupOfNormalizedPolicy);
+                if (boolSplitRange) {
+                    arrayFlattenedPolicy = flattenObjectAndGroupObjectOfNormalizedPolicy(arrayFlattenedPolicy, funcSplitAddressRangeOfFlattenedPolicy);
+                }
             }
             if (boolService) {
                 arrayFlattenedPolicy = flattenObjectAndGroupObjectOfNormalizedPolicy(arrayFlattenedPolicy, funcFlattenServiceAndServiceGroupOfNormalizedPolicy);
             }
+            arrayFlattenedPolicy = flattenObjectAndGroupObjectOfNormalizedPolicy(arrayFlattenedPolicy, funcFlattenUserGroupOfNormalizedPolicy);
+            arrayFlattenedPolicy = flattenObjectAndGroupObjectOfNormalizedPolicy(arrayFlattenedPolicy, (arrayToken)=>funcFlattenScheduleOfNormalizedPolicy(arrayToken, dateScheduleBase));
+            if (!boolProfile) {
+                arrayFlattenedPolicy = getPoliciesWithoutProfileColumns(arrayFlattenedPolicy);
+            }
 
             // Save the result that all objects and group objects are flattened.
             arrayAllFlattenedPolicies.push(...arrayFlattenedPolicy);
@@ -4313,15 +9304,47 @@ function flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattene
 
     for (const key in g_Domain_Data) {
         if (g_Domain_Data.hasOwnProperty(key)) {
-            for (let i=0; i<t_PolicyPropertyName.length; ++i) {
-                if (g_Domain_Data[key][t_PolicyPropertyName[i]]) {
-                    flattenNormalizedPolicies(g_Domain_Data[key][t_PolicyPropertyName[i]]);
+            for (let i=0; i<arrayPropertyName.length; ++i) {
+                if (g_Domain_Data[key][arrayPropertyName[i]]) {
+                    flattenNormalizedPolicies(g_Domain_Data[key][arrayPropertyName[i]]);
                 }
             }
         }
     }
 }
 
+/*
+* ============================================================================
+* Policy report functions
+* ============================================================================
+*/
+
+/**
+* This function returns the array of the normalized policies that are enabled
+* accept policies with logging disabled.
+*
+* @param {Array} arrayNormalizedPolicy - Normalized policies array.
+* @return {Array} Array of the normalized policies without logging.
+*
+* @example
+*   arrayNormalizedPolicy                                                                                            Return
+*   ----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------
+*   [',internal1,wan2,4to4,1,,1,accept,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,enable,disable,always,,-,-,-,-,-,-',  -> [',internal1,wan2,4to4,1,,1,accept,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,enable,disable,always,,-,-,-,-,-,-']
+*    ',internal1,wan2,4to4,2,,2,accept,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,disable,disable,always,,-,-,-,-,-,-',
+*    ',internal1,wan2,4to4,3,,3,deny,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,enable,disable,always,,-,-,-,-,-,-',
+*    ',internal1,wan2,4to4,4,,4,accept,SRVC1,ADDR1,-/-,ADDR2,-/-,-,SRVC1,false,false,false,enable,utm,always,,-,-,-,-,-,-']
+*/
+function getPoliciesWithoutLogging(arrayNormalizedPolicy) {
+    const arrayReturn = [];
+    for (let i=0; i<arrayNormalizedPolicy.length; ++i) {
+        const arrayToken = getCsvFieldArray(arrayNormalizedPolicy[i]);
+        if (arrayToken[NMCOL_ACTION] === 'accept' && arrayToken[NMCOL_STATUS] === 'enable' && arrayToken[NMCOL_LOG] === 'disable') {
+            arrayReturn.push(arrayNormalizedPolicy[i]);
+        }
+    }
+    return arrayReturn;
+}
+
 /*
 * ============================================================================
 * Address lookup functions
@@ -4333,7 +9356,12 @@ function flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattene
 * up address. Otherwise, it is false. If the lookup address is a host address,
 * test that address is within. If the lookup address is a network segment,
 * test whether all network segment addresses are within. For IPv6, the address
-* must be in the full represented format.
+* must be in the full represented format. The Internet Service in the
+* Internet Service Database mapping is resolved to its addresses before
+* looking up, so the to be looked up address with the prefix 'isdb:' is the
+* Internet Service not in the mapping, and it is treated like FQDN and
+* geography. The unresolved address with
+* the prefix 'unresolved:' never includes the lookup address.
 *
 * @param {string} strAddrToBeLookedUp - Address string to be looked up.
 * @param {string} strLookupAddr - Lookup address string.
@@ -4356,6 +9384,12 @@ function flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattene
 *
 */
 function isWithin(strAddrToBeLookedUp, strLookupAddr, intLookupAddrType, boolNegate, boolFqdnAndGeoMatchAll) {
+    if (strAddrToBeLookedUp.startsWith('unresolved:')) { // Unresolved address matches nothing.
+        return boolNegate;
+    }
+    if (strAddrToBeLookedUp.startsWith('isdb:')) { // Internet Service not in the Internet Service Database mapping.
+        return ((boolNegate ^ boolFqdnAndGeoMatchAll) != 0);
+    }
     if ((intLookupAddrType == LOOKUP_ADDRESS_TYPE_IPV4 && strAddrToBeLookedUp === '0.0.0.0/0') ||
         (intLookupAddrType == LOOKUP_ADDRESS_TYPE_IPV6 && strAddrToBeLookedUp === '0000:0000:0000:0000:0000:0000:0000:0000/0')) {
         return !boolNegate;
@@ -4419,6 +9453,102 @@ function isWithin(strAddrToBeLookedUp, strLookupAddr, intLookupAddrType, boolNeg
     return boolNegate;
 }
 
+/**
+* This function returns true if the lookup address and the lookup URL path are
+* within the host pattern and the URL path of the proxy address. Otherwise, it
+* is false. The host pattern with the prefix 'regex:' is tested on the lookup
+* FQDN as a case-insensitive regular expression, and it is treated like FQDN
+* for the other lookup address types. The host pattern '-' of the proxy address
+* that has no host, such as the 'category' type, is also treated like FQDN for
+* all lookup address types. The other host pattern is tested by isWithin
+* function. The URL path matches the lookup URL path that starts
+* with it, and it is not tested if the lookup URL path is empty.
+*
+* @param {string} strHostPattern - D_HOST of the policy.
+* @param {string} strUrlPath - D_URL of the policy.
+* @param {string} strLookupAddr - Lookup address string.
+* @param {number} intLookupAddrType - Lookup address type.
+* @param {string} strLookupUrlPath -
+*   Lookup URL path, such as '/api/v1.' The empty string if no URL path.
+* @param {boolean} boolNegate - True when negates the return value.
+* @param {boolean} boolFqdnAndGeoMatchAll -
+*   true when FQDN and geography match all other address types.
+*   false when FQDN and geography match only the same address type.
+* @return {boolean}
+*   true if the lookup address and URL path are within the host pattern and
+*   the URL path. Otherwise, it is false.
+*
+* @example
+*   strHostPattern                 strUrlPath strLookupAddr      intLookupAddrType            strLookupUrlPath    Return
+*   ----------------------------------------------------------------------------------------------------------------------
+*   'regex:.*\\.example\\.com'     '-'        'www.example.com'  LOOKUP_ADDRESS_TYPE_FQDN     ''               -> true
+*   'regex:.*\\.example\\.com'     '-'        'www.example.org'  LOOKUP_ADDRESS_TYPE_FQDN     ''               -> false
+*   'fqdn:www.example.com'         '/api'     'www.example.com'  LOOKUP_ADDRESS_TYPE_FQDN     '/api/v1'        -> true
+*   'fqdn:www.example.com'         '/api'     'www.example.com'  LOOKUP_ADDRESS_TYPE_FQDN     '/index.html'    -> false
+*   'fqdn:www.example.com'         '/api'     'www.example.com'  LOOKUP_ADDRESS_TYPE_FQDN     ''               -> true
+*   '192.0.2.0/24'                 '-'        '192.0.2.1/32'     LOOKUP_ADDRESS_TYPE_IPV4     '/'              -> true
+*   '-'                            '-'        '192.0.2.1/32'     LOOKUP_ADDRESS_TYPE_IPV4     ''               -> boolFqdnAndGeoMatchAll
+*/
+function isWithinHostPattern(strHostPattern, strUrlPath, strLookupAddr, intLookupAddrType, strLookupUrlPath, boolNegate, boolFqdnAndGeoMatchAll) {
+    let boolWithin = false;
+    if (strHostPattern === '-') { // The proxy address has no host.
+        boolWithin = boolFqdnAndGeoMatchAll;
+    } else if (strHostPattern.startsWith('regex:')) {
+        if (intLookupAddrType == LOOKUP_ADDRESS_TYPE_FQDN) {
+            try {
+                boolWithin = new RegExp(strHostPattern.substring(6), 'i').test(strLookupAddr);
+            } catch (e) { // Invalid regular expression matches nothing.
+                boolWithin = false;
+            }
+        } else {
+            boolWithin = boolFqdnAndGeoMatchAll;
+        }
+    } else {
+        boolWithin = isWithin(strHostPattern, strLookupAddr, intLookupAddrType, false, boolFqdnAndGeoMatchAll);
+    }
+    if (boolWithin && strUrlPath !== '-' && strLookupUrlPath !== '') {
+        boolWithin = strLookupUrlPath.startsWith(strUrlPath);
+    }
+    return ((boolNegate ^ boolWithin) != 0);
+}
+
+/**
+* This function returns whether the lookup identity matches the source user
+* and the source group of the policy. The policy without them matches any
+* identity, including no identity. The policy with them matches only the
+* identity 'user:name' of S_USER or 'group:name' of S_GROUP.
+*
+* @param {string} strSrcUser - S_USER of the policy.
+* @param {string} strSrcGroup - S_GROUP of the policy.
+* @param {string} strIdentity -
+*   Lookup identity, 'user:name' or 'group:name.' The empty string if no
+*   identity.
+* @return {boolean} true if matched.
+*
+* @example
+*   strSrcUser strSrcGroup  strIdentity         Return
+*   -----------------------------------------------------
+*   '-'        '-'          ''               -> true
+*   '-'        '-'          'user:user1'     -> true
+*   'user1'    'GROUP1'     ''               -> false
+*   'user1'    'GROUP1'     'user:user1'     -> true
+*   'user1'    'GROUP1'     'group:GROUP1'   -> true
+*   'user1'    'GROUP1'     'user:user2'     -> false
+*   '-'        'fsso:G2'    'group:fsso:G2'  -> true
+*/
+function isIdentityMatched(strSrcUser, strSrcGroup, strIdentity) {
+    if (strSrcUser === '-' && strSrcGroup === '-') {
+        return true;
+    }
+    if (strIdentity.startsWith('user:')) {
+        return strSrcUser === strIdentity.substring(5);
+    }
+    if (strIdentity.startsWith('group:')) {
+        return strSrcGroup === strIdentity.substring(6);
+    }
+    return false;
+}
+
 /**
 * This function looks up the specified source address and destination address
 * in normalized policies and saves the matched entries into the specified
@@ -4432,9 +9562,17 @@ function isWithin(strAddrToBeLookedUp, strLookupAddr, intLookupAddrType, boolNeg
 *   - 'from_192.168.0.1_to_2001:db8::1/128,'
 *     if both the source address and the destination address look up.
 *
+* If the lookup identity is specified, '_as_' and the identity are appended
+* to the prefix, such as 'from_192.168.0.1_as_user:user1,' and the policies
+* are looked up by isIdentityMatched function.
+*
 * If the lookup address string is empty, this function does not look up its
 * address. IPv6 address can contain the compressed format.
 *
+* The destination address of the policy that has D_HOST is looked up by
+* isWithinHostPattern function with the lookup URL path, and the URL path is
+* appended to the prefix, such as 'to_fqdn:www.example.com/api,'.
+*
 * @param {Array} arrayNormalizedPolicyToBeLookedUp -
 *   Normalized policies array to be looked up.
 * @param {string} strSrcAddr - Lookup source address string.
@@ -4447,9 +9585,17 @@ function isWithin(strAddrToBeLookedUp, strLookupAddr, intLookupAddrType, boolNeg
 * @param {Array} arrayResult - Array to save all matched entries.
 * @param {Array} arrayResultWithoutIneffectual -
 *   Array to save all matched entries except ineffectual policies.
+* @param {(Date|null)} [dateLookup=null] -
+*   Date-time to look up. If it is specified, the policies whose schedule
+*   window is not active at the date-time are skipped.
+* @param {string} [strIdentity=''] -
+*   Lookup identity, 'user:name' or 'group:name.' The empty string if no
+*   identity.
+* @param {string} [strDstUrlPath=''] -
+*   Lookup URL path of the destination. The empty string if no URL path.
 *
 */
-function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp, strSrcAddr, intSrcAddrType, strDstAddr, intDstAddrType, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual) {
+function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp, strSrcAddr, intSrcAddrType, strDstAddr, intDstAddrType, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual, dateLookup = null, strIdentity = '', strDstUrlPath = '') {
     // Stop look up if the lookup address is an invalid IPv6 address.
     let strSrcFullAddr = strSrcAddr;
     if (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV6) {
@@ -4471,21 +9617,36 @@ function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp,
 
     for (let i=0; i<arrayNormalizedPolicyToBeLookedUp.length; ++i) {
         const strLine = arrayNormalizedPolicyToBeLookedUp[i];
-        const arrayToken = strLine.split(',');
+        const arrayToken = getCsvFieldArray(strLine);
 
-        const isAddrType4to4 = arrayToken[NMCOL_POL_TYPE] === '4to4' || arrayToken[NMCOL_POL_TYPE] === '4to4m';
-        const isAddrType6to6 = arrayToken[NMCOL_POL_TYPE] === '6to6' || arrayToken[NMCOL_POL_TYPE] === '6to6m';
+        const isAddrType4to4 = arrayToken[NMCOL_POL_TYPE] === '4to4' || arrayToken[NMCOL_POL_TYPE] === '4to4m' || arrayToken[NMCOL_POL_TYPE] === 'local4' || arrayToken[NMCOL_POL_TYPE] === 'proxy';
+        const isAddrType6to6 = arrayToken[NMCOL_POL_TYPE] === '6to6' || arrayToken[NMCOL_POL_TYPE] === '6to6m' || arrayToken[NMCOL_POL_TYPE] === 'local6';
         const isAddrType4to6 = arrayToken[NMCOL_POL_TYPE] === '4to6';
         const isAddrType6to4 = arrayToken[NMCOL_POL_TYPE] === '6to4';
 
+        // The destination address of the 4to6 or 6to4 policy is the external
+        // address of the virtual IP(vip46 or vip64) that has the same address
+        // type as the source address.
+        const isDstAddrVip = arrayToken[NMCOL_DNAT_ADDR] !== '-';
+
         // Skip if the address type is not matched with the lookup address type.
         if ((isAddrType4to4 && (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV6 || intDstAddrType == LOOKUP_ADDRESS_TYPE_IPV6)) ||
-            (isAddrType4to6 && (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV6 || intDstAddrType == LOOKUP_ADDRESS_TYPE_IPV4)) ||
-            (isAddrType6to4 && (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV4 || intDstAddrType == LOOKUP_ADDRESS_TYPE_IPV6)) ||
+            (isAddrType4to6 && (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV6 || intDstAddrType == (isDstAddrVip ? LOOKUP_ADDRESS_TYPE_IPV6 : LOOKUP_ADDRESS_TYPE_IPV4))) ||
+            (isAddrType6to4 && (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV4 || intDstAddrType == (isDstAddrVip ? LOOKUP_ADDRESS_TYPE_IPV4 : LOOKUP_ADDRESS_TYPE_IPV6))) ||
             (isAddrType6to6 && (intSrcAddrType == LOOKUP_ADDRESS_TYPE_IPV4 || intDstAddrType == LOOKUP_ADDRESS_TYPE_IPV4))) {
             continue;
         }
 
+        // Skip if the schedule is not active at the lookup date-time.
+        if (dateLookup && !isScheduleActive(arrayToken[NMCOL_SCHED_WINDOW], dateLookup)) {
+            continue;
+        }
+
+        // Skip if the identity is not matched with the lookup identity.
+        if (!isIdentityMatched(arrayToken[NMCOL_SRC_USER], arrayToken[NMCOL_SRC_GROUP], strIdentity)) {
+            continue;
+        }
+
         // Get the service destination address.
         const strServiceDstAddr = arrayToken[NMCOL_SERVICE_DSTADDR];
 
@@ -4494,6 +9655,14 @@ function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp,
         const isDstAddrNegate = arrayToken[NMCOL_DSTADDR_NEGATE] === 'enable';
         const isServiceNegate = arrayToken[NMCOL_SERVICE_NEGATE] === 'enable';
 
+        // The destination address of the proxy address is looked up by its host pattern.
+        const isDstWithin = function() {
+            if (arrayToken[NMCOL_DST_HOST] !== '-' || arrayToken[NMCOL_DST_ADDR] === '-') {
+                return isWithinHostPattern(arrayToken[NMCOL_DST_HOST], arrayToken[NMCOL_DST_URL], strDstFullAddr, intDstAddrType, strDstUrlPath, isDstAddrNegate, boolFqdnAndGeoMatchAll);
+            }
+            return isWithin(arrayToken[NMCOL_DST_ADDR], strDstFullAddr, intDstAddrType, isDstAddrNegate, boolFqdnAndGeoMatchAll);
+        };
+
         // Test whether the lookup address matches the current line.
         let boolSrcMatched = false;
         let boolDstMatched = false;
@@ -4503,23 +9672,27 @@ function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp,
             boolSrcMatched = isWithin(arrayToken[NMCOL_SRC_ADDR], strSrcFullAddr, intSrcAddrType, isSrcAddrNegate, boolFqdnAndGeoMatchAll);
             str1stColumn = 'from_' + (intSrcAddrType == LOOKUP_ADDRESS_TYPE_FQDN ? 'fqdn:' : intSrcAddrType == LOOKUP_ADDRESS_TYPE_GEO ? 'geo:' : '') + strSrcAddr;
         } else if (intSrcAddrType == LOOKUP_ADDRESS_TYPE_UNKNOWN && intDstAddrType != LOOKUP_ADDRESS_TYPE_UNKNOWN) {
-            boolDstMatched = isWithin(arrayToken[NMCOL_DST_ADDR], strDstFullAddr, intDstAddrType, isDstAddrNegate, boolFqdnAndGeoMatchAll);
-            str1stColumn = 'to_' + (intDstAddrType == LOOKUP_ADDRESS_TYPE_FQDN ? 'fqdn:' : intDstAddrType == LOOKUP_ADDRESS_TYPE_GEO ? 'geo:' : '') + strDstAddr;
+            boolDstMatched = isDstWithin();
+            str1stColumn = 'to_' + (intDstAddrType == LOOKUP_ADDRESS_TYPE_FQDN ? 'fqdn:' : intDstAddrType == LOOKUP_ADDRESS_TYPE_GEO ? 'geo:' : '') + strDstAddr + strDstUrlPath;
             if (strServiceDstAddr !== '0/0' && strServiceDstAddr !== '-') {
                 boolDstMatched &= isWithin(strServiceDstAddr, strDstFullAddr, intDstAddrType, isServiceNegate, boolFqdnAndGeoMatchAll);
             }
         } else {
-            boolBothMatched = isWithin(arrayToken[NMCOL_SRC_ADDR], strSrcFullAddr, intSrcAddrType, isSrcAddrNegate, boolFqdnAndGeoMatchAll) && isWithin(arrayToken[NMCOL_DST_ADDR], strDstFullAddr, intDstAddrType, isDstAddrNegate, boolFqdnAndGeoMatchAll);
+            boolBothMatched = isWithin(arrayToken[NMCOL_SRC_ADDR], strSrcFullAddr, intSrcAddrType, isSrcAddrNegate, boolFqdnAndGeoMatchAll) && isDstWithin();
             str1stColumn = 'from_' + (intSrcAddrType == LOOKUP_ADDRESS_TYPE_FQDN ? 'fqdn:' : intSrcAddrType == LOOKUP_ADDRESS_TYPE_GEO ? 'geo:' : '') + strSrcAddr +
-                           '_to_' + (intDstAddrType == LOOKUP_ADDRESS_TYPE_FQDN ? 'fqdn:' : intDstAddrType == LOOKUP_ADDRESS_TYPE_GEO ? 'geo:' : '') + strDstAddr;
+                           '_to_' + (intDstAddrType == LOOKUP_ADDRESS_TYPE_FQDN ? 'fqdn:' : intDstAddrType == LOOKUP_ADDRESS_TYPE_GEO ? 'geo:' : '') + strDstAddr + strDstUrlPath;
             if (strServiceDstAddr !== '0/0' && strServiceDstAddr !== '-') {
                 boolBothMatched &= isWithin(strServiceDstAddr, strDstFullAddr, intDstAddrType, isServiceNegate, boolFqdnAndGeoMatchAll);
             }
         }
 
+        if (strIdentity !== '') {
+            str1stColumn += '_as_' + strIdentity;
+        }
+
         // Save the matched line into arrays.
         if (boolSrcMatched || boolDstMatched || boolBothMatched) {
-            const strAdd = str1stColumn + ',' + strLine;
+            const strAdd = getCsvField(str1stColumn) + ',' + strLine;
             arrayResult.push(strAdd);
 
             const strPolicyKey = arrayToken[NMCOL_POL_TYPE] + '_' + arrayToken[NMCOL_SRC_INTF] + '_' + arrayToken[NMCOL_DST_INTF];
@@ -4561,6 +9734,14 @@ function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp,
 *   - 'source address,destination address,comment'
 *     if both the source address and destination address look up.
 *
+* The identity field, 'user:name' or 'group:name,' can follow the comment
+* field, such as '192.168.0.1,,comment,user:user1.' The line that has the
+* other identity is skipped.
+*
+* The destination address can be the URL, such as
+* 'https://www.example.com/api' or 'url:www.example.com/api.' It is looked up
+* as the host and the URL path, and the port of the host is ignored.
+*
 * See lookUpAddrInNormalizedPoliciesArray function for detail.
 *
 * @param {Array} arrayNormalizedPolicyToBeLookedUp -
@@ -4572,9 +9753,11 @@ function lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp,
 * @param {Array} arrayResult - Array to save all matched entries.
 * @param {Array} arrayResultWithoutIneffectual -
 *   Array to save all matched entries except ineffectual policies.
+* @param {(Date|null)} [dateLookup=null] -
+*   Date-time to look up. null when the schedule is not considered.
 *
 */
-function lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual) {
+function lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual, dateLookup = null) {
     const arrayText = listOfLookUpAddr.split(/\r\n|\r|\n/);
 
     arrayResult.length = 0;
@@ -4595,9 +9778,15 @@ function lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boo
         }
 
         // Skip if neither IPv4, IPv6, FQDN, nor geography.
-        const arrayLookupAddr = strLine.split(',');
+        const arrayLookupAddr = getCsvFieldArray(strLine);
         let strSrcAddr = arrayLookupAddr[0].trim();
         let strDstAddr = ((arrayLookupAddr[1]) ? arrayLookupAddr[1].trim() : '');
+        let strDstUrlPath = '';
+        const arrayUrl = strDstAddr.match(/^(?:url:|https?:\/\/)([^/:]+)(?::\d+)?(\/.*)?$/i);
+        if (arrayUrl) {
+            strDstAddr = arrayUrl[1];
+            strDstUrlPath = arrayUrl[2] ? arrayUrl[2] : '';
+        }
         let intSrcAddrType = LOOKUP_ADDRESS_TYPE_UNKNOWN;
         let intDstAddrType = LOOKUP_ADDRESS_TYPE_UNKNOWN;
         if (strSrcAddr !== '') {
@@ -4643,8 +9832,50 @@ function lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boo
             }
         }
 
+        // Skip if the identity is neither a user nor a group.
+        const strIdentity = arrayLookupAddr[3] ? arrayLookupAddr[3].trim() : '';
+        if (strIdentity !== '' && !/^(?:user|group):./.test(strIdentity)) {
+            continue;
+        }
+
         //
-        lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp, strSrcAddr, intSrcAddrType, strDstAddr, intDstAddrType, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual);
+        lookUpAddrInNormalizedPoliciesArray(arrayNormalizedPolicyToBeLookedUp, strSrcAddr, intSrcAddrType, strDstAddr, intDstAddrType, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual, dateLookup, strIdentity, strDstUrlPath);
+    }
+}
+
+/**
+* This function looks up all addresses of lookup addresses list in flattened
+* central SNAT rules and saves the rule entries that translate the addresses
+* into the specified array. Since the central SNAT rules are evaluated from
+* the top, only the first enabled rule matched is saved for each lookup
+* address, domain, source interface, destination interface, and policy type.
+* The protocol and the port are not considered. The prefix of the saved
+* entries is the same as lookUpAddrInNormalizedPoliciesArray function.
+*
+* @param {Array} arrayCentralSnatMapToBeLookedUp -
+*   Flattened central SNAT rules array to be looked up.
+* @param {string} listOfLookUpAddr - Lookup address list.
+* @param {boolean} boolFqdnAndGeoMatchAll -
+*   true when FQDN and geography match all other address types.
+*   false when FQDN and geography match only the same address type.
+* @param {Array} arrayResult - Array to save the translating rule entries.
+*
+*/
+function lookUpAddrListInCentralSnatMap(arrayCentralSnatMapToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult) {
+    const arrayMatched = [];
+    const arrayMatchedEnabled = [];
+    lookUpAddrList(arrayCentralSnatMapToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayMatched, arrayMatchedEnabled);
+
+    arrayResult.length = 0;
+    const objTranslated = {};
+    for (let i=0; i<arrayMatchedEnabled.length; ++i) {
+        // +1 is for the lookup result 1st column.
+        const arrayToken = getCsvFieldArray(arrayMatchedEnabled[i]);
+        const strRuleKey = arrayToken[0] + '_' + arrayToken[NMCOL_DOM_NAME+1] + '_' + arrayToken[NMCOL_SRC_INTF+1] + '_' + arrayToken[NMCOL_DST_INTF+1] + '_' + arrayToken[NMCOL_POL_TYPE+1];
+        if (!objTranslated[strRuleKey]) {
+            objTranslated[strRuleKey] = 1;
+            arrayResult.push(arrayMatchedEnabled[i]);
+        }
     }
 }
 
@@ -4669,11 +9900,15 @@ function async_parseFortiGateConfig(configToFlat) {
 * @param {boolean} boolAddress
 * @param {boolean} boolService
 * @param {Array} arrayAllFlattenedPolicies
+* @param {Date} dateScheduleBase
+* @param {boolean} boolProvenance
+* @param {boolean} boolSplitRange
+* @param {boolean} boolProfile
 * @return {Object} Promise
 */
-function async_flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattenedPolicies) {
+function async_flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattenedPolicies, dateScheduleBase, boolProvenance, boolSplitRange, boolProfile) {
     return new Promise((resolve)=>{
-        flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattenedPolicies);
+        flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFlattenedPolicies, t_PolicyPropertyName, dateScheduleBase, boolProvenance, boolSplitRange, boolProfile);
         resolve('');
     });
 }
@@ -4684,11 +9919,26 @@ function async_flattenAllNormalizedPolicies(boolAddress, boolService, arrayAllFl
 * @param {boolean} boolFqdnAndGeoMatchAll
 * @param {Array} arrayResult
 * @param {Array} arrayResultWithoutIneffectual
+* @param {(Date|null)} dateLookup
+* @return {Object} Promise
+*/
+function async_lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual, dateLookup) {
+    return new Promise((resolve)=>{
+        lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual, dateLookup);
+        resolve('');
+    });
+}
+
+/**
+* @param {Array} arrayCentralSnatMapToBeLookedUp
+* @param {string} listOfLookUpAddr
+* @param {boolean} boolFqdnAndGeoMatchAll
+* @param {Array} arrayResult
 * @return {Object} Promise
 */
-function async_lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual) {
+function async_lookUpAddrListInCentralSnatMap(arrayCentralSnatMapToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult) {
     return new Promise((resolve)=>{
-        lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult, arrayResultWithoutIneffectual);
+        lookUpAddrListInCentralSnatMap(arrayCentralSnatMapToBeLookedUp, listOfLookUpAddr, boolFqdnAndGeoMatchAll, arrayResult);
         resolve('');
     });
 }
@@ -4699,16 +9949,24 @@ function async_lookUpAddrList(arrayNormalizedPolicyToBeLookedUp, listOfLookUpAdd
 * ============================================================================
 */
 
-const MSG_MAKE_LIST  = 1;
-const MSG_MADE_LIST  = 2;
-const MSG_NORMALIZE  = 3;
-const MSG_NORMALIZED = 4;
-const MSG_FLATTEN    = 5;
-const MSG_FLATTENED  = 6;
-const MSG_LOOKUP     = 7;
-const MSG_LOOKEDUP   = 8;
+const MSG_MAKE_LIST   = 1;
+const MSG_MADE_LIST   = 2;
+const MSG_NORMALIZE   = 3;
+const MSG_NORMALIZED  = 4;
+const MSG_FLATTEN     = 5;
+const MSG_FLATTENED   = 6;
+const MSG_LOOKUP      = 7;
+const MSG_LOOKEDUP    = 8;
+const MSG_DIAGNOSTICS = 9;
 
 const g_AllFlattenedPolicies = [];
+const g_AllFlattenedCentralSnatMaps = [];
+
+/*
+* Column names of the flattened policies. The security profile columns and
+* the provenance columns are contained if they are enabled in flattening.
+*/
+let g_FlattenedColumnName = t_NormalizedPolicyColumnName;
 
 /**
 * This function handles requests from the main thread and sends the responses
@@ -4721,38 +9979,80 @@ var onmessage = function(e) { // eslint-disable-line no-var
         switch (e.data[0]) {
         case MSG_MAKE_LIST:
             g_Domain_Data = {};
+            g_ISDB_Data = {};
+            g_Parse_Diagnostic = [];
+            if (e.data[2]) {
+                parseInternetServiceDatabaseMapping(e.data[2]);
+            }
             async_parseFortiGateConfig(e.data[1]).then(()=>{
+                postMessage([
+                    MSG_DIAGNOSTICS,
+                    getParseDiagnosticListAsString(),
+                ]);
                 postMessage([
                     MSG_MADE_LIST,
-                    getFirewallAddressListAsString(),
-                    getFirewallServiceListAsString(),
+                    getFirewallAddressListAsString(e.data[3], e.data[4]),
+                    getFirewallServiceListAsString(e.data[3], e.data[4]),
+                    getSystemZoneListAsString(e.data[3]),
+                    getGroupReferenceErrorListAsString(),
+                    getUnresolvedReferenceListAsString(),
                 ]);
             });
             break;
         case MSG_NORMALIZE:
+            const arrayNormalizedColumnName = e.data[6] ? t_NormalizedPolicyColumnName.concat(t_ProfileColumnName) : t_NormalizedPolicyColumnName;
+            const arrayNormalizedHeader = e.data[3] ? arrayNormalizedColumnName : null;
+            const toNormalizedPolicyObject = (arrayToken) => getPolicyObject(arrayToken, arrayNormalizedColumnName);
             const arrayAllPolicies = [];
+            const arrayAllCentralSnatMaps = [];
             for (const key in g_Domain_Data) {
                 if (g_Domain_Data.hasOwnProperty(key)) {
                     for (let i=0; i<t_PolicyPropertyName.length; ++i) {
                         const array = g_Domain_Data[key][t_PolicyPropertyName[i]];
                         if (array) {
-                            arrayAllPolicies.push(...array);
+                            g_Domain_Data[key][t_PolicyPropertyName[i]] = resolveSystemZoneOfNormalizedPolicies(array, e.data[2]);
+                            arrayAllPolicies.push(...g_Domain_Data[key][t_PolicyPropertyName[i]]);
+                        }
+                    }
+                    for (let i=0; i<t_CentralSnatMapPropertyName.length; ++i) {
+                        const array = g_Domain_Data[key][t_CentralSnatMapPropertyName[i]];
+                        if (array) {
+                            g_Domain_Data[key][t_CentralSnatMapPropertyName[i]] = resolveSystemZoneOfNormalizedPolicies(array, e.data[2]);
+                            arrayAllCentralSnatMaps.push(...g_Domain_Data[key][t_CentralSnatMapPropertyName[i]]);
                         }
                     }
                 }
             }
-            postMessage([
-                MSG_NORMALIZED,
-                arrayAllPolicies.join('\r\n'),
-            ]);
+            {
+                const arrayOutputPolicies = e.data[6] ? arrayAllPolicies : getPoliciesWithoutProfileColumns(arrayAllPolicies);
+                const arrayOutputCentralSnatMaps = e.data[6] ? arrayAllCentralSnatMaps : getPoliciesWithoutProfileColumns(arrayAllCentralSnatMaps);
+                const arrayOutputPoliciesWithoutLogging = getPoliciesWithoutLogging(arrayOutputPolicies);
+                postMessage([
+                    MSG_NORMALIZED,
+                    getOutputText(arrayOutputPolicies, e.data[4], toNormalizedPolicyObject, arrayNormalizedHeader, e.data[5] ? t_AddressColumnNumber : null),
+                    getOutputText(arrayOutputCentralSnatMaps, e.data[4], toNormalizedPolicyObject, arrayNormalizedHeader, e.data[5] ? t_AddressColumnNumber : null),
+                    getOutputText(arrayOutputPoliciesWithoutLogging, e.data[4], toNormalizedPolicyObject, arrayNormalizedHeader, e.data[5] ? t_AddressColumnNumber : null),
+                    getOutputLineSource(arrayOutputPolicies, e.data[4], arrayNormalizedHeader),
+                    getOutputLineSource(arrayOutputCentralSnatMaps, e.data[4], arrayNormalizedHeader),
+                    getOutputLineSource(arrayOutputPoliciesWithoutLogging, e.data[4], arrayNormalizedHeader),
+                ]);
+            }
             break;
         case MSG_FLATTEN:
             {
                 g_AllFlattenedPolicies.length = 0;
+                g_FlattenedColumnName = t_NormalizedPolicyColumnName.concat(e.data[9] ? t_ProfileColumnName : [], e.data[6] ? t_ProvenanceColumnName : []);
+                const arrayFlattenedColumnName = e.data[4] ? g_FlattenedColumnName : null;
+                const toFlattenedPolicyObject = (arrayToken) => getPolicyObject(arrayToken, g_FlattenedColumnName);
+                const dateScheduleBase = (e.data[3] ? getDateFromString(e.data[3]) : null) || new Date();
                 async_flattenAllNormalizedPolicies(
                     e.data[1],
                     e.data[2],
-                    g_AllFlattenedPolicies).then(()=>{
+                    g_AllFlattenedPolicies,
+                    dateScheduleBase,
+                    e.data[6],
+                    e.data[7],
+                    e.data[9]).then(()=>{
                         for (const key in g_Domain_Data) {
                             if (g_Domain_Data.hasOwnProperty(key)) {
                                 const array = g_Domain_Data[key].flattened_policy;
@@ -4761,9 +10061,13 @@ var onmessage = function(e) { // eslint-disable-line no-var
                                 }
                             }
                         }
+                        flattenAllNormalizedPolicies(e.data[1], e.data[2], g_AllFlattenedCentralSnatMaps, t_CentralSnatMapPropertyName, dateScheduleBase, e.data[6], e.data[7], e.data[9]);
                         postMessage([
                             MSG_FLATTENED,
-                            g_AllFlattenedPolicies.join('\r\n'),
+                            getOutputText(g_AllFlattenedPolicies, e.data[5], toFlattenedPolicyObject, arrayFlattenedColumnName, e.data[8] ? t_AddressColumnNumber : null),
+                            getOutputText(g_AllFlattenedCentralSnatMaps, e.data[5], toFlattenedPolicyObject, arrayFlattenedColumnName, e.data[8] ? t_AddressColumnNumber : null),
+                            getOutputLineSource(g_AllFlattenedPolicies, e.data[5], arrayFlattenedColumnName),
+                            getOutputLineSource(g_AllFlattenedCentralSnatMaps, e.data[5], arrayFlattenedColumnName),
                     ]);
                 });
             }
@@ -4772,11 +10076,23 @@ var onmessage = function(e) { // eslint-disable-line no-var
             {
                 const arrayLookupResult = [];
                 const arrayLookupResultEI = [];
-                async_lookUpAddrList(g_AllFlattenedPolicies, e.data[1], e.data[2], arrayLookupResult, arrayLookupResultEI).then(()=>{
+                const arrayLookupResultSnat = [];
+                const dateLookup = e.data[3] ? getDateFromString(e.data[3]) : null;
+                const arrayLookupColumnName = t_LookupResultColumnName.concat(g_FlattenedColumnName.slice(t_NormalizedPolicyColumnName.length));
+                const arrayLookupHeader = e.data[4] ? arrayLookupColumnName : null;
+                const arrayLookupAddressColumn = e.data[6] ? t_AddressColumnNumber.map((intColumn) => intColumn + 1) : null; // +1 is for LOOKUP.
+                const toLookupResultObject = (arrayToken) => getLookupResultObject(arrayToken, arrayLookupColumnName);
+                async_lookUpAddrList(g_AllFlattenedPolicies, e.data[1], e.data[2], arrayLookupResult, arrayLookupResultEI, dateLookup).then(()=>{
+                    return async_lookUpAddrListInCentralSnatMap(g_AllFlattenedCentralSnatMaps, e.data[1], e.data[2], arrayLookupResultSnat);
+                }).then(()=>{
                     postMessage([
                         MSG_LOOKEDUP,
-                        arrayLookupResult.join('\r\n'),
-                        arrayLookupResultEI.join('\r\n'),
+                        getOutputText(arrayLookupResult, e.data[5], toLookupResultObject, arrayLookupHeader, arrayLookupAddressColumn),
+                        getOutputText(arrayLookupResultEI, e.data[5], toLookupResultObject, arrayLookupHeader, arrayLookupAddressColumn),
+                        getOutputText(arrayLookupResultSnat, e.data[5], toLookupResultObject, arrayLookupHeader, arrayLookupAddressColumn),
+                        getOutputLineSource(arrayLookupResult, e.data[5], arrayLookupHeader, 1),
+                        getOutputLineSource(arrayLookupResultEI, e.data[5], arrayLookupHeader, 1),
+                        getOutputLineSource(arrayLookupResultSnat, e.data[5], arrayLookupHeader, 1),
                     ]);
                 });
             }
@@ -4795,55 +10111,149 @@ var onmessage = function(e) { // eslint-disable-line no-var
 /**
 * @param {Object} objDomainData
 * @param {string} strProperty
-* @return {string} Text lines of the specified object data.
+* @param {string} [strValueProperty='value']
+* @param {string} [strType=strProperty] - Type of the records.
+* @return {Array} CSV records of the specified object data.
 *
 */
-function getObjectDataAsString(objDomainData, strProperty) {
-    const getValueAndCommentAsString = function(strDomainName, strProperty, object) {
-        let strOutput = '';
+function getObjectDataRecordArray(objDomainData, strProperty, strValueProperty = 'value', strType = strProperty) {
+    const getValueAndCommentRecordArray = function(strDomainName, strType, object) {
+        const arrayRecord = [];
         for (const key in object) {
             if (object.hasOwnProperty(key)) {
-                const array = object[key].value;
+                const array = object[key][strValueProperty];
                 for (let i=0; i<array.length; ++i) {
-                    strOutput += strDomainName + ',' + strProperty + ',' + key + ',' + array[i] + ',' + object[key].comment + '\r\n';
+                    arrayRecord.push(getCsvRecordString([strDomainName, strType, key, array[i], object[key].comment]));
                 }
             }
         }
-        return strOutput;
+        return arrayRecord;
     };
 
-    let strOutput = '';
+    const arrayRecord = [];
     for (const key in objDomainData) {
         if (objDomainData.hasOwnProperty(key)) {
-            strOutput += getValueAndCommentAsString(key, strProperty, objDomainData[key][strProperty]);
+            arrayRecord.push(...getValueAndCommentRecordArray(key, strType, objDomainData[key][strProperty]));
         }
     }
-    return strOutput;
+    return arrayRecord;
 }
 
 /**
+* @param {string} [strFormat=OUTPUT_FORMAT_CSV]
+* @param {boolean} [boolCompressIPv6=false]
 * @return {string} Text lines of the firewall address lists.
 *
 */
-function getFirewallAddressListAsString() {
+function getFirewallAddressListAsString(strFormat = OUTPUT_FORMAT_CSV, boolCompressIPv6 = false) {
+    const arrayRecord = [];
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'address4'         ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'multicastaddress4'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'addrgrp4'         ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'address6'         ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'multicastaddress6'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'addrgrp6'         ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'internet_service_custom'      ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'internet_service_group'       ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'internet_service_custom_group'));
+    arrayRecord.push(...getObjectDataRecordArray({'': {isdb: g_ISDB_Data}}, 'isdb'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip4' ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip6' ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip46'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip64'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip4',  'mapped', 'vip4_mapped'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip6',  'mapped', 'vip6_mapped'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip46', 'mapped', 'vip46_mapped'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'vip64', 'mapped', 'vip64_mapped'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'ippool4'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'ippool6'));
+    return getOutputText(arrayRecord, strFormat, getAddressListEntryObject, null, boolCompressIPv6 ? [3] : null); // 3 is the address.
+}
+
+/**
+* @param {string} [strFormat=OUTPUT_FORMAT_CSV]
+* @param {boolean} [boolCompressIPv6=false]
+* @return {string} Text lines of the firewall service lists.
+*
+*/
+function getFirewallServiceListAsString(strFormat = OUTPUT_FORMAT_CSV, boolCompressIPv6 = false) {
+    const arrayRecord = [];
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'service_custom'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'service_group' ));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'internet_service_custom', 'service'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'internet_service_group', 'service'));
+    arrayRecord.push(...getObjectDataRecordArray(g_Domain_Data, 'internet_service_custom_group', 'service'));
+    arrayRecord.push(...getObjectDataRecordArray({'': {isdb: g_ISDB_Data}}, 'isdb', 'service'));
+    return getOutputText(arrayRecord, strFormat, getServiceListEntryObject, null, boolCompressIPv6 ? [3] : null); // 3 is the service.
+}
+
+/**
+* @param {string} [strFormat=OUTPUT_FORMAT_CSV]
+* @return {string} Text lines of the zones.
+*
+*/
+function getSystemZoneListAsString(strFormat = OUTPUT_FORMAT_CSV) {
+    const arrayRecord = [];
+    for (const key in g_Domain_Data) {
+        if (g_Domain_Data.hasOwnProperty(key)) {
+            const objZone = g_Domain_Data[key].zone;
+            for (const name in objZone) {
+                if (objZone.hasOwnProperty(name)) {
+                    const array = objZone[name].value.length == 0 ? ['-'] : objZone[name].value;
+                    for (let i=0; i<array.length; ++i) {
+                        arrayRecord.push(getCsvRecordString([key, 'zone', name, array[i], objZone[name].intrazone, objZone[name].comment]));
+                    }
+                }
+            }
+        }
+    }
+    return getOutputText(arrayRecord, strFormat, getZoneListEntryObject);
+}
+
+/**
+* @return {string} Text lines of the circular or dangling group references.
+*
+*/
+function getGroupReferenceErrorListAsString() {
+    let strOutput = '';
+    for (const key in g_Domain_Data) {
+        if (g_Domain_Data.hasOwnProperty(key)) {
+            const array = g_Domain_Data[key].group_reference_error;
+            for (let i=0; i<array.length; ++i) {
+                strOutput += array[i] + '\r\n';
+            }
+        }
+    }
+    return strOutput;
+}
+
+/**
+* @return {string} Text lines of the unresolved references of the policies.
+*
+*/
+function getUnresolvedReferenceListAsString() {
     let strOutput = '';
-    strOutput += getObjectDataAsString(g_Domain_Data, 'address4'         );
-    strOutput += getObjectDataAsString(g_Domain_Data, 'multicastaddress4');
-    strOutput += getObjectDataAsString(g_Domain_Data, 'addrgrp4'         );
-    strOutput += getObjectDataAsString(g_Domain_Data, 'address6'         );
-    strOutput += getObjectDataAsString(g_Domain_Data, 'multicastaddress6');
-    strOutput += getObjectDataAsString(g_Domain_Data, 'addrgrp6'         );
+    for (const key in g_Domain_Data) {
+        if (g_Domain_Data.hasOwnProperty(key)) {
+            const array = g_Domain_Data[key].unresolved_reference;
+            for (let i=0; i<array.length; ++i) {
+                strOutput += array[i] + '\r\n';
+            }
+        }
+    }
     return strOutput;
 }
 
 /**
-* @return {string} Text lines of the firewall service lists.
+* @return {string} Text lines of the parser diagnostics in line number order.
 *
 */
-function getFirewallServiceListAsString() {
+function getParseDiagnosticListAsString() {
+    const array = g_Parse_Diagnostic.slice().sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
     let strOutput = '';
-    strOutput += getObjectDataAsString(g_Domain_Data, 'service_custom');
-    strOutput += getObjectDataAsString(g_Domain_Data, 'service_group' );
+    for (let i=0; i<array.length; ++i) {
+        strOutput += array[i] + '\r\n';
+    }
     return strOutput;
 }
 